@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+// Command-line access to the editor's schema checks and download formats, for CI and
+// pre-commit hooks:
+//
+//   form-schema lint <files...> [--rule <id>=<severity>]... [--max-warnings <n>] [--json]
+//   form-schema validate <files...> [--json]
+//   form-schema convert <file> --to json|js|jsonschema [--output <file>]
+//   form-schema fmt <files...> [--check] [--json]
+//
+// Exit codes: 0 = clean, 1 = problems found (lint/validation errors, too many warnings,
+// unformatted files), 2 = usage error or a file that cannot be read or parsed.
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual, parseArgs } = require('util');
+const { parseSchemaFile, SchemaParseError } = require('../lib/schemaParser');
+const { toJsonSchema } = require('../lib/exporters/jsonSchema');
+const { generateSchemaFile } = require('../lib/exporters/schemaFile');
+const { SchemaLint } = require('../public/js/schemaLint');
+
+const EXIT_OK = 0;
+const EXIT_PROBLEMS = 1;
+const EXIT_FAILURE = 2;
+
+const CONVERT_FORMATS = ['json', 'js', 'jsonschema'];
+
+const USAGE = `Usage: form-schema <command> [options] <files...>
+
+Commands:
+  lint <files...>        Check schemas for errors, warnings and suggestions
+  validate <files...>    Check that schemas are structurally valid
+  convert <file>         Convert a schema (--to json|js|jsonschema)
+  fmt <files...>         Rewrite schema files in the editor's canonical format
+
+Options:
+  --json                 Print machine-readable JSON
+  --rule <id>=<sev>      lint: set a rule's severity (error, warning, suggestion, off);
+                         repeatable, overrides the schema's own lint.rules
+  --max-warnings <n>     lint: fail when there are more than n warnings
+  --to <format>          convert: output format
+  -o, --output <file>    convert: write to a file instead of stdout
+  --check                fmt: list unformatted files instead of rewriting them
+  -h, --help             Show this help`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function readSchema(file) {
+  let source;
+  try {
+    source = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+  }
+  const schema = parseSchemaFile(source, file);
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new SchemaParseError('Invalid schema structure');
+  }
+  return { source, schema };
+}
+
+// The editor's document shape: ID, schema-level settings, stages and the derived field list
+function normalizeSchema(schema) {
+  const { id, stages, fields, ...settings } = schema;
+  const normalizedStages = Array.isArray(stages) ? stages : [];
+  return {
+    id,
+    ...settings,
+    stages: normalizedStages,
+    fields: normalizedStages.flatMap(stage => (stage && Array.isArray(stage.fields) ? stage.fields : []))
+  };
+}
+
+function formatSchema(schema, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(normalizeSchema(schema), null, 2) + '\n';
+    case 'jsonschema':
+      return JSON.stringify(toJsonSchema(schema), null, 2) + '\n';
+    case 'js':
+      return generateSchemaFile(normalizeSchema(schema));
+    default:
+      throw new UsageError(`Unknown format "${format}" (expected ${CONVERT_FORMATS.join(', ')})`);
+  }
+}
+
+function formatForFile(file) {
+  return path.extname(file).toLowerCase() === '.json' ? 'json' : 'js';
+}
+
+function describeFailure(error) {
+  return error instanceof SchemaParseError ? error.toJSON() : { message: error.message, line: null, column: null };
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Runs `check` on every file; unreadable files are reported and make the run fail with 2
+function checkFiles(files, check) {
+  return files.map(file => {
+    try {
+      return { file, ...check(file, readSchema(file)) };
+    } catch (error) {
+      if (error instanceof UsageError) {
+        throw error;
+      }
+      return { file, failure: describeFailure(error) };
+    }
+  });
+}
+
+function printFailure(result, io) {
+  const { message, line, column } = result.failure;
+  io.stderr(`${result.file}${line ? `:${line}:${column}` : ''}\n  error  ${message}`);
+}
+
+// "--rule field-missing-placeholder=off" -> { 'field-missing-placeholder': 'off' }
+function parseRuleOptions(values = []) {
+  const rules = {};
+  values.forEach(value => {
+    const match = /^([^=]+)=(.+)$/.exec(value);
+    if (!match) {
+      throw new UsageError(`--rule expects <rule-id>=<severity>, got "${value}"`);
+    }
+    const [, ruleId, severity] = match;
+    if (!SchemaLint.RULES[ruleId]) {
+      throw new UsageError(`Unknown lint rule "${ruleId}"`);
+    }
+    if (![...SchemaLint.SEVERITIES, 'off'].includes(severity)) {
+      throw new UsageError(`Unknown severity "${severity}" for ${ruleId}`);
+    }
+    rules[ruleId] = severity;
+  });
+  return rules;
+}
+
+function describeLocation(path) {
+  return [path.stageId, path.fieldName, path.property].filter(part => part !== null).join(' > ');
+}
+
+function runLint(files, options, io) {
+  const rules = parseRuleOptions(options.rule);
+  const maxWarnings = options['max-warnings'] === undefined ? null : Number(options['max-warnings']);
+  if (maxWarnings !== null && !(Number.isInteger(maxWarnings) && maxWarnings >= 0)) {
+    throw new UsageError('--max-warnings expects a non-negative integer');
+  }
+
+  const results = checkFiles(files, (file, { schema }) => ({ issues: SchemaLint.lint(schema, { rules }) }));
+  const summary = { errors: 0, warnings: 0, suggestions: 0, failures: 0 };
+  results.forEach(result => {
+    if (result.failure) {
+      summary.failures++;
+      return;
+    }
+    const counts = SchemaLint.countBySeverity(result.issues);
+    summary.errors += counts.error;
+    summary.warnings += counts.warning;
+    summary.suggestions += counts.suggestion;
+  });
+  const tooManyWarnings = maxWarnings !== null && summary.warnings > maxWarnings;
+
+  if (options.json) {
+    io.stdout(JSON.stringify({ command: 'lint', results, summary }, null, 2));
+  } else {
+    results.forEach(result => {
+      if (result.failure) {
+        printFailure(result, io);
+        return;
+      }
+      if (result.issues.length) {
+        const lines = result.issues.map(issue => {
+          const location = describeLocation(issue.path);
+          return `  ${issue.severity.padEnd(10)}  ${location ? `${location}: ` : ''}${issue.message}  [${issue.ruleId}]`;
+        });
+        io.stdout(`${result.file}\n${lines.join('\n')}\n`);
+      }
+    });
+    io.stdout(`${plural(summary.errors, 'error')}, ${plural(summary.warnings, 'warning')}, ${plural(summary.suggestions, 'suggestion')}`);
+    if (tooManyWarnings) {
+      io.stderr(`Too many warnings (maximum: ${maxWarnings})`);
+    }
+  }
+
+  if (summary.failures) return EXIT_FAILURE;
+  return summary.errors || tooManyWarnings ? EXIT_PROBLEMS : EXIT_OK;
+}
+
+function runValidate(files, options, io) {
+  const results = checkFiles(files, (file, { schema }) => {
+    const errors = SchemaLint.validate(schema);
+    return { valid: errors.length === 0, errors };
+  });
+  const failures = results.filter(result => result.failure).length;
+  const invalid = results.filter(result => !result.failure && !result.valid).length;
+
+  if (options.json) {
+    io.stdout(JSON.stringify({ command: 'validate', results, summary: { files: results.length, invalid, failures } }, null, 2));
+  } else {
+    results.forEach(result => {
+      if (result.failure) {
+        printFailure(result, io);
+      } else if (result.valid) {
+        io.stdout(`${result.file}: valid`);
+      } else {
+        io.stdout(`${result.file}\n${result.errors.map(message => `  error  ${message}`).join('\n')}`);
+      }
+    });
+  }
+
+  if (failures) return EXIT_FAILURE;
+  return invalid ? EXIT_PROBLEMS : EXIT_OK;
+}
+
+function runConvert(files, options, io) {
+  if (files.length !== 1) {
+    throw new UsageError('convert expects exactly one input file');
+  }
+  if (!options.to) {
+    throw new UsageError(`convert needs --to ${CONVERT_FORMATS.join('|')}`);
+  }
+  if (!CONVERT_FORMATS.includes(options.to)) {
+    throw new UsageError(`Unknown format "${options.to}" (expected ${CONVERT_FORMATS.join(', ')})`);
+  }
+
+  const [result] = checkFiles(files, (file, { schema }) => ({ output: formatSchema(schema, options.to) }));
+  if (result.failure) {
+    if (options.json) {
+      io.stdout(JSON.stringify({ command: 'convert', file: result.file, failure: result.failure }, null, 2));
+    } else {
+      printFailure(result, io);
+    }
+    return EXIT_FAILURE;
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, result.output);
+    if (options.json) {
+      io.stdout(JSON.stringify({ command: 'convert', file: result.file, format: options.to, output: options.output }, null, 2));
+    }
+  } else if (options.json) {
+    io.stdout(JSON.stringify({ command: 'convert', file: result.file, format: options.to, content: result.output }, null, 2));
+  } else {
+    io.write(result.output);
+  }
+  return EXIT_OK;
+}
+
+function runFmt(files, options, io) {
+  const results = checkFiles(files, (file, { source, schema }) => {
+    const formatted = formatSchema(schema, formatForFile(file));
+    // Never overwrite a file with output that does not read back as the same schema
+    if (!isDeepStrictEqual(normalizeSchema(parseSchemaFile(formatted, file)), normalizeSchema(schema))) {
+      throw new Error('Formatting would change the schema; the file was left unchanged');
+    }
+    const changed = formatted !== source;
+    if (changed && !options.check) {
+      fs.writeFileSync(file, formatted);
+    }
+    return { changed };
+  });
+  const failures = results.filter(result => result.failure).length;
+  const changed = results.filter(result => result.changed).length;
+
+  if (options.json) {
+    io.stdout(JSON.stringify({ command: 'fmt', check: Boolean(options.check), results, summary: { files: results.length, changed, failures } }, null, 2));
+  } else {
+    results.forEach(result => {
+      if (result.failure) {
+        printFailure(result, io);
+      } else if (result.changed) {
+        io.stdout(options.check ? `${result.file}: not formatted` : `${result.file}: formatted`);
+      }
+    });
+  }
+
+  if (failures) return EXIT_FAILURE;
+  return options.check && changed ? EXIT_PROBLEMS : EXIT_OK;
+}
+
+const COMMANDS = {
+  lint: runLint,
+  validate: runValidate,
+  convert: runConvert,
+  fmt: runFmt
+};
+
+/**
+ * @param {string[]} argv Arguments after the executable (process.argv.slice(2))
+ * @param {object} [io] Output sinks, replaceable for embedding
+ * @returns {number} The exit code
+ */
+function run(argv, io = {
+  stdout: text => process.stdout.write(text + '\n'),
+  stderr: text => process.stderr.write(text + '\n'),
+  write: text => process.stdout.write(text)
+}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        json: { type: 'boolean' },
+        'max-warnings': { type: 'string' },
+        rule: { type: 'string', multiple: true },
+        to: { type: 'string' },
+        output: { type: 'string', short: 'o' },
+        check: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    io.stderr(`${error.message}\n\n${USAGE}`);
+    return EXIT_FAILURE;
+  }
+
+  const [command, ...files] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    if (parsed.values.help) {
+      io.stdout(USAGE);
+      return EXIT_OK;
+    }
+    io.stderr(USAGE);
+    return EXIT_FAILURE;
+  }
+
+  try {
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command "${command}"`);
+    }
+    if (!files.length) {
+      throw new UsageError(`${command} expects at least one schema file`);
+    }
+    return COMMANDS[command](files, parsed.values, io);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      io.stderr(`${error.message}\n\n${USAGE}`);
+      return EXIT_FAILURE;
+    }
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = {
+  run
+};
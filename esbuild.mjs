@@ -1,11 +1,16 @@
 import { build, context } from "esbuild";
 
 const config = {
-    entryPoints: ["src/formPreview.js"],
+    // formPreview: editor live preview; productionForm: end-user runtime (standalone export);
+    // formBuilderElement: the <form-builder> custom element for embedding in other pages
+    entryPoints: ["src/formPreview.js", "src/productionForm.js", "src/formBuilderElement.js"],
     bundle: true,
     format: "iife",
-    outfile: "public/js/formPreview.bundle.js",
+    outdir: "public/js",
+    entryNames: "[name].bundle",
     target: ["es2020"],
+    // The custom element inlines its shadow-root stylesheets
+    loader: { ".css": "text" },
     logLevel: "info",
 };
 
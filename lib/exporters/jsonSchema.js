@@ -0,0 +1,247 @@
+// JSON Schema (draft 2020-12) export.
+// Describes the submission payload produced by the form runtime: one property per
+// input field, `required` for always-visible required fields and an `if/then/else`
+// branch per distinct `showIf` condition (hidden fields are pruned from the payload,
+// so they are forbidden in the `else` branch), plus an `if/then` branch per distinct
+// `requiredIf` condition. Conditions JSON Schema cannot express (date comparisons,
+// invalid operands) leave their fields optional, without a branch, as do stages that a
+// `next` route can skip. Cross-field `rules` are left out: most of them compare values with
+// each other, which JSON Schema cannot express.
+
+const { getConditionOperators, getInputFields, getOptionValues, getRequiredCondition, hasCondition, toNumber } = require('./shared');
+
+const DRAFT_2020_12 = 'https://json-schema.org/draft/2020-12/schema';
+
+// HTML `pattern` attributes must match the whole value; JSON Schema patterns are unanchored
+function anchorPattern(pattern) {
+  return `^(?:${pattern})$`;
+}
+
+function fieldToProperty(field) {
+  const attributes = field.attributes || {};
+  const property = { title: field.label || field.title || field.name };
+
+  if (field.helperText) {
+    property.description = field.helperText;
+  }
+
+  switch (field.type) {
+    case 'calculated':
+      // Computed from the expression; a number, text or true/false depending on it
+      property.readOnly = true;
+      return property;
+
+    case 'checkbox':
+      property.type = 'boolean';
+      if (field.required) {
+        property.const = true;
+      }
+      return property;
+
+    case 'number': {
+      property.type = 'number';
+      const minimum = toNumber(attributes.min);
+      const maximum = toNumber(attributes.max);
+      if (minimum !== undefined) property.minimum = minimum;
+      if (maximum !== undefined) property.maximum = maximum;
+      return property;
+    }
+
+    case 'select':
+    case 'radio':
+      property.type = 'string';
+      property.enum = getOptionValues(field);
+      return property;
+
+    default:
+      break;
+  }
+
+  property.type = 'string';
+  if (field.type === 'email') {
+    property.format = 'email';
+  } else if (field.type === 'date') {
+    property.format = 'date';
+  }
+
+  const minLength = toNumber(attributes.minlength);
+  const maxLength = toNumber(attributes.maxlength);
+  if (minLength !== undefined) {
+    property.minLength = minLength;
+  } else if (field.required) {
+    // The runtime keeps cleared inputs as "", which does not satisfy "required"
+    property.minLength = 1;
+  }
+  if (maxLength !== undefined) property.maxLength = maxLength;
+
+  if (attributes.pattern) {
+    property.pattern = anchorPattern(attributes.pattern);
+  }
+
+  return property;
+}
+
+// `then` subschema for fields required only while a requiredIf condition holds; the
+// property itself stays optional, so "" and false are ruled out here instead
+function requiredBranch(fields) {
+  const properties = {};
+  fields.forEach(field => {
+    if (field.type === 'checkbox') {
+      properties[field.name] = { const: true };
+    } else if (!['number', 'select', 'radio'].includes(field.type)) {
+      properties[field.name] = { minLength: 1 };
+    }
+  });
+  return {
+    required: fields.map(field => field.name),
+    ...(Object.keys(properties).length && { properties })
+  };
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const COMPARISON_KEYWORDS = { gt: 'exclusiveMinimum', gte: 'minimum', lt: 'exclusiveMaximum', lte: 'maximum' };
+
+// `if` subschema for one operator, or null when it cannot be expressed
+function operatorToSchema(name, operator, operand) {
+  // Negative operators also hold when the controlling field was never submitted
+  const present = property => ({ properties: { [name]: property }, required: [name] });
+  const absentOr = property => ({ properties: { [name]: property } });
+  const notEmpty = present({ not: { enum: ['', false, null] } });
+
+  switch (operator) {
+    case 'equals':
+      return present({ const: operand });
+    case 'notEquals':
+      return absentOr({ not: { const: operand } });
+    case 'in':
+      return Array.isArray(operand) ? present({ enum: operand }) : null;
+    case 'notIn':
+      return Array.isArray(operand) ? absentOr({ not: { enum: operand } }) : null;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const limit = typeof operand === 'number' ? operand : toNumber(operand);
+      return limit === undefined ? null : present({ type: 'number', [COMPARISON_KEYWORDS[operator]]: limit });
+    }
+    case 'contains':
+      return present({ type: 'string', pattern: escapeRegExp(operand) });
+    case 'matches':
+      try {
+        new RegExp(operand);
+      } catch (error) {
+        return null;
+      }
+      return present({ type: 'string', pattern: String(operand) });
+    case 'isEmpty':
+      return operand === false ? notEmpty : { not: notEmpty };
+    case 'isNotEmpty':
+      return operand === false ? { not: notEmpty } : notEmpty;
+    case 'isChecked':
+      return operand === false ? absentOr({ not: { const: true } }) : present({ const: true });
+    default:
+      return null;
+  }
+}
+
+// `if` subschema for a showIf condition, or null when JSON Schema cannot express it
+function conditionToSchema(condition) {
+  const groupKeyword = Array.isArray(condition.all) ? 'all' : (Array.isArray(condition.any) ? 'any' : null);
+  if (groupKeyword) {
+    const items = condition[groupKeyword].map(conditionToSchema);
+    if (items.some(item => item === null)) {
+      return null;
+    }
+    return { [groupKeyword === 'all' ? 'allOf' : 'anyOf']: items };
+  }
+  if (condition.not && typeof condition.not === 'object') {
+    const inner = conditionToSchema(condition.not);
+    return inner === null ? null : { not: inner };
+  }
+
+  const parts = getConditionOperators(condition).map(([operator, operand]) => operatorToSchema(condition.field, operator, operand));
+  if (parts.some(part => part === null)) {
+    return null;
+  }
+  return parts.length === 1 ? parts[0] : { allOf: parts };
+}
+
+function toJsonSchema(schema) {
+  const properties = {};
+  const required = [];
+  const conditionalGroups = new Map();
+  const requiredIfGroups = new Map();
+
+  getInputFields(schema).forEach(field => {
+    properties[field.name] = fieldToProperty(field);
+
+    const requiredCondition = !field.required && getRequiredCondition(field);
+    const requiredIf = requiredCondition && conditionToSchema(requiredCondition);
+    if (requiredIf) {
+      const key = JSON.stringify(requiredCondition);
+      if (!requiredIfGroups.has(key)) {
+        requiredIfGroups.set(key, { condition: requiredIf, fields: [] });
+      }
+      requiredIfGroups.get(key).fields.push(field);
+    }
+
+    if (!hasCondition(field)) {
+      if (field.required) {
+        required.push(field.name);
+      }
+      return;
+    }
+
+    const condition = conditionToSchema(field.showIf);
+    if (!condition) {
+      return;
+    }
+
+    const key = JSON.stringify(field.showIf);
+    if (!conditionalGroups.has(key)) {
+      conditionalGroups.set(key, { condition, fields: [] });
+    }
+    conditionalGroups.get(key).fields.push(field);
+  });
+
+  const result = {
+    $schema: DRAFT_2020_12,
+    $id: `urn:form-schema:${schema.id || 'export'}`,
+    title: schema.id || 'export',
+    type: 'object',
+    properties
+  };
+
+  if (required.length) {
+    result.required = required;
+  }
+
+  const branches = [...conditionalGroups.values()].map(({ condition, fields }) => {
+    const branch = { if: condition };
+    const conditionalRequired = fields.filter(field => field.required).map(field => field.name);
+    if (conditionalRequired.length) {
+      branch.then = { required: conditionalRequired };
+    }
+    branch.else = {
+      properties: Object.fromEntries(fields.map(field => [field.name, false]))
+    };
+    return branch;
+  });
+  requiredIfGroups.forEach(({ condition, fields }) => {
+    branches.push({ if: condition, then: requiredBranch(fields) });
+  });
+
+  if (branches.length) {
+    result.allOf = branches;
+  }
+
+  result.additionalProperties = false;
+  return result;
+}
+
+module.exports = {
+  toJsonSchema
+};
@@ -0,0 +1,868 @@
+// React component export.
+// Generates a self-contained functional component that renders the schema the way
+// `FormBuilderBase._renderForm` does (same Bootstrap markup and Hebrew copy), with
+// controlled inputs, per-stage navigation (following `next` routes and skipping stages
+// whose `showIf` fails), `showIf` visibility and pruning, `required`/`requiredIf`
+// validation, cross-field `rules` and read-only `calculated` fields. Fields are written
+// out as explicit JSX so the file can be committed and customised.
+
+const {
+  REQUIRED_MESSAGE,
+  accessProperty,
+  compileCondition,
+  conditionsSource,
+  getErrorMessage,
+  getRules,
+  hasCondition,
+  hasRequiredIf,
+  isPlainTextField,
+  propertyKey,
+  rulesSource,
+  toPascalCase,
+  withStageCondition
+} = require('./shared');
+const { SchemaExpressions } = require('../../public/js/schemaExpressions');
+
+// HTML attribute names that React spells differently
+const REACT_ATTRIBUTE_NAMES = {
+  autocapitalize: 'autoCapitalize',
+  autocomplete: 'autoComplete',
+  autofocus: 'autoFocus',
+  enterkeyhint: 'enterKeyHint',
+  inputmode: 'inputMode',
+  maxlength: 'maxLength',
+  minlength: 'minLength',
+  readonly: 'readOnly',
+  spellcheck: 'spellCheck',
+  tabindex: 'tabIndex'
+};
+
+// Attributes the generated markup controls itself
+const RESERVED_ATTRIBUTES = new Set(['id', 'name', 'type', 'value', 'checked', 'class', 'classname', 'style']);
+
+// JSX expression container for any JSON value; avoids JSX string escaping rules
+function jsx(value) {
+  return `{${JSON.stringify(value)}}`;
+}
+
+function indent(lines, spaces) {
+  const pad = ' '.repeat(spaces);
+  return lines.map(line => (line ? pad + line : line));
+}
+
+function getStages(schema) {
+  if (Array.isArray(schema.stages) && schema.stages.length > 0) {
+    return schema.stages;
+  }
+  return [{ id: 'stage1', label: schema.id || 'Form', fields: schema.fields || [] }];
+}
+
+function isInputField(field) {
+  return Boolean(field && field.name && !isPlainTextField(field));
+}
+
+function getOptions(field) {
+  return (field.options || []).map(option => (typeof option === 'string'
+    ? { label: option, value: option }
+    : { label: option.label !== undefined ? option.label : option.value, value: option.value }));
+}
+
+function attributeProps(field, { allowPlaceholder = true } = {}) {
+  const props = [];
+
+  if (allowPlaceholder && field.placeholder) {
+    props.push(`placeholder=${jsx(field.placeholder)}`);
+  }
+
+  Object.entries(field.attributes || {}).forEach(([attribute, value]) => {
+    const lower = attribute.toLowerCase();
+    if (value === undefined || value === null || value === false) return;
+    if (RESERVED_ATTRIBUTES.has(lower) || lower.startsWith('on')) return;
+    if (lower === 'required' && (field.required || hasRequiredIf(field))) return;
+    if (!/^[A-Za-z][A-Za-z0-9_:-]*$/.test(attribute)) return;
+
+    const name = REACT_ATTRIBUTE_NAMES[lower] || attribute;
+    props.push(value === true ? name : `${name}=${jsx(value)}`);
+  });
+
+  return props;
+}
+
+function errorProps(name, hasHelper) {
+  return [
+    `aria-invalid={${accessProperty('errors', name)} ? "true" : "false"}`,
+    `aria-describedby={describedBy(${JSON.stringify(name)}, ${hasHelper})}`
+  ];
+}
+
+function controlClass(name, base) {
+  return `className={${accessProperty('errors', name)} ? "${base} is-invalid" : "${base}"}`;
+}
+
+function fieldFooter(field) {
+  const name = JSON.stringify(field.name);
+  const lines = [];
+  if (field.helperText) {
+    lines.push(`<div id={\`\${fieldId(${name})}-helper\`} className="form-text">${jsx(field.helperText)}</div>`);
+  }
+  lines.push(`{renderError(${name})}`);
+  return lines;
+}
+
+function objectLiteral(entries) {
+  return entries.length ? `{\n${entries.join(',\n')}\n}` : '{}';
+}
+
+function renderElement(tag, props, selfClosing = true) {
+  return [`<${tag}`, ...indent(props, 2), selfClosing ? '/>' : '>'];
+}
+
+function renderPlainText(field) {
+  const lines = ['<div className="mb-3">'];
+  const title = field.title !== undefined ? field.title : field.label;
+  if (title) {
+    lines.push(`  <h4 className="h6 mb-2">${jsx(title)}</h4>`);
+  }
+
+  const body = field.text !== undefined ? field.text : (field.content !== undefined ? field.content : (field.description || ''));
+  if (body) {
+    const parts = String(body).split('\n').map(line => jsx(line)).join('<br />');
+    lines.push(`  <p className="mb-0 text-muted">${parts}</p>`);
+  }
+
+  lines.push('</div>');
+  return lines;
+}
+
+function renderCheckbox(field) {
+  const name = JSON.stringify(field.name);
+  const input = renderElement('input', [
+    `id={fieldId(${name})}`,
+    `name=${jsx(field.name)}`,
+    'type="checkbox"',
+    controlClass(field.name, 'form-check-input'),
+    `checked={Boolean(${accessProperty('values', field.name)})}`,
+    `onChange={(event) => setValue(${name}, event.target.checked)}`,
+    ...attributeProps(field, { allowPlaceholder: false }),
+    ...errorProps(field.name, Boolean(field.helperText))
+  ]);
+
+  return [
+    '<div className="mb-3">',
+    '  <div className="form-check">',
+    ...indent(input, 4),
+    `    <label className="form-check-label" htmlFor={fieldId(${name})}>${jsx(field.label || '')}</label>`,
+    '  </div>',
+    ...indent(fieldFooter(field), 2),
+    '</div>'
+  ];
+}
+
+function renderRadio(field) {
+  const name = JSON.stringify(field.name);
+  const options = getOptions(field).flatMap((option, index) => {
+    const optionId = `{\`\${fieldId(${name})}-${index}\`}`;
+    return [
+      '<div className="form-check">',
+      ...indent(renderElement('input', [
+        `id=${optionId}`,
+        `name={fieldId(${name})}`,
+        'type="radio"',
+        `value=${jsx(option.value)}`,
+        controlClass(field.name, 'form-check-input'),
+        `checked={${accessProperty('values', field.name)} === ${JSON.stringify(option.value)}}`,
+        `onChange={() => setValue(${name}, ${JSON.stringify(option.value)})}`,
+        `aria-invalid={${accessProperty('errors', field.name)} ? "true" : "false"}`
+      ]), 2),
+      `  <label className="form-check-label" htmlFor=${optionId}>${jsx(option.label)}</label>`,
+      '</div>'
+    ];
+  });
+
+  return [
+    '<div className="mb-3">',
+    `  <label id={\`\${fieldId(${name})}-label\`} htmlFor={fieldId(${name})} className="form-label">${jsx(field.label || '')}</label>`,
+    '  <div',
+    '    className="d-flex flex-column gap-2"',
+    '    role="radiogroup"',
+    `    aria-labelledby={\`\${fieldId(${name})}-label\`}`,
+    `    aria-describedby={describedBy(${name}, ${Boolean(field.helperText)})}`,
+    '  >',
+    ...indent(options, 4),
+    '  </div>',
+    ...indent(fieldFooter(field), 2),
+    '</div>'
+  ];
+}
+
+function renderControl(field) {
+  const name = JSON.stringify(field.name);
+  const common = [
+    `id={fieldId(${name})}`,
+    `name=${jsx(field.name)}`
+  ];
+  const valueProps = [
+    `value={${accessProperty('values', field.name)} ?? ""}`,
+    `onChange={(event) => setValue(${name}, event.target.value)}`
+  ];
+  const requiredProp = field.required
+    ? ['required']
+    : (hasRequiredIf(field) ? [`required={isRequired(${name}, values)}`] : []);
+  const tail = [...errorProps(field.name, Boolean(field.helperText))];
+
+  if (field.type === 'select') {
+    const options = getOptions(field).map(option => `<option value=${jsx(option.value)}>${jsx(option.label)}</option>`);
+    return [
+      ...renderElement('select', [
+        ...common,
+        controlClass(field.name, 'form-select'),
+        ...valueProps,
+        ...requiredProp,
+        ...attributeProps(field, { allowPlaceholder: false }),
+        ...tail
+      ], false),
+      '  <option value="">-- בחר --</option>',
+      ...indent(options, 2),
+      '</select>'
+    ];
+  }
+
+  if (field.type === 'textarea') {
+    return renderElement('textarea', [
+      ...common,
+      controlClass(field.name, 'form-control'),
+      `rows={${Number(field.rows) || 3}}`,
+      ...valueProps,
+      ...requiredProp,
+      ...attributeProps(field),
+      ...tail
+    ]);
+  }
+
+  return renderElement('input', [
+    ...common,
+    `type=${jsx(field.type || 'text')}`,
+    controlClass(field.name, 'form-control'),
+    ...valueProps,
+    ...requiredProp,
+    ...attributeProps(field),
+    ...tail
+  ]);
+}
+
+function renderCalculated(field) {
+  const name = JSON.stringify(field.name);
+  return [
+    '<div className="mb-3">',
+    `  <label htmlFor={fieldId(${name})} className="form-label">${jsx(field.label || '')}</label>`,
+    ...indent(renderElement('input', [
+      `id={fieldId(${name})}`,
+      `name=${jsx(field.name)}`,
+      'type="text"',
+      'className="form-control"',
+      `value={calculatedText(${accessProperty('values', field.name)})}`,
+      'readOnly',
+      ...(field.helperText ? [`aria-describedby={describedBy(${name}, true)}`] : [])
+    ]), 2),
+    ...indent(fieldFooter(field), 2),
+    '</div>'
+  ];
+}
+
+function renderInputField(field) {
+  if (field.type === 'calculated') {
+    return renderCalculated(field);
+  }
+  if (field.type === 'checkbox') {
+    return renderCheckbox(field);
+  }
+  if (field.type === 'radio') {
+    return renderRadio(field);
+  }
+
+  const name = JSON.stringify(field.name);
+  return [
+    '<div className="mb-3">',
+    `  <label htmlFor={fieldId(${name})} className="form-label">${jsx(field.label || '')}</label>`,
+    ...indent(renderControl(field), 2),
+    ...indent(fieldFooter(field), 2),
+    '</div>'
+  ];
+}
+
+function renderField(field) {
+  const lines = isPlainTextField(field) ? renderPlainText(field) : renderInputField(field);
+  if (!hasCondition(field)) {
+    return lines;
+  }
+
+  const condition = isInputField(field)
+    ? `isVisible(${JSON.stringify(field.name)}, values)`
+    : `(${compileCondition(field.showIf)})`;
+  return [`{${condition} && (`, ...indent(lines, 2), ')}'];
+}
+
+function renderStage(stage, index, isSummary) {
+  if (isSummary) {
+    return [`{stage === ${index} && renderSummary()}`];
+  }
+
+  const fields = (stage.fields || []).filter(Boolean).flatMap(renderField);
+  return [
+    `{stage === ${index} && (`,
+    '  <>',
+    ...indent(fields, 4),
+    '  </>',
+    ')}'
+  ];
+}
+
+const SUMMARY_HELPERS = `
+function formatValue(name, value) {
+  const field = FIELDS[name];
+  if (field.type === "checkbox" || typeof value === "boolean") {
+    if (value === undefined || value === null || value === "") {
+      return "—";
+    }
+    return value ? "כן" : "לא";
+  }
+
+  if (value === undefined || value === null || value === "") {
+    return "—";
+  }
+
+  if (field.options) {
+    const option = field.options.find(item => item.value === value);
+    return option ? option.label : String(value);
+  }
+
+  return String(value);
+}
+`;
+
+// The evaluation rules of public/js/schemaExpressions.js, for the compiled expressions in
+// CALCULATIONS
+const EXPRESSION_HELPERS = `
+// Helpers for CALCULATIONS: "+" adds numbers and joins text, and a missing answer makes
+// arithmetic empty (null) rather than zero
+const calc = {
+  isEmpty: (value) => value === undefined || value === null || value === "",
+  toNumber(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? value : null;
+    if (typeof value === "boolean") return value ? 1 : 0;
+    if (typeof value === "string" && value.trim() !== "") {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    return null;
+  },
+  toText: (value) => (calc.isEmpty(value) ? "" : String(value)),
+  negate: (value) => (calc.toNumber(value) === null ? null : -calc.toNumber(value)),
+  op(operator, left, right) {
+    const a = calc.toNumber(left);
+    const b = calc.toNumber(right);
+    const both = a !== null && b !== null;
+    switch (operator) {
+      case "+":
+        if (both) return a + b;
+        if ((a !== null || calc.isEmpty(left)) && (b !== null || calc.isEmpty(right))) return null;
+        return calc.toText(left) + calc.toText(right);
+      case "-": return both ? a - b : null;
+      case "*": return both ? a * b : null;
+      case "/": return both && b !== 0 ? a / b : null;
+      case "%": return both && b !== 0 ? a % b : null;
+      case "==": return both ? a === b : calc.toText(left) === calc.toText(right);
+      case "!=": return both ? a !== b : calc.toText(left) !== calc.toText(right);
+      default: {
+        if (calc.isEmpty(left) || calc.isEmpty(right)) return null;
+        const order = both ? a - b : String(left).localeCompare(String(right));
+        return { "<": order < 0, "<=": order <= 0, ">": order > 0, ">=": order >= 0 }[operator];
+      }
+    }
+  },
+  toDate(value) {
+    const match = /^(\\d{4})-(\\d{2})-(\\d{2})$/.exec(calc.toText(value).trim());
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCDate() === Number(match[3]) ? date : null;
+  },
+  formatDate: (date) => date.toISOString().slice(0, 10),
+  today() {
+    const now = new Date();
+    return calc.formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+  },
+  yearsBetween(fromValue, toValue) {
+    const from = calc.toDate(fromValue);
+    const to = calc.toDate(toValue);
+    if (!from || !to) return null;
+    const beforeAnniversary = to.getUTCMonth() < from.getUTCMonth()
+      || (to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate());
+    return to.getUTCFullYear() - from.getUTCFullYear() - (beforeAnniversary ? 1 : 0);
+  },
+  unary: (fn) => (value) => (calc.toNumber(value) === null ? null : fn(calc.toNumber(value))),
+  numbers: (args) => args.map(calc.toNumber),
+  normalize(value) {
+    if (typeof value === "number") return Number.isFinite(value) ? parseFloat(value.toPrecision(12)) : null;
+    return value === "" || value === undefined ? null : value;
+  }
+};
+
+calc.fn = {
+  round(value, digits) {
+    const number = calc.toNumber(value);
+    if (number === null) return null;
+    const factor = 10 ** (calc.toNumber(digits) === null ? 0 : Math.trunc(calc.toNumber(digits)));
+    return Math.round(number * factor) / factor;
+  },
+  floor: calc.unary(Math.floor),
+  ceil: calc.unary(Math.ceil),
+  abs: calc.unary(Math.abs),
+  min: (...args) => (calc.numbers(args).includes(null) ? null : Math.min(...calc.numbers(args))),
+  max: (...args) => (calc.numbers(args).includes(null) ? null : Math.max(...calc.numbers(args))),
+  sum(...args) {
+    const present = calc.numbers(args).filter(number => number !== null);
+    return present.length ? present.reduce((total, number) => total + number, 0) : null;
+  },
+  if: (condition, then, otherwise) => (calc.isEmpty(condition) || condition === false || calc.toNumber(condition) === 0 ? otherwise : then),
+  concat: (...args) => args.map(calc.toText).join(""),
+  upper: (value) => calc.toText(value).toUpperCase(),
+  lower: (value) => calc.toText(value).toLowerCase(),
+  trim: (value) => calc.toText(value).trim(),
+  today: () => calc.today(),
+  year: (value) => calc.toDate(value)?.getUTCFullYear() ?? null,
+  month: (value) => (calc.toDate(value) ? calc.toDate(value).getUTCMonth() + 1 : null),
+  day: (value) => calc.toDate(value)?.getUTCDate() ?? null,
+  age: (value) => calc.yearsBetween(value, calc.today()),
+  yearsBetween: (from, to) => calc.yearsBetween(from, to),
+  daysBetween(fromValue, toValue) {
+    const from = calc.toDate(fromValue);
+    const to = calc.toDate(toValue);
+    return from && to ? Math.round((to - from) / 86400000) : null;
+  },
+  addDays(value, days) {
+    const date = calc.toDate(value);
+    const count = calc.toNumber(days);
+    return date && count !== null ? calc.formatDate(new Date(date.getTime() + Math.trunc(count) * 86400000)) : null;
+  }
+};
+
+// Calculated fields in form order, so an expression can use an earlier result; hidden
+// ones (showIf, or a stage off the path) get no value, as in applyCalculatedFields
+function calculate(values) {
+  const next = { ...values };
+  const path = stagePath(next);
+  Object.entries(CALCULATIONS).forEach(([name, expression]) => {
+    const onPath = path.includes(STAGES.findIndex(stage => stage.fields.includes(name)));
+    const value = onPath && isVisible(name, next) ? calc.normalize(expression(next)) : null;
+    if (value === null) {
+      delete next[name];
+    } else {
+      next[name] = value;
+    }
+  });
+  return next;
+}
+
+function calculatedText(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "boolean") return value ? "כן" : "לא";
+  return String(value);
+}
+`;
+
+// JavaScript for a parsed expression, calling the `calc` helpers above
+function compileExpression(node) {
+  switch (node.type) {
+    case 'literal':
+      return JSON.stringify(node.value);
+    case 'field':
+      return accessProperty('values', node.name);
+    case 'negate':
+      return `calc.negate(${compileExpression(node.argument)})`;
+    case 'binary':
+      return `calc.op(${JSON.stringify(node.operator)}, ${compileExpression(node.left)}, ${compileExpression(node.right)})`;
+    case 'call':
+      return `calc.fn.${node.name}(${node.args.map(compileExpression).join(', ')})`;
+    default:
+      return 'null';
+  }
+}
+
+// Expressions that do not parse (schema lint reports them) calculate nothing
+function calculationSource(field) {
+  try {
+    return compileExpression(SchemaExpressions.parse(field.expression || ''));
+  } catch (error) {
+    return 'null';
+  }
+}
+
+const SUMMARY_RENDERER = `
+  function renderSummary() {
+    return (
+      <div className="d-flex flex-column gap-3">
+        <p className="text-muted mb-2">בדוק את הנתונים לפני שליחה.</p>
+        {shownStages.map(index => {
+          const stageItem = STAGES[index];
+          const visibleFields = stageItem.fields.filter(name => isVisible(name, values));
+          if (index === SUMMARY_STAGE_INDEX || visibleFields.length === 0) {
+            return null;
+          }
+          return (
+            <div key={stageItem.id} className="border rounded-3 p-3 bg-white">
+              <h4 className="h6 mb-3">{stageItem.label}</h4>
+              <dl className="row mb-0">
+                {visibleFields.map(name => (
+                  <Fragment key={name}>
+                    <dt className="col-5 col-sm-4 text-muted">{FIELDS[name].label}</dt>
+                    <dd className="col-7 col-sm-8 mb-2">{formatValue(name, values[name])}</dd>
+                  </Fragment>
+                ))}
+              </dl>
+            </div>
+          );
+        })}
+      </div>
+    );
+  }
+`;
+
+function generateReactComponent(schema) {
+  const id = schema.id || 'export';
+  const componentName = `${toPascalCase(id)}Form`;
+  const stages = getStages(schema);
+  const summaryIndex = stages.findIndex(stage => stage && stage.type === 'summary');
+  const hasSummary = summaryIndex !== -1;
+  const inputFields = stages.flatMap(stage => (stage.fields || []).filter(isInputField).map(field => withStageCondition(stage, field)));
+
+  const stageEntries = stages.map((stage, index) => {
+    const fields = (stage.fields || []).filter(isInputField);
+    const showIf = hasCondition(stage) ? `, showIf: (values) => ${compileCondition(stage.showIf)}` : '';
+    // `next` rules with their targets as indexes; like the runtime, only forward routes count
+    const routes = (Array.isArray(stage.next) ? stage.next : [])
+      .map(rule => ({ rule, target: stages.findIndex(other => rule && other.id === rule.goTo) }))
+      .filter(({ target }) => target > index)
+      .map(({ rule, target }) => (rule.if ? `{ if: (values) => ${compileCondition(rule.if)}, goTo: ${target} }` : `{ goTo: ${target} }`));
+    const next = routes.length ? `, next: [${routes.join(', ')}]` : '';
+    return `  { id: ${JSON.stringify(stage.id || `stage${index + 1}`)}, label: ${JSON.stringify(stage.label || `שלב ${index + 1}`)}, fields: ${JSON.stringify(fields.map(field => field.name))}${showIf}${next} }`;
+  });
+
+  const fieldEntries = inputFields.map(field => {
+    const meta = { label: field.label || field.name, type: field.type || 'text' };
+    if (field.type === 'select' || field.type === 'radio') {
+      meta.options = getOptions(field);
+    }
+    if ((field.required || hasRequiredIf(field)) && field.type !== 'calculated') {
+      meta.required = getErrorMessage(field, 'required', REQUIRED_MESSAGE);
+    }
+    return `  ${propertyKey(field.name)}: ${JSON.stringify(meta)}`;
+  });
+
+  const conditionEntries = inputFields
+    .filter(hasCondition)
+    .map(field => `  ${propertyKey(field.name)}: (values) => ${compileCondition(field.showIf)}`);
+
+  const requiredIfEntries = inputFields
+    .filter(hasRequiredIf)
+    .map(field => `  ${propertyKey(field.name)}: (values) => ${compileCondition(field.requiredIf)}`);
+
+  const stageMarkup = stages.flatMap((stage, index) => renderStage(stage, index, index === summaryIndex));
+  const calculationEntries = inputFields
+    .filter(field => field.type === 'calculated')
+    .map(field => `  ${propertyKey(field.name)}: (values) => ${calculationSource(field)}`);
+  const hasCalculations = calculationEntries.length > 0;
+  const rules = getRules(schema);
+  const usesConditions = stages.some(stage => hasCondition(stage)
+    || (Array.isArray(stage.next) && stage.next.some(rule => rule && rule.if))
+    || (stage.fields || []).some(field => hasCondition(field) || hasRequiredIf(field)));
+  const reactImports = hasSummary ? 'Fragment, useId, useState' : 'useId, useState';
+
+  return `// Generated by Form Schema Editor from schema "${id}".
+// Requires React 18+ and Bootstrap 5 styles; the stage indicator uses the classes in
+// public/css/formRuntime.css. Safe to edit: this file is not regenerated.
+import { ${reactImports} } from "react";
+${usesConditions ? `\n${conditionsSource()}` : ''}
+// Stage order, the input fields rendered on each stage, and the stage's showIf and next
+// routes, if any
+const STAGES = [
+${stageEntries.join(',\n')}
+];
+
+const SUMMARY_STAGE_INDEX = ${summaryIndex};
+const SUMMARY_OPTIONAL = ${Boolean(hasSummary && stages[summaryIndex].optional)};
+
+// Input fields: label, type, options and the message shown when a required (or
+// requiredIf) field is empty
+const FIELDS = ${objectLiteral(fieldEntries)};
+
+// showIf conditions, keyed by the field they control (including the condition of its stage)
+const CONDITIONS = ${objectLiteral(conditionEntries)};
+
+// requiredIf conditions: these fields are only required while theirs holds
+const REQUIRED_IF = ${objectLiteral(requiredIfEntries)};
+${hasCalculations ? `
+// Calculated fields' expressions, compiled from their \`expression\`
+const CALCULATIONS = ${objectLiteral(calculationEntries)};
+` : ''}${rules.length ? `
+// Cross-field rules, checked with the stage of their target field
+${rulesSource(rules)}` : ''}
+function findVisibleStage(fromIndex, values) {
+  const index = STAGES.findIndex((stage, i) => i >= fromIndex && (!stage.showIf || stage.showIf(values)));
+  return index === -1 ? undefined : index;
+}
+
+// The stage after \`index\`: where the first matching next route goes, else the following
+// visible stage
+function nextStageIndex(index, values) {
+  const route = (STAGES[index].next || []).find(rule => !rule.if || rule.if(values));
+  return findVisibleStage(route ? route.goTo : index + 1, values);
+}
+
+// Indexes of the stages the answers lead through, as getStagePath in src/schemaUtils.js
+function stagePath(values) {
+  const path = [];
+  for (let index = findVisibleStage(0, values); index !== undefined; index = nextStageIndex(index, values)) {
+    path.push(index);
+  }
+  return path;
+}
+
+function isVisible(name, values) {
+  const condition = CONDITIONS[name];
+  return !condition || condition(values);
+}
+
+function isRequired(name, values) {
+  const condition = REQUIRED_IF[name];
+  return Boolean(FIELDS[name].required) && (!condition || condition(values));
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === "" || value === false;
+}
+
+// Hidden fields and the fields of stages off the path lose their values, as in
+// FormBuilderBase._pruneHiddenFields${hasCalculations ? '; calculated fields are then recomputed' : ''}
+function pruneHidden(values) {
+  const next = { ...values };
+  Object.keys(CONDITIONS).forEach(name => {
+    if (name in next && !isVisible(name, next)) {
+      delete next[name];
+    }
+  });
+  const path = stagePath(next);
+  STAGES.forEach((stage, index) => {
+    if (!path.includes(index)) {
+      stage.fields.forEach(name => delete next[name]);
+    }
+  });
+  return ${hasCalculations ? 'calculate(next)' : 'next'};
+}
+
+function validateStage(stageIndex, values) {
+  const errors = {};
+  STAGES[stageIndex].fields.forEach(name => {
+    if (isRequired(name, values) && isVisible(name, values) && isEmpty(values[name])) {
+      errors[name] = FIELDS[name].required;
+    }
+  });${rules.length ? `
+  RULES.forEach(rule => {
+    const field = rule.field;
+    if (STAGES[stageIndex].fields.includes(field) && isVisible(field, values) && !errors[field] && !SchemaRules.check(rule, values)) {
+      errors[field] = rule.message;
+    }
+  });` : ''}
+  return errors;
+}
+
+function validateAll(values) {
+  return stagePath(values).reduce((errors, index) => Object.assign(errors, validateStage(index, values)), {});
+}
+
+// Visible values on the stage path only; number inputs are submitted as numbers and left
+// out when cleared
+function buildPayload(values) {
+  const payload = {};
+  stagePath(values).forEach(index => STAGES[index].fields.forEach(name => {
+    if (!(name in values) || !isVisible(name, values)) {
+      return;
+    }
+    let value = values[name];
+    if (FIELDS[name].type === "number" && typeof value === "string") {
+      if (value.trim() === "") {
+        return;
+      }
+      const number = Number(value);
+      value = Number.isFinite(number) ? number : value;
+    }
+    payload[name] = value;
+  }));
+  return payload;
+}
+${hasCalculations ? EXPRESSION_HELPERS : ''}${hasSummary ? SUMMARY_HELPERS : ''}
+export function ${componentName}({ onSubmit, initialValues = {} }) {
+  const uid = useId();
+  const [values, setValues] = useState(() => pruneHidden(initialValues));
+  const [errors, setErrors] = useState({});
+  const [stage, setStage] = useState(0);
+  const [furthestStage, setFurthestStage] = useState(0);
+  // Stages visited before the current one, so Back returns to where the respondent came from
+  const [history, setHistory] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const shownStages = stagePath(values);
+  const nextStage = shownStages.find(index => index > stage);
+  const visited = history.filter(index => index < stage && shownStages.includes(index));
+  const previousStage = visited.length ? visited[visited.length - 1] : shownStages.filter(index => index < stage).pop();
+  const lastDataStage = shownStages.filter(index => index !== SUMMARY_STAGE_INDEX).pop();
+  const isSummary = stage === SUMMARY_STAGE_INDEX;
+  const showNext = !isSummary && nextStage !== undefined;
+  const showSubmit = isSummary || nextStage === undefined || (SUMMARY_OPTIONAL && stage === lastDataStage);
+
+  const fieldId = (name) => \`\${uid}-\${name}\`;
+
+  function describedBy(name, hasHelper) {
+    const ids = [];
+    if (errors[name]) ids.push(\`\${fieldId(name)}-error\`);
+    if (hasHelper) ids.push(\`\${fieldId(name)}-helper\`);
+    return ids.length ? ids.join(" ") : undefined;
+  }
+
+  function renderError(name) {
+    if (!errors[name]) {
+      return null;
+    }
+    return (
+      <div id={\`\${fieldId(name)}-error\`} className="error invalid-feedback d-block mt-1" role="alert">
+        {errors[name]}
+      </div>
+    );
+  }
+
+  function setValue(name, value) {
+    setValues(previous => pruneHidden({ ...previous, [name]: value }));
+  }
+
+  function goToStage(index) {
+    let furthest = Math.max(furthestStage, index);
+    if (SUMMARY_OPTIONAL && index === lastDataStage) {
+      furthest = Math.max(furthest, shownStages.find(shown => shown > index) ?? index);
+    }
+    const visitedIndex = history.indexOf(index);
+    setHistory(visitedIndex !== -1
+      ? history.slice(0, visitedIndex)
+      : index === nextStage ? [...history, stage] : shownStages.filter(shown => shown < index));
+    setErrors({});
+    setStage(index);
+    setFurthestStage(furthest);
+  }
+
+  function handleNext() {
+    const stageErrors = validateStage(stage, values);
+    if (Object.keys(stageErrors).length) {
+      setErrors(stageErrors);
+      return;
+    }
+    goToStage(nextStage);
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    if (isSubmitting) {
+      return;
+    }
+
+    const allErrors = validateAll(values);
+    if (Object.keys(allErrors).length) {
+      const firstErrorStage = STAGES.findIndex(stageItem => stageItem.fields.some(name => name in allErrors));
+      if (firstErrorStage !== stage) {
+        goToStage(firstErrorStage);
+      }
+      setErrors(allErrors);
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit?.(buildPayload(values));
+    } finally {
+      setIsSubmitting(false);
+    }
+  }
+
+  function handleReset() {
+    if (!window.confirm("האם אתה בטוח שברצונך לאפס את הטופס?")) {
+      return;
+    }
+    setValues({});
+    setErrors({});
+    setStage(0);
+    setFurthestStage(0);
+    setHistory([]);
+  }
+${hasSummary ? SUMMARY_RENDERER : ''}
+  return (
+    <div>
+      <div className="stage-indicator" role="status">
+        <div className="d-flex flex-column flex-sm-row align-items-start align-items-sm-center justify-content-between gap-2">
+          <h3 className="h4 mb-0">{STAGES[stage].label}</h3>
+          <div className="text-muted small">{\`שלב \${shownStages.indexOf(stage) + 1} מתוך \${shownStages.length}\`}</div>
+        </div>
+        <div className="stage-indicator__steps mt-3" role="list">
+          {shownStages.map((index, position) => {
+            const stageItem = STAGES[index];
+            const status = index === stage ? "current" : index < furthestStage ? "done" : index === furthestStage ? "next" : "undone";
+            return (
+              <button
+                key={stageItem.id}
+                type="button"
+                role="listitem"
+                className={\`stage-step stage-step--\${status}\`}
+                title={stageItem.label}
+                aria-label={stageItem.label}
+                aria-current={status === "current" ? "step" : undefined}
+                disabled={status === "current" || status === "undone"}
+                onClick={() => goToStage(index)}
+              >
+                {position + 1}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <form noValidate onSubmit={handleSubmit} className="mt-3">
+${indent(stageMarkup, 8).join('\n')}
+
+        <div className="d-flex flex-column flex-sm-row gap-2 mt-4">
+          {previousStage !== undefined && (
+            <button type="button" className="btn btn-outline-secondary flex-fill" disabled={isSubmitting} onClick={() => goToStage(previousStage)}>
+              חזרה
+            </button>
+          )}
+          {showNext && (
+            <button type="button" className="btn btn-primary flex-fill" disabled={isSubmitting} onClick={handleNext}>
+              המשך
+            </button>
+          )}
+          {showSubmit && (
+            <button type="submit" className="btn btn-success flex-fill" disabled={isSubmitting} aria-busy={isSubmitting ? "true" : "false"}>
+              שליחה
+            </button>
+          )}
+          <button type="button" className="btn btn-outline-danger flex-fill" disabled={isSubmitting} onClick={handleReset}>
+            איפוס
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default ${componentName};
+`;
+}
+
+module.exports = {
+  generateReactComponent
+};
@@ -0,0 +1,60 @@
+// JavaScript schema module export (the editor's default "js" download).
+// The output is what lib/schemaParser.js reads back: a `stages` constant, the flattened
+// `fields` derived from it, and an exported `formSchema` object.
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Keys are left bare only when they are identifiers ("data-x" and "aria-label" stay quoted)
+function formatKey(key) {
+  return IDENTIFIER_PATTERN.test(key) ? key : JSON.stringify(key);
+}
+
+// Laid out like JSON.stringify(value, null, 2); every string goes through JSON.stringify,
+// so quotes and backslashes in labels are escaped
+function toJsLiteral(value, indent) {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (!value.length) {
+      return '[]';
+    }
+    const items = value.map(item => inner + toJsLiteral(item === undefined ? null : item, inner));
+    return `[\n${items.join(',\n')}\n${indent}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+    if (!entries.length) {
+      return '{}';
+    }
+    const items = entries.map(([key, item]) => `${inner}${formatKey(key)}: ${toJsLiteral(item, inner)}`);
+    return `{\n${items.join(',\n')}\n${indent}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function generateSchemaFile(schema) {
+  const { id, stages, fields, ...settings } = schema;
+
+  // Nested lines are indented one level, as inside the formSchema object
+  const stagesStr = toJsLiteral(stages || [], '  ');
+
+  // Schema-level settings (e.g. successScreen) go between the ID and the stages
+  const settingsStr = Object.keys(settings)
+    .map(key => `  ${formatKey(key)}: ${JSON.stringify(settings[key], null, 2).replace(/\n/g, '\n  ')},\n`)
+    .join('');
+
+  // Generate file content
+  return `const stages = ${stagesStr};
+
+const fields = stages.flatMap(stage => stage.fields);
+
+export const formSchema = {
+  id: ${JSON.stringify(id === undefined ? '' : id)},
+${settingsStr}  stages,
+  fields
+};
+`;
+}
+
+module.exports = {
+  generateSchemaFile
+};
@@ -0,0 +1,240 @@
+// Helpers shared by the download format generators.
+
+const { SchemaConditions } = require('../../public/js/schemaConditions');
+const { SchemaRules } = require('../../public/js/schemaRules');
+
+function isPlainTextField(field) {
+  const type = String((field && field.type) || '').toLowerCase();
+  return type === 'plain text' || type === 'plaintext';
+}
+
+function getAllFields(schema) {
+  return Array.isArray(schema.stages) && schema.stages.length > 0
+    ? schema.stages.flatMap(stage => stage.fields || [])
+    : (schema.fields || []);
+}
+
+// A stage's showIf hides its fields with it, so a field on a conditional stage is exported
+// with both conditions: { all: [stageCondition, fieldCondition] }
+function withStageCondition(stage, field) {
+  if (!stage || !stage.showIf) {
+    return field;
+  }
+  return { ...field, showIf: field.showIf ? { all: [stage.showIf, field.showIf] } : stage.showIf };
+}
+
+// Indexes of the stages a forward `next` route jumps over (only forward routes count, as in
+// getNextStageIndex in src/schemaUtils.js)
+function getSkippableStageIndexes(stages) {
+  const skippable = new Set();
+  stages.forEach((stage, index) => {
+    (Array.isArray(stage && stage.next) ? stage.next : []).forEach(rule => {
+      const target = stages.findIndex(other => other && rule && other.id === rule.goTo);
+      for (let skipped = index + 1; skipped < target; skipped++) {
+        skippable.add(skipped);
+      }
+    });
+  });
+  return skippable;
+}
+
+// A route can leave a stage off the path, and the fields of such a stage are pruned from
+// the payload. Which route was taken cannot be told from the payload, so these fields are
+// exported as optional (`required` and `requiredIf` dropped) and marked `onSkippableStage`.
+function withRouteSkip(field) {
+  const { requiredIf, ...rest } = field;
+  return { ...rest, required: false, onSkippableStage: true };
+}
+
+// Fields that produce a value in the submission payload, with their stage's condition folded in
+function getInputFields(schema) {
+  const stages = Array.isArray(schema.stages) && schema.stages.length > 0
+    ? schema.stages
+    : [{ fields: schema.fields || [] }];
+  const skippable = getSkippableStageIndexes(stages);
+  return stages.flatMap((stage, index) => (stage.fields || [])
+    .filter(field => field && field.name && !isPlainTextField(field))
+    .map(field => withStageCondition(stage, field))
+    .map(field => (skippable.has(index) ? withRouteSkip(field) : field)));
+}
+
+function getOptionValues(field) {
+  return (field.options || []).map(option => (typeof option === 'string' ? option : option.value));
+}
+
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined || typeof value === 'boolean') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// "my-form" / "my_form" -> "MyForm"
+function toPascalCase(value) {
+  const pascal = String(value || '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^[A-Za-z_$]/.test(pascal) ? pascal : `Form${pascal}`;
+}
+
+function isIdentifier(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+}
+
+// Object key as it should appear in generated source
+function propertyKey(name) {
+  return isIdentifier(name) ? name : JSON.stringify(name);
+}
+
+// Safe to embed in a /** */ comment
+function commentText(text) {
+  return String(text).replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ');
+}
+
+// Property access expression, e.g. `values.email` or `values["first-name"]`
+function accessProperty(objectName, name) {
+  return isIdentifier(name) ? `${objectName}.${name}` : `${objectName}[${JSON.stringify(name)}]`;
+}
+
+// Names of every field a condition reads, groups included
+function getConditionFields(condition) {
+  return SchemaConditions.getFields(condition);
+}
+
+// Fields whose visibility depends on other fields
+function hasCondition(field) {
+  return Boolean(field.showIf) && getConditionFields(field.showIf).length > 0;
+}
+
+// Fields required only while their requiredIf condition holds (`required: true` wins)
+function hasRequiredIf(field) {
+  return !field.required && Boolean(field.requiredIf) && getConditionFields(field.requiredIf).length > 0;
+}
+
+// When a field that is neither always required nor always optional must have a value:
+// its showIf for `required` fields, its requiredIf (while visible) for the others.
+// null for fields without such a condition.
+function getRequiredCondition(field) {
+  if (field.required) {
+    return hasCondition(field) ? field.showIf : null;
+  }
+  if (!hasRequiredIf(field)) {
+    return null;
+  }
+  return hasCondition(field) ? { all: [field.showIf, field.requiredIf] } : field.requiredIf;
+}
+
+// [operator, operand] pairs of a condition, e.g. [['gte', 18], ['lt', 65]]
+function getConditionOperators(condition) {
+  return SchemaConditions.OPERATORS
+    .filter(operator => Object.prototype.hasOwnProperty.call(condition, operator))
+    .map(operator => [operator, condition[operator]]);
+}
+
+// JavaScript expression evaluating a condition against the object named `valuesVar`.
+// Generated modules that use it must include conditionsSource().
+function compileCondition(condition, valuesVar = 'values') {
+  return `SchemaConditions.evaluate(${JSON.stringify(condition)}, ${valuesVar})`;
+}
+
+// The runtime's condition evaluator (public/js/schemaConditions.js), for generated modules
+function conditionsSource() {
+  return `// Condition evaluation, as in the form runtime
+${String(SchemaConditions)}
+`;
+}
+
+const OPERATOR_PHRASES = {
+  equals: operand => `equals ${JSON.stringify(operand)}`,
+  notEquals: operand => `does not equal ${JSON.stringify(operand)}`,
+  in: operand => `is one of ${JSON.stringify(operand)}`,
+  notIn: operand => `is not one of ${JSON.stringify(operand)}`,
+  gt: operand => `is greater than ${JSON.stringify(operand)}`,
+  gte: operand => `is at least ${JSON.stringify(operand)}`,
+  lt: operand => `is less than ${JSON.stringify(operand)}`,
+  lte: operand => `is at most ${JSON.stringify(operand)}`,
+  contains: operand => `contains ${JSON.stringify(operand)}`,
+  matches: operand => `matches /${operand}/`,
+  isEmpty: operand => (operand === false ? 'is not empty' : 'is empty'),
+  isNotEmpty: operand => (operand === false ? 'is empty' : 'is not empty'),
+  isChecked: operand => (operand === false ? 'is not checked' : 'is checked')
+};
+
+// "`age` is at least 18 and is less than 65"; groups are parenthesised when nested
+function describeCondition(condition, nested = false) {
+  const group = (items, word) => {
+    const text = items.map(item => describeCondition(item, true)).join(` ${word} `);
+    return nested && items.length > 1 ? `(${text})` : text;
+  };
+  if (Array.isArray(condition.all)) {
+    return group(condition.all, 'and');
+  }
+  if (Array.isArray(condition.any)) {
+    return group(condition.any, 'or');
+  }
+  if (condition.not && typeof condition.not === 'object') {
+    return `not (${describeCondition(condition.not)})`;
+  }
+
+  const phrases = getConditionOperators(condition).map(([operator, operand]) => OPERATOR_PHRASES[operator](operand));
+  return `\`${condition.field}\` ${phrases.length ? phrases.join(' and ') : 'is set to anything'}`;
+}
+
+// The schema's cross-field `rules` whose target is an input field, each with that field
+// (its stage condition folded in); malformed rules are skipped, schema lint reports them
+function getRules(schema) {
+  const fields = getInputFields(schema);
+  return (Array.isArray(schema.rules) ? schema.rules : [])
+    .filter(rule => rule && typeof rule === 'object' && !Array.isArray(rule))
+    .map(rule => ({ rule, field: fields.find(field => field.name === rule.field) }))
+    .filter(({ field }) => field);
+}
+
+// `RULES` and the runtime's rule checks (public/js/schemaRules.js) for generated modules:
+// `SchemaRules.check(rule, values)` works on payload values and on form state alike. Rules
+// without a message get the runtime's default one.
+function rulesSource(rules) {
+  return `const RULES = [
+${rules.map(({ rule }) => `  ${JSON.stringify({ ...rule, message: rule.message || SchemaRules.INVALID_MESSAGE })}`).join(',\n')}
+];
+
+${String(SchemaRules)}
+`;
+}
+
+// Fallback copy used by the runtime when a field does not override `errorMessages.required`
+const REQUIRED_MESSAGE = SchemaRules.REQUIRED_MESSAGE;
+
+function getErrorMessage(field, key, fallback) {
+  const message = field.errorMessages && field.errorMessages[key];
+  return message || fallback;
+}
+
+module.exports = {
+  REQUIRED_MESSAGE,
+  accessProperty,
+  commentText,
+  compileCondition,
+  conditionsSource,
+  describeCondition,
+  getConditionFields,
+  getConditionOperators,
+  getErrorMessage,
+  getAllFields,
+  getInputFields,
+  withStageCondition,
+  getOptionValues,
+  getRequiredCondition,
+  getRules,
+  hasCondition,
+  hasRequiredIf,
+  isIdentifier,
+  isPlainTextField,
+  propertyKey,
+  rulesSource,
+  toNumber,
+  toPascalCase
+};
@@ -0,0 +1,136 @@
+// Spreadsheet (CSV/XLSX) export of the field list, one row per field.
+// The columns are the ones analysts review; every other stage or field property is kept
+// as JSON in the "stage extra"/"extra" columns, and schema-level settings (rules,
+// successScreen, lint, ...) in "schema extra", so the sheet imports back without loss.
+
+const ExcelJS = require('exceljs');
+const { isPlainTextField } = require('./shared');
+
+const COLUMNS = [
+  { key: 'stage', header: 'stage', width: 16 },
+  { key: 'stageLabel', header: 'stage label', width: 24 },
+  { key: 'stageType', header: 'stage type', width: 12 },
+  { key: 'name', header: 'name', width: 20 },
+  { key: 'type', header: 'type', width: 12 },
+  { key: 'label', header: 'label', width: 32 },
+  { key: 'text', header: 'text', width: 40 },
+  { key: 'required', header: 'required', width: 10 },
+  { key: 'options', header: 'options', width: 40 },
+  { key: 'showIfField', header: 'showIf field', width: 16 },
+  { key: 'showIfValue', header: 'showIf value', width: 16 },
+  { key: 'placeholder', header: 'placeholder', width: 24 },
+  { key: 'helperText', header: 'helper text', width: 32 },
+  { key: 'extra', header: 'extra', width: 40 },
+  { key: 'stageExtra', header: 'stage extra', width: 24 },
+  { key: 'schemaExtra', header: 'schema extra', width: 24 }
+];
+
+// Properties written to their own column; everything else goes to "extra".
+// Plain text fields put their title in the label column.
+const FIELD_COLUMN_KEYS = new Set(['name', 'type', 'label', 'text', 'required', 'options', 'showIf', 'placeholder', 'helperText']);
+const PLAIN_TEXT_COLUMN_KEYS = new Set([...FIELD_COLUMN_KEYS].filter(key => key !== 'label').concat('title'));
+const STAGE_COLUMN_KEYS = new Set(['id', 'label', 'type', 'fields']);
+// The ID comes from the file name, and `fields` is derived from the stages
+const SCHEMA_COLUMN_KEYS = new Set(['id', 'stages', 'fields']);
+
+// "value=Label; value2=Label 2"; the label is omitted when it equals the value. Plain
+// string options are both value and label.
+function formatOptions(options) {
+  return (options || [])
+    .map(option => (typeof option === 'string' ? { value: option } : option))
+    .map(option => {
+      const value = String(option.value);
+      const label = option.label === undefined ? value : String(option.label);
+      return label === value ? value : `${value}=${label}`;
+    })
+    .join('; ');
+}
+
+function extraJson(object, columnKeys) {
+  const extra = {};
+  Object.keys(object).forEach(key => {
+    if (!columnKeys.has(key) && object[key] !== undefined) {
+      extra[key] = object[key];
+    }
+  });
+  return Object.keys(extra).length ? JSON.stringify(extra) : '';
+}
+
+function fieldRow(stage, field) {
+  const plainText = isPlainTextField(field);
+  const columnKeys = plainText ? PLAIN_TEXT_COLUMN_KEYS : FIELD_COLUMN_KEYS;
+  // Conditions other than a single `equals` do not fit the showIf columns and go to "extra"
+  const simpleShowIf = Boolean(field.showIf && field.showIf.field && field.showIf.equals !== undefined)
+    && Object.keys(field.showIf).every(key => key === 'field' || key === 'equals');
+  return {
+    stage: stage.id,
+    stageLabel: stage.label,
+    stageType: stage.type || '',
+    name: field.name || '',
+    type: field.type || '',
+    label: (plainText ? field.title : field.label) || '',
+    text: field.text || '',
+    required: field.required ? 'yes' : '',
+    options: formatOptions(field.options),
+    showIfField: simpleShowIf ? field.showIf.field : '',
+    showIfValue: simpleShowIf ? String(field.showIf.equals) : '',
+    placeholder: field.placeholder || '',
+    helperText: field.helperText || '',
+    extra: extraJson(field, simpleShowIf || !field.showIf ? columnKeys : new Set([...columnKeys].filter(key => key !== 'showIf'))),
+    stageExtra: '',
+    schemaExtra: ''
+  };
+}
+
+/**
+ * One row object per field (keyed by COLUMNS keys). A stage without fields still gets a
+ * row with an empty name so it survives the round-trip. Stage extras are written once,
+ * on the stage's first row, and schema extras on the first row of the sheet.
+ */
+function schemaToRows(schema) {
+  const rows = [];
+  (schema.stages || []).forEach(stage => {
+    const fields = stage.fields || [];
+    const stageRows = fields.length
+      ? fields.map(field => fieldRow(stage, field))
+      : [fieldRow(stage, {})];
+    stageRows[0].stageExtra = extraJson(stage, STAGE_COLUMN_KEYS);
+    rows.push(...stageRows);
+  });
+  if (rows.length) {
+    rows[0].schemaExtra = extraJson(schema, SCHEMA_COLUMN_KEYS);
+  }
+  return rows;
+}
+
+function csvCell(value) {
+  const text = String(value === undefined || value === null ? '' : value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function generateCsv(schema) {
+  const lines = [COLUMNS.map(column => column.header)]
+    .concat(schemaToRows(schema).map(row => COLUMNS.map(column => row[column.key])))
+    .map(cells => cells.map(csvCell).join(','));
+  // The BOM makes Excel read the file as UTF-8 (Hebrew labels would be garbled otherwise)
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+async function generateXlsx(schema) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Fields', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(schemaToRows(schema));
+  ['options', 'text', 'extra'].forEach(key => {
+    sheet.getColumn(key).alignment = { wrapText: true, vertical: 'top' };
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  COLUMNS,
+  generateCsv,
+  generateXlsx,
+  schemaToRows
+};
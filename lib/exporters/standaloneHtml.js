@@ -0,0 +1,97 @@
+// Standalone HTML export.
+// A single `.html` file with the production runtime (`productionForm.bundle.js`), the
+// runtime styles and the schema inlined, so the form works without our server or build.
+// Bootstrap is the only external resource and is loaded from its CDN.
+
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+const RUNTIME_BUNDLE = path.join(PUBLIC_DIR, 'js', 'productionForm.bundle.js');
+const RUNTIME_STYLES = path.join(PUBLIC_DIR, 'css', 'formRuntime.css');
+const BOOTSTRAP_CSS = 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Inline <script>/<style> content must not contain its own closing tag
+function escapeInline(source, tagName) {
+  return source.replace(new RegExp(`</(${tagName})`, 'gi'), '<\\/$1');
+}
+
+// JSON inside <script type="application/json">: escaping "<" keeps "</script>" and
+// "<!--" out while JSON.parse still reads the same value
+function embedJson(value) {
+  return JSON.stringify(value, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * @param {object} schema
+ * @param {object} [options]
+ * @param {string} [options.submitUrl] URL the form POSTs its JSON payload to
+ * @param {string} [options.successMessage] Text shown after a successful submission
+ * @param {string} [options.title] Page title, defaults to the schema ID
+ */
+function generateStandaloneHtml(schema, options = {}) {
+  if (!fs.existsSync(RUNTIME_BUNDLE)) {
+    throw new Error('Form runtime bundle not found. Run "npm run build" first.');
+  }
+
+  const runtime = fs.readFileSync(RUNTIME_BUNDLE, 'utf8');
+  const styles = fs.readFileSync(RUNTIME_STYLES, 'utf8');
+  const title = options.title || schema.id || 'Form';
+
+  const rootAttributes = [`data-form-builder="${escapeHtml(schema.id || 'form')}"`];
+  if (options.submitUrl) {
+    rootAttributes.push(`data-submit-url="${escapeHtml(options.submitUrl)}"`);
+  }
+  if (options.successMessage) {
+    rootAttributes.push(`data-success-message="${escapeHtml(options.successMessage)}"`);
+  }
+
+  return `<!DOCTYPE html>
+<!-- Generated by Form Schema Editor from schema "${escapeHtml(schema.id || 'export')}". -->
+<html lang="he" dir="rtl">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <link href="${BOOTSTRAP_CSS}" rel="stylesheet">
+    <style>
+${escapeInline(styles, 'style')}
+    </style>
+</head>
+<body class="bg-light">
+    <main class="container py-4" style="max-width: 640px;">
+        <div id="formRoot" class="card shadow-sm" ${rootAttributes.join(' ')}>
+            <div class="card-body">
+                <h1 class="h4 mb-3 text-center">${escapeHtml(title)}</h1>
+                <form novalidate></form>
+                <script type="application/json" data-form-schema>
+${embedJson(schema)}
+                </script>
+            </div>
+        </div>
+    </main>
+
+    <script>
+${escapeInline(runtime, 'script')}
+    </script>
+    <script>
+        new ProductionForm(document.getElementById('formRoot'));
+    </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  BOOTSTRAP_CSS,
+  escapeHtml,
+  generateStandaloneHtml
+};
@@ -0,0 +1,174 @@
+// TypeScript module export.
+// Emits the schema definition types, a payload interface matching the output of
+// `FormBuilderBase._buildSubmissionPayload` and the schema itself as a typed constant.
+
+const { commentText, describeCondition, getInputFields, getOptionValues, hasCondition, hasRequiredIf, propertyKey, toPascalCase } = require('./shared');
+
+const SCHEMA_TYPES = `export interface FieldOption {
+  label: string;
+  value: string;
+}
+
+/** Shown when every operator holds (see CONDITION_OPERATORS in the runtime) */
+export interface FieldValueCondition {
+  field: string;
+  equals?: unknown;
+  notEquals?: unknown;
+  in?: unknown[];
+  notIn?: unknown[];
+  gt?: number | string;
+  gte?: number | string;
+  lt?: number | string;
+  lte?: number | string;
+  contains?: string;
+  matches?: string;
+  isEmpty?: boolean;
+  isNotEmpty?: boolean;
+  isChecked?: boolean;
+}
+
+export type FieldCondition =
+  | FieldValueCondition
+  | { all: FieldCondition[] }
+  | { any: FieldCondition[] }
+  | { not: FieldCondition };
+
+export interface FieldDefinition {
+  name: string;
+  type: string;
+  label?: string;
+  title?: string;
+  text?: string;
+  placeholder?: string;
+  helperText?: string;
+  required?: boolean;
+  requiredIf?: FieldCondition;
+  rows?: number;
+  options?: Array<FieldOption | string>;
+  attributes?: Record<string, string | number | boolean>;
+  errorMessages?: Record<string, string>;
+  showIf?: FieldCondition;
+  [key: string]: unknown;
+}
+
+export interface StageRoute {
+  if?: FieldCondition;
+  goTo: string;
+}
+
+export interface StageDefinition {
+  id: string;
+  label: string;
+  type?: string;
+  optional?: boolean;
+  showIf?: FieldCondition;
+  next?: StageRoute[];
+  fields: FieldDefinition[];
+  [key: string]: unknown;
+}
+
+/** Cross-field check; when it fails, \`message\` is shown on \`field\` */
+export interface FormRule {
+  type: "after" | "equals" | "atLeastOne" | "sum";
+  field: string;
+  otherField?: string;
+  fields?: string[];
+  min?: number;
+  max?: number;
+  message: string;
+}
+
+export interface FormSchema {
+  id: string;
+  stages: StageDefinition[];
+  fields: FieldDefinition[];
+  rules?: FormRule[];
+  [key: string]: unknown;
+}`;
+
+function fieldValueType(field) {
+  switch (field.type) {
+    case 'checkbox':
+      return 'boolean';
+    case 'number':
+      return 'number';
+    case 'calculated':
+      return 'number | string | boolean';
+    case 'select':
+    case 'radio': {
+      const values = getOptionValues(field);
+      return values.length ? values.map(value => JSON.stringify(String(value))).join(' | ') : 'string';
+    }
+    default:
+      return 'string';
+  }
+}
+
+function fieldDocComment(field) {
+  const lines = [];
+  const label = field.label || field.title;
+  if (label) {
+    lines.push(commentText(label));
+  }
+  if (field.helperText) {
+    lines.push(commentText(field.helperText));
+  }
+  if (hasCondition(field)) {
+    lines.push(`Only submitted when ${commentText(describeCondition(field.showIf))}.`);
+  }
+  if (hasRequiredIf(field)) {
+    lines.push(`Required when ${commentText(describeCondition(field.requiredIf))}.`);
+  }
+  if (field.onSkippableStage) {
+    lines.push('Not submitted when a `next` route skips its stage.');
+  }
+
+  if (lines.length === 0) {
+    return '';
+  }
+  if (lines.length === 1) {
+    return `  /** ${lines[0]} */\n`;
+  }
+  return `  /**\n${lines.map(line => `   * ${line}`).join('\n')}\n   */\n`;
+}
+
+// Hidden fields are pruned and untouched optional fields are never set, so only
+// always-visible required fields are guaranteed to be present.
+function isOptional(field) {
+  return !field.required || hasCondition(field);
+}
+
+function generateTypeScriptModule(schema) {
+  const id = schema.id || 'export';
+  const typeName = toPascalCase(id);
+  const payloadName = `${typeName}Payload`;
+  const fields = getInputFields(schema);
+
+  const payloadBody = fields.map(field =>
+    `${fieldDocComment(field)}  ${propertyKey(field.name)}${isOptional(field) ? '?' : ''}: ${fieldValueType(field)};`
+  ).join('\n');
+
+  const schemaLiteral = JSON.stringify({
+    id,
+    stages: schema.stages || [],
+    fields: (schema.stages || []).flatMap(stage => stage.fields || [])
+  }, null, 2);
+
+  return `// Generated by Form Schema Editor from schema "${commentText(id)}". Do not edit by hand.
+
+${SCHEMA_TYPES}
+
+/** Submission payload of the "${commentText(id)}" form. */
+export interface ${payloadName} {
+${payloadBody}
+}
+
+export type ${typeName}FieldName = keyof ${payloadName};
+
+export const formSchema: FormSchema = ${schemaLiteral};
+`;
+}
+
+module.exports = {
+  generateTypeScriptModule
+};
@@ -0,0 +1,135 @@
+// Yup validator module export.
+// Generates `payloadSchema`, a Yup object schema for the submission payload, with the
+// same rules as the Zod export: constraints from `required`, `attributes` and `options`,
+// messages from `errorMessages`, and `showIf`-controlled fields only required while visible
+// (`requiredIf` fields only while their condition holds). Cross-field `rules` are object
+// tests that report on their target field. Fields on a stage that a `next` route can skip
+// are optional (see getInputFields).
+
+const {
+  REQUIRED_MESSAGE,
+  compileCondition,
+  conditionsSource,
+  getErrorMessage,
+  getInputFields,
+  getOptionValues,
+  getRequiredCondition,
+  getRules,
+  hasCondition,
+  propertyKey,
+  rulesSource,
+  toNumber
+} = require('./shared');
+
+// Message argument: omitted when the field has no custom text, so Yup's default is used
+function messageArg(field, key) {
+  const message = getErrorMessage(field, key);
+  return message ? `, ${JSON.stringify(message)}` : '';
+}
+
+function requiredMessage(field) {
+  return JSON.stringify(getErrorMessage(field, 'required', REQUIRED_MESSAGE));
+}
+
+function requiredRule(field) {
+  if (field.required && !hasCondition(field)) {
+    return field.type === 'checkbox'
+      ? `.required(${requiredMessage(field)}).oneOf([true], ${requiredMessage(field)})`
+      : `.required(${requiredMessage(field)})`;
+  }
+  const condition = getRequiredCondition(field);
+  if (!condition) {
+    return '';
+  }
+  // `this.parent` is the payload object being validated
+  return `.test("${field.required ? 'required-when-visible' : 'required-if'}", ${requiredMessage(field)}, function (value) {
+    const values = this.parent;
+    return !(${compileCondition(condition)}) || !isEmpty(value);
+  })`;
+}
+
+function fieldSchema(field) {
+  const attributes = field.attributes || {};
+
+  switch (field.type) {
+    case 'calculated':
+      // Computed by the runtime (and recomputed by the server), so any result type is accepted
+      return 'yup.mixed()';
+
+    case 'checkbox':
+      return `yup.boolean()${requiredRule(field)}`;
+
+    case 'number': {
+      let code = 'yup.number().transform(emptyToUndefined)';
+      const min = toNumber(attributes.min);
+      const max = toNumber(attributes.max);
+      if (min !== undefined) code += `.min(${min}${messageArg(field, 'min')})`;
+      if (max !== undefined) code += `.max(${max}${messageArg(field, 'max')})`;
+      return code + requiredRule(field);
+    }
+
+    case 'select':
+    case 'radio': {
+      const values = getOptionValues(field).map(value => String(value));
+      let code = 'yup.string().transform(emptyToUndefined)';
+      if (values.length) code += `.oneOf(${JSON.stringify(values)})`;
+      return code + requiredRule(field);
+    }
+
+    default:
+      break;
+  }
+
+  let code = 'yup.string().transform(emptyToUndefined)';
+  if (field.type === 'email') {
+    const message = getErrorMessage(field, 'emailInvalid');
+    code += message ? `.email(${JSON.stringify(message)})` : '.email()';
+  }
+
+  const minLength = toNumber(attributes.minlength);
+  const maxLength = toNumber(attributes.maxlength);
+  if (minLength !== undefined) code += `.min(${minLength}${messageArg(field, 'minlength')})`;
+  if (maxLength !== undefined) code += `.max(${maxLength}${messageArg(field, 'maxlength')})`;
+
+  if (attributes.pattern) {
+    // HTML patterns must match the whole value
+    code += `.matches(new RegExp(${JSON.stringify(`^(?:${attributes.pattern})$`)})${messageArg(field, 'pattern')})`;
+  }
+
+  return code + requiredRule(field);
+}
+
+function generateYupModule(schema) {
+  const fields = getInputFields(schema);
+  const shape = fields
+    .map(field => `  ${propertyKey(field.name)}: ${fieldSchema(field)}`)
+    .join(',\n');
+
+  // A rule only applies while its target field is visible. Rules on a stage a `next` route
+  // can skip are left out: the payload does not tell whether the stage was shown.
+  const rules = getRules(schema).filter(({ field }) => !field.onSkippableStage);
+  const usesConditions = fields.some(field => getRequiredCondition(field)) || rules.some(({ field }) => hasCondition(field));
+  const ruleTests = rules.map(({ field }, index) => `
+  .test("rule-${index + 1}", RULES[${index}].message, function (values) {
+    return ${hasCondition(field) ? `!(${compileCondition(field.showIf)}) || ` : ''}SchemaRules.check(RULES[${index}], values)
+      || this.createError({ path: ${JSON.stringify(field.name)}, message: RULES[${index}].message });
+  })`).join('');
+
+  return `// Generated by Form Schema Editor from schema "${schema.id || 'export'}". Do not edit by hand.
+import * as yup from "yup";
+
+// Cleared inputs submit "", which should count as "no value"
+const emptyToUndefined = (value, originalValue) => (originalValue === "" ? undefined : value);
+const isEmpty = (value) => value === undefined || value === null || value === "" || value === false;
+${usesConditions ? `\n${conditionsSource()}` : ''}${rules.length ? `\n${rulesSource(rules)}` : ''}
+export const payloadSchema = yup.object({
+${shape}
+}).noUnknown()${ruleTests};
+
+export default payloadSchema;
+`;
+}
+
+module.exports = {
+  generateYupModule
+};
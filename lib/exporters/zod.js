@@ -0,0 +1,143 @@
+// Zod validator module export.
+// Generates `payloadSchema`, a Zod object schema for the submission payload. Field
+// constraints come from `required`, `attributes` and `options`; messages come from
+// `errorMessages`. Fields controlled by `showIf` are optional in the object and their
+// `required` rule is enforced by a refinement that only applies while they are visible;
+// `requiredIf` fields are refined the same way, while their condition holds. Cross-field
+// `rules` are refinements too, reported on their target field. Fields on a stage that a
+// `next` route can skip are optional (see getInputFields).
+
+const {
+  REQUIRED_MESSAGE,
+  accessProperty,
+  compileCondition,
+  conditionsSource,
+  getErrorMessage,
+  getInputFields,
+  getOptionValues,
+  getRequiredCondition,
+  getRules,
+  hasCondition,
+  propertyKey,
+  rulesSource,
+  toNumber
+} = require('./shared');
+
+// Message argument: omitted when the field has no custom text, so Zod's default is used
+function messageArg(field, key) {
+  const message = getErrorMessage(field, key);
+  return message ? `, ${JSON.stringify(message)}` : '';
+}
+
+function requiredMessage(field) {
+  return JSON.stringify(getErrorMessage(field, 'required', REQUIRED_MESSAGE));
+}
+
+function stringConstraints(field) {
+  const attributes = field.attributes || {};
+  let code = '';
+
+  if (field.type === 'email') {
+    const message = getErrorMessage(field, 'emailInvalid');
+    code += message ? `.email(${JSON.stringify(message)})` : '.email()';
+  }
+
+  const minLength = toNumber(attributes.minlength);
+  const maxLength = toNumber(attributes.maxlength);
+  if (minLength !== undefined) code += `.min(${minLength}${messageArg(field, 'minlength')})`;
+  if (maxLength !== undefined) code += `.max(${maxLength}${messageArg(field, 'maxlength')})`;
+
+  if (attributes.pattern) {
+    // HTML patterns must match the whole value
+    code += `.regex(new RegExp(${JSON.stringify(`^(?:${attributes.pattern})$`)})${messageArg(field, 'pattern')})`;
+  }
+
+  return code;
+}
+
+function fieldSchema(field) {
+  const attributes = field.attributes || {};
+  // Conditional fields are checked in superRefine, everything else directly
+  const enforceRequired = field.required && !hasCondition(field);
+  const typeMessage = enforceRequired ? `{ message: ${requiredMessage(field)} }` : '';
+
+  switch (field.type) {
+    case 'calculated':
+      // Computed by the runtime (and recomputed by the server), so any result type is accepted
+      return 'z.union([z.number(), z.string(), z.boolean()]).optional()';
+
+    case 'checkbox':
+      return enforceRequired
+        ? `z.literal(true, { message: ${requiredMessage(field)} })`
+        : 'z.boolean().optional()';
+
+    case 'number': {
+      let code = `z.number(${typeMessage})`;
+      const min = toNumber(attributes.min);
+      const max = toNumber(attributes.max);
+      if (min !== undefined) code += `.min(${min}${messageArg(field, 'min')})`;
+      if (max !== undefined) code += `.max(${max}${messageArg(field, 'max')})`;
+      return enforceRequired ? code : `${code}.optional()`;
+    }
+
+    case 'select':
+    case 'radio': {
+      const values = getOptionValues(field).map(value => String(value));
+      const base = values.length
+        ? `z.enum(${JSON.stringify(values)}${typeMessage ? `, ${typeMessage}` : ''})`
+        : `z.string(${typeMessage})`;
+      return `z.preprocess(emptyToUndefined, ${base}${enforceRequired ? '' : '.optional()'})`;
+    }
+
+    default:
+      return `z.preprocess(emptyToUndefined, z.string(${typeMessage})${stringConstraints(field)}${enforceRequired ? '' : '.optional()'})`;
+  }
+}
+
+function generateZodModule(schema) {
+  const fields = getInputFields(schema);
+
+  const shape = fields.map(field => `  ${propertyKey(field.name)}: ${fieldSchema(field)}`).join(',\n');
+
+  const refinements = fields
+    .filter(field => getRequiredCondition(field))
+    .map(field => `  if ((${compileCondition(getRequiredCondition(field))}) && isEmpty(${accessProperty('values', field.name)})) {
+    ctx.addIssue({ code: "custom", path: [${JSON.stringify(field.name)}], message: ${requiredMessage(field)} });
+  }`);
+
+  // A rule only applies while its target field is visible. Rules on a stage a `next` route
+  // can skip are left out: the payload does not tell whether the stage was shown.
+  const rules = getRules(schema).filter(({ field }) => !field.onSkippableStage);
+  const ruleChecks = rules.map(({ field }, index) => `  if (${hasCondition(field) ? `(${compileCondition(field.showIf)}) && ` : ''}!SchemaRules.check(RULES[${index}], values)) {
+    ctx.addIssue({ code: "custom", path: [${JSON.stringify(field.name)}], message: RULES[${index}].message });
+  }`);
+
+  const usesConditions = refinements.length > 0 || rules.some(({ field }) => hasCondition(field));
+
+  const refine = refinements.length || ruleChecks.length
+    ? `.superRefine((values, ctx) => {
+${[
+    ...(refinements.length ? ['  // Required only while visible (showIf) or while requiredIf holds', ...refinements] : []),
+    ...(ruleChecks.length ? ['  // Cross-field rules', ...ruleChecks] : [])
+  ].join('\n')}
+})`
+    : '';
+
+  return `// Generated by Form Schema Editor from schema "${schema.id || 'export'}". Do not edit by hand.
+import { z } from "zod";
+
+// Cleared inputs submit "", which should count as "no value"
+const emptyToUndefined = (value) => (value === "" ? undefined : value);
+const isEmpty = (value) => value === undefined || value === null || value === "" || value === false;
+${usesConditions ? `\n${conditionsSource()}` : ''}${rules.length ? `\n${rulesSource(rules)}` : ''}
+export const payloadSchema = z.object({
+${shape}
+}).strict()${refine};
+
+export default payloadSchema;
+`;
+}
+
+module.exports = {
+  generateZodModule
+};
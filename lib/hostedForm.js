@@ -0,0 +1,56 @@
+// Hosted end-user pages (`/forms/:id`).
+// Unlike the standalone export, the page links the runtime bundle and styles served from
+// `public/` and the ProductionForm fetches the schema from the server, so a hosted form
+// always shows the latest library version.
+
+const { BOOTSTRAP_CSS, escapeHtml } = require('./exporters/standaloneHtml');
+
+function page(title, body, scripts = '') {
+  return `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <link href="${BOOTSTRAP_CSS}" rel="stylesheet">
+    <link href="/css/formRuntime.css" rel="stylesheet">
+</head>
+<body class="bg-light">
+    <main class="container py-4" style="max-width: 640px;">
+${body}
+    </main>
+${scripts}</body>
+</html>
+`;
+}
+
+/**
+ * @param {object} schema Library schema
+ * @param {object} urls
+ * @param {string} urls.schemaSrc URL the runtime fetches the schema from
+ * @param {string} urls.submitUrl URL the payload is POSTed to
+ */
+function renderHostedForm(schema, { schemaSrc, submitUrl }) {
+  const id = schema.id;
+  const body = `        <div id="formRoot" class="card shadow-sm" data-form-builder="${escapeHtml(id)}" data-schema-src="${escapeHtml(schemaSrc)}" data-submit-url="${escapeHtml(submitUrl)}" data-draft-key="${escapeHtml(`formBuilder_draft_${id}`)}">
+            <div class="card-body">
+                <h1 class="h4 mb-3 text-center">${escapeHtml(id)}</h1>
+                <form novalidate></form>
+            </div>
+        </div>`;
+  const scripts = `    <script src="/js/productionForm.bundle.js"></script>
+    <script>
+        new ProductionForm(document.getElementById('formRoot'));
+    </script>
+`;
+  return page(id, body, scripts);
+}
+
+function renderFormNotFound() {
+  return page('הטופס לא נמצא', `        <div class="alert alert-warning" role="alert">הטופס המבוקש לא נמצא.</div>`);
+}
+
+module.exports = {
+  renderFormNotFound,
+  renderHostedForm
+};
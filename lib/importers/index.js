@@ -0,0 +1,66 @@
+// Form-definition importers. `importDocument(format, document, uiSchema)` converts a
+// parsed source document into our schema shape and returns `{ format, schema, report }`.
+// Spreadsheets are binary (XLSX) or not JSON (CSV) and go through `importSpreadsheet`.
+
+const { ImportError, isPlainObject } = require('./shared');
+const { importJsonSchema } = require('./jsonSchema');
+const { importSurveyJs } = require('./surveyJs');
+const { importJsonForms } = require('./jsonForms');
+const { SPREADSHEET_EXTENSIONS, importSpreadsheet } = require('./spreadsheet');
+
+const IMPORT_FORMATS = ['jsonschema', 'surveyjs', 'jsonforms'];
+
+// Best guess at the format of a parsed document, or null
+function detectFormat(document) {
+  if (!isPlainObject(document)) {
+    return null;
+  }
+  if (isPlainObject(document.schema) && isPlainObject(document.uischema)) {
+    return 'jsonforms';
+  }
+  if (Array.isArray(document.pages) || (Array.isArray(document.elements) && !document.properties)) {
+    return 'surveyjs';
+  }
+  if (isPlainObject(document.properties) || /json-schema\.org/.test(String(document.$schema || ''))) {
+    return 'jsonschema';
+  }
+  return null;
+}
+
+/**
+ * @param {string} format "auto" or one of IMPORT_FORMATS
+ * @param {object} document Parsed source document
+ * @param {object} [uiSchema] JSON Forms UI schema, when uploaded separately
+ */
+function importDocument(format, document, uiSchema) {
+  const resolvedFormat = !format || format === 'auto' ? detectFormat(document) : format;
+
+  switch (resolvedFormat) {
+    case 'jsonschema':
+      return { format: resolvedFormat, ...importJsonSchema(document) };
+    case 'surveyjs':
+      return { format: resolvedFormat, ...importSurveyJs(document) };
+    case 'jsonforms': {
+      // Either { schema, uischema } in one file, or the data schema plus a separate UI schema
+      const combined = isPlainObject(document) && isPlainObject(document.schema) && !document.properties;
+      return {
+        format: resolvedFormat,
+        ...(combined ? importJsonForms(document.schema, uiSchema || document.uischema) : importJsonForms(document, uiSchema))
+      };
+    }
+    case null:
+    case undefined:
+      throw new ImportError('Could not detect the document format; choose it explicitly');
+    default:
+      throw new ImportError(`Unknown import format "${format}". Supported: ${IMPORT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  ImportError,
+  SPREADSHEET_EXTENSIONS,
+  detectFormat,
+  importDocument,
+  importSpreadsheet
+};
@@ -0,0 +1,253 @@
+// JSON Forms importer (JSON Schema + UI schema).
+// A `Categorization` becomes one stage per `Category`; any other root layout becomes a
+// single stage. Layouts are flattened (`Group` labels become plain text headings),
+// `Control` elements become fields through the JSON Schema property mapping, and
+// `SHOW`/`HIDE` rules on a single `const` value become `showIf`.
+
+const {
+  ImportError,
+  addUnmapped,
+  createReport,
+  finalizeReport,
+  isPlainObject,
+  normalizeConditions,
+  toIdentifier,
+  uniqueName
+} = require('./shared');
+const { importJsonSchema, propertyToField, resolveRef, schemaIdFromDocument } = require('./jsonSchema');
+
+const LAYOUT_TYPES = new Set(['VerticalLayout', 'HorizontalLayout', 'Group']);
+const HANDLED_CONTROL_OPTIONS = new Set(['multi', 'format', 'showUnfocusedDescription', 'hideRequiredAsterisk', 'trim', 'focus']);
+
+// "#/properties/a/properties/b" -> ["a", "b"]
+function scopeSegments(scope) {
+  const match = /^#\/properties\/(.+)$/.exec(String(scope || ''));
+  if (!match) {
+    return null;
+  }
+  const parts = match[1].split('/');
+  const segments = [];
+  for (let index = 0; index < parts.length; index += 2) {
+    if (index > 0 && parts[index - 1] !== 'properties') {
+      return null;
+    }
+    segments.push(parts[index].replace(/~1/g, '/').replace(/~0/g, '~'));
+  }
+  return segments;
+}
+
+// Resolves a scope to `{ key, property, required }` inside the (possibly nested) data schema
+function resolveScope(schema, scope, path, report) {
+  const segments = scopeSegments(scope);
+  if (!segments) {
+    return null;
+  }
+
+  let parent = schema;
+  for (let index = 0; index < segments.length; index++) {
+    const key = segments[index];
+    const property = parent && isPlainObject(parent.properties) ? parent.properties[key] : undefined;
+    if (!property) {
+      return null;
+    }
+    if (index === segments.length - 1) {
+      return {
+        key,
+        property,
+        required: Array.isArray(parent.required) && parent.required.includes(key),
+        nested: segments.length > 1
+      };
+    }
+    parent = resolveRef(schema, property, path, report);
+  }
+  return null;
+}
+
+function ruleToCondition(rule) {
+  const condition = rule && rule.condition;
+  if (!isPlainObject(condition) || !isPlainObject(condition.schema)) {
+    return null;
+  }
+  const segments = scopeSegments(condition.scope);
+  if (!segments || segments.length !== 1) {
+    return null;
+  }
+
+  let equals;
+  if ('const' in condition.schema) {
+    equals = condition.schema.const;
+  } else if (Array.isArray(condition.schema.enum) && condition.schema.enum.length === 1) {
+    equals = condition.schema.enum[0];
+  } else {
+    return null;
+  }
+
+  const field = toIdentifier(segments[0], 'field');
+  if (rule.effect === 'SHOW') {
+    return { field, equals };
+  }
+  // HIDE can only be inverted for booleans
+  if (rule.effect === 'HIDE' && typeof equals === 'boolean') {
+    return { field, equals: !equals };
+  }
+  return null;
+}
+
+function elementCondition(element, path, report, inherited) {
+  if (!element.rule) {
+    return inherited;
+  }
+  const condition = ruleToCondition(element.rule);
+  if (!condition) {
+    addUnmapped(report, `${path}.rule`, `rule: ${element.rule.effect}`, 'Only SHOW/HIDE rules on a single property value (const) can become showIf');
+    return inherited;
+  }
+  if (inherited) {
+    addUnmapped(report, `${path}.rule`, 'rule', 'Nested rules cannot be combined; the enclosing layout rule was dropped here');
+  }
+  return condition;
+}
+
+function importElements(elements, path, context, inherited = null) {
+  const fields = [];
+  (elements || []).forEach((element, index) => {
+    fields.push(...importElement(element, `${path}[${index}]`, context, inherited));
+  });
+  return fields;
+}
+
+function importElement(element, path, context, inherited) {
+  const { schema, report, used, placed } = context;
+  if (!isPlainObject(element)) {
+    return [];
+  }
+
+  const condition = elementCondition(element, path, report, inherited);
+
+  if (LAYOUT_TYPES.has(element.type)) {
+    const fields = [];
+    if (element.type === 'Group' && element.label) {
+      const heading = { name: uniqueName('info', used), type: 'plain text', title: String(element.label) };
+      if (condition) heading.showIf = { ...condition };
+      fields.push(heading);
+    }
+    fields.push(...importElements(element.elements, `${path}.elements`, context, condition));
+    return fields;
+  }
+
+  if (element.type === 'Label') {
+    const field = { name: uniqueName('info', used), type: 'plain text', text: String(element.text || '') };
+    if (condition) field.showIf = { ...condition };
+    return [field];
+  }
+
+  if (element.type !== 'Control') {
+    addUnmapped(report, path, `type: ${element.type}`, `UI schema element "${element.type}" is not supported`);
+    return [];
+  }
+
+  const target = resolveScope(schema, element.scope, path, report);
+  if (!target) {
+    addUnmapped(report, `${path}.scope`, 'scope', `Scope "${element.scope}" does not point at a property`);
+    return [];
+  }
+  if (target.nested) {
+    addUnmapped(report, `${path}.scope`, 'nested scope', `"${element.scope}" is nested; the value is submitted at the top level as "${target.key}"`);
+  }
+  placed.add(element.scope);
+
+  const field = propertyToField(uniqueName(toIdentifier(target.key, 'field'), used), target.property, {
+    root: schema,
+    report,
+    path: `${path} (${element.scope})`,
+    required: target.required
+  });
+  if (!field) {
+    return [];
+  }
+
+  if (typeof element.label === 'string') {
+    field.label = element.label;
+  }
+
+  const options = isPlainObject(element.options) ? element.options : {};
+  if (options.multi && field.type === 'text') {
+    field.type = 'textarea';
+  }
+  if (options.format === 'radio' && field.type === 'select') {
+    field.type = 'radio';
+  }
+  Object.keys(options)
+    .filter(key => !HANDLED_CONTROL_OPTIONS.has(key))
+    .forEach(key => addUnmapped(report, `${path}.options.${key}`, `options.${key}`, `Control option "${key}" is not supported`));
+
+  if (condition) {
+    field.showIf = { ...condition };
+  }
+  return [field];
+}
+
+// Top-level properties the UI schema never shows are not rendered by JSON Forms either
+function reportUnplaced(schema, placed, report) {
+  Object.keys(schema.properties || {}).forEach(key => {
+    const scope = `#/properties/${key}`;
+    const isPlaced = [...placed].some(placedScope => placedScope === scope || placedScope.startsWith(`${scope}/`));
+    if (!isPlaced) {
+      addUnmapped(report, `schema.properties.${key}`, 'property', 'Property is not placed in the UI schema and was not imported');
+    }
+  });
+}
+
+function importJsonForms(schema, uischema) {
+  if (!isPlainObject(schema) || !isPlainObject(schema.properties)) {
+    throw new ImportError('JSON Forms import expects a JSON Schema with "properties"');
+  }
+
+  // Without a UI schema JSON Forms generates a vertical layout of all properties
+  if (!isPlainObject(uischema)) {
+    const result = importJsonSchema(schema);
+    result.report.source = 'jsonforms';
+    return result;
+  }
+
+  const report = createReport('jsonforms');
+  const context = { schema, report, used: new Set(), placed: new Set() };
+  const stageIds = new Set();
+
+  let stages;
+  if (uischema.type === 'Categorization') {
+    if (uischema.rule) {
+      addUnmapped(report, 'uischema.rule', 'rule', 'Rules on the categorization are not supported');
+    }
+    stages = (uischema.elements || []).map((category, index) => {
+      const path = `uischema.elements[${index}]`;
+      if (!isPlainObject(category) || category.type !== 'Category') {
+        addUnmapped(report, path, `type: ${category && category.type}`, 'Only Category elements are supported inside a Categorization');
+        return null;
+      }
+      if (category.rule) {
+        addUnmapped(report, `${path}.rule`, 'rule', 'Rules on categories are not supported');
+      }
+      return {
+        id: uniqueName(toIdentifier(category.label, `stage${index + 1}`), stageIds),
+        label: String(category.label || `Stage ${index + 1}`),
+        fields: importElements(category.elements, `${path}.elements`, context)
+      };
+    }).filter(Boolean);
+  } else {
+    stages = [{
+      id: 'stage1',
+      label: schema.title || 'Stage 1',
+      fields: importElement(uischema, 'uischema', context, null)
+    }];
+  }
+
+  reportUnplaced(schema, context.placed, report);
+
+  const result = normalizeConditions({ id: schemaIdFromDocument(schema), stages });
+  return { schema: result, report: finalizeReport(report, result) };
+}
+
+module.exports = {
+  importJsonForms
+};
@@ -0,0 +1,380 @@
+// JSON Schema importer.
+// Top-level properties become fields of a single stage; if every top-level property is
+// an object with its own properties, each of those becomes a stage instead (the payload
+// is flat, so nested names must be unique). `if/then/else` branches keyed on a single
+// `const` value become `showIf` conditions for the properties they add or forbid, and
+// `requiredIf` conditions for the properties they only require, which also reads back our
+// own JSON Schema export.
+
+const {
+  ImportError,
+  addUnmapped,
+  createReport,
+  finalizeReport,
+  isPlainObject,
+  joinPath,
+  normalizeConditions,
+  toHtmlPattern,
+  toIdentifier,
+  uniqueName
+} = require('./shared');
+
+// Keywords handled by propertyToField; anything else on a property is reported
+const PROPERTY_KEYWORDS = new Set([
+  'type', 'title', 'description', 'enum', 'oneOf', 'anyOf', 'format', 'minLength', 'maxLength', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf', 'examples', 'readOnly',
+  'const', '$ref', '$comment', '$id', 'default'
+]);
+
+// Keywords handled at the root (or on a stage object)
+const OBJECT_KEYWORDS = new Set([
+  '$schema', '$id', '$comment', '$defs', 'definitions', 'type', 'title', 'description', 'properties',
+  'required', 'allOf', 'if', 'then', 'else', 'additionalProperties', 'unevaluatedProperties'
+]);
+
+const FORMAT_TYPES = { email: 'email', date: 'date' };
+
+function resolveRef(root, node, path, report) {
+  let current = node;
+  const seen = new Set();
+  while (isPlainObject(current) && typeof current.$ref === 'string') {
+    const ref = current.$ref;
+    if (seen.has(ref) || !ref.startsWith('#/')) {
+      addUnmapped(report, path, '$ref', `Reference "${ref}" cannot be resolved (only local references are supported)`);
+      return null;
+    }
+    seen.add(ref);
+
+    const target = ref.slice(2).split('/').reduce((value, key) => {
+      const segment = key.replace(/~1/g, '/').replace(/~0/g, '~');
+      return isPlainObject(value) ? value[segment] : undefined;
+    }, root);
+
+    if (!isPlainObject(target)) {
+      addUnmapped(report, path, '$ref', `Reference "${ref}" not found`);
+      return null;
+    }
+
+    const { $ref, ...siblings } = current;
+    current = { ...target, ...siblings };
+  }
+  return current;
+}
+
+// `oneOf: [{ const, title }]` is the usual way to give enum values labels
+function getChoices(property) {
+  const branches = property.oneOf || property.anyOf;
+  if (Array.isArray(branches) && branches.length && branches.every(branch => isPlainObject(branch) && 'const' in branch)) {
+    return branches.map(branch => ({ label: String(branch.title !== undefined ? branch.title : branch.const), value: branch.const }));
+  }
+  if (Array.isArray(property.enum)) {
+    return property.enum.filter(value => value !== null).map(value => ({ label: String(value), value }));
+  }
+  return null;
+}
+
+function primaryType(property) {
+  if (Array.isArray(property.type)) {
+    const types = property.type.filter(type => type !== 'null');
+    return types.length === 1 ? types[0] : null;
+  }
+  return property.type;
+}
+
+/**
+ * Maps one JSON Schema property to a field, or returns null (and reports why) when it
+ * has no field equivalent.
+ * @param {string} name
+ * @param {object} property
+ * @param {{ root: object, report: object, path: string, required: boolean }} context
+ */
+function propertyToField(name, property, context) {
+  const { root, report, path } = context;
+  const resolved = resolveRef(root, property, path, report);
+  if (!resolved) {
+    return null;
+  }
+
+  const field = { name, type: 'text', label: resolved.title || name };
+  if (resolved.description) {
+    field.helperText = resolved.description;
+  }
+  if (context.required) {
+    field.required = true;
+  }
+
+  const attributes = {};
+  const choices = getChoices(resolved);
+  const type = primaryType(resolved);
+
+  if (choices) {
+    if (choices.some(choice => typeof choice.value === 'object')) {
+      addUnmapped(report, path, 'enum', 'Enum values must be strings, numbers or booleans');
+      return null;
+    }
+    field.type = 'select';
+    field.options = choices.map(choice => ({ label: choice.label, value: String(choice.value) }));
+    if (choices.some(choice => typeof choice.value !== 'string')) {
+      addUnmapped(report, path, 'enum', 'Non-string enum values are submitted as strings');
+    }
+  } else if (type === 'boolean') {
+    field.type = 'checkbox';
+    // `const: true` is how a required checkbox ("must be checked") is expressed
+    if (resolved.const === true) {
+      field.required = true;
+    }
+  } else if (type === 'number' || type === 'integer') {
+    field.type = 'number';
+    if (resolved.minimum !== undefined) attributes.min = resolved.minimum;
+    if (resolved.maximum !== undefined) attributes.max = resolved.maximum;
+    if (resolved.multipleOf !== undefined) {
+      attributes.step = resolved.multipleOf;
+    } else if (type === 'integer') {
+      attributes.step = 1;
+    }
+    ['exclusiveMinimum', 'exclusiveMaximum'].forEach(keyword => {
+      if (resolved[keyword] !== undefined) {
+        addUnmapped(report, `${path}.${keyword}`, keyword, 'Exclusive bounds are not supported');
+      }
+    });
+  } else if (type === 'string' || type === undefined) {
+    if (resolved.format) {
+      if (FORMAT_TYPES[resolved.format]) {
+        field.type = FORMAT_TYPES[resolved.format];
+      } else {
+        addUnmapped(report, `${path}.format`, 'format', `Format "${resolved.format}" is imported as a text field without format validation`);
+      }
+    }
+    // `minLength: 1` on a required string only restates "required"
+    if (resolved.minLength !== undefined && !(resolved.minLength === 1 && field.required)) {
+      attributes.minlength = resolved.minLength;
+    }
+    if (resolved.maxLength !== undefined) attributes.maxlength = resolved.maxLength;
+    if (resolved.pattern) attributes.pattern = toHtmlPattern(resolved.pattern);
+    if (Array.isArray(resolved.examples) && typeof resolved.examples[0] === 'string') {
+      field.placeholder = resolved.examples[0];
+    }
+  } else {
+    addUnmapped(report, path, `type: ${JSON.stringify(resolved.type)}`, 'Only string, number, integer, boolean and enum properties can become fields');
+    return null;
+  }
+
+  if (resolved.readOnly) {
+    attributes.readonly = true;
+  }
+  if (resolved.const !== undefined && !(field.type === 'checkbox' && resolved.const === true)) {
+    addUnmapped(report, `${path}.const`, 'const', 'Constant values are not supported');
+  }
+  if (resolved.default !== undefined) {
+    addUnmapped(report, `${path}.default`, 'default', 'Default values are not supported');
+  }
+  if (!choices && (resolved.oneOf || resolved.anyOf)) {
+    addUnmapped(report, path, resolved.oneOf ? 'oneOf' : 'anyOf', 'Only oneOf/anyOf lists of const values are supported');
+  }
+
+  Object.keys(resolved)
+    .filter(keyword => !PROPERTY_KEYWORDS.has(keyword))
+    .forEach(keyword => addUnmapped(report, `${path}.${keyword}`, keyword, `Keyword "${keyword}" is not supported`));
+
+  if (Object.keys(attributes).length) {
+    field.attributes = attributes;
+  }
+  return field;
+}
+
+// `{ properties: { f: { const: v } } }` (with or without `required: [f]`) -> { field, equals }
+function conditionFromIf(ifSchema) {
+  if (!isPlainObject(ifSchema) || !isPlainObject(ifSchema.properties)) {
+    return null;
+  }
+  const entries = Object.entries(ifSchema.properties);
+  const extraKeys = Object.keys(ifSchema).filter(key => key !== 'properties' && key !== 'required');
+  if (entries.length !== 1 || extraKeys.length) {
+    return null;
+  }
+  const [key, schema] = entries[0];
+  const field = toIdentifier(key, 'field');
+  if (!isPlainObject(schema)) {
+    return null;
+  }
+  if ('const' in schema) {
+    return { field, equals: schema.const };
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length === 1) {
+    return { field, equals: schema.enum[0] };
+  }
+  return null;
+}
+
+// Collects if/then/else branches from an object schema and its allOf entries
+function collectConditionals(objectSchema, path) {
+  const branches = [];
+  if (objectSchema.if) {
+    branches.push({ branch: objectSchema, path });
+  }
+  (objectSchema.allOf || []).forEach((entry, index) => {
+    branches.push({ branch: entry, path: joinPath(path, `allOf[${index}]`) });
+  });
+  return branches;
+}
+
+// Builds the field list of one object schema (the root, or a stage object)
+function importObjectFields(objectSchema, context, used) {
+  const { root, report, path } = context;
+  const required = new Set(Array.isArray(objectSchema.required) ? objectSchema.required : []);
+  const properties = isPlainObject(objectSchema.properties) ? { ...objectSchema.properties } : {};
+  const conditions = new Map();
+  const conditionalRequired = new Set();
+  const requiredConditions = new Map();
+
+  collectConditionals(objectSchema, path).forEach(({ branch, path: branchPath }) => {
+    if (!isPlainObject(branch) || !branch.if) {
+      addUnmapped(report, branchPath, 'allOf', 'Only if/then/else entries are supported in allOf');
+      return;
+    }
+
+    const condition = conditionFromIf(branch.if);
+    if (!condition) {
+      addUnmapped(report, joinPath(branchPath, 'if'), 'if', 'Only conditions on a single property value (const) can become showIf');
+      return;
+    }
+
+    // Properties that only "then" declares exist only while the condition holds (showIf);
+    // "then" entries for declared properties are constraints, like the minLength our own
+    // export adds for requiredIf fields
+    const shown = new Set();
+    const then = isPlainObject(branch.then) ? branch.then : {};
+    Object.entries(then.properties || {}).forEach(([name, property]) => {
+      if (!properties[name] && isPlainObject(property)) {
+        properties[name] = property;
+        conditions.set(name, condition);
+        shown.add(name);
+      }
+    });
+    Object.keys(then)
+      .filter(key => key !== 'properties' && key !== 'required')
+      .forEach(key => addUnmapped(report, joinPath(branchPath, 'then', key), key, `Keyword "${key}" in "then" is not supported`));
+
+    // Our own export forbids hidden fields in "else"; that is what showIf already does
+    if (branch.else !== undefined) {
+      const elseSchema = branch.else;
+      const onlyForbids = isPlainObject(elseSchema)
+        && Object.keys(elseSchema).every(key => key === 'properties')
+        && Object.values(elseSchema.properties || {}).every(value => value === false);
+      if (onlyForbids) {
+        Object.keys(elseSchema.properties || {}).forEach(name => {
+          conditions.set(name, condition);
+          shown.add(name);
+        });
+      } else {
+        addUnmapped(report, joinPath(branchPath, 'else'), 'else', 'Only "else" branches that hide the conditional fields are supported');
+      }
+    }
+
+    // A field shown only under the condition is simply required; any other field stays
+    // visible and is required only while the condition holds
+    (Array.isArray(then.required) ? then.required : []).forEach(name => {
+      if (shown.has(name)) {
+        conditionalRequired.add(name);
+      } else {
+        requiredConditions.set(name, requiredConditions.has(name)
+          ? { any: [requiredConditions.get(name), condition] }
+          : condition);
+      }
+    });
+  });
+
+  const fields = [];
+  Object.entries(properties).forEach(([key, property]) => {
+    const propertyPath = joinPath(path, 'properties', key);
+    const name = toIdentifier(key, 'field');
+    if (used.has(name)) {
+      addUnmapped(report, propertyPath, 'duplicate name', `Field name "${name}" is used more than once; renamed`);
+    }
+    const field = propertyToField(uniqueName(name, used), property, {
+      root,
+      report,
+      path: propertyPath,
+      required: required.has(key) || conditionalRequired.has(key)
+    });
+    if (!field) {
+      return;
+    }
+    if (conditions.has(key)) {
+      field.showIf = conditions.get(key);
+    }
+    if (!field.required && requiredConditions.has(key)) {
+      field.requiredIf = requiredConditions.get(key);
+    }
+    fields.push(field);
+  });
+
+  Object.keys(objectSchema)
+    .filter(keyword => !OBJECT_KEYWORDS.has(keyword))
+    .forEach(keyword => addUnmapped(report, joinPath(path, keyword), keyword, `Keyword "${keyword}" is not supported`));
+
+  return fields;
+}
+
+function schemaIdFromDocument(document) {
+  if (typeof document.$id === 'string') {
+    const last = document.$id.split(/[/:#]/).filter(Boolean).pop() || '';
+    const id = toIdentifier(last.replace(/(\.schema)?\.json$/, ''), '');
+    if (id) {
+      return id;
+    }
+  }
+  return toIdentifier(document.title, 'imported-form');
+}
+
+function isStageObject(root, property) {
+  // Resolution problems are reported later, when the property is actually imported
+  const resolved = resolveRef(root, property, '', { unmapped: [] });
+  return isPlainObject(resolved) && primaryType(resolved) === 'object' && isPlainObject(resolved.properties);
+}
+
+function importJsonSchema(document) {
+  if (!isPlainObject(document) || !isPlainObject(document.properties)) {
+    throw new ImportError('JSON Schema import expects an object schema with "properties"');
+  }
+
+  const report = createReport('jsonschema');
+  const used = new Set();
+  const entries = Object.entries(document.properties);
+  const stagesFromObjects = entries.length > 0
+    && entries.every(([, property]) => isStageObject(document, property));
+
+  let stages;
+  if (stagesFromObjects) {
+    stages = entries.map(([key, property]) => {
+      const path = `properties.${key}`;
+      const resolved = resolveRef(document, property, path, report);
+      return {
+        id: toIdentifier(key, 'stage'),
+        label: resolved.title || key,
+        fields: importObjectFields(resolved, { root: document, report, path }, used)
+      };
+    });
+    ['required', 'allOf', 'if'].forEach(keyword => {
+      if (document[keyword]) {
+        addUnmapped(report, keyword, keyword, `Root "${keyword}" is ignored when top-level objects are imported as stages`);
+      }
+    });
+  } else {
+    stages = [{
+      id: 'stage1',
+      label: document.title || 'Stage 1',
+      fields: importObjectFields(document, { root: document, report, path: '' }, used)
+    }];
+  }
+
+  const schema = normalizeConditions({ id: schemaIdFromDocument(document), stages });
+  return { schema, report: finalizeReport(report, schema) };
+}
+
+module.exports = {
+  importJsonSchema,
+  propertyToField,
+  resolveRef,
+  schemaIdFromDocument
+};
@@ -0,0 +1,113 @@
+// Helpers shared by the form-definition importers.
+// Every importer returns `{ schema, report }`: the schema in our stages/fields shape and
+// a report listing each construct of the source document that could not be mapped.
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+    this.status = 400;
+  }
+}
+
+function createReport(source) {
+  return { source, stageCount: 0, fieldCount: 0, unmapped: [] };
+}
+
+// `path` points into the source document (e.g. "properties.age.format" or "pages[0].elements[2]")
+function addUnmapped(report, path, construct, message) {
+  report.unmapped.push({ path, construct, message });
+}
+
+function finalizeReport(report, schema) {
+  report.stageCount = schema.stages.length;
+  report.fieldCount = schema.stages.reduce((count, stage) => count + stage.fields.length, 0);
+  return report;
+}
+
+// Schema, stage and field IDs must satisfy the library's ID rules
+function toIdentifier(value, fallback) {
+  const id = String(value || '')
+    .trim()
+    .replace(/[^A-Za-z0-9._-]+/g, '-')
+    .replace(/^[^A-Za-z0-9]+|-+$/g, '');
+  return id ? id.slice(0, 128) : fallback;
+}
+
+// Returns `base` or `base-2`, `base-3`, ... and records the result in `used`
+function uniqueName(base, used) {
+  let name = base;
+  let counter = 2;
+  while (used.has(name)) {
+    name = `${base}-${counter++}`;
+  }
+  used.add(name);
+  return name;
+}
+
+// JSON Schema `pattern` is unanchored while HTML `pattern` must match the whole value
+function toHtmlPattern(pattern) {
+  const source = String(pattern);
+  if (source.startsWith('^') && source.endsWith('$') && !source.endsWith('\\$')) {
+    return source.slice(1, -1);
+  }
+  return `.*(?:${source}).*`;
+}
+
+function stripHtml(html) {
+  return String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Dotted path into the source document; empty segments are skipped
+function joinPath(...segments) {
+  return segments.filter(segment => segment !== '' && segment !== undefined).join('.');
+}
+
+// The runtime keeps every input value except checkboxes as a string (numbers included),
+// so showIf and requiredIf values that point at those fields must be strings too
+function normalizeConditions(schema) {
+  const fields = new Map(schema.stages.flatMap(stage => stage.fields).map(field => [field.name, field]));
+  const normalize = condition => {
+    if (Array.isArray(condition.any)) {
+      condition.any.forEach(normalize);
+      return;
+    }
+    const controller = fields.get(condition.field);
+    if (controller && controller.type !== 'checkbox' && 'equals' in condition) {
+      condition.equals = String(condition.equals);
+    }
+  };
+  fields.forEach(field => {
+    [field.showIf, field.requiredIf].filter(Boolean).forEach(normalize);
+  });
+  return schema;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  ImportError,
+  addUnmapped,
+  createReport,
+  finalizeReport,
+  isPlainObject,
+  joinPath,
+  normalizeConditions,
+  stripHtml,
+  toHtmlPattern,
+  toIdentifier,
+  uniqueName
+};
@@ -0,0 +1,355 @@
+// Spreadsheet (CSV/XLSX) importer, the inverse of exporters/spreadsheet.js.
+// The first row holds column headers (matched case-, space- and dash-insensitively); each
+// following row is one field. Rows are grouped into stages by the "stage" column, and a
+// blank stage cell continues the stage of the row above.
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { COLUMNS } = require('../exporters/spreadsheet');
+const {
+  ImportError,
+  addUnmapped,
+  createReport,
+  finalizeReport,
+  isPlainObject,
+  toIdentifier,
+  uniqueName
+} = require('./shared');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+const FIELD_TYPES = ['plain text', 'text', 'email', 'tel', 'date', 'number', 'textarea', 'select', 'radio', 'checkbox', 'calculated'];
+const CHOICE_TYPES = new Set(['select', 'radio']);
+
+const TRUE_VALUES = new Set(['yes', 'y', 'true', '1', 'x', '✓', 'required', 'כן']);
+const FALSE_VALUES = new Set(['', 'no', 'n', 'false', '0', 'לא']);
+
+// Header aliases besides each column's own header and key
+const HEADER_ALIASES = { title: 'label', fieldname: 'name', field: 'name', helper: 'helperText', stageid: 'stage' };
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+const HEADER_KEYS = new Map(COLUMNS.flatMap(column => [
+  [normalizeHeader(column.header), column.key],
+  [normalizeHeader(column.key), column.key]
+]).concat(Object.entries(HEADER_ALIASES)));
+
+// RFC 4180 CSV with the delimiter taken from the header line (Excel uses ";" in some locales)
+function parseCsv(source) {
+  const text = source.replace(/^\uFEFF/, '');
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new ImportError('CSV file ends inside a quoted cell');
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ExcelJS cell values are strings, numbers, booleans, dates, rich text, hyperlinks or formulas
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellText(value.result);
+    if ('text' in value) return cellText(value.text);
+    return '';
+  }
+  return String(value);
+}
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ImportError(`Could not read the XLSX file: ${error.message}`);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new ImportError('The XLSX file has no worksheets');
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      cells.push(cellText(row.getCell(column).value));
+    }
+    rows[rowNumber - 1] = cells;
+  });
+  return Array.from(rows, cells => cells || []);
+}
+
+function parseOptions(cell) {
+  return cell
+    .split(/[;\n]/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const separator = part.indexOf('=');
+      if (separator === -1) {
+        return { label: part, value: part };
+      }
+      const value = part.slice(0, separator).trim();
+      return { label: part.slice(separator + 1).trim() || value, value };
+    });
+}
+
+function parseJsonCell(cell, rowPath, column, report) {
+  if (!cell) {
+    return {};
+  }
+  try {
+    const value = JSON.parse(cell);
+    if (isPlainObject(value)) {
+      return value;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  addUnmapped(report, `${rowPath}.${column}`, column, `"${column}" must be a JSON object; the cell was ignored`);
+  return {};
+}
+
+function schemaIdFromFilename(filename) {
+  const base = path.basename(String(filename || ''), path.extname(String(filename || '')));
+  return toIdentifier(base.replace(/^schema\./, ''), 'imported-form');
+}
+
+function rowToField(row, rowPath, context) {
+  const { report, usedNames } = context;
+
+  let type = row.type.trim().toLowerCase() || 'text';
+  if (type === 'plaintext') {
+    type = 'plain text';
+  }
+  if (!FIELD_TYPES.includes(type)) {
+    addUnmapped(report, `${rowPath}.type`, `type: ${row.type}`, `Unknown field type "${row.type}"; imported as a text field`);
+    type = 'text';
+  }
+
+  let name = row.name.trim();
+  if (!name) {
+    if (type !== 'plain text') {
+      addUnmapped(report, rowPath, 'name', 'Row has no field name and was skipped');
+      return null;
+    }
+    name = uniqueName('info', usedNames);
+  } else if (usedNames.has(name)) {
+    const renamed = uniqueName(name, usedNames);
+    addUnmapped(report, `${rowPath}.name`, `name: ${name}`, `Duplicate field name; imported as "${renamed}"`);
+    name = renamed;
+  } else {
+    usedNames.add(name);
+  }
+
+  const field = { name, type };
+
+  if (type === 'plain text') {
+    if (row.label) field.title = row.label;
+    if (row.text) field.text = row.text;
+  } else {
+    field.label = row.label || name;
+    if (row.text) {
+      addUnmapped(report, `${rowPath}.text`, 'text', 'Only plain text fields have text; the cell was ignored');
+    }
+  }
+
+  const required = row.required.trim().toLowerCase();
+  if (TRUE_VALUES.has(required)) {
+    field.required = true;
+  } else if (!FALSE_VALUES.has(required)) {
+    addUnmapped(report, `${rowPath}.required`, `required: ${row.required}`, 'Use yes/no (or true/false); the field was imported as optional');
+  }
+
+  if (row.options.trim()) {
+    if (CHOICE_TYPES.has(type)) {
+      field.options = parseOptions(row.options);
+    } else {
+      addUnmapped(report, `${rowPath}.options`, 'options', `Options are only used by select and radio fields; ignored for "${type}"`);
+    }
+  }
+
+  if (row.placeholder) field.placeholder = row.placeholder;
+  if (row.helperText) field.helperText = row.helperText;
+
+  const showIfField = row.showIfField.trim();
+  if (showIfField) {
+    field.showIf = { field: showIfField, equals: row.showIfValue };
+  } else if (row.showIfValue) {
+    addUnmapped(report, `${rowPath}.showIf value`, 'showIf value', 'A showIf value needs a showIf field; the condition was ignored');
+  }
+
+  // Properties without a column of their own
+  Object.entries(parseJsonCell(row.extra.trim(), rowPath, 'extra', report)).forEach(([key, value]) => {
+    if (!(key in field)) field[key] = value;
+  });
+
+  return field;
+}
+
+// Conditions can only be typed once every field is known: checkboxes compare booleans
+function resolveConditions(stages, conditionRows, report) {
+  const fields = new Map(stages.flatMap(stage => stage.fields).map(field => [field.name, field]));
+  conditionRows.forEach(({ field, rowPath }) => {
+    const controller = fields.get(field.showIf.field);
+    if (!controller) {
+      addUnmapped(report, `${rowPath}.showIf field`, `showIf field: ${field.showIf.field}`, 'No field with this name exists in the sheet');
+      return;
+    }
+    if (controller.type === 'checkbox') {
+      field.showIf.equals = TRUE_VALUES.has(String(field.showIf.equals).trim().toLowerCase());
+    }
+  });
+}
+
+/**
+ * @param {Buffer} buffer File contents
+ * @param {string} filename Original file name; the extension selects CSV or XLSX and the
+ *   base name (without a "schema." prefix) becomes the schema ID
+ */
+async function importSpreadsheet(buffer, filename) {
+  const extension = path.extname(String(filename || '')).toLowerCase();
+  if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+    throw new ImportError(`Spreadsheet import expects a ${SPREADSHEET_EXTENSIONS.join(' or ')} file`);
+  }
+
+  const table = extension === '.csv' ? parseCsv(buffer.toString('utf8')) : await readXlsx(buffer);
+  const [headers = [], ...body] = table;
+  const report = createReport('spreadsheet');
+
+  const columnIndexes = {};
+  headers.forEach((header, index) => {
+    if (!String(header).trim()) {
+      return;
+    }
+    const key = HEADER_KEYS.get(normalizeHeader(header));
+    if (key && !(key in columnIndexes)) {
+      columnIndexes[key] = index;
+    } else {
+      addUnmapped(report, `row 1.${header}`, `column: ${header}`, key ? 'Duplicate column; only the first one is read' : 'Unknown column; its values were not imported');
+    }
+  });
+  if (!('name' in columnIndexes)) {
+    throw new ImportError(`The first row must hold column headers including "name" (supported: ${COLUMNS.map(column => column.header).join(', ')})`);
+  }
+
+  const stages = new Map();
+  const schemaExtra = {};
+  const conditionRows = [];
+  const context = { report, usedNames: new Set() };
+  let currentStageId = null;
+
+  body.forEach((cells, index) => {
+    const rowPath = `row ${index + 2}`;
+    const row = {};
+    COLUMNS.forEach(column => {
+      const cell = column.key in columnIndexes ? cells[columnIndexes[column.key]] : '';
+      row[column.key] = cell === undefined ? '' : String(cell);
+    });
+
+    if (cells.every(cell => !String(cell === undefined ? '' : cell).trim())) {
+      return;
+    }
+
+    Object.assign(schemaExtra, parseJsonCell(row.schemaExtra.trim(), rowPath, 'schema extra', report));
+
+    const stageCell = row.stage.trim();
+    if (stageCell) {
+      currentStageId = toIdentifier(stageCell, `stage${stages.size + 1}`);
+    } else if (!currentStageId) {
+      currentStageId = 'stage1';
+    }
+
+    if (!stages.has(currentStageId)) {
+      stages.set(currentStageId, { id: currentStageId, label: row.stageLabel.trim() || stageCell || currentStageId, extra: {}, fields: [] });
+    }
+    const stage = stages.get(currentStageId);
+    if (row.stageType.trim() && !stage.type) {
+      stage.type = row.stageType.trim();
+    }
+    Object.assign(stage.extra, parseJsonCell(row.stageExtra.trim(), rowPath, 'stage extra', report));
+
+    // A row with only stage cells declares an (empty) stage
+    if (!row.name.trim() && !row.type.trim()) {
+      return;
+    }
+
+    const field = rowToField(row, rowPath, context);
+    if (field) {
+      stage.fields.push(field);
+      // Only the showIf columns build a condition; a showIf from "extra" is kept as written
+      if (row.showIfField.trim()) {
+        conditionRows.push({ field, rowPath });
+      }
+    }
+  });
+
+  // Schema-level settings (rules, successScreen, lint, ...) go before the stages
+  const schema = { id: schemaIdFromFilename(filename) };
+  Object.entries(schemaExtra)
+    .filter(([key]) => !['id', 'stages', 'fields'].includes(key))
+    .forEach(([key, value]) => { schema[key] = value; });
+  schema.stages = [...stages.values()].map(({ id, label, type, extra, fields }) => {
+    const stage = { id, label };
+    if (type) stage.type = type;
+    Object.entries(extra)
+      .filter(([key]) => !['id', 'label', 'type', 'fields'].includes(key))
+      .forEach(([key, value]) => { stage[key] = value; });
+    stage.fields = fields;
+    return stage;
+  });
+  resolveConditions(schema.stages, conditionRows, report);
+  return { schema, report: finalizeReport(report, schema) };
+}
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  importSpreadsheet
+};
@@ -0,0 +1,311 @@
+// SurveyJS importer.
+// Pages become stages and questions become fields. Panels are flattened into their page
+// (their title becomes a plain text heading). `visibleIf` expressions of the form
+// `{question} = value` become `showIf`; any other expression is reported.
+
+const {
+  ImportError,
+  addUnmapped,
+  createReport,
+  finalizeReport,
+  isPlainObject,
+  joinPath,
+  normalizeConditions,
+  stripHtml,
+  toHtmlPattern,
+  toIdentifier,
+  uniqueName
+} = require('./shared');
+
+const INPUT_TYPES = { email: 'email', tel: 'tel', date: 'date', number: 'number', text: 'text' };
+
+// Question properties that only affect SurveyJS layout; dropped without a report
+const LAYOUT_PROPERTIES = new Set([
+  'startWithNewLine', 'width', 'minWidth', 'maxWidth', 'titleLocation', 'descriptionLocation',
+  'hideNumber', 'state', 'indent', 'colCount', 'innerIndent', 'questionTitleLocation', 'showQuestionNumbers',
+  'autoGrow', 'allowResize', 'textUpdateMode', 'errorLocation'
+]);
+
+// Choice list features reported by questionToField itself
+const CHOICE_EXTRAS = ['choicesByUrl', 'showOtherItem', 'hasOther', 'showNoneItem', 'hasNone', 'choicesFromQuestion'];
+
+const HANDLED_PROPERTIES = new Set([
+  'type', 'name', 'title', 'description', 'isRequired', 'requiredErrorText', 'visibleIf', 'choices',
+  'inputType', 'placeholder', 'min', 'max', 'step', 'maxLength', 'rows', 'validators', 'html', 'elements',
+  'label', ...CHOICE_EXTRAS
+]);
+
+const QUESTION_TYPES = new Set(['text', 'comment', 'dropdown', 'radiogroup', 'boolean']);
+
+// Survey options that only affect presentation
+const LAYOUT_SURVEY_KEYS = new Set([
+  'showProgressBar', 'progressBarType', 'showQuestionNumbers', 'questionTitleLocation', 'questionErrorLocation',
+  'locale', 'logo', 'logoPosition', 'logoFit', 'logoWidth', 'logoHeight', 'widthMode', 'width', 'showTitle',
+  'checkErrorsMode', 'textUpdateMode', 'pagePrevText', 'pageNextText', 'completeText', 'showPrevButton',
+  'requiredText', 'showPageTitles', 'showPageNumbers', 'focusFirstQuestionAutomatic', 'headerView'
+]);
+
+const HANDLED_SURVEY_KEYS = new Set(['title', 'description', 'pages', 'elements']);
+
+const EQUALS_EXPRESSION = /^\s*\{([^{}]+)\}\s*==?\s*(?:'([^']*)'|"([^"]*)"|(true|false)|(-?\d+(?:\.\d+)?))\s*$/i;
+
+// Localizable strings are either plain strings or `{ default, en, he, ... }`
+function text(value) {
+  if (isPlainObject(value)) {
+    return value.default !== undefined ? String(value.default) : String(Object.values(value)[0] || '');
+  }
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function parseVisibleIf(expression) {
+  const match = EQUALS_EXPRESSION.exec(String(expression));
+  if (!match) {
+    return null;
+  }
+  const [, name, single, double, bool, number] = match;
+  let equals;
+  if (single !== undefined) equals = single;
+  else if (double !== undefined) equals = double;
+  else if (bool !== undefined) equals = bool.toLowerCase() === 'true';
+  else equals = Number(number);
+  return { field: toIdentifier(name.trim(), 'field'), equals };
+}
+
+function toOptions(choices) {
+  return (choices || []).map(choice => {
+    if (isPlainObject(choice)) {
+      const value = String(choice.value);
+      return { label: text(choice.text) || value, value };
+    }
+    return { label: String(choice), value: String(choice) };
+  });
+}
+
+function applyValidators(field, validators, path, report) {
+  const attributes = field.attributes || {};
+  const messages = field.errorMessages || {};
+
+  (validators || []).forEach((validator, index) => {
+    const validatorPath = `${path}.validators[${index}]`;
+    const message = text(validator.text);
+
+    switch (validator.type) {
+      case 'regex':
+        attributes.pattern = toHtmlPattern(validator.regex);
+        if (message) messages.pattern = message;
+        break;
+      case 'email':
+        if (field.type === 'text') {
+          field.type = 'email';
+        }
+        if (message) messages.emailInvalid = message;
+        break;
+      case 'numeric':
+        if (validator.minValue !== undefined && validator.minValue !== null) {
+          attributes.min = validator.minValue;
+          if (message) messages.min = message;
+        }
+        if (validator.maxValue !== undefined && validator.maxValue !== null) {
+          attributes.max = validator.maxValue;
+          if (message) messages.max = message;
+        }
+        break;
+      case 'text':
+        if (validator.minLength) {
+          attributes.minlength = validator.minLength;
+          if (message) messages.minlength = message;
+        }
+        if (validator.maxLength) {
+          attributes.maxlength = validator.maxLength;
+          if (message) messages.maxlength = message;
+        }
+        break;
+      default:
+        addUnmapped(report, validatorPath, `validator: ${validator.type}`, `Validator "${validator.type}" is not supported`);
+    }
+  });
+
+  if (Object.keys(attributes).length) field.attributes = attributes;
+  if (Object.keys(messages).length) field.errorMessages = messages;
+}
+
+function questionToField(element, path, context) {
+  const { report, used } = context;
+  if (!QUESTION_TYPES.has(element.type)) {
+    return null;
+  }
+
+  const name = uniqueName(toIdentifier(element.name, 'field'), used);
+  const field = { name, type: 'text', label: text(element.title) || element.name || name };
+  const attributes = {};
+
+  switch (element.type) {
+    case 'text': {
+      const inputType = element.inputType || 'text';
+      if (INPUT_TYPES[inputType]) {
+        field.type = INPUT_TYPES[inputType];
+      } else {
+        addUnmapped(report, `${path}.inputType`, `inputType: ${inputType}`, `Input type "${inputType}" is imported as a text field`);
+      }
+      ['min', 'max', 'step'].forEach(key => {
+        if (element[key] !== undefined && element[key] !== '') attributes[key] = element[key];
+      });
+      break;
+    }
+    case 'comment':
+      field.type = 'textarea';
+      if (element.rows) field.rows = element.rows;
+      break;
+    case 'dropdown':
+    case 'radiogroup':
+      field.type = element.type === 'dropdown' ? 'select' : 'radio';
+      field.options = toOptions(element.choices);
+      CHOICE_EXTRAS.forEach(key => {
+        if (element[key]) {
+          addUnmapped(report, `${path}.${key}`, key, `"${key}" is not supported; only the listed choices were imported`);
+        }
+      });
+      break;
+    default:
+      // boolean
+      field.type = 'checkbox';
+      field.label = text(element.label) || field.label;
+      break;
+  }
+
+  if (element.description) field.helperText = text(element.description);
+  if (element.placeholder) field.placeholder = text(element.placeholder);
+  if (element.maxLength) attributes.maxlength = element.maxLength;
+  if (Object.keys(attributes).length) field.attributes = attributes;
+
+  if (element.isRequired) {
+    field.required = true;
+    if (element.requiredErrorText) {
+      field.errorMessages = { required: text(element.requiredErrorText) };
+    }
+  }
+
+  applyValidators(field, element.validators, path, report);
+  return field;
+}
+
+function plainText(title, body, used) {
+  const field = { name: uniqueName('info', used), type: 'plain text' };
+  if (title) field.title = title;
+  if (body) field.text = body;
+  return field;
+}
+
+function applyCondition(field, element, path, report, inherited) {
+  if (element.visibleIf) {
+    const condition = parseVisibleIf(element.visibleIf);
+    if (condition) {
+      field.showIf = condition;
+    } else {
+      addUnmapped(report, `${path}.visibleIf`, 'visibleIf', `Expression "${element.visibleIf}" is not a simple {question} = value comparison`);
+    }
+    if (inherited) {
+      addUnmapped(report, `${path}.visibleIf`, 'visibleIf', 'The condition of the enclosing panel was dropped for this question');
+    }
+  } else if (inherited) {
+    field.showIf = { ...inherited };
+  }
+}
+
+function importElements(elements, path, context, inherited = null) {
+  const { report, used } = context;
+  const fields = [];
+
+  (elements || []).forEach((element, index) => {
+    const elementPath = `${path}[${index}]`;
+    if (!isPlainObject(element)) {
+      return;
+    }
+
+    if (element.type === 'panel') {
+      let condition = inherited;
+      if (element.visibleIf) {
+        condition = parseVisibleIf(element.visibleIf);
+        if (!condition) {
+          addUnmapped(report, `${elementPath}.visibleIf`, 'visibleIf', `Panel condition "${element.visibleIf}" is not a simple {question} = value comparison`);
+        }
+      }
+      const title = text(element.title);
+      const description = text(element.description);
+      if (title || description) {
+        const heading = plainText(title, description, used);
+        if (condition) heading.showIf = { ...condition };
+        fields.push(heading);
+      }
+      fields.push(...importElements(element.elements, `${elementPath}.elements`, context, condition));
+      return;
+    }
+
+    if (element.type === 'html') {
+      const field = plainText('', stripHtml(text(element.html)), used);
+      applyCondition(field, element, elementPath, report, inherited);
+      fields.push(field);
+      return;
+    }
+
+    const field = questionToField(element, elementPath, context);
+    if (!field) {
+      addUnmapped(report, elementPath, `type: ${element.type}`, `Question type "${element.type}" has no field equivalent`);
+      return;
+    }
+    applyCondition(field, element, elementPath, report, inherited);
+
+    Object.keys(element)
+      .filter(key => !HANDLED_PROPERTIES.has(key) && !LAYOUT_PROPERTIES.has(key))
+      .forEach(key => addUnmapped(report, `${elementPath}.${key}`, key, `Property "${key}" is not supported`));
+
+    fields.push(field);
+  });
+
+  return fields;
+}
+
+function importSurveyJs(document) {
+  if (!isPlainObject(document) || (!Array.isArray(document.pages) && !Array.isArray(document.elements))) {
+    throw new ImportError('SurveyJS import expects a survey JSON with "pages" or "elements"');
+  }
+
+  const report = createReport('surveyjs');
+  const context = { report, used: new Set() };
+  const stageIds = new Set();
+  const pages = Array.isArray(document.pages) ? document.pages : [{ name: 'page1', elements: document.elements }];
+
+  const stages = pages.filter(isPlainObject).map((page, index) => {
+    const path = Array.isArray(document.pages) ? `pages[${index}]` : '';
+    if (page.visibleIf) {
+      addUnmapped(report, `${path}.visibleIf`, 'visibleIf', 'Page conditions are not supported');
+    }
+
+    const fields = [];
+    const description = text(page.description);
+    if (description) {
+      fields.push(plainText('', description, context.used));
+    }
+    fields.push(...importElements(page.elements, joinPath(path, 'elements'), context));
+
+    return {
+      id: uniqueName(toIdentifier(page.name, `stage${index + 1}`), stageIds),
+      label: text(page.title) || page.name || `Stage ${index + 1}`,
+      fields
+    };
+  });
+
+  Object.keys(document)
+    .filter(key => !HANDLED_SURVEY_KEYS.has(key) && !LAYOUT_SURVEY_KEYS.has(key))
+    .forEach(key => addUnmapped(report, key, key, `Survey setting "${key}" is not supported`));
+
+  const schema = normalizeConditions({
+    id: toIdentifier(text(document.title), 'imported-survey'),
+    stages
+  });
+  return { schema, report: finalizeReport(report, schema) };
+}
+
+module.exports = {
+  importSurveyJs
+};
@@ -0,0 +1,317 @@
+const acorn = require('acorn');
+
+// Static parser for ES module schema files.
+// The file is never executed: we walk the AST and only accept pure data literals,
+// references to earlier top-level declarations and the `stages.flatMap(stage => stage.fields)`
+// idiom used by generated schema files.
+
+const PREFERRED_EXPORTS = ['formSchema', 'default', 'schema'];
+
+class SchemaParseError extends Error {
+  constructor(message, loc = null) {
+    super(loc ? `${message} (line ${loc.line}, column ${loc.column + 1})` : message);
+    this.name = 'SchemaParseError';
+    this.reason = message;
+    this.line = loc ? loc.line : null;
+    this.column = loc ? loc.column + 1 : null;
+  }
+
+  toJSON() {
+    return { message: this.reason, line: this.line, column: this.column };
+  }
+}
+
+function fail(message, node) {
+  throw new SchemaParseError(message, node && node.loc ? node.loc.start : null);
+}
+
+function describeNode(node) {
+  return node.type.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+function getPropertyKey(property) {
+  if (property.computed) {
+    if (property.key.type === 'Literal' && typeof property.key.value === 'string') {
+      return property.key.value;
+    }
+    fail('Computed property keys are not allowed', property.key);
+  }
+
+  if (property.key.type === 'Identifier') {
+    return property.key.name;
+  }
+
+  if (property.key.type === 'Literal') {
+    return String(property.key.value);
+  }
+
+  fail(`Unsupported property key: ${describeNode(property.key)}`, property.key);
+}
+
+// `stages.flatMap(stage => stage.fields)` (or `.map`) over an already resolved array.
+function evaluateFieldsProjection(node, scope) {
+  const { callee } = node;
+  const method = callee.property.name;
+  if (method !== 'flatMap' && method !== 'map') {
+    fail(`Method calls are not allowed (found .${method}())`, callee.property);
+  }
+
+  const source = evaluateNode(callee.object, scope);
+  if (!Array.isArray(source)) {
+    fail(`.${method}() can only be applied to an array`, callee.object);
+  }
+
+  const [callback] = node.arguments;
+  const isProjection = node.arguments.length === 1 &&
+    callback.type === 'ArrowFunctionExpression' &&
+    callback.params.length === 1 &&
+    callback.params[0].type === 'Identifier' &&
+    callback.body.type === 'MemberExpression' &&
+    !callback.body.computed &&
+    callback.body.object.type === 'Identifier' &&
+    callback.body.object.name === callback.params[0].name;
+
+  if (!isProjection) {
+    fail(`Only simple property projections such as \`${method}(stage => stage.fields)\` are allowed`, callback || node);
+  }
+
+  const key = callback.body.property.name;
+  // Own properties only, so `x => x.constructor` cannot reach Object.prototype
+  const projected = source.map(item => (
+    item && typeof item === 'object' && Object.prototype.hasOwnProperty.call(item, key) ? item[key] : undefined
+  ));
+  return method === 'flatMap'
+    ? projected.flatMap(value => (value === undefined ? [] : value))
+    : projected;
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'Literal':
+      if (node.regex) {
+        fail('Regular expression literals are not allowed; use a string pattern instead', node);
+      }
+      if (typeof node.value === 'bigint') {
+        fail('BigInt literals are not allowed', node);
+      }
+      return node.value;
+
+    case 'TemplateLiteral':
+      if (node.expressions.length > 0) {
+        fail('Template literals with ${} expressions are not allowed', node.expressions[0]);
+      }
+      return node.quasis.map(quasi => quasi.value.cooked).join('');
+
+    case 'UnaryExpression': {
+      if (node.operator !== '-' && node.operator !== '+') {
+        fail(`Unary operator "${node.operator}" is not allowed`, node);
+      }
+      const value = evaluateNode(node.argument, scope);
+      if (typeof value !== 'number') {
+        fail(`Unary "${node.operator}" can only be applied to numbers`, node.argument);
+      }
+      return node.operator === '-' ? -value : value;
+    }
+
+    case 'ArrayExpression': {
+      const result = [];
+      node.elements.forEach(element => {
+        if (element === null) {
+          fail('Sparse arrays are not allowed', node);
+        }
+        if (element.type === 'SpreadElement') {
+          const spread = evaluateNode(element.argument, scope);
+          if (!Array.isArray(spread)) {
+            fail('Only arrays can be spread into an array', element.argument);
+          }
+          result.push(...spread);
+          return;
+        }
+        result.push(evaluateNode(element, scope));
+      });
+      return result;
+    }
+
+    case 'ObjectExpression': {
+      const result = {};
+      node.properties.forEach(property => {
+        if (property.type === 'SpreadElement') {
+          const spread = evaluateNode(property.argument, scope);
+          if (!spread || typeof spread !== 'object' || Array.isArray(spread)) {
+            fail('Only plain objects can be spread into an object', property.argument);
+          }
+          Object.assign(result, spread);
+          return;
+        }
+        if (property.kind !== 'init' || property.method) {
+          fail('Getters, setters and methods are not allowed', property);
+        }
+        const key = getPropertyKey(property);
+        if (key === '__proto__') {
+          fail('"__proto__" keys are not allowed', property.key);
+        }
+        result[key] = evaluateNode(property.value, scope);
+      });
+      return result;
+    }
+
+    case 'Identifier':
+      if (node.name === 'undefined') {
+        return undefined;
+      }
+      if (!scope.has(node.name)) {
+        fail(`Unknown identifier "${node.name}"`, node);
+      }
+      return scope.get(node.name);
+
+    case 'CallExpression':
+      if (node.callee.type === 'MemberExpression' && !node.callee.computed && node.callee.property.type === 'Identifier') {
+        return evaluateFieldsProjection(node, scope);
+      }
+      fail('Function calls are not allowed', node);
+      break;
+
+    default:
+      fail(`Unsupported expression: ${describeNode(node)}`, node);
+  }
+}
+
+function declareVariables(declaration, scope) {
+  declaration.declarations.forEach(declarator => {
+    if (declarator.id.type !== 'Identifier') {
+      fail('Destructuring declarations are not allowed', declarator.id);
+    }
+    if (scope.has(declarator.id.name)) {
+      fail(`"${declarator.id.name}" is declared more than once`, declarator.id);
+    }
+    scope.set(declarator.id.name, declarator.init ? evaluateNode(declarator.init, scope) : undefined);
+  });
+}
+
+function collectExports(program, scope) {
+  const exported = new Map();
+
+  program.body.forEach(statement => {
+    switch (statement.type) {
+      case 'VariableDeclaration':
+        declareVariables(statement, scope);
+        break;
+
+      case 'ExportNamedDeclaration':
+        if (statement.source) {
+          fail('Re-exporting from other modules is not allowed', statement.source);
+        }
+        if (statement.declaration) {
+          if (statement.declaration.type !== 'VariableDeclaration') {
+            fail(`Only variable declarations can be exported (found ${describeNode(statement.declaration)})`, statement.declaration);
+          }
+          declareVariables(statement.declaration, scope);
+          statement.declaration.declarations.forEach(declarator => {
+            exported.set(declarator.id.name, scope.get(declarator.id.name));
+          });
+        }
+        statement.specifiers.forEach(specifier => {
+          const localName = specifier.local.name;
+          if (!scope.has(localName)) {
+            fail(`Exported name "${localName}" is not declared`, specifier.local);
+          }
+          const exportedName = specifier.exported.type === 'Identifier' ? specifier.exported.name : specifier.exported.value;
+          exported.set(exportedName, scope.get(localName));
+        });
+        break;
+
+      case 'ExportDefaultDeclaration':
+        exported.set('default', evaluateNode(statement.declaration, scope));
+        break;
+
+      case 'EmptyStatement':
+        break;
+
+      default:
+        fail(`Unsupported statement: ${describeNode(statement)}`, statement);
+    }
+  });
+
+  return exported;
+}
+
+function looksLikeSchema(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    (Array.isArray(value.stages) || Array.isArray(value.fields));
+}
+
+function pickSchemaExport(exported, scope) {
+  for (const name of PREFERRED_EXPORTS) {
+    if (exported.has(name)) {
+      return exported.get(name);
+    }
+  }
+
+  const candidates = [...exported.values()].filter(looksLikeSchema);
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+  if (candidates.length > 1) {
+    fail(`Multiple schema-like exports found (${[...exported.keys()].join(', ')}); export one as "formSchema"`);
+  }
+
+  // Files without exports: fall back to a top-level `formSchema` declaration.
+  if (exported.size === 0 && looksLikeSchema(scope.get('formSchema'))) {
+    return scope.get('formSchema');
+  }
+
+  fail(exported.size === 0
+    ? 'No exported schema found; expected `export const formSchema = {...}` or `export default {...}`'
+    : `No schema export found among: ${[...exported.keys()].join(', ')}`);
+}
+
+// Parse the source of a schema module and return the schema object.
+// Throws SchemaParseError (with line/column where available) on any unsupported construct.
+function parseSchemaModule(source) {
+  let program;
+  try {
+    program = acorn.parse(source, { ecmaVersion: 'latest', sourceType: 'module', locations: true });
+  } catch (error) {
+    throw new SchemaParseError(`Syntax error: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`, error.loc || null);
+  }
+
+  const scope = new Map();
+  const exported = collectExports(program, scope);
+  return pickSchemaExport(exported, scope);
+}
+
+function positionToLocation(source, position) {
+  const before = source.slice(0, position);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length };
+}
+
+function parseJsonSchema(source) {
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    const match = /at position (\d+)/.exec(error.message);
+    const position = match ? Number(match[1]) : source.length;
+    throw new SchemaParseError(`Invalid JSON: ${error.message.replace(/\s*\(line \d+ column \d+\)$/, '')}`, positionToLocation(source, position));
+  }
+}
+
+// Parse an uploaded schema file. `.json` files must be strict JSON; anything else is
+// tried as JSON first and then parsed statically as an ES module.
+function parseSchemaFile(source, filename = '') {
+  if (filename.toLowerCase().endsWith('.json')) {
+    return parseJsonSchema(source);
+  }
+
+  try {
+    return JSON.parse(source);
+  } catch (e) {
+    return parseSchemaModule(source);
+  }
+}
+
+module.exports = {
+  SchemaParseError,
+  parseSchemaFile,
+  parseSchemaModule
+};
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+
+// File-backed schema library. Each schema is stored as `<id>.json` inside the store
+// directory, wrapped in a record with creation/update timestamps.
+// Every save also writes an immutable version to `versions/<id>/<n>.json`; versions are
+// kept when a schema is deleted so that re-creating it continues the same history.
+
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+class SchemaStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SchemaStoreError';
+    this.status = status;
+  }
+}
+
+function assertValidId(id) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new SchemaStoreError('Schema ID may only contain letters, numbers, ".", "_" and "-"');
+  }
+}
+
+function assertValidSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new SchemaStoreError('Invalid schema structure');
+  }
+  if (!Array.isArray(schema.stages)) {
+    throw new SchemaStoreError('Schema must have a stages array');
+  }
+}
+
+function countFields(schema) {
+  return (schema.stages || []).reduce((count, stage) => count + ((stage && stage.fields) || []).length, 0);
+}
+
+function summarize(record) {
+  return {
+    id: record.id,
+    version: record.version || null,
+    stageCount: (record.schema.stages || []).length,
+    fieldCount: countFields(record.schema),
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+function summarizeVersion(entry) {
+  return {
+    version: entry.version,
+    createdAt: entry.createdAt,
+    author: entry.author,
+    message: entry.message,
+    stageCount: (entry.schema.stages || []).length,
+    fieldCount: countFields(entry.schema)
+  };
+}
+
+function normalizeMeta(meta = {}) {
+  const clean = value => (typeof value === 'string' ? value.trim().slice(0, 500) : '');
+  return {
+    author: clean(meta.author) || 'anonymous',
+    message: clean(meta.message)
+  };
+}
+
+class SchemaStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    fs.mkdirSync(this.rootDir, { recursive: true });
+  }
+
+  _filePath(id) {
+    assertValidId(id);
+    return path.join(this.rootDir, `${id}.json`);
+  }
+
+  _read(id) {
+    const filePath = this._filePath(id);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  _write(record) {
+    const filePath = this._filePath(record.id);
+    // Write to a temp file first so a crash never leaves a half-written schema behind
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(record, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  _versionsDir(id) {
+    assertValidId(id);
+    return path.join(this.rootDir, 'versions', id);
+  }
+
+  _versionNumbers(id) {
+    const dir = this._versionsDir(id);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .map(name => /^(\d+)\.json$/.exec(name))
+      .filter(Boolean)
+      .map(match => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  _recordVersion(id, schema, meta) {
+    const dir = this._versionsDir(id);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const numbers = this._versionNumbers(id);
+    const version = numbers.length ? numbers[numbers.length - 1] + 1 : 1;
+    const entry = {
+      version,
+      createdAt: new Date().toISOString(),
+      ...normalizeMeta(meta),
+      schema
+    };
+
+    // 'wx' refuses to overwrite: versions are immutable
+    fs.writeFileSync(path.join(dir, `${version}.json`), JSON.stringify(entry, null, 2), { flag: 'wx' });
+    return entry;
+  }
+
+  list() {
+    return fs.readdirSync(this.rootDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => this._read(path.basename(name, '.json')))
+      .filter(Boolean)
+      .map(summarize)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  get(id) {
+    const record = this._read(id);
+    if (!record) {
+      throw new SchemaStoreError(`Schema "${id}" not found`, 404);
+    }
+    return record;
+  }
+
+  // `meta` is `{ author, message }` and is recorded with the new version
+  create(schema, meta) {
+    assertValidSchema(schema);
+    const id = schema.id;
+    assertValidId(id);
+
+    if (this._read(id)) {
+      throw new SchemaStoreError(`Schema "${id}" already exists`, 409);
+    }
+
+    const entry = this._recordVersion(id, schema, meta);
+    const record = { id, version: entry.version, schema, createdAt: entry.createdAt, updatedAt: entry.createdAt };
+    this._write(record);
+    return record;
+  }
+
+  update(id, schema, meta) {
+    assertValidSchema(schema);
+    const existing = this.get(id);
+
+    const nextSchema = { ...schema, id };
+    const entry = this._recordVersion(id, nextSchema, meta);
+    const record = {
+      ...existing,
+      version: entry.version,
+      schema: nextSchema,
+      updatedAt: entry.createdAt
+    };
+    this._write(record);
+    return record;
+  }
+
+  listVersions(id) {
+    this.get(id);
+    return this._versionNumbers(id)
+      .reverse()
+      .map(version => summarizeVersion(this.getVersion(id, version)));
+  }
+
+  getVersion(id, version) {
+    const number = Number(version);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new SchemaStoreError('Version must be a positive integer');
+    }
+
+    const filePath = path.join(this._versionsDir(id), `${number}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new SchemaStoreError(`Version ${number} of "${id}" not found`, 404);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Restoring never rewrites history: the old content is saved as a new version
+  restoreVersion(id, version, meta = {}) {
+    const entry = this.getVersion(id, version);
+    return this.update(id, entry.schema, {
+      author: meta.author,
+      message: meta.message || `Restored version ${entry.version}`
+    });
+  }
+
+  delete(id) {
+    const filePath = this._filePath(id);
+    if (!fs.existsSync(filePath)) {
+      throw new SchemaStoreError(`Schema "${id}" not found`, 404);
+    }
+    fs.unlinkSync(filePath);
+  }
+}
+
+module.exports = {
+  SchemaStore,
+  SchemaStoreError
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File-backed store for form submissions. Each submission is written once to
+// `<schemaId>/<submissionId>.json`; IDs start with the receive time so a directory
+// listing is already in chronological order.
+
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+
+class SubmissionStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SubmissionStoreError';
+    this.status = status;
+  }
+}
+
+function assertValidId(id, label) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new SubmissionStoreError(`${label} may only contain letters, numbers, ".", "_" and "-"`);
+  }
+}
+
+class SubmissionStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    fs.mkdirSync(this.rootDir, { recursive: true });
+  }
+
+  _schemaDir(schemaId) {
+    assertValidId(schemaId, 'Schema ID');
+    return path.join(this.rootDir, schemaId);
+  }
+
+  _ids(schemaId) {
+    const dir = this._schemaDir(schemaId);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.basename(name, '.json'))
+      .sort();
+  }
+
+  // `meta.libraryVersion` records which library revision the submission was validated
+  // against (not the schema's format version, `schemaVersion`)
+  create(schemaId, data, meta = {}) {
+    const dir = this._schemaDir(schemaId);
+    fs.mkdirSync(dir, { recursive: true });
+
+    const now = new Date();
+    const id = `${now.getTime()}-${crypto.randomBytes(4).toString('hex')}`;
+    const record = {
+      id,
+      schemaId,
+      libraryVersion: meta.libraryVersion || null,
+      submittedAt: now.toISOString(),
+      data
+    };
+
+    // 'wx' refuses to overwrite: submissions are immutable
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2), { flag: 'wx' });
+    return record;
+  }
+
+  // Newest first
+  list(schemaId) {
+    return this._ids(schemaId)
+      .reverse()
+      .map(id => this.get(schemaId, id));
+  }
+
+  get(schemaId, id) {
+    assertValidId(id, 'Submission ID');
+    const filePath = path.join(this._schemaDir(schemaId), `${id}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new SubmissionStoreError(`Submission "${id}" not found`, 404);
+    }
+    const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    // Older records stored the library revision as `schemaVersion`
+    if (!('libraryVersion' in record) && 'schemaVersion' in record) {
+      return Object.fromEntries(Object.entries(record).map(([key, value]) => [key === 'schemaVersion' ? 'libraryVersion' : key, value]));
+    }
+    return record;
+  }
+}
+
+module.exports = {
+  SubmissionStore,
+  SubmissionStoreError
+};
@@ -0,0 +1,27 @@
+// Server-side processing of form submissions.
+// The rules live in the runtime's validation module (src/validation.js), so a payload is
+// checked exactly as the browser checked it before posting: hidden fields are pruned with
+// the runtime's visibility rules, visible fields are validated, and the stored payload is
+// rebuilt from what is left.
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// The runtime modules are ESM; load them once and share the promise
+const validationReady = import(pathToFileURL(path.join(__dirname, '..', 'src', 'validation.js')).href);
+
+/**
+ * @param {object} schema Stored schema
+ * @param {object} payload Submitted data (as built by the runtime's _buildSubmissionPayload)
+ * @param {{ locale?: string }} [options] Language of the default error messages
+ * @returns {Promise<{ valid: boolean, errors: object, data: object }>} `errors` maps field
+ *   names to messages; `data` is the payload with hidden and unknown fields removed
+ */
+async function processSubmission(schema, payload, options = {}) {
+  const { validateSubmission } = await validationReady;
+  return validateSubmission(schema, payload, options);
+}
+
+module.exports = {
+  processSubmission
+};
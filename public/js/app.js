@@ -52,6 +52,63 @@ function setupEventHandlers() {
         e.preventDefault();
         handleDownloadSchema('minified');
     });
+    document.getElementById('downloadJsonSchemaBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        handleDownloadSchema('jsonschema');
+    });
+    document.getElementById('downloadTypeScriptBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        handleDownloadSchema('typescript');
+    });
+    document.getElementById('downloadZodBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        handleDownloadSchema('zod');
+    });
+    document.getElementById('downloadYupBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        handleDownloadSchema('yup');
+    });
+    document.getElementById('downloadReactBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        handleDownloadSchema('react');
+    });
+    document.getElementById('downloadXlsxBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        handleDownloadSchema('xlsx');
+    });
+    document.getElementById('downloadCsvBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        handleDownloadSchema('csv');
+    });
+    document.getElementById('downloadHtmlBtn').addEventListener('click', (e) => {
+        e.preventDefault();
+        handleDownloadStandalone();
+    });
+    document.getElementById('confirmStandaloneBtn').addEventListener('click', handleConfirmStandalone);
+
+    // Success screen and hosted form
+    document.getElementById('successScreenBtn').addEventListener('click', handleEditSuccessScreen);
+    document.getElementById('saveSuccessScreenBtn').addEventListener('click', handleSaveSuccessScreen);
+    document.getElementById('openHostedFormBtn').addEventListener('click', handleOpenHostedForm);
+
+    // Cross-field rules
+    document.getElementById('rulesBtn').addEventListener('click', () => {
+        ui.openRulesEditor();
+    });
+    document.getElementById('saveRulesBtn').addEventListener('click', () => {
+        ui.saveRules();
+    });
+
+    // Import buttons
+    document.getElementById('importSchemaBtn').addEventListener('click', handleImportSchema);
+    document.getElementById('confirmImportBtn').addEventListener('click', handleConfirmImport);
+
+    // Library buttons
+    document.getElementById('openLibraryBtn').addEventListener('click', handleOpenLibrary);
+    document.getElementById('saveLibraryBtn').addEventListener('click', handleSaveToLibrary);
+    document.getElementById('confirmSaveLibraryBtn').addEventListener('click', handleConfirmSaveToLibrary);
+    document.getElementById('historyBtn').addEventListener('click', handleShowHistory);
+    document.getElementById('compareVersionsBtn').addEventListener('click', handleCompareVersions);
 
     // Schema ID input
     document.getElementById('schemaIdInput').addEventListener('change', (e) => {
@@ -60,6 +117,9 @@ function setupEventHandlers() {
 
     // Lint schema button
     document.getElementById('lintSchemaBtn').addEventListener('click', handleLintSchema);
+    document.getElementById('applyLintFixBtn').addEventListener('click', () => {
+        ui.applyLintFixes();
+    });
 
     // Stage buttons
     document.getElementById('addStageBtn').addEventListener('click', () => {
@@ -148,7 +208,7 @@ async function handleUploadSchema(e) {
     try {
         await schemaManager.uploadSchema(file);
         ui.render();
-        ui.showAlert('Schema uploaded successfully', 'success');
+        ui.showAlert('Schema uploaded successfully' + SchemaMigrations.describe(schemaManager.migrationReport), 'success');
     } catch (error) {
         console.error('Upload error:', error);
         ui.showAlert('Upload failed: ' + error.message, 'danger');
@@ -159,7 +219,7 @@ async function handleUploadSchema(e) {
 }
 
 // Handle download schema
-async function handleDownloadSchema(format = 'js') {
+async function handleDownloadSchema(format = 'js', options = {}) {
     // Validate schema before download
     const errors = schemaManager.validateSchema();
     if (errors.length > 0) {
@@ -170,8 +230,8 @@ async function handleDownloadSchema(format = 'js') {
     }
 
     try {
-        await schemaManager.downloadSchema(format);
-        const formatNames = { js: 'JavaScript', json: 'JSON', minified: 'Minified JSON' };
+        await schemaManager.downloadSchema(format, options);
+        const formatNames = { js: 'JavaScript', json: 'JSON', minified: 'Minified JSON', jsonschema: 'JSON Schema', typescript: 'TypeScript', zod: 'Zod', yup: 'Yup', react: 'React component', html: 'Standalone HTML', xlsx: 'Excel field list', csv: 'CSV field list' };
         ui.showAlert(`Schema downloaded as ${formatNames[format]}`, 'success');
     } catch (error) {
         console.error('Download error:', error);
@@ -179,6 +239,211 @@ async function handleDownloadSchema(format = 'js') {
     }
 }
 
+// Handle standalone HTML download: ask for the submit URL first
+function handleDownloadStandalone() {
+    document.getElementById('standaloneSubmitUrl').value = localStorage.getItem('formBuilder_submitUrl') || '';
+    document.getElementById('standaloneSuccessMessage').value = '';
+    ui.standaloneModal.show();
+}
+
+// Handle confirm in the standalone HTML modal
+async function handleConfirmStandalone() {
+    const submitUrl = document.getElementById('standaloneSubmitUrl').value.trim();
+    const successMessage = document.getElementById('standaloneSuccessMessage').value.trim();
+
+    if (!submitUrl) {
+        ui.showAlert('Please enter the URL the form should submit to', 'warning');
+        return;
+    }
+    localStorage.setItem('formBuilder_submitUrl', submitUrl);
+
+    ui.standaloneModal.hide();
+    await handleDownloadSchema('html', { submitUrl, successMessage });
+}
+
+// Handle success screen button
+function handleEditSuccessScreen() {
+    const settings = schemaManager.schema.successScreen || {};
+    document.getElementById('successTitleInput').value = settings.title || '';
+    document.getElementById('successMessageInput').value = settings.message || '';
+    document.getElementById('successLinkUrlInput').value = settings.linkUrl || '';
+    document.getElementById('successLinkTextInput').value = settings.linkText || '';
+    ui.successScreenModal.show();
+}
+
+// Handle save in the success screen modal
+function handleSaveSuccessScreen() {
+    const linkUrl = document.getElementById('successLinkUrlInput').value.trim();
+    if (linkUrl && !/^(https?:\/\/|\/(?!\/))/i.test(linkUrl)) {
+        ui.showAlert('The link must be an http(s) URL or a path starting with "/"', 'warning');
+        return;
+    }
+
+    schemaManager.updateSuccessScreen({
+        title: document.getElementById('successTitleInput').value,
+        message: document.getElementById('successMessageInput').value,
+        linkUrl,
+        linkText: document.getElementById('successLinkTextInput').value
+    });
+    ui.successScreenModal.hide();
+    ui.render();
+    ui.showAlert('Success screen updated', 'success');
+}
+
+// Handle hosted form button: the page shows the version saved in the library
+function handleOpenHostedForm() {
+    const url = schemaManager.getHostedFormUrl();
+    if (!url) {
+        return;
+    }
+    window.open(url, '_blank', 'noopener');
+}
+
+// Handle import button
+function handleImportSchema() {
+    document.getElementById('importForm').reset();
+    ui.renderImportReport(null);
+    ui.importModal.show();
+}
+
+// Handle confirm in the import modal. The modal stays open when the report lists
+// constructs that were left out, so they can be reviewed.
+async function handleConfirmImport() {
+    const sourceFile = document.getElementById('importSourceFile').files[0];
+    const uiSchemaFile = document.getElementById('importUiSchemaFile').files[0];
+    const format = document.getElementById('importFormat').value;
+
+    if (!sourceFile) {
+        ui.showAlert('Please choose a file to import', 'warning');
+        return;
+    }
+
+    if (schemaManager.hasUnsavedChanges &&
+        !confirm('Import this file? Unsaved changes to the current schema will be lost.')) {
+        return;
+    }
+
+    try {
+        const report = await schemaManager.importSchema(sourceFile, { format, uiSchemaFile });
+        ui.render();
+        ui.renderImportReport(report);
+
+        if (report.unmapped.length === 0) {
+            ui.importModal.hide();
+            ui.showAlert('Schema imported successfully', 'success');
+        } else {
+            ui.showAlert(`Schema imported with ${report.unmapped.length} unmapped construct(s)`, 'warning');
+        }
+    } catch (error) {
+        console.error('Import error:', error);
+        ui.renderImportReport(null);
+        ui.showAlert('Import failed: ' + error.message, 'danger');
+    }
+}
+
+// Handle open from library
+async function handleOpenLibrary() {
+    try {
+        const schemas = await schemaManager.listLibrarySchemas();
+        ui.renderLibraryList(schemas);
+        ui.libraryModal.show();
+    } catch (error) {
+        console.error('Library error:', error);
+        ui.showAlert('Failed to load library: ' + error.message, 'danger');
+    }
+}
+
+// Handle save to library - validate, then ask for author and change description
+function handleSaveToLibrary() {
+    const errors = schemaManager.validateSchema();
+    if (errors.length > 0) {
+        const message = 'Schema has validation errors:\n\n' + errors.join('\n');
+        if (!confirm(message + '\n\nSave anyway?')) {
+            return;
+        }
+    }
+
+    document.getElementById('versionAuthor').value = localStorage.getItem('formBuilder_author') || '';
+    document.getElementById('versionMessage').value = '';
+    ui.saveLibraryModal.show();
+}
+
+// Handle confirm in the save to library modal
+async function handleConfirmSaveToLibrary() {
+    const author = document.getElementById('versionAuthor').value.trim();
+    const message = document.getElementById('versionMessage').value.trim();
+
+    if (author) {
+        localStorage.setItem('formBuilder_author', author);
+    }
+
+    try {
+        await schemaManager.saveToLibrary({ author, message });
+    } catch (error) {
+        if (error.status !== 409) {
+            console.error('Library error:', error);
+            ui.showAlert('Save failed: ' + error.message, 'danger');
+            return;
+        }
+
+        if (!confirm(`A schema with ID "${schemaManager.schema.id}" already exists in the library. Overwrite it?`)) {
+            return;
+        }
+
+        try {
+            await schemaManager.saveToLibrary({ overwrite: true, author, message });
+        } catch (retryError) {
+            console.error('Library error:', retryError);
+            ui.showAlert('Save failed: ' + retryError.message, 'danger');
+            return;
+        }
+    }
+
+    ui.saveLibraryModal.hide();
+    ui.updateSchemaInfo();
+    ui.showAlert(`Schema "${schemaManager.schema.id}" saved to library`, 'success');
+}
+
+// Handle show version history
+async function handleShowHistory() {
+    if (!schemaManager.librarySchemaId) {
+        ui.showAlert('Save the schema to the library to start recording its history', 'info');
+        return;
+    }
+
+    try {
+        const versions = await schemaManager.listVersions();
+        ui.renderVersionHistory(versions);
+        ui.historyModal.show();
+    } catch (error) {
+        console.error('History error:', error);
+        ui.showAlert('Failed to load history: ' + error.message, 'danger');
+    }
+}
+
+// Handle compare of the two selected versions
+async function handleCompareVersions() {
+    const from = document.querySelector('input[name="diffFrom"]:checked');
+    const to = document.querySelector('input[name="diffTo"]:checked');
+    if (!from || !to) {
+        ui.showAlert('Select a "From" and a "To" version to compare', 'warning');
+        return;
+    }
+
+    const loadVersion = async (value) => value === 'current'
+        ? { label: 'working copy', schema: schemaManager.schema }
+        : { label: `v${value}`, schema: (await schemaManager.getVersion(value)).schema };
+
+    try {
+        const [before, after] = await Promise.all([loadVersion(from.value), loadVersion(to.value)]);
+        const diff = SchemaDiff.compare(before.schema, after.schema);
+        ui.renderSchemaDiff(diff, document.getElementById('historyDiff'), { fromLabel: before.label, toLabel: after.label });
+    } catch (error) {
+        console.error('Compare error:', error);
+        ui.showAlert('Compare failed: ' + error.message, 'danger');
+    }
+}
+
 // Check for auto-saved data
 function checkForAutoSavedData() {
     const saved = schemaManager.loadFromLocalStorage();
@@ -190,7 +455,7 @@ function checkForAutoSavedData() {
         if (confirm(`Found auto-saved schema from ${timeAgo}. Would you like to restore it?`)) {
             schemaManager.loadSchema(saved.schema);
             ui.render();
-            ui.showAlert('Schema restored from auto-save', 'success');
+            ui.showAlert('Schema restored from auto-save' + SchemaMigrations.describe(schemaManager.migrationReport), 'success');
         } else {
             schemaManager.clearLocalStorage();
         }
@@ -212,13 +477,13 @@ function handleLintSchema() {
     const issues = schemaManager.lintSchema();
     ui.renderLintResults(issues);
 
-    const total = issues.errors.length + issues.warnings.length + issues.suggestions.length;
+    const counts = SchemaLint.countBySeverity(issues);
 
-    if (total === 0) {
+    if (issues.length === 0) {
         ui.showToast('No issues found', 'success');
     } else {
-        const message = `Found ${issues.errors.length} error(s), ${issues.warnings.length} warning(s), ${issues.suggestions.length} suggestion(s)`;
-        ui.showToast(message, issues.errors.length > 0 ? 'danger' : 'warning');
+        const message = `Found ${counts.error} error(s), ${counts.warning} warning(s), ${counts.suggestion} suggestion(s)`;
+        ui.showToast(message, counts.error > 0 ? 'danger' : 'warning');
     }
 }
 
@@ -1,6 +1,628 @@
 (() => {
+  var __create = Object.create;
+  var __defProp = Object.defineProperty;
+  var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+  var __getOwnPropNames = Object.getOwnPropertyNames;
+  var __getProtoOf = Object.getPrototypeOf;
+  var __hasOwnProp = Object.prototype.hasOwnProperty;
+  var __commonJS = (cb, mod) => function __require() {
+    return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+  };
+  var __copyProps = (to, from, except, desc) => {
+    if (from && typeof from === "object" || typeof from === "function") {
+      for (let key of __getOwnPropNames(from))
+        if (!__hasOwnProp.call(to, key) && key !== except)
+          __defProp(to, key, { get: () => from[key], enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable });
+    }
+    return to;
+  };
+  var __toESM = (mod, isNodeMode, target) => (target = mod != null ? __create(__getProtoOf(mod)) : {}, __copyProps(
+    // If the importer is in node compatibility mode or this is not an ESM
+    // file that has been converted to a CommonJS file using a Babel-
+    // compatible transform (i.e. "__esModule" has not been set), then set
+    // "default" to the CommonJS "module.exports" for node compatibility.
+    isNodeMode || !mod || !mod.__esModule ? __defProp(target, "default", { value: mod, enumerable: true }) : target,
+    mod
+  ));
+
+  // public/js/schemaConditions.js
+  var require_schemaConditions = __commonJS({
+    "public/js/schemaConditions.js"(exports, module) {
+      var SchemaConditions2 = class _SchemaConditions {
+        static get OPERATORS() {
+          return [
+            "equals",
+            "notEquals",
+            "in",
+            "notIn",
+            "gt",
+            "gte",
+            "lt",
+            "lte",
+            "contains",
+            "matches",
+            "isEmpty",
+            "isNotEmpty",
+            "isChecked"
+          ];
+        }
+        static isEmpty(value) {
+          if (Array.isArray(value)) {
+            return value.length === 0;
+          }
+          return value === void 0 || value === null || value === false || String(value).trim() === "";
+        }
+        // Negative, zero or positive like a sort comparator; null when the value cannot be
+        // compared with the operand (empty, not a number, or not a date for a date operand)
+        static compare(value, operand) {
+          if (_SchemaConditions.isEmpty(value) || value === true) {
+            return null;
+          }
+          const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+          if (typeof operand === "string" && datePattern.test(operand)) {
+            const text = String(value);
+            if (!datePattern.test(text)) {
+              return null;
+            }
+            return text < operand ? -1 : text > operand ? 1 : 0;
+          }
+          const number = Number(value);
+          const limit = Number(operand);
+          if (!Number.isFinite(number) || !Number.isFinite(limit) || operand === "" || operand === null) {
+            return null;
+          }
+          return number - limit;
+        }
+        // Whether one operator holds for a value; unknown operators never hold
+        static test(operator, value, operand) {
+          const comparison = () => _SchemaConditions.compare(value, operand);
+          switch (operator) {
+            case "equals":
+              return value === operand;
+            case "notEquals":
+              return value !== operand;
+            case "in":
+              return Array.isArray(operand) && operand.includes(value);
+            case "notIn":
+              return !Array.isArray(operand) || !operand.includes(value);
+            case "gt":
+              return (comparison() ?? 0) > 0;
+            case "gte":
+              return (comparison() ?? -1) >= 0;
+            case "lt":
+              return (comparison() ?? 0) < 0;
+            case "lte":
+              return (comparison() ?? 1) <= 0;
+            case "contains":
+              if (Array.isArray(value)) {
+                return value.includes(operand);
+              }
+              return typeof value === "string" && value.includes(String(operand));
+            case "matches":
+              try {
+                return new RegExp(operand).test(value === void 0 || value === null ? "" : String(value));
+              } catch (error) {
+                return false;
+              }
+            case "isEmpty":
+              return _SchemaConditions.isEmpty(value) === (operand !== false);
+            case "isNotEmpty":
+              return _SchemaConditions.isEmpty(value) !== (operand !== false);
+            case "isChecked":
+              return value === true === (operand !== false);
+            default:
+              return false;
+          }
+        }
+        static evaluate(condition, values) {
+          if (Array.isArray(condition.all)) {
+            return condition.all.every((item) => _SchemaConditions.evaluate(item, values));
+          }
+          if (Array.isArray(condition.any)) {
+            return condition.any.some((item) => _SchemaConditions.evaluate(item, values));
+          }
+          if (condition.not && typeof condition.not === "object") {
+            return !_SchemaConditions.evaluate(condition.not, values);
+          }
+          const value = values[condition.field];
+          return _SchemaConditions.OPERATORS.filter((operator) => Object.prototype.hasOwnProperty.call(condition, operator)).every((operator) => _SchemaConditions.test(operator, value, condition[operator]));
+        }
+        // Names of every field a condition reads, groups included
+        static getFields(condition) {
+          if (!condition || typeof condition !== "object") {
+            return [];
+          }
+          if (Array.isArray(condition.all)) {
+            return condition.all.flatMap((item) => _SchemaConditions.getFields(item));
+          }
+          if (Array.isArray(condition.any)) {
+            return condition.any.flatMap((item) => _SchemaConditions.getFields(item));
+          }
+          if (condition.not && typeof condition.not === "object") {
+            return _SchemaConditions.getFields(condition.not);
+          }
+          return condition.field ? [condition.field] : [];
+        }
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = { SchemaConditions: SchemaConditions2 };
+      }
+    }
+  });
+
+  // public/js/schemaExpressions.js
+  var require_schemaExpressions = __commonJS({
+    "public/js/schemaExpressions.js"(exports, module) {
+      var SchemaExpressions2 = class _SchemaExpressions {
+        // name: minimum and maximum argument count (max null: any number) and the signature
+        // shown in messages and the editor's help text
+        static get FUNCTIONS() {
+          return {
+            round: { min: 1, max: 2, signature: "round(x, digits)" },
+            floor: { min: 1, max: 1, signature: "floor(x)" },
+            ceil: { min: 1, max: 1, signature: "ceil(x)" },
+            abs: { min: 1, max: 1, signature: "abs(x)" },
+            min: { min: 1, max: null, signature: "min(a, b, ...)" },
+            max: { min: 1, max: null, signature: "max(a, b, ...)" },
+            sum: { min: 1, max: null, signature: "sum(a, b, ...)" },
+            if: { min: 3, max: 3, signature: "if(condition, then, else)" },
+            concat: { min: 1, max: null, signature: "concat(a, b, ...)" },
+            upper: { min: 1, max: 1, signature: "upper(text)" },
+            lower: { min: 1, max: 1, signature: "lower(text)" },
+            trim: { min: 1, max: 1, signature: "trim(text)" },
+            today: { min: 0, max: 0, signature: "today()" },
+            year: { min: 1, max: 1, signature: "year(date)" },
+            month: { min: 1, max: 1, signature: "month(date)" },
+            day: { min: 1, max: 1, signature: "day(date)" },
+            age: { min: 1, max: 1, signature: "age(birthDate)" },
+            yearsBetween: { min: 2, max: 2, signature: "yearsBetween(from, to)" },
+            daysBetween: { min: 2, max: 2, signature: "daysBetween(from, to)" },
+            addDays: { min: 2, max: 2, signature: "addDays(date, days)" }
+          };
+        }
+        static tokenize(source) {
+          const tokens = [];
+          const text = String(source);
+          let index = 0;
+          while (index < text.length) {
+            const rest = text.slice(index);
+            const space = /^\s+/.exec(rest);
+            if (space) {
+              index += space[0].length;
+              continue;
+            }
+            const number = /^(?:\d+(?:\.\d*)?|\.\d+)/.exec(rest);
+            const name = /^[\p{L}_$][\p{L}\p{N}_$]*/u.exec(rest);
+            const operator = /^(?:==|!=|<=|>=|[-+*/%<>(),])/.exec(rest);
+            if (number) {
+              tokens.push({ type: "number", value: Number(number[0]), position: index });
+              index += number[0].length;
+            } else if (name) {
+              tokens.push({ type: "name", value: name[0], position: index });
+              index += name[0].length;
+            } else if (operator) {
+              tokens.push({ type: "operator", value: operator[0], position: index });
+              index += operator[0].length;
+            } else if (rest[0] === '"' || rest[0] === "'") {
+              const end = text.indexOf(rest[0], index + 1);
+              if (end === -1) {
+                throw new Error(`unterminated text starting at position ${index + 1}`);
+              }
+              tokens.push({ type: "string", value: text.slice(index + 1, end), position: index });
+              index = end + 1;
+            } else {
+              throw new Error(`unexpected "${rest[0]}" at position ${index + 1}`);
+            }
+          }
+          return tokens;
+        }
+        /**
+         * Parses an expression into its syntax tree. Throws an Error naming the position of
+         * the first problem; unknown functions and wrong argument counts are problems too.
+         * @returns {object} Nodes: { type: 'literal', value }, { type: 'field', name },
+         *   { type: 'negate', argument }, { type: 'binary', operator, left, right } and
+         *   { type: 'call', name, args }
+         */
+        static parse(source) {
+          const tokens = _SchemaExpressions.tokenize(source);
+          if (tokens.length === 0) {
+            throw new Error("the expression is empty");
+          }
+          let position = 0;
+          const peek = () => tokens[position];
+          const describe = (token) => token ? `"${token.value}" at position ${token.position + 1}` : "the end of the expression";
+          const isOperator = (token, ...operators) => Boolean(token) && token.type === "operator" && operators.includes(token.value);
+          const expect = (value) => {
+            const token = peek();
+            if (!isOperator(token, value)) {
+              throw new Error(`expected "${value}" but found ${describe(token)}`);
+            }
+            position++;
+          };
+          const parseBinary = (operators, parseOperand) => {
+            let left = parseOperand();
+            while (isOperator(peek(), ...operators)) {
+              const operator = tokens[position++].value;
+              left = { type: "binary", operator, left, right: parseOperand() };
+            }
+            return left;
+          };
+          const parsePrimary = () => {
+            const token = tokens[position++];
+            if (!token) {
+              throw new Error("the expression ends unexpectedly");
+            }
+            if (token.type === "number" || token.type === "string") {
+              return { type: "literal", value: token.value };
+            }
+            if (token.type === "name") {
+              if (token.value === "true" || token.value === "false") {
+                return { type: "literal", value: token.value === "true" };
+              }
+              if (!isOperator(peek(), "(")) {
+                return { type: "field", name: token.value };
+              }
+              const definition = Object.prototype.hasOwnProperty.call(_SchemaExpressions.FUNCTIONS, token.value) ? _SchemaExpressions.FUNCTIONS[token.value] : null;
+              if (!definition) {
+                throw new Error(`unknown function "${token.value}"`);
+              }
+              position++;
+              const args = [];
+              if (!isOperator(peek(), ")")) {
+                args.push(parseExpression());
+                while (isOperator(peek(), ",")) {
+                  position++;
+                  args.push(parseExpression());
+                }
+              }
+              expect(")");
+              if (args.length < definition.min || definition.max !== null && args.length > definition.max) {
+                throw new Error(`wrong number of arguments for ${definition.signature}`);
+              }
+              return { type: "call", name: token.value, args };
+            }
+            if (isOperator(token, "(")) {
+              const inner = parseExpression();
+              expect(")");
+              return inner;
+            }
+            position--;
+            throw new Error(`unexpected ${describe(token)}`);
+          };
+          const parseUnary = () => {
+            if (isOperator(peek(), "-")) {
+              position++;
+              return { type: "negate", argument: parseUnary() };
+            }
+            return parsePrimary();
+          };
+          const parseAdditive = () => parseBinary(["+", "-"], () => parseBinary(["*", "/", "%"], parseUnary));
+          const parseExpression = () => {
+            const left = parseAdditive();
+            if (isOperator(peek(), "==", "!=", "<", "<=", ">", ">=")) {
+              const operator = tokens[position++].value;
+              return { type: "binary", operator, left, right: parseAdditive() };
+            }
+            return left;
+          };
+          const tree = parseExpression();
+          if (position < tokens.length) {
+            throw new Error(`unexpected ${describe(peek())}`);
+          }
+          return tree;
+        }
+        // Problems with an expression, as messages (an empty list when it parses)
+        static check(source) {
+          try {
+            _SchemaExpressions.parse(source);
+            return [];
+          } catch (error) {
+            return [error.message];
+          }
+        }
+        // Names of the fields an expression reads, in order of appearance ([] when it does not parse)
+        static getFields(source) {
+          let tree;
+          try {
+            tree = _SchemaExpressions.parse(source);
+          } catch (error) {
+            return [];
+          }
+          const names = [];
+          const visit = (node) => {
+            if (node.type === "field") {
+              names.push(node.name);
+            } else if (node.type === "negate") {
+              visit(node.argument);
+            } else if (node.type === "binary") {
+              visit(node.left);
+              visit(node.right);
+            } else if (node.type === "call") {
+              node.args.forEach(visit);
+            }
+          };
+          visit(tree);
+          return [...new Set(names)];
+        }
+        /**
+         * Evaluates an expression against the form's values. Missing answers make arithmetic
+         * empty rather than zero; invalid results (division by zero, invalid dates) are empty.
+         * @param {string|object} expression Source text or a tree from parse()
+         * @param {object} values Answers keyed by field name
+         * @returns {number|string|boolean|null} null for an empty result or an invalid expression
+         */
+        static evaluate(expression, values = {}) {
+          let tree = expression;
+          if (typeof expression === "string") {
+            try {
+              tree = _SchemaExpressions.parse(expression);
+            } catch (error) {
+              return null;
+            }
+          }
+          return _SchemaExpressions.normalize(_SchemaExpressions.evaluateNode(tree, values || {}));
+        }
+        static evaluateNode(node, values) {
+          switch (node.type) {
+            case "literal":
+              return node.value;
+            case "field": {
+              const value = Object.prototype.hasOwnProperty.call(values, node.name) ? values[node.name] : null;
+              return value === void 0 ? null : value;
+            }
+            case "negate": {
+              const number = _SchemaExpressions.toNumber(_SchemaExpressions.evaluateNode(node.argument, values));
+              return number === null ? null : -number;
+            }
+            case "binary":
+              return _SchemaExpressions.applyOperator(
+                node.operator,
+                _SchemaExpressions.evaluateNode(node.left, values),
+                _SchemaExpressions.evaluateNode(node.right, values)
+              );
+            case "call":
+              return _SchemaExpressions.callFunction(node.name, node.args.map((arg) => _SchemaExpressions.evaluateNode(arg, values)));
+            default:
+              return null;
+          }
+        }
+        static isEmpty(value) {
+          return value === void 0 || value === null || value === "";
+        }
+        // Numbers, text holding a number, and checkboxes (true = 1); null otherwise
+        static toNumber(value) {
+          if (typeof value === "number") {
+            return Number.isFinite(value) ? value : null;
+          }
+          if (typeof value === "boolean") {
+            return value ? 1 : 0;
+          }
+          if (typeof value === "string" && value.trim() !== "") {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+          }
+          return null;
+        }
+        static toText(value) {
+          return _SchemaExpressions.isEmpty(value) ? "" : String(value);
+        }
+        // "+" adds when both sides are numbers (or text holding one) and joins text otherwise
+        static applyOperator(operator, left, right) {
+          const a = _SchemaExpressions.toNumber(left);
+          const b = _SchemaExpressions.toNumber(right);
+          switch (operator) {
+            case "+":
+              if (a !== null && b !== null) {
+                return a + b;
+              }
+              if ((a !== null || _SchemaExpressions.isEmpty(left)) && (b !== null || _SchemaExpressions.isEmpty(right))) {
+                return null;
+              }
+              return _SchemaExpressions.toText(left) + _SchemaExpressions.toText(right);
+            case "-":
+              return a === null || b === null ? null : a - b;
+            case "*":
+              return a === null || b === null ? null : a * b;
+            case "/":
+              return a === null || b === null || b === 0 ? null : a / b;
+            case "%":
+              return a === null || b === null || b === 0 ? null : a % b;
+            case "==":
+            case "!=": {
+              const equal = a !== null && b !== null ? a === b : _SchemaExpressions.toText(left) === _SchemaExpressions.toText(right);
+              return operator === "==" ? equal : !equal;
+            }
+            default: {
+              if (_SchemaExpressions.isEmpty(left) || _SchemaExpressions.isEmpty(right)) {
+                return null;
+              }
+              const order = a !== null && b !== null ? a - b : String(left).localeCompare(String(right));
+              if (operator === "<") return order < 0;
+              if (operator === "<=") return order <= 0;
+              if (operator === ">") return order > 0;
+              return order >= 0;
+            }
+          }
+        }
+        // A YYYY-MM-DD date (date inputs' value format) as a UTC Date, or null
+        static toDate(value) {
+          const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(_SchemaExpressions.toText(value).trim());
+          if (!match) {
+            return null;
+          }
+          const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+          return date.getUTCDate() === Number(match[3]) ? date : null;
+        }
+        static formatDate(date) {
+          return date.toISOString().slice(0, 10);
+        }
+        static today() {
+          const now = /* @__PURE__ */ new Date();
+          return _SchemaExpressions.formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+        }
+        static yearsBetween(fromValue, toValue) {
+          const from = _SchemaExpressions.toDate(fromValue);
+          const to = _SchemaExpressions.toDate(toValue);
+          if (!from || !to) {
+            return null;
+          }
+          let years = to.getUTCFullYear() - from.getUTCFullYear();
+          const beforeAnniversary = to.getUTCMonth() < from.getUTCMonth() || to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate();
+          if (beforeAnniversary) {
+            years--;
+          }
+          return years;
+        }
+        static callFunction(name, args) {
+          const numbers = args.map((arg) => _SchemaExpressions.toNumber(arg));
+          const present = numbers.filter((number) => number !== null);
+          const date = _SchemaExpressions.toDate(args[0]);
+          switch (name) {
+            case "round": {
+              if (numbers[0] === null) return null;
+              const factor = 10 ** (numbers[1] === null || numbers[1] === void 0 ? 0 : Math.trunc(numbers[1]));
+              return Math.round(numbers[0] * factor) / factor;
+            }
+            case "floor":
+              return numbers[0] === null ? null : Math.floor(numbers[0]);
+            case "ceil":
+              return numbers[0] === null ? null : Math.ceil(numbers[0]);
+            case "abs":
+              return numbers[0] === null ? null : Math.abs(numbers[0]);
+            case "min":
+              return numbers.includes(null) ? null : Math.min(...numbers);
+            case "max":
+              return numbers.includes(null) ? null : Math.max(...numbers);
+            case "sum":
+              return present.length ? present.reduce((total, number) => total + number, 0) : null;
+            case "if":
+              return _SchemaExpressions.isEmpty(args[0]) || args[0] === false || _SchemaExpressions.toNumber(args[0]) === 0 ? args[2] : args[1];
+            case "concat":
+              return args.map((arg) => _SchemaExpressions.toText(arg)).join("");
+            case "upper":
+              return _SchemaExpressions.toText(args[0]).toUpperCase();
+            case "lower":
+              return _SchemaExpressions.toText(args[0]).toLowerCase();
+            case "trim":
+              return _SchemaExpressions.toText(args[0]).trim();
+            case "today":
+              return _SchemaExpressions.today();
+            case "year":
+              return date ? date.getUTCFullYear() : null;
+            case "month":
+              return date ? date.getUTCMonth() + 1 : null;
+            case "day":
+              return date ? date.getUTCDate() : null;
+            case "age":
+              return _SchemaExpressions.yearsBetween(args[0], _SchemaExpressions.today());
+            case "yearsBetween":
+              return _SchemaExpressions.yearsBetween(args[0], args[1]);
+            case "daysBetween": {
+              const to = _SchemaExpressions.toDate(args[1]);
+              return date && to ? Math.round((to - date) / 864e5) : null;
+            }
+            case "addDays": {
+              if (!date || numbers[1] === null) {
+                return null;
+              }
+              const result = new Date(date.getTime() + Math.trunc(numbers[1]) * 864e5);
+              const year = result.getUTCFullYear();
+              return Number.isNaN(result.getTime()) || year < 0 || year > 9999 ? null : _SchemaExpressions.formatDate(result);
+            }
+            default:
+              return null;
+          }
+        }
+        // Empty text and non-finite numbers become null; float noise (0.1 * 3) is rounded away
+        static normalize(value) {
+          if (typeof value === "number") {
+            return Number.isFinite(value) ? parseFloat(value.toPrecision(12)) : null;
+          }
+          return value === "" || value === void 0 ? null : value;
+        }
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = { SchemaExpressions: SchemaExpressions2 };
+      }
+    }
+  });
+
+  // public/js/schemaRules.js
+  var require_schemaRules = __commonJS({
+    "public/js/schemaRules.js"(exports, module) {
+      var SchemaRules4 = class _SchemaRules {
+        // Hebrew defaults; the runtime's other locales are in src/messages.js
+        static get REQUIRED_MESSAGE() {
+          return "\u05E9\u05D3\u05D4 \u05D7\u05D5\u05D1\u05D4";
+        }
+        static get INVALID_MESSAGE() {
+          return "\u05E2\u05E8\u05DA \u05DC\u05D0 \u05EA\u05E7\u05D9\u05DF";
+        }
+        // Unanswered: unchecked checkboxes and blank text alike
+        static isEmpty(value) {
+          return value === void 0 || value === null || value === false || String(value).trim() === "";
+        }
+        // ISO dates compare as text, anything else as numbers; null when the two cannot be compared
+        static compare(value, other) {
+          const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+          const a = String(value).trim();
+          const b = String(other).trim();
+          if (datePattern.test(a) && datePattern.test(b)) {
+            return a === b ? 0 : a > b ? 1 : -1;
+          }
+          const numberA = Number(a);
+          const numberB = Number(b);
+          return Number.isFinite(numberA) && Number.isFinite(numberB) ? numberA - numberB : null;
+        }
+        // Whether the answers satisfy a rule. "after" and "equals" compare the target with
+        // `otherField` and wait until both have a value; "atLeastOne" and "sum" look at every
+        // field in `fields`. Unknown rule types pass (schema lint reports them). Works on form
+        // state and on submitted payloads alike.
+        static check(rule, values) {
+          const isEmpty = (name) => _SchemaRules.isEmpty(values[name]);
+          const fields = Array.isArray(rule.fields) ? rule.fields : [];
+          switch (rule.type) {
+            case "after":
+            case "equals": {
+              if (isEmpty(rule.field) || isEmpty(rule.otherField)) {
+                return true;
+              }
+              const value = values[rule.field];
+              const other = values[rule.otherField];
+              if (rule.type === "equals") {
+                return typeof value === "string" && typeof other === "string" ? value.trim() === other.trim() : value === other;
+              }
+              const comparison = _SchemaRules.compare(value, other);
+              return comparison === null || comparison > 0;
+            }
+            case "atLeastOne":
+              return fields.some((name) => !isEmpty(name));
+            case "sum": {
+              const total = fields.reduce((sum, name) => {
+                const number = isEmpty(name) ? 0 : Number(values[name]);
+                return sum + (Number.isFinite(number) ? number : 0);
+              }, 0);
+              const limit = (key) => rule[key] === void 0 || rule[key] === null || rule[key] === "" ? null : Number(rule[key]);
+              const min = limit("min");
+              const max = limit("max");
+              return !(min !== null && total < min) && !(max !== null && total > max);
+            }
+            default:
+              return true;
+          }
+        }
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = { SchemaRules: SchemaRules4 };
+      }
+    }
+  });
+
   // src/schemaUtils.js
-  var REQUIRED_MESSAGE = "\u05E9\u05D3\u05D4 \u05D7\u05D5\u05D1\u05D4";
+  var import_schemaConditions = __toESM(require_schemaConditions(), 1);
+  var import_schemaExpressions = __toESM(require_schemaExpressions(), 1);
+  var import_schemaRules = __toESM(require_schemaRules(), 1);
+  var REQUIRED_MESSAGE = import_schemaRules.SchemaRules.REQUIRED_MESSAGE;
   function isMultiStage(schema) {
     return Array.isArray(schema.stages) && schema.stages.length > 0;
   }
@@ -16,9 +638,44 @@
     }
     return schema.fields ?? [];
   }
+  var CONDITION_OPERATORS = import_schemaConditions.SchemaConditions.OPERATORS;
   function evaluateCondition(condition, state) {
-    const value = state[condition.field];
-    return value === condition.equals;
+    return import_schemaConditions.SchemaConditions.evaluate(condition, state);
+  }
+  function getConditionFields(condition) {
+    return import_schemaConditions.SchemaConditions.getFields(condition);
+  }
+  function shouldDisplayStage(stage, state) {
+    if (!stage?.showIf) {
+      return true;
+    }
+    return evaluateCondition(stage.showIf, state);
+  }
+  function findVisibleStage(schema, fromIndex, state) {
+    const index = schema.stages.findIndex((stage, i) => i >= fromIndex && shouldDisplayStage(stage, state));
+    return index === -1 ? null : index;
+  }
+  function getNextStageIndex(schema, stageIndex, state) {
+    if (!isMultiStage(schema)) {
+      return null;
+    }
+    const stages = schema.stages;
+    const rules = Array.isArray(stages[stageIndex]?.next) ? stages[stageIndex].next : [];
+    const targetIndex = (rule) => stages.findIndex((stage) => stage?.id === rule?.goTo);
+    const route = rules.find((rule) => targetIndex(rule) > stageIndex && (!rule.if || evaluateCondition(rule.if, state)));
+    return findVisibleStage(schema, route ? targetIndex(route) : stageIndex + 1, state);
+  }
+  function getStagePath(schema, state) {
+    if (!isMultiStage(schema)) {
+      return [0];
+    }
+    const path = [];
+    let index = findVisibleStage(schema, 0, state);
+    while (index !== null) {
+      path.push(index);
+      index = getNextStageIndex(schema, index, state);
+    }
+    return path;
   }
   function shouldDisplayField(field, state) {
     if (!field?.showIf) {
@@ -26,13 +683,271 @@
     }
     return evaluateCondition(field.showIf, state);
   }
+  function isFieldRequired(field, state) {
+    if (field?.required) {
+      return true;
+    }
+    return Boolean(field?.requiredIf) && evaluateCondition(field.requiredIf, state);
+  }
   function getVisibleFields(schema, state, stageIndex = null) {
-    return getFields(schema, stageIndex).filter((field) => !isPlainTextField(field)).filter((field) => shouldDisplayField(field, state));
+    let fields = getFields(schema, stageIndex);
+    if (isMultiStage(schema)) {
+      const path = getStagePath(schema, state);
+      fields = typeof stageIndex === "number" ? path.includes(stageIndex) ? fields : [] : path.flatMap((index) => schema.stages[index]?.fields ?? []);
+    }
+    return fields.filter((field) => !isPlainTextField(field)).filter((field) => shouldDisplayField(field, state));
+  }
+  function pruneHiddenState(schema, state) {
+    const multiStage = isMultiStage(schema);
+    const stages = multiStage ? schema.stages : [{ fields: getFields(schema) }];
+    let nextOnPath = multiStage ? findVisibleStage(schema, 0, state) : 0;
+    stages.forEach((stage, index) => {
+      const onPath = index === nextOnPath;
+      (stage?.fields ?? []).forEach((field) => {
+        if (!field?.name || !Object.prototype.hasOwnProperty.call(state, field.name)) {
+          return;
+        }
+        if (!onPath || field.showIf && !shouldDisplayField(field, state)) {
+          delete state[field.name];
+        }
+      });
+      if (onPath && multiStage) {
+        nextOnPath = getNextStageIndex(schema, index, state);
+      }
+    });
+  }
+  function isCalculatedField(field) {
+    return field?.type === "calculated";
+  }
+  function getExpressionFields(field) {
+    return isCalculatedField(field) && typeof field.expression === "string" ? import_schemaExpressions.SchemaExpressions.getFields(field.expression) : [];
+  }
+  function applyCalculatedFields(schema, state) {
+    const calculatedFields = getFields(schema).filter(isCalculatedField);
+    if (!calculatedFields.length) {
+      return;
+    }
+    const visibleNames = new Set(getVisibleFields(schema, state).map((field) => field.name));
+    calculatedFields.forEach((field) => {
+      const value = visibleNames.has(field.name) ? import_schemaExpressions.SchemaExpressions.evaluate(field.expression ?? "", state) : null;
+      if (value === null) {
+        delete state[field.name];
+      } else {
+        state[field.name] = value;
+      }
+    });
+  }
+  function getRules(schema) {
+    return (Array.isArray(schema?.rules) ? schema.rules : []).filter((rule) => rule && typeof rule === "object" && typeof rule.field === "string" && rule.field);
   }
   function isPlainTextField(field) {
     const type = String(field?.type ?? "").toLowerCase();
     return type === "plain text" || type === "plaintext";
   }
+  function toPayloadValue(field, value) {
+    if (field?.type === "number" && typeof value === "string") {
+      if (value.trim() === "") {
+        return void 0;
+      }
+      const number = Number(value);
+      return Number.isFinite(number) ? number : value;
+    }
+    return value;
+  }
+
+  // src/messages.js
+  var import_schemaRules2 = __toESM(require_schemaRules(), 1);
+  var DEFAULT_LOCALE = "he";
+  var MESSAGES = {
+    he: {
+      yes: "\u05DB\u05DF",
+      no: "\u05DC\u05D0",
+      schemaLoadError: "\u05E9\u05D2\u05D9\u05D0\u05D4 \u05D1\u05D8\u05E2\u05D9\u05E0\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1",
+      schemaUnavailable: "\u05DC\u05D0 \u05E0\u05D9\u05EA\u05DF \u05DC\u05D8\u05E2\u05D5\u05DF \u05D0\u05EA \u05D4\u05D2\u05D3\u05E8\u05D5\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1.",
+      schemaInvalid: "\u05D4\u05D2\u05D3\u05E8\u05D5\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1 \u05D0\u05D9\u05E0\u05DF \u05EA\u05E7\u05D9\u05E0\u05D5\u05EA.",
+      summaryIntro: "\u05D1\u05D3\u05D5\u05E7 \u05D0\u05EA \u05D4\u05E0\u05EA\u05D5\u05E0\u05D9\u05DD \u05DC\u05E4\u05E0\u05D9 \u05E9\u05DC\u05D9\u05D7\u05D4.",
+      stage: (number) => `\u05E9\u05DC\u05D1 ${number}`,
+      stageOf: (number, total) => `\u05E9\u05DC\u05D1 ${number} \u05DE\u05EA\u05D5\u05DA ${total}`,
+      selectPlaceholder: "-- \u05D1\u05D7\u05E8 --",
+      previous: "\u05D7\u05D6\u05E8\u05D4",
+      next: "\u05D4\u05DE\u05E9\u05DA",
+      submit: "\u05E9\u05DC\u05D9\u05D7\u05D4",
+      reset: "\u05D0\u05D9\u05E4\u05D5\u05E1",
+      resetConfirm: "\u05D4\u05D0\u05DD \u05D0\u05EA\u05D4 \u05D1\u05D8\u05D5\u05D7 \u05E9\u05D1\u05E8\u05E6\u05D5\u05E0\u05DA \u05DC\u05D0\u05E4\u05E1 \u05D0\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1?",
+      formReset: "\u05D4\u05D8\u05D5\u05E4\u05E1 \u05D0\u05D5\u05E4\u05E1\u05DF",
+      noSubmitUrl: "\u05DC\u05D0 \u05D4\u05D5\u05D2\u05D3\u05E8\u05D4 \u05DB\u05EA\u05D5\u05D1\u05EA \u05DC\u05E9\u05DC\u05D9\u05D7\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1.",
+      submitFailed: "\u05E9\u05DC\u05D9\u05D7\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1 \u05E0\u05DB\u05E9\u05DC\u05D4. \u05E0\u05E1\u05D5 \u05E9\u05D5\u05D1.",
+      fixErrors: "\u05D9\u05E9 \u05DC\u05EA\u05E7\u05DF \u05D0\u05EA \u05D4\u05E9\u05D3\u05D5\u05EA \u05D4\u05DE\u05E1\u05D5\u05DE\u05E0\u05D9\u05DD \u05D5\u05DC\u05E9\u05DC\u05D5\u05D7 \u05E9\u05D5\u05D1.",
+      successMessage: "\u05D4\u05D8\u05D5\u05E4\u05E1 \u05E0\u05E9\u05DC\u05D7 \u05D1\u05D4\u05E6\u05DC\u05D7\u05D4. \u05EA\u05D5\u05D3\u05D4!",
+      successLinkText: "\u05D4\u05DE\u05E9\u05DA",
+      validation: {
+        required: import_schemaRules2.SchemaRules.REQUIRED_MESSAGE,
+        emailInvalid: "\u05DB\u05EA\u05D5\u05D1\u05EA \u05D0\u05D9\u05DE\u05D9\u05D9\u05DC \u05DC\u05D0 \u05EA\u05E7\u05D9\u05E0\u05D4",
+        optionInvalid: "\u05D9\u05E9 \u05DC\u05D1\u05D7\u05D5\u05E8 \u05D0\u05E4\u05E9\u05E8\u05D5\u05EA \u05DE\u05D4\u05E8\u05E9\u05D9\u05DE\u05D4",
+        dateInvalid: "\u05EA\u05D0\u05E8\u05D9\u05DA \u05DC\u05D0 \u05EA\u05E7\u05D9\u05DF",
+        numberInvalid: "\u05D9\u05E9 \u05DC\u05D4\u05D6\u05D9\u05DF \u05DE\u05E1\u05E4\u05E8",
+        invalid: import_schemaRules2.SchemaRules.INVALID_MESSAGE,
+        min: (limit) => `\u05D4\u05E2\u05E8\u05DA \u05D7\u05D9\u05D9\u05D1 \u05DC\u05D4\u05D9\u05D5\u05EA \u05DC\u05E4\u05D7\u05D5\u05EA ${limit}`,
+        max: (limit) => `\u05D4\u05E2\u05E8\u05DA \u05D7\u05D9\u05D9\u05D1 \u05DC\u05D4\u05D9\u05D5\u05EA \u05DC\u05DB\u05DC \u05D4\u05D9\u05D5\u05EA\u05E8 ${limit}`,
+        minDate: (limit) => `\u05D4\u05EA\u05D0\u05E8\u05D9\u05DA \u05D7\u05D9\u05D9\u05D1 \u05DC\u05D4\u05D9\u05D5\u05EA ${limit} \u05D0\u05D5 \u05DE\u05D0\u05D5\u05D7\u05E8 \u05D9\u05D5\u05EA\u05E8`,
+        maxDate: (limit) => `\u05D4\u05EA\u05D0\u05E8\u05D9\u05DA \u05D7\u05D9\u05D9\u05D1 \u05DC\u05D4\u05D9\u05D5\u05EA ${limit} \u05D0\u05D5 \u05DE\u05D5\u05E7\u05D3\u05DD \u05D9\u05D5\u05EA\u05E8`,
+        minlength: (limit) => `\u05D9\u05E9 \u05DC\u05D4\u05D6\u05D9\u05DF \u05DC\u05E4\u05D7\u05D5\u05EA ${limit} \u05EA\u05D5\u05D5\u05D9\u05DD`,
+        maxlength: (limit) => `\u05D9\u05E9 \u05DC\u05D4\u05D6\u05D9\u05DF \u05DC\u05DB\u05DC \u05D4\u05D9\u05D5\u05EA\u05E8 ${limit} \u05EA\u05D5\u05D5\u05D9\u05DD`,
+        pattern: "\u05D4\u05E2\u05E8\u05DA \u05D0\u05D9\u05E0\u05D5 \u05D1\u05E4\u05D5\u05E8\u05DE\u05D8 \u05D4\u05E0\u05D3\u05E8\u05E9"
+      }
+    },
+    en: {
+      yes: "Yes",
+      no: "No",
+      schemaLoadError: "The form could not be loaded",
+      schemaUnavailable: "The form settings could not be loaded.",
+      schemaInvalid: "The form settings are invalid.",
+      summaryIntro: "Check your answers before submitting.",
+      stage: (number) => `Step ${number}`,
+      stageOf: (number, total) => `Step ${number} of ${total}`,
+      selectPlaceholder: "-- Select --",
+      previous: "Back",
+      next: "Next",
+      submit: "Submit",
+      reset: "Reset",
+      resetConfirm: "Are you sure you want to reset the form?",
+      formReset: "The form was reset",
+      noSubmitUrl: "No submission URL is configured for this form.",
+      submitFailed: "The form could not be sent. Please try again.",
+      fixErrors: "Please fix the highlighted fields and submit again.",
+      successMessage: "The form was sent. Thank you!",
+      successLinkText: "Continue",
+      validation: {
+        required: "This field is required",
+        emailInvalid: "Invalid email address",
+        optionInvalid: "Choose one of the listed options",
+        dateInvalid: "Invalid date",
+        numberInvalid: "Enter a number",
+        invalid: "Invalid value",
+        min: (limit) => `The value must be at least ${limit}`,
+        max: (limit) => `The value must be at most ${limit}`,
+        minDate: (limit) => `The date must be ${limit} or later`,
+        maxDate: (limit) => `The date must be ${limit} or earlier`,
+        minlength: (limit) => `Enter at least ${limit} characters`,
+        maxlength: (limit) => `Enter at most ${limit} characters`,
+        pattern: "The value is not in the expected format"
+      }
+    }
+  };
+  function getLanguage(locale) {
+    return String(locale || DEFAULT_LOCALE).trim().toLowerCase().split(/[-_]/)[0];
+  }
+  function getMessages(locale) {
+    return MESSAGES[getLanguage(locale)] ?? MESSAGES[DEFAULT_LOCALE];
+  }
+
+  // src/validation.js
+  var import_schemaRules3 = __toESM(require_schemaRules(), 1);
+  var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  var DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  var CHOICE_TYPES = /* @__PURE__ */ new Set(["select", "radio"]);
+  function message(field, key, fallback) {
+    return field.errorMessages?.[key] || fallback;
+  }
+  function getAttribute(field, key) {
+    const value = field.attributes?.[key];
+    return value === void 0 || value === null || value === "" ? null : value;
+  }
+  function optionValue(option) {
+    return typeof option === "string" ? option : option?.value;
+  }
+  function compilePattern(pattern) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, "u");
+    } catch (error) {
+      return null;
+    }
+  }
+  function isEmptyValue(field, value) {
+    if (field?.type === "checkbox") {
+      return value !== true;
+    }
+    return value === void 0 || value === null || String(value).trim() === "";
+  }
+  function validateField(field, value, options = {}) {
+    const defaults = getMessages(options.locale).validation;
+    if (isCalculatedField(field)) {
+      return null;
+    }
+    if (isEmptyValue(field, value)) {
+      return isFieldRequired(field, options.state ?? {}) ? message(field, "required", defaults.required) : null;
+    }
+    if (field.type === "checkbox") {
+      return typeof value === "boolean" ? null : message(field, "required", defaults.required);
+    }
+    if (typeof value !== "string") {
+      return defaults.invalid;
+    }
+    const text = value.trim();
+    if (field.type === "email" && !EMAIL_PATTERN.test(text)) {
+      return message(field, "emailInvalid", defaults.emailInvalid);
+    }
+    if (CHOICE_TYPES.has(field.type) && !(field.options ?? []).some((option) => String(optionValue(option)) === value)) {
+      return message(field, "optionInvalid", defaults.optionInvalid);
+    }
+    const min = getAttribute(field, "min");
+    const max = getAttribute(field, "max");
+    if (field.type === "number") {
+      const number = Number(text);
+      if (!Number.isFinite(number)) {
+        return message(field, "numberInvalid", defaults.numberInvalid);
+      }
+      if (min !== null && number < Number(min)) {
+        return message(field, "min", defaults.min(min));
+      }
+      if (max !== null && number > Number(max)) {
+        return message(field, "max", defaults.max(max));
+      }
+    } else if (field.type === "date") {
+      if (!DATE_PATTERN.test(text)) {
+        return message(field, "dateInvalid", defaults.dateInvalid);
+      }
+      if (min !== null && text < String(min)) {
+        return message(field, "min", defaults.minDate(min));
+      }
+      if (max !== null && text > String(max)) {
+        return message(field, "max", defaults.maxDate(max));
+      }
+    }
+    const minlength = getAttribute(field, "minlength");
+    const maxlength = getAttribute(field, "maxlength");
+    if (minlength !== null && value.length < Number(minlength)) {
+      return message(field, "minlength", defaults.minlength(minlength));
+    }
+    if (maxlength !== null && value.length > Number(maxlength)) {
+      return message(field, "maxlength", defaults.maxlength(maxlength));
+    }
+    const pattern = getAttribute(field, "pattern");
+    if (pattern !== null) {
+      const regex = compilePattern(pattern);
+      if (regex && !regex.test(value)) {
+        return message(field, "pattern", defaults.pattern);
+      }
+    }
+    return null;
+  }
+  function validateStage(schema, state, stageIndex = null, options = {}) {
+    const errors = {};
+    const visibleFields = getVisibleFields(schema, state, stageIndex);
+    visibleFields.forEach((field) => {
+      const error = validateField(field, state[field.name], { ...options, state });
+      if (error) {
+        errors[field.name] = error;
+      }
+    });
+    const visibleNames = new Set(visibleFields.map((field) => field.name));
+    getRules(schema).forEach((rule) => {
+      if (visibleNames.has(rule.field) && !errors[rule.field] && !import_schemaRules3.SchemaRules.check(rule, state)) {
+        errors[rule.field] = rule.message || getMessages(options.locale).validation.invalid;
+      }
+    });
+    return errors;
+  }
 
   // src/formBuilderBase.js
   var RENDER_DEBOUNCE_MS = 200;
@@ -72,21 +987,24 @@
       return value;
     }
     const match = field.options.find((option) => {
-      const optionValue = typeof option === "string" ? option : option.value;
-      return optionValue === value;
+      const optionValue2 = typeof option === "string" ? option : option.value;
+      return optionValue2 === value;
     });
     if (!match) {
       return value;
     }
     return typeof match === "string" ? match : match.label ?? match.value;
   }
-  function formatFieldValue(field, value) {
+  function formatFieldValue(field, value, messages) {
     const emptyValue = "\u2014";
+    if (isCalculatedField(field) && typeof value === "boolean") {
+      return value ? messages.yes : messages.no;
+    }
     if (field.type === "checkbox") {
       if (value === void 0 || value === null || value === "") {
         return emptyValue;
       }
-      return value ? "\u05DB\u05DF" : "\u05DC\u05D0";
+      return value ? messages.yes : messages.no;
     }
     if (value === void 0 || value === null || value === "") {
       return emptyValue;
@@ -99,9 +1017,13 @@
   }
   function getControllerFields(schema) {
     const fields = getFields(schema);
-    return new Set(
-      fields.map((field) => field?.showIf?.field).filter(Boolean)
-    );
+    const stages = isMultiStage(schema) ? schema.stages : [];
+    return /* @__PURE__ */ new Set([
+      ...fields.flatMap((field) => getConditionFields(field?.showIf)),
+      ...fields.flatMap((field) => getConditionFields(field?.requiredIf)),
+      ...fields.flatMap((field) => getExpressionFields(field)),
+      ...stages.flatMap((stage) => getConditionFields(stage?.showIf))
+    ]);
   }
   function resolveFocusableIndex(focusables, activeElement, fallbackTarget) {
     if (activeElement instanceof HTMLElement) {
@@ -145,6 +1067,8 @@
       }
       this.root = root;
       this.instanceId = root.dataset.formBuilder || root.id || `fb-${nextInstanceId++}`;
+      this.locale = root.dataset.locale || void 0;
+      this.messages = getMessages(this.locale);
       this.container = root.querySelector("form");
       this.stageIndicator = this._createStageIndicator();
       const { controls, prevButton, nextButton, submitButton, resetButton } = this._createControls();
@@ -157,6 +1081,7 @@
       this.formAbortController = null;
       this.stageIndicatorAbortController = null;
       this.furthestStageReached = 0;
+      this.stageHistory = [];
       this.focusVersion = 0;
       this.lastStageFocusTarget = null;
       this.pendingRenderTimers = /* @__PURE__ */ new Map();
@@ -192,9 +1117,12 @@
     async _postPayload(payload) {
       return false;
     }
-    /** Override to validate the current stage. Must return an errors object (empty = valid). */
+    /**
+     * Validates one stage, or the whole form when `stageIndex` is null. Override to add
+     * checks. Must return an errors object (empty = valid).
+     */
     _validateStage(stageIndex = null) {
-      return {};
+      return validateStage(this.activeSchema, this.state, stageIndex, { locale: this.locale });
     }
     // --- Scoped ID helpers ---
     _scopedId(name) {
@@ -209,14 +1137,14 @@
     _errorId(fieldName) {
       return this._scopedId(`${fieldName}-error`);
     }
-    _radioOptionId(fieldName, optionValue) {
-      return this._scopedId(`${fieldName}-${String(optionValue).replace(/\s+/g, "-")}`);
+    _radioOptionId(fieldName, optionValue2) {
+      return this._scopedId(`${fieldName}-${String(optionValue2).replace(/\s+/g, "-")}`);
     }
     _radioGroupLabelId(fieldName) {
       return this._scopedId(`${fieldName}-label`);
     }
     // --- Schema error display ---
-    _displaySchemaError(message) {
+    _displaySchemaError(message2) {
       if (!this.container) {
         return;
       }
@@ -225,8 +1153,8 @@
       errorDiv.className = "alert alert-danger";
       errorDiv.setAttribute("role", "alert");
       errorDiv.innerHTML = `
-            <h4 class="alert-heading">\u05E9\u05D2\u05D9\u05D0\u05D4 \u05D1\u05D8\u05E2\u05D9\u05E0\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1</h4>
-            <p>${message}</p>
+            <h4 class="alert-heading">${this.messages.schemaLoadError}</h4>
+            <p>${message2}</p>
         `;
       this.container.appendChild(errorDiv);
       if (this.controls) {
@@ -253,13 +1181,13 @@
       }
       return this.submitFeedback;
     }
-    _setSubmitFeedback(type, message) {
+    _setSubmitFeedback(type, message2) {
       const feedback = this._ensureSubmitFeedback();
       if (!feedback) {
         return;
       }
       feedback.className = `alert alert-${type} mt-3`;
-      feedback.textContent = message;
+      feedback.textContent = message2;
       feedback.classList.remove("d-none");
     }
     _clearSubmitFeedback() {
@@ -298,31 +1226,35 @@
       if (!this.activeSchema || !this.state) {
         return;
       }
-      const allFields = getFields(this.activeSchema);
-      allFields.forEach((field) => {
-        if (field?.showIf && Object.prototype.hasOwnProperty.call(this.state, field.name)) {
-          if (!shouldDisplayField(field, this.state)) {
-            delete this.state[field.name];
-          }
-        }
-      });
+      pruneHiddenState(this.activeSchema, this.state);
+    }
+    _updateCalculatedFields() {
+      if (!this.activeSchema || !this.state) {
+        return;
+      }
+      applyCalculatedFields(this.activeSchema, this.state);
     }
     _buildSubmissionPayload() {
       const payload = {};
       const visibleFields = getVisibleFields(this.activeSchema, this.state);
       visibleFields.forEach((field) => {
         if (Object.prototype.hasOwnProperty.call(this.state, field.name)) {
-          payload[field.name] = this.state[field.name];
+          const value = toPayloadValue(field, this.state[field.name]);
+          if (value !== void 0) {
+            payload[field.name] = value;
+          }
         }
       });
       return payload;
     }
     // --- Stage helpers ---
+    // A summary stage off the stage path (hidden or routed past) counts as no summary
     _getSummaryStageIndex() {
       if (!isMultiStage(this.activeSchema)) {
         return -1;
       }
-      return this.activeSchema.stages.findIndex((stage) => stage?.type === "summary");
+      const summaryIndex = this.activeSchema.stages.findIndex((stage) => stage?.type === "summary");
+      return summaryIndex !== -1 && this._isOnStagePath(summaryIndex) ? summaryIndex : -1;
     }
     _isSummaryStage(stageIndex) {
       const summaryIndex = this._getSummaryStageIndex();
@@ -340,10 +1272,54 @@
         return 0;
       }
       const summaryIndex = this._getSummaryStageIndex();
-      if (summaryIndex === -1) {
-        return getStageCount(this.activeSchema) - 1;
+      const dataStages = this._getStagePath().filter((index) => index !== summaryIndex);
+      return dataStages.length ? dataStages[dataStages.length - 1] : 0;
+    }
+    // --- Stage path (stage-level showIf and `next` routes) ---
+    // Indexes of the stages the current answers lead through, in order
+    _getStagePath() {
+      return getStagePath(this.activeSchema, this.state);
+    }
+    _isOnStagePath(stageIndex) {
+      return this._getStagePath().includes(stageIndex);
+    }
+    _getNextStageIndex(stageIndex) {
+      return this._getStagePath().find((index) => index > stageIndex) ?? null;
+    }
+    _getPreviousStageIndex(stageIndex) {
+      return this._getStagePath().filter((index) => index < stageIndex).pop() ?? null;
+    }
+    // The stage itself when it is on the path, else the nearest one after it (or before it)
+    _resolveStageOnPath(stageIndex) {
+      if (this._isOnStagePath(stageIndex)) {
+        return stageIndex;
+      }
+      return this._getNextStageIndex(stageIndex) ?? this._getPreviousStageIndex(stageIndex) ?? stageIndex;
+    }
+    // Step number on the path and the path's length, for "Step 2 of 3"
+    _getStagePosition(stageIndex) {
+      const path = this._getStagePath();
+      return { number: path.indexOf(stageIndex) + 1, total: path.length };
+    }
+    // Back returns to the stage the respondent came from, passing over stages that a changed
+    // answer took off the path; without a history the path decides
+    _getBackStageIndex() {
+      const path = this._getStagePath();
+      const visited = this.stageHistory.filter((index) => index < this.currentStage && path.includes(index));
+      return visited.length ? visited[visited.length - 1] : this._getPreviousStageIndex(this.currentStage);
+    }
+    // Keeps stageHistory (the stages visited on the way to the current one) in step with a
+    // move: returning to a visited stage drops what came after it, Next adds the stage left
+    // behind, and any other jump follows the path up to the target
+    _recordStageMove(fromIndex, toIndex) {
+      const visited = this.stageHistory.indexOf(toIndex);
+      if (visited !== -1) {
+        this.stageHistory = this.stageHistory.slice(0, visited);
+      } else if (toIndex > fromIndex && this._getNextStageIndex(fromIndex) === toIndex) {
+        this.stageHistory.push(fromIndex);
+      } else {
+        this.stageHistory = this._getStagePath().filter((index) => index < toIndex);
       }
-      return Math.max(summaryIndex - 1, 0);
     }
     // --- Rendering ---
     _renderSummaryStage() {
@@ -355,11 +1331,11 @@
       summaryWrapper.className = "d-flex flex-column gap-3";
       const intro = document.createElement("p");
       intro.className = "text-muted mb-2";
-      intro.textContent = "\u05D1\u05D3\u05D5\u05E7 \u05D0\u05EA \u05D4\u05E0\u05EA\u05D5\u05E0\u05D9\u05DD \u05DC\u05E4\u05E0\u05D9 \u05E9\u05DC\u05D9\u05D7\u05D4.";
+      intro.textContent = this.messages.summaryIntro;
       summaryWrapper.appendChild(intro);
       const summaryIndex = this._getSummaryStageIndex();
       this.activeSchema.stages.forEach((stage, index) => {
-        if (index === summaryIndex || stage?.type === "summary") {
+        if (index === summaryIndex || stage?.type === "summary" || !this._isOnStagePath(index)) {
           return;
         }
         const visibleFields = getVisibleFields(this.activeSchema, this.state, index);
@@ -370,7 +1346,7 @@
         section.className = "border rounded-3 p-3 bg-white";
         const title = document.createElement("h4");
         title.className = "h6 mb-3";
-        title.textContent = stage.label ?? `\u05E9\u05DC\u05D1 ${index + 1}`;
+        title.textContent = stage.label ?? this.messages.stage(this._getStagePosition(index).number);
         const list = document.createElement("dl");
         list.className = "row mb-0";
         visibleFields.forEach((field) => {
@@ -379,7 +1355,7 @@
           term.textContent = field.label ?? field.name;
           const detail = document.createElement("dd");
           detail.className = "col-7 col-sm-8 mb-2";
-          detail.textContent = formatFieldValue(field, this.state[field.name]);
+          detail.textContent = formatFieldValue(field, this.state[field.name], this.messages);
           list.append(term, detail);
         });
         section.append(title, list);
@@ -472,21 +1448,21 @@
           group.setAttribute("role", "radiogroup");
           group.setAttribute("aria-labelledby", groupLabelId);
           (field.options ?? []).forEach((opt) => {
-            const optionValue = typeof opt === "string" ? opt : opt.value;
+            const optionValue2 = typeof opt === "string" ? opt : opt.value;
             const optionLabel = typeof opt === "string" ? opt : opt.label ?? opt.value;
-            const optionId = this._radioOptionId(field.name, optionValue);
+            const optionId = this._radioOptionId(field.name, optionValue2);
             const formCheck = document.createElement("div");
             formCheck.className = "form-check";
             const radio = document.createElement("input");
             radio.type = "radio";
             radio.name = this._scopedId(field.name);
             radio.id = optionId;
-            radio.value = optionValue;
+            radio.value = optionValue2;
             radio.className = "form-check-input";
-            radio.checked = this.state[field.name] === optionValue;
+            radio.checked = this.state[field.name] === optionValue2;
             radio.setAttribute("aria-invalid", "false");
             radio.addEventListener("change", () => {
-              this._handleFieldChange(stageIndex, field.name, optionValue);
+              this._handleFieldChange(stageIndex, field.name, optionValue2);
             }, { signal });
             const radioLabel = document.createElement("label");
             radioLabel.className = "form-check-label";
@@ -503,19 +1479,37 @@
           this.container.appendChild(wrapper);
           return;
         }
+        if (isCalculatedField(field)) {
+          const output = document.createElement("input");
+          output.type = "text";
+          output.name = field.name;
+          output.id = fieldId;
+          output.className = "form-control";
+          output.readOnly = true;
+          output.dataset.calculated = "true";
+          const value = this.state[field.name];
+          output.value = value === void 0 || value === null ? "" : formatFieldValue(field, value, this.messages);
+          wrapper.append(label, output);
+          const helperId2 = this._appendHelperText(wrapper, field.helperText, field.name);
+          if (helperId2) {
+            output.setAttribute("aria-describedby", helperId2);
+          }
+          this.container.appendChild(wrapper);
+          return;
+        }
         let input;
         if (field.type === "select") {
           input = document.createElement("select");
           input.className = "form-select";
           const placeholder = document.createElement("option");
           placeholder.value = "";
-          placeholder.textContent = "-- \u05D1\u05D7\u05E8 --";
+          placeholder.textContent = this.messages.selectPlaceholder;
           input.appendChild(placeholder);
           (field.options ?? []).forEach((opt) => {
-            const optionValue = typeof opt === "string" ? opt : opt.value;
+            const optionValue2 = typeof opt === "string" ? opt : opt.value;
             const optionLabel = typeof opt === "string" ? opt : opt.label ?? opt.value;
             const option = document.createElement("option");
-            option.value = optionValue;
+            option.value = optionValue2;
             option.textContent = optionLabel;
             input.appendChild(option);
           });
@@ -530,7 +1524,7 @@
         }
         input.name = field.name;
         input.id = fieldId;
-        if (field.required) {
+        if (isFieldRequired(field, this.state)) {
           input.required = true;
         }
         input.value = this.state[field.name] ?? "";
@@ -562,7 +1556,9 @@
       const focusTarget = this._getActiveFocusTarget();
       this.state[fieldName] = value;
       this._pruneHiddenFields();
+      this._updateCalculatedFields();
       this._saveDraft();
+      this._emitChange(fieldName, value);
       if (isMultiStage(this.activeSchema)) {
         const nextStageIndex = typeof stageIndex === "number" ? stageIndex : this.currentStage;
         this._renderStage(nextStageIndex, { restoreFocusTarget: focusTarget });
@@ -578,7 +1574,9 @@
       const focusTarget = this._getActiveFocusTarget();
       this.state[fieldName] = value;
       this._pruneHiddenFields();
+      this._updateCalculatedFields();
       this._saveDraft();
+      this._emitChange(fieldName, value);
       this._scheduleRender(stageIndex, fieldName, focusTarget);
     }
     _clearPendingRender(fieldName) {
@@ -618,7 +1616,7 @@
           }
         });
       });
-      Object.entries(errors).forEach(([field, message]) => {
+      Object.entries(errors).forEach(([field, message2]) => {
         const wrapper = this.container.querySelector(`[data-field-wrapper="${CSS.escape(field)}"]`);
         if (!wrapper) {
           return;
@@ -636,7 +1634,7 @@
         error.id = errorId;
         error.className = "error invalid-feedback d-block mt-1";
         error.setAttribute("role", "alert");
-        error.textContent = message || REQUIRED_MESSAGE;
+        error.textContent = message2 || this.messages.validation.required;
         wrapper.appendChild(error);
       });
     }
@@ -673,6 +1671,7 @@
       const { focusOnChange = false, restoreFocusTarget = null } = options;
       const targetIndex = typeof stageIndex === "number" ? stageIndex : 0;
       this._pruneHiddenFields();
+      this._updateCalculatedFields();
       if (!isMultiStage(this.activeSchema)) {
         this.currentStage = 0;
         this._renderForm();
@@ -688,10 +1687,13 @@
       }
       const lastIndex = getStageCount(this.activeSchema) - 1;
       const previousStage = this.currentStage;
-      this.currentStage = Math.min(Math.max(targetIndex, 0), lastIndex);
+      this.currentStage = this._resolveStageOnPath(Math.min(Math.max(targetIndex, 0), lastIndex));
+      if (this.currentStage !== previousStage) {
+        this._recordStageMove(previousStage, this.currentStage);
+      }
       this.furthestStageReached = Math.max(this.furthestStageReached, this.currentStage);
       if (this._isOptionalSummaryStage() && this.currentStage === this._getLastDataStageIndex()) {
-        this.furthestStageReached = Math.max(this.furthestStageReached, Math.min(this.currentStage + 1, lastIndex));
+        this.furthestStageReached = Math.max(this.furthestStageReached, this._getNextStageIndex(this.currentStage) ?? this.currentStage);
       }
       if (this._isSummaryStage(this.currentStage)) {
         this._renderSummaryStage();
@@ -714,7 +1716,13 @@
           this._focusFirstStageElement();
         }
         const stage = this.activeSchema.stages[this.currentStage];
-        this._announceToScreenReader(`\u05E9\u05DC\u05D1 ${this.currentStage + 1} \u05DE\u05EA\u05D5\u05DA ${getStageCount(this.activeSchema)} - ${stage.label}`);
+        this._emit("fb-stage-change", {
+          stageIndex: this.currentStage,
+          previousStageIndex: previousStage,
+          stageId: stage.id ?? null
+        });
+        const { number, total } = this._getStagePosition(this.currentStage);
+        this._announceToScreenReader(`${this.messages.stageOf(number, total)} - ${stage.label}`);
       }
     }
     _updateStageIndicator(stageIndex = 0) {
@@ -727,6 +1735,7 @@
         return;
       }
       const stage = this.activeSchema.stages[stageIndex];
+      const { number, total } = this._getStagePosition(stageIndex);
       this.stageIndicator.classList.remove("d-none");
       this.stageIndicator.innerHTML = "";
       const header = document.createElement("div");
@@ -736,20 +1745,21 @@
       title.textContent = stage.label;
       const count = document.createElement("div");
       count.className = "text-muted small";
-      count.textContent = `\u05E9\u05DC\u05D1 ${stageIndex + 1} \u05DE\u05EA\u05D5\u05DA ${getStageCount(this.activeSchema)}`;
+      count.textContent = this.messages.stageOf(number, total);
       header.append(title, count);
       const steps = document.createElement("div");
       steps.className = "stage-indicator__steps mt-3";
       steps.setAttribute("role", "list");
-      this.activeSchema.stages.forEach((stageItem, index) => {
+      this._getStagePath().forEach((index, position) => {
+        const stageItem = this.activeSchema.stages[index];
         const step = document.createElement("button");
         step.type = "button";
         step.className = "stage-step";
         step.dataset.stageIndex = String(index);
         step.setAttribute("role", "listitem");
         step.title = stageItem.label;
-        step.setAttribute("aria-label", stageItem.label ?? `\u05E9\u05DC\u05D1 ${index + 1}`);
-        step.textContent = String(index + 1);
+        step.setAttribute("aria-label", stageItem.label ?? this.messages.stage(position + 1));
+        step.textContent = String(position + 1);
         if (index === stageIndex) {
           step.classList.add("stage-step--current");
           step.setAttribute("aria-current", "step");
@@ -800,9 +1810,9 @@
       const summaryIndex = this._getSummaryStageIndex();
       const hasSummary = summaryIndex !== -1;
       const isSummary = hasSummary && stageIndex === summaryIndex;
-      const lastStageIndex = getStageCount(this.activeSchema) - 1;
+      const isLastStage = this._getNextStageIndex(stageIndex) === null;
       const lastDataStageIndex = this._getLastDataStageIndex();
-      this.prevButton.style.display = stageIndex === 0 ? "none" : "inline-block";
+      this.prevButton.style.display = this._getBackStageIndex() === null ? "none" : "inline-block";
       if (isSummary) {
         this.nextButton.style.display = "none";
         this.submitButton.style.display = "inline-block";
@@ -813,8 +1823,8 @@
         this.submitButton.style.display = this._isOptionalSummaryStage() ? "inline-block" : "none";
         return;
       }
-      this.nextButton.style.display = stageIndex >= lastStageIndex ? "none" : "inline-block";
-      this.submitButton.style.display = stageIndex === lastStageIndex ? "inline-block" : "none";
+      this.nextButton.style.display = isLastStage ? "none" : "inline-block";
+      this.submitButton.style.display = isLastStage ? "inline-block" : "none";
     }
     // --- Focus management ---
     _isElementInScope(element) {
@@ -858,7 +1868,7 @@
       if (!focusables.length) {
         return;
       }
-      const activeElement = document.activeElement;
+      const activeElement = this._getActiveElement();
       const first = focusables[0];
       const last = focusables[focusables.length - 1];
       const resolved = resolveFocusableIndex(focusables, activeElement, this.lastStageFocusTarget);
@@ -903,7 +1913,7 @@
       };
     }
     _getActiveFocusTarget() {
-      return this._getFocusTargetFromElement(document.activeElement);
+      return this._getFocusTargetFromElement(this._getActiveElement());
     }
     /**
      * Attempts to restore focus to a previously focused element.
@@ -929,8 +1939,14 @@
       }
       return false;
     }
+    // Inside a shadow root document.activeElement is the host, so ask the root's own tree
+    _getActiveElement() {
+      const rootNode = this.root.getRootNode();
+      return rootNode.activeElement ?? document.activeElement;
+    }
     _isActiveElementInScope() {
-      return this._isElementInScope(document.activeElement) && isElementVisible(document.activeElement);
+      const activeElement = this._getActiveElement();
+      return this._isElementInScope(activeElement) && isElementVisible(activeElement);
     }
     // --- Submit ---
     async _handleSubmit() {
@@ -968,14 +1984,27 @@
       this._clearSubmitFeedback();
       this.currentStage = 0;
       this.furthestStageReached = 0;
+      this.stageHistory = [];
       this._renderStage(0, { focusOnChange: true });
-      this._announceToScreenReader("\u05D4\u05D8\u05D5\u05E4\u05E1 \u05D0\u05D5\u05E4\u05E1\u05DF");
+      this._announceToScreenReader(this.messages.formReset);
+    }
+    // --- DOM events ---
+    /**
+     * Dispatches a bubbling, composed CustomEvent from the root, so listeners on a
+     * <form-builder> host (outside its shadow root) receive it too.
+     * @returns {boolean} false when a cancelable event was cancelled
+     */
+    _emit(type, detail = {}, { cancelable = false } = {}) {
+      return this.root.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true, cancelable }));
+    }
+    _emitChange(fieldName, value) {
+      this._emit("fb-change", { name: fieldName, value, state: { ...this.state } });
     }
     // --- Screen reader ---
-    _announceToScreenReader(message) {
+    _announceToScreenReader(message2) {
       this.liveRegion.textContent = "";
       setTimeout(() => {
-        this.liveRegion.textContent = message;
+        this.liveRegion.textContent = message2;
       }, 100);
     }
     // --- Dynamic UI creation ---
@@ -998,19 +2027,19 @@
       const prevButton = document.createElement("button");
       prevButton.type = "button";
       prevButton.className = "btn btn-outline-secondary flex-fill";
-      prevButton.textContent = "\u05D7\u05D6\u05E8\u05D4";
+      prevButton.textContent = this.messages.previous;
       const nextButton = document.createElement("button");
       nextButton.type = "button";
       nextButton.className = "btn btn-primary flex-fill";
-      nextButton.textContent = "\u05D4\u05DE\u05E9\u05DA";
+      nextButton.textContent = this.messages.next;
       const submitButton = document.createElement("button");
       submitButton.type = "button";
       submitButton.className = "btn btn-success flex-fill";
-      submitButton.textContent = "\u05E9\u05DC\u05D9\u05D7\u05D4";
+      submitButton.textContent = this.messages.submit;
       const resetButton = document.createElement("button");
       resetButton.type = "button";
       resetButton.className = "btn btn-outline-danger flex-fill";
-      resetButton.textContent = "\u05D0\u05D9\u05E4\u05D5\u05E1";
+      resetButton.textContent = this.messages.reset;
       controls.append(prevButton, nextButton, submitButton, resetButton);
       this.container.after(controls);
       return { controls, prevButton, nextButton, submitButton, resetButton };
@@ -1028,7 +2057,10 @@
           if (!this.activeSchema || !isMultiStage(this.activeSchema)) {
             return;
           }
-          this._renderStage(Math.max(this.currentStage - 1, 0), { focusOnChange: true });
+          const previousIndex = this._getBackStageIndex();
+          if (previousIndex !== null) {
+            this._renderStage(previousIndex, { focusOnChange: true });
+          }
         };
       }
       if (this.nextButton) {
@@ -1041,7 +2073,10 @@
             this._showErrors(errors);
             return;
           }
-          this._renderStage(this.currentStage + 1, { focusOnChange: true });
+          const nextIndex = this._getNextStageIndex(this.currentStage);
+          if (nextIndex !== null) {
+            this._renderStage(nextIndex, { focusOnChange: true });
+          }
         };
       }
       if (this.submitButton) {
@@ -1049,7 +2084,7 @@
       }
       if (this.resetButton) {
         this.resetButton.onclick = () => {
-          if (confirm("\u05D4\u05D0\u05DD \u05D0\u05EA\u05D4 \u05D1\u05D8\u05D5\u05D7 \u05E9\u05D1\u05E8\u05E6\u05D5\u05E0\u05DA \u05DC\u05D0\u05E4\u05E1 \u05D0\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1?")) {
+          if (confirm(this.messages.resetConfirm)) {
             this._resetForm();
           }
         };
@@ -1089,9 +2124,10 @@
       Object.keys(this.state).forEach((key) => delete this.state[key]);
       this.currentStage = 0;
       this.furthestStageReached = 0;
+      this.stageHistory = [];
       this._renderStage(0);
     }
-    showError(message) {
+    showError(message2) {
       if (!this.container) {
         return;
       }
@@ -1099,7 +2135,7 @@
       const el = document.createElement("div");
       el.className = "alert alert-warning";
       el.setAttribute("role", "alert");
-      el.textContent = message;
+      el.textContent = message2;
       this.container.appendChild(el);
       if (this.controls) {
         this.controls.style.display = "none";
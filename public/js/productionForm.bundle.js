@@ -0,0 +1,2285 @@
+(() => {
+  var __create = Object.create;
+  var __defProp = Object.defineProperty;
+  var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+  var __getOwnPropNames = Object.getOwnPropertyNames;
+  var __getProtoOf = Object.getPrototypeOf;
+  var __hasOwnProp = Object.prototype.hasOwnProperty;
+  var __commonJS = (cb, mod) => function __require() {
+    return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+  };
+  var __copyProps = (to, from, except, desc) => {
+    if (from && typeof from === "object" || typeof from === "function") {
+      for (let key of __getOwnPropNames(from))
+        if (!__hasOwnProp.call(to, key) && key !== except)
+          __defProp(to, key, { get: () => from[key], enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable });
+    }
+    return to;
+  };
+  var __toESM = (mod, isNodeMode, target) => (target = mod != null ? __create(__getProtoOf(mod)) : {}, __copyProps(
+    // If the importer is in node compatibility mode or this is not an ESM
+    // file that has been converted to a CommonJS file using a Babel-
+    // compatible transform (i.e. "__esModule" has not been set), then set
+    // "default" to the CommonJS "module.exports" for node compatibility.
+    isNodeMode || !mod || !mod.__esModule ? __defProp(target, "default", { value: mod, enumerable: true }) : target,
+    mod
+  ));
+
+  // public/js/schemaConditions.js
+  var require_schemaConditions = __commonJS({
+    "public/js/schemaConditions.js"(exports, module) {
+      var SchemaConditions2 = class _SchemaConditions {
+        static get OPERATORS() {
+          return [
+            "equals",
+            "notEquals",
+            "in",
+            "notIn",
+            "gt",
+            "gte",
+            "lt",
+            "lte",
+            "contains",
+            "matches",
+            "isEmpty",
+            "isNotEmpty",
+            "isChecked"
+          ];
+        }
+        static isEmpty(value) {
+          if (Array.isArray(value)) {
+            return value.length === 0;
+          }
+          return value === void 0 || value === null || value === false || String(value).trim() === "";
+        }
+        // Negative, zero or positive like a sort comparator; null when the value cannot be
+        // compared with the operand (empty, not a number, or not a date for a date operand)
+        static compare(value, operand) {
+          if (_SchemaConditions.isEmpty(value) || value === true) {
+            return null;
+          }
+          const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+          if (typeof operand === "string" && datePattern.test(operand)) {
+            const text = String(value);
+            if (!datePattern.test(text)) {
+              return null;
+            }
+            return text < operand ? -1 : text > operand ? 1 : 0;
+          }
+          const number = Number(value);
+          const limit = Number(operand);
+          if (!Number.isFinite(number) || !Number.isFinite(limit) || operand === "" || operand === null) {
+            return null;
+          }
+          return number - limit;
+        }
+        // Whether one operator holds for a value; unknown operators never hold
+        static test(operator, value, operand) {
+          const comparison = () => _SchemaConditions.compare(value, operand);
+          switch (operator) {
+            case "equals":
+              return value === operand;
+            case "notEquals":
+              return value !== operand;
+            case "in":
+              return Array.isArray(operand) && operand.includes(value);
+            case "notIn":
+              return !Array.isArray(operand) || !operand.includes(value);
+            case "gt":
+              return (comparison() ?? 0) > 0;
+            case "gte":
+              return (comparison() ?? -1) >= 0;
+            case "lt":
+              return (comparison() ?? 0) < 0;
+            case "lte":
+              return (comparison() ?? 1) <= 0;
+            case "contains":
+              if (Array.isArray(value)) {
+                return value.includes(operand);
+              }
+              return typeof value === "string" && value.includes(String(operand));
+            case "matches":
+              try {
+                return new RegExp(operand).test(value === void 0 || value === null ? "" : String(value));
+              } catch (error) {
+                return false;
+              }
+            case "isEmpty":
+              return _SchemaConditions.isEmpty(value) === (operand !== false);
+            case "isNotEmpty":
+              return _SchemaConditions.isEmpty(value) !== (operand !== false);
+            case "isChecked":
+              return value === true === (operand !== false);
+            default:
+              return false;
+          }
+        }
+        static evaluate(condition, values) {
+          if (Array.isArray(condition.all)) {
+            return condition.all.every((item) => _SchemaConditions.evaluate(item, values));
+          }
+          if (Array.isArray(condition.any)) {
+            return condition.any.some((item) => _SchemaConditions.evaluate(item, values));
+          }
+          if (condition.not && typeof condition.not === "object") {
+            return !_SchemaConditions.evaluate(condition.not, values);
+          }
+          const value = values[condition.field];
+          return _SchemaConditions.OPERATORS.filter((operator) => Object.prototype.hasOwnProperty.call(condition, operator)).every((operator) => _SchemaConditions.test(operator, value, condition[operator]));
+        }
+        // Names of every field a condition reads, groups included
+        static getFields(condition) {
+          if (!condition || typeof condition !== "object") {
+            return [];
+          }
+          if (Array.isArray(condition.all)) {
+            return condition.all.flatMap((item) => _SchemaConditions.getFields(item));
+          }
+          if (Array.isArray(condition.any)) {
+            return condition.any.flatMap((item) => _SchemaConditions.getFields(item));
+          }
+          if (condition.not && typeof condition.not === "object") {
+            return _SchemaConditions.getFields(condition.not);
+          }
+          return condition.field ? [condition.field] : [];
+        }
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = { SchemaConditions: SchemaConditions2 };
+      }
+    }
+  });
+
+  // public/js/schemaExpressions.js
+  var require_schemaExpressions = __commonJS({
+    "public/js/schemaExpressions.js"(exports, module) {
+      var SchemaExpressions2 = class _SchemaExpressions {
+        // name: minimum and maximum argument count (max null: any number) and the signature
+        // shown in messages and the editor's help text
+        static get FUNCTIONS() {
+          return {
+            round: { min: 1, max: 2, signature: "round(x, digits)" },
+            floor: { min: 1, max: 1, signature: "floor(x)" },
+            ceil: { min: 1, max: 1, signature: "ceil(x)" },
+            abs: { min: 1, max: 1, signature: "abs(x)" },
+            min: { min: 1, max: null, signature: "min(a, b, ...)" },
+            max: { min: 1, max: null, signature: "max(a, b, ...)" },
+            sum: { min: 1, max: null, signature: "sum(a, b, ...)" },
+            if: { min: 3, max: 3, signature: "if(condition, then, else)" },
+            concat: { min: 1, max: null, signature: "concat(a, b, ...)" },
+            upper: { min: 1, max: 1, signature: "upper(text)" },
+            lower: { min: 1, max: 1, signature: "lower(text)" },
+            trim: { min: 1, max: 1, signature: "trim(text)" },
+            today: { min: 0, max: 0, signature: "today()" },
+            year: { min: 1, max: 1, signature: "year(date)" },
+            month: { min: 1, max: 1, signature: "month(date)" },
+            day: { min: 1, max: 1, signature: "day(date)" },
+            age: { min: 1, max: 1, signature: "age(birthDate)" },
+            yearsBetween: { min: 2, max: 2, signature: "yearsBetween(from, to)" },
+            daysBetween: { min: 2, max: 2, signature: "daysBetween(from, to)" },
+            addDays: { min: 2, max: 2, signature: "addDays(date, days)" }
+          };
+        }
+        static tokenize(source) {
+          const tokens = [];
+          const text = String(source);
+          let index = 0;
+          while (index < text.length) {
+            const rest = text.slice(index);
+            const space = /^\s+/.exec(rest);
+            if (space) {
+              index += space[0].length;
+              continue;
+            }
+            const number = /^(?:\d+(?:\.\d*)?|\.\d+)/.exec(rest);
+            const name = /^[\p{L}_$][\p{L}\p{N}_$]*/u.exec(rest);
+            const operator = /^(?:==|!=|<=|>=|[-+*/%<>(),])/.exec(rest);
+            if (number) {
+              tokens.push({ type: "number", value: Number(number[0]), position: index });
+              index += number[0].length;
+            } else if (name) {
+              tokens.push({ type: "name", value: name[0], position: index });
+              index += name[0].length;
+            } else if (operator) {
+              tokens.push({ type: "operator", value: operator[0], position: index });
+              index += operator[0].length;
+            } else if (rest[0] === '"' || rest[0] === "'") {
+              const end = text.indexOf(rest[0], index + 1);
+              if (end === -1) {
+                throw new Error(`unterminated text starting at position ${index + 1}`);
+              }
+              tokens.push({ type: "string", value: text.slice(index + 1, end), position: index });
+              index = end + 1;
+            } else {
+              throw new Error(`unexpected "${rest[0]}" at position ${index + 1}`);
+            }
+          }
+          return tokens;
+        }
+        /**
+         * Parses an expression into its syntax tree. Throws an Error naming the position of
+         * the first problem; unknown functions and wrong argument counts are problems too.
+         * @returns {object} Nodes: { type: 'literal', value }, { type: 'field', name },
+         *   { type: 'negate', argument }, { type: 'binary', operator, left, right } and
+         *   { type: 'call', name, args }
+         */
+        static parse(source) {
+          const tokens = _SchemaExpressions.tokenize(source);
+          if (tokens.length === 0) {
+            throw new Error("the expression is empty");
+          }
+          let position = 0;
+          const peek = () => tokens[position];
+          const describe = (token) => token ? `"${token.value}" at position ${token.position + 1}` : "the end of the expression";
+          const isOperator = (token, ...operators) => Boolean(token) && token.type === "operator" && operators.includes(token.value);
+          const expect = (value) => {
+            const token = peek();
+            if (!isOperator(token, value)) {
+              throw new Error(`expected "${value}" but found ${describe(token)}`);
+            }
+            position++;
+          };
+          const parseBinary = (operators, parseOperand) => {
+            let left = parseOperand();
+            while (isOperator(peek(), ...operators)) {
+              const operator = tokens[position++].value;
+              left = { type: "binary", operator, left, right: parseOperand() };
+            }
+            return left;
+          };
+          const parsePrimary = () => {
+            const token = tokens[position++];
+            if (!token) {
+              throw new Error("the expression ends unexpectedly");
+            }
+            if (token.type === "number" || token.type === "string") {
+              return { type: "literal", value: token.value };
+            }
+            if (token.type === "name") {
+              if (token.value === "true" || token.value === "false") {
+                return { type: "literal", value: token.value === "true" };
+              }
+              if (!isOperator(peek(), "(")) {
+                return { type: "field", name: token.value };
+              }
+              const definition = Object.prototype.hasOwnProperty.call(_SchemaExpressions.FUNCTIONS, token.value) ? _SchemaExpressions.FUNCTIONS[token.value] : null;
+              if (!definition) {
+                throw new Error(`unknown function "${token.value}"`);
+              }
+              position++;
+              const args = [];
+              if (!isOperator(peek(), ")")) {
+                args.push(parseExpression());
+                while (isOperator(peek(), ",")) {
+                  position++;
+                  args.push(parseExpression());
+                }
+              }
+              expect(")");
+              if (args.length < definition.min || definition.max !== null && args.length > definition.max) {
+                throw new Error(`wrong number of arguments for ${definition.signature}`);
+              }
+              return { type: "call", name: token.value, args };
+            }
+            if (isOperator(token, "(")) {
+              const inner = parseExpression();
+              expect(")");
+              return inner;
+            }
+            position--;
+            throw new Error(`unexpected ${describe(token)}`);
+          };
+          const parseUnary = () => {
+            if (isOperator(peek(), "-")) {
+              position++;
+              return { type: "negate", argument: parseUnary() };
+            }
+            return parsePrimary();
+          };
+          const parseAdditive = () => parseBinary(["+", "-"], () => parseBinary(["*", "/", "%"], parseUnary));
+          const parseExpression = () => {
+            const left = parseAdditive();
+            if (isOperator(peek(), "==", "!=", "<", "<=", ">", ">=")) {
+              const operator = tokens[position++].value;
+              return { type: "binary", operator, left, right: parseAdditive() };
+            }
+            return left;
+          };
+          const tree = parseExpression();
+          if (position < tokens.length) {
+            throw new Error(`unexpected ${describe(peek())}`);
+          }
+          return tree;
+        }
+        // Problems with an expression, as messages (an empty list when it parses)
+        static check(source) {
+          try {
+            _SchemaExpressions.parse(source);
+            return [];
+          } catch (error) {
+            return [error.message];
+          }
+        }
+        // Names of the fields an expression reads, in order of appearance ([] when it does not parse)
+        static getFields(source) {
+          let tree;
+          try {
+            tree = _SchemaExpressions.parse(source);
+          } catch (error) {
+            return [];
+          }
+          const names = [];
+          const visit = (node) => {
+            if (node.type === "field") {
+              names.push(node.name);
+            } else if (node.type === "negate") {
+              visit(node.argument);
+            } else if (node.type === "binary") {
+              visit(node.left);
+              visit(node.right);
+            } else if (node.type === "call") {
+              node.args.forEach(visit);
+            }
+          };
+          visit(tree);
+          return [...new Set(names)];
+        }
+        /**
+         * Evaluates an expression against the form's values. Missing answers make arithmetic
+         * empty rather than zero; invalid results (division by zero, invalid dates) are empty.
+         * @param {string|object} expression Source text or a tree from parse()
+         * @param {object} values Answers keyed by field name
+         * @returns {number|string|boolean|null} null for an empty result or an invalid expression
+         */
+        static evaluate(expression, values = {}) {
+          let tree = expression;
+          if (typeof expression === "string") {
+            try {
+              tree = _SchemaExpressions.parse(expression);
+            } catch (error) {
+              return null;
+            }
+          }
+          return _SchemaExpressions.normalize(_SchemaExpressions.evaluateNode(tree, values || {}));
+        }
+        static evaluateNode(node, values) {
+          switch (node.type) {
+            case "literal":
+              return node.value;
+            case "field": {
+              const value = Object.prototype.hasOwnProperty.call(values, node.name) ? values[node.name] : null;
+              return value === void 0 ? null : value;
+            }
+            case "negate": {
+              const number = _SchemaExpressions.toNumber(_SchemaExpressions.evaluateNode(node.argument, values));
+              return number === null ? null : -number;
+            }
+            case "binary":
+              return _SchemaExpressions.applyOperator(
+                node.operator,
+                _SchemaExpressions.evaluateNode(node.left, values),
+                _SchemaExpressions.evaluateNode(node.right, values)
+              );
+            case "call":
+              return _SchemaExpressions.callFunction(node.name, node.args.map((arg) => _SchemaExpressions.evaluateNode(arg, values)));
+            default:
+              return null;
+          }
+        }
+        static isEmpty(value) {
+          return value === void 0 || value === null || value === "";
+        }
+        // Numbers, text holding a number, and checkboxes (true = 1); null otherwise
+        static toNumber(value) {
+          if (typeof value === "number") {
+            return Number.isFinite(value) ? value : null;
+          }
+          if (typeof value === "boolean") {
+            return value ? 1 : 0;
+          }
+          if (typeof value === "string" && value.trim() !== "") {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+          }
+          return null;
+        }
+        static toText(value) {
+          return _SchemaExpressions.isEmpty(value) ? "" : String(value);
+        }
+        // "+" adds when both sides are numbers (or text holding one) and joins text otherwise
+        static applyOperator(operator, left, right) {
+          const a = _SchemaExpressions.toNumber(left);
+          const b = _SchemaExpressions.toNumber(right);
+          switch (operator) {
+            case "+":
+              if (a !== null && b !== null) {
+                return a + b;
+              }
+              if ((a !== null || _SchemaExpressions.isEmpty(left)) && (b !== null || _SchemaExpressions.isEmpty(right))) {
+                return null;
+              }
+              return _SchemaExpressions.toText(left) + _SchemaExpressions.toText(right);
+            case "-":
+              return a === null || b === null ? null : a - b;
+            case "*":
+              return a === null || b === null ? null : a * b;
+            case "/":
+              return a === null || b === null || b === 0 ? null : a / b;
+            case "%":
+              return a === null || b === null || b === 0 ? null : a % b;
+            case "==":
+            case "!=": {
+              const equal = a !== null && b !== null ? a === b : _SchemaExpressions.toText(left) === _SchemaExpressions.toText(right);
+              return operator === "==" ? equal : !equal;
+            }
+            default: {
+              if (_SchemaExpressions.isEmpty(left) || _SchemaExpressions.isEmpty(right)) {
+                return null;
+              }
+              const order = a !== null && b !== null ? a - b : String(left).localeCompare(String(right));
+              if (operator === "<") return order < 0;
+              if (operator === "<=") return order <= 0;
+              if (operator === ">") return order > 0;
+              return order >= 0;
+            }
+          }
+        }
+        // A YYYY-MM-DD date (date inputs' value format) as a UTC Date, or null
+        static toDate(value) {
+          const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(_SchemaExpressions.toText(value).trim());
+          if (!match) {
+            return null;
+          }
+          const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+          return date.getUTCDate() === Number(match[3]) ? date : null;
+        }
+        static formatDate(date) {
+          return date.toISOString().slice(0, 10);
+        }
+        static today() {
+          const now = /* @__PURE__ */ new Date();
+          return _SchemaExpressions.formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+        }
+        static yearsBetween(fromValue, toValue) {
+          const from = _SchemaExpressions.toDate(fromValue);
+          const to = _SchemaExpressions.toDate(toValue);
+          if (!from || !to) {
+            return null;
+          }
+          let years = to.getUTCFullYear() - from.getUTCFullYear();
+          const beforeAnniversary = to.getUTCMonth() < from.getUTCMonth() || to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate();
+          if (beforeAnniversary) {
+            years--;
+          }
+          return years;
+        }
+        static callFunction(name, args) {
+          const numbers = args.map((arg) => _SchemaExpressions.toNumber(arg));
+          const present = numbers.filter((number) => number !== null);
+          const date = _SchemaExpressions.toDate(args[0]);
+          switch (name) {
+            case "round": {
+              if (numbers[0] === null) return null;
+              const factor = 10 ** (numbers[1] === null || numbers[1] === void 0 ? 0 : Math.trunc(numbers[1]));
+              return Math.round(numbers[0] * factor) / factor;
+            }
+            case "floor":
+              return numbers[0] === null ? null : Math.floor(numbers[0]);
+            case "ceil":
+              return numbers[0] === null ? null : Math.ceil(numbers[0]);
+            case "abs":
+              return numbers[0] === null ? null : Math.abs(numbers[0]);
+            case "min":
+              return numbers.includes(null) ? null : Math.min(...numbers);
+            case "max":
+              return numbers.includes(null) ? null : Math.max(...numbers);
+            case "sum":
+              return present.length ? present.reduce((total, number) => total + number, 0) : null;
+            case "if":
+              return _SchemaExpressions.isEmpty(args[0]) || args[0] === false || _SchemaExpressions.toNumber(args[0]) === 0 ? args[2] : args[1];
+            case "concat":
+              return args.map((arg) => _SchemaExpressions.toText(arg)).join("");
+            case "upper":
+              return _SchemaExpressions.toText(args[0]).toUpperCase();
+            case "lower":
+              return _SchemaExpressions.toText(args[0]).toLowerCase();
+            case "trim":
+              return _SchemaExpressions.toText(args[0]).trim();
+            case "today":
+              return _SchemaExpressions.today();
+            case "year":
+              return date ? date.getUTCFullYear() : null;
+            case "month":
+              return date ? date.getUTCMonth() + 1 : null;
+            case "day":
+              return date ? date.getUTCDate() : null;
+            case "age":
+              return _SchemaExpressions.yearsBetween(args[0], _SchemaExpressions.today());
+            case "yearsBetween":
+              return _SchemaExpressions.yearsBetween(args[0], args[1]);
+            case "daysBetween": {
+              const to = _SchemaExpressions.toDate(args[1]);
+              return date && to ? Math.round((to - date) / 864e5) : null;
+            }
+            case "addDays": {
+              if (!date || numbers[1] === null) {
+                return null;
+              }
+              const result = new Date(date.getTime() + Math.trunc(numbers[1]) * 864e5);
+              const year = result.getUTCFullYear();
+              return Number.isNaN(result.getTime()) || year < 0 || year > 9999 ? null : _SchemaExpressions.formatDate(result);
+            }
+            default:
+              return null;
+          }
+        }
+        // Empty text and non-finite numbers become null; float noise (0.1 * 3) is rounded away
+        static normalize(value) {
+          if (typeof value === "number") {
+            return Number.isFinite(value) ? parseFloat(value.toPrecision(12)) : null;
+          }
+          return value === "" || value === void 0 ? null : value;
+        }
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = { SchemaExpressions: SchemaExpressions2 };
+      }
+    }
+  });
+
+  // public/js/schemaRules.js
+  var require_schemaRules = __commonJS({
+    "public/js/schemaRules.js"(exports, module) {
+      var SchemaRules4 = class _SchemaRules {
+        // Hebrew defaults; the runtime's other locales are in src/messages.js
+        static get REQUIRED_MESSAGE() {
+          return "\u05E9\u05D3\u05D4 \u05D7\u05D5\u05D1\u05D4";
+        }
+        static get INVALID_MESSAGE() {
+          return "\u05E2\u05E8\u05DA \u05DC\u05D0 \u05EA\u05E7\u05D9\u05DF";
+        }
+        // Unanswered: unchecked checkboxes and blank text alike
+        static isEmpty(value) {
+          return value === void 0 || value === null || value === false || String(value).trim() === "";
+        }
+        // ISO dates compare as text, anything else as numbers; null when the two cannot be compared
+        static compare(value, other) {
+          const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+          const a = String(value).trim();
+          const b = String(other).trim();
+          if (datePattern.test(a) && datePattern.test(b)) {
+            return a === b ? 0 : a > b ? 1 : -1;
+          }
+          const numberA = Number(a);
+          const numberB = Number(b);
+          return Number.isFinite(numberA) && Number.isFinite(numberB) ? numberA - numberB : null;
+        }
+        // Whether the answers satisfy a rule. "after" and "equals" compare the target with
+        // `otherField` and wait until both have a value; "atLeastOne" and "sum" look at every
+        // field in `fields`. Unknown rule types pass (schema lint reports them). Works on form
+        // state and on submitted payloads alike.
+        static check(rule, values) {
+          const isEmpty = (name) => _SchemaRules.isEmpty(values[name]);
+          const fields = Array.isArray(rule.fields) ? rule.fields : [];
+          switch (rule.type) {
+            case "after":
+            case "equals": {
+              if (isEmpty(rule.field) || isEmpty(rule.otherField)) {
+                return true;
+              }
+              const value = values[rule.field];
+              const other = values[rule.otherField];
+              if (rule.type === "equals") {
+                return typeof value === "string" && typeof other === "string" ? value.trim() === other.trim() : value === other;
+              }
+              const comparison = _SchemaRules.compare(value, other);
+              return comparison === null || comparison > 0;
+            }
+            case "atLeastOne":
+              return fields.some((name) => !isEmpty(name));
+            case "sum": {
+              const total = fields.reduce((sum, name) => {
+                const number = isEmpty(name) ? 0 : Number(values[name]);
+                return sum + (Number.isFinite(number) ? number : 0);
+              }, 0);
+              const limit = (key) => rule[key] === void 0 || rule[key] === null || rule[key] === "" ? null : Number(rule[key]);
+              const min = limit("min");
+              const max = limit("max");
+              return !(min !== null && total < min) && !(max !== null && total > max);
+            }
+            default:
+              return true;
+          }
+        }
+      };
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = { SchemaRules: SchemaRules4 };
+      }
+    }
+  });
+
+  // src/schemaUtils.js
+  var import_schemaConditions = __toESM(require_schemaConditions(), 1);
+  var import_schemaExpressions = __toESM(require_schemaExpressions(), 1);
+  var import_schemaRules = __toESM(require_schemaRules(), 1);
+  var REQUIRED_MESSAGE = import_schemaRules.SchemaRules.REQUIRED_MESSAGE;
+  function isMultiStage(schema) {
+    return Array.isArray(schema.stages) && schema.stages.length > 0;
+  }
+  function getStageCount(schema) {
+    return isMultiStage(schema) ? schema.stages.length : 1;
+  }
+  function getFields(schema, stageIndex = null) {
+    if (isMultiStage(schema)) {
+      if (typeof stageIndex === "number") {
+        return schema.stages[stageIndex]?.fields ?? [];
+      }
+      return schema.fields ?? schema.stages.flatMap((stage) => stage.fields);
+    }
+    return schema.fields ?? [];
+  }
+  var CONDITION_OPERATORS = import_schemaConditions.SchemaConditions.OPERATORS;
+  function evaluateCondition(condition, state) {
+    return import_schemaConditions.SchemaConditions.evaluate(condition, state);
+  }
+  function getConditionFields(condition) {
+    return import_schemaConditions.SchemaConditions.getFields(condition);
+  }
+  function shouldDisplayStage(stage, state) {
+    if (!stage?.showIf) {
+      return true;
+    }
+    return evaluateCondition(stage.showIf, state);
+  }
+  function findVisibleStage(schema, fromIndex, state) {
+    const index = schema.stages.findIndex((stage, i) => i >= fromIndex && shouldDisplayStage(stage, state));
+    return index === -1 ? null : index;
+  }
+  function getNextStageIndex(schema, stageIndex, state) {
+    if (!isMultiStage(schema)) {
+      return null;
+    }
+    const stages = schema.stages;
+    const rules = Array.isArray(stages[stageIndex]?.next) ? stages[stageIndex].next : [];
+    const targetIndex = (rule) => stages.findIndex((stage) => stage?.id === rule?.goTo);
+    const route = rules.find((rule) => targetIndex(rule) > stageIndex && (!rule.if || evaluateCondition(rule.if, state)));
+    return findVisibleStage(schema, route ? targetIndex(route) : stageIndex + 1, state);
+  }
+  function getStagePath(schema, state) {
+    if (!isMultiStage(schema)) {
+      return [0];
+    }
+    const path = [];
+    let index = findVisibleStage(schema, 0, state);
+    while (index !== null) {
+      path.push(index);
+      index = getNextStageIndex(schema, index, state);
+    }
+    return path;
+  }
+  function shouldDisplayField(field, state) {
+    if (!field?.showIf) {
+      return true;
+    }
+    return evaluateCondition(field.showIf, state);
+  }
+  function isFieldRequired(field, state) {
+    if (field?.required) {
+      return true;
+    }
+    return Boolean(field?.requiredIf) && evaluateCondition(field.requiredIf, state);
+  }
+  function getVisibleFields(schema, state, stageIndex = null) {
+    let fields = getFields(schema, stageIndex);
+    if (isMultiStage(schema)) {
+      const path = getStagePath(schema, state);
+      fields = typeof stageIndex === "number" ? path.includes(stageIndex) ? fields : [] : path.flatMap((index) => schema.stages[index]?.fields ?? []);
+    }
+    return fields.filter((field) => !isPlainTextField(field)).filter((field) => shouldDisplayField(field, state));
+  }
+  function pruneHiddenState(schema, state) {
+    const multiStage = isMultiStage(schema);
+    const stages = multiStage ? schema.stages : [{ fields: getFields(schema) }];
+    let nextOnPath = multiStage ? findVisibleStage(schema, 0, state) : 0;
+    stages.forEach((stage, index) => {
+      const onPath = index === nextOnPath;
+      (stage?.fields ?? []).forEach((field) => {
+        if (!field?.name || !Object.prototype.hasOwnProperty.call(state, field.name)) {
+          return;
+        }
+        if (!onPath || field.showIf && !shouldDisplayField(field, state)) {
+          delete state[field.name];
+        }
+      });
+      if (onPath && multiStage) {
+        nextOnPath = getNextStageIndex(schema, index, state);
+      }
+    });
+  }
+  function isCalculatedField(field) {
+    return field?.type === "calculated";
+  }
+  function getExpressionFields(field) {
+    return isCalculatedField(field) && typeof field.expression === "string" ? import_schemaExpressions.SchemaExpressions.getFields(field.expression) : [];
+  }
+  function applyCalculatedFields(schema, state) {
+    const calculatedFields = getFields(schema).filter(isCalculatedField);
+    if (!calculatedFields.length) {
+      return;
+    }
+    const visibleNames = new Set(getVisibleFields(schema, state).map((field) => field.name));
+    calculatedFields.forEach((field) => {
+      const value = visibleNames.has(field.name) ? import_schemaExpressions.SchemaExpressions.evaluate(field.expression ?? "", state) : null;
+      if (value === null) {
+        delete state[field.name];
+      } else {
+        state[field.name] = value;
+      }
+    });
+  }
+  function getRules(schema) {
+    return (Array.isArray(schema?.rules) ? schema.rules : []).filter((rule) => rule && typeof rule === "object" && typeof rule.field === "string" && rule.field);
+  }
+  function isPlainTextField(field) {
+    const type = String(field?.type ?? "").toLowerCase();
+    return type === "plain text" || type === "plaintext";
+  }
+  function toPayloadValue(field, value) {
+    if (field?.type === "number" && typeof value === "string") {
+      if (value.trim() === "") {
+        return void 0;
+      }
+      const number = Number(value);
+      return Number.isFinite(number) ? number : value;
+    }
+    return value;
+  }
+
+  // src/messages.js
+  var import_schemaRules2 = __toESM(require_schemaRules(), 1);
+  var DEFAULT_LOCALE = "he";
+  var MESSAGES = {
+    he: {
+      yes: "\u05DB\u05DF",
+      no: "\u05DC\u05D0",
+      schemaLoadError: "\u05E9\u05D2\u05D9\u05D0\u05D4 \u05D1\u05D8\u05E2\u05D9\u05E0\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1",
+      schemaUnavailable: "\u05DC\u05D0 \u05E0\u05D9\u05EA\u05DF \u05DC\u05D8\u05E2\u05D5\u05DF \u05D0\u05EA \u05D4\u05D2\u05D3\u05E8\u05D5\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1.",
+      schemaInvalid: "\u05D4\u05D2\u05D3\u05E8\u05D5\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1 \u05D0\u05D9\u05E0\u05DF \u05EA\u05E7\u05D9\u05E0\u05D5\u05EA.",
+      summaryIntro: "\u05D1\u05D3\u05D5\u05E7 \u05D0\u05EA \u05D4\u05E0\u05EA\u05D5\u05E0\u05D9\u05DD \u05DC\u05E4\u05E0\u05D9 \u05E9\u05DC\u05D9\u05D7\u05D4.",
+      stage: (number) => `\u05E9\u05DC\u05D1 ${number}`,
+      stageOf: (number, total) => `\u05E9\u05DC\u05D1 ${number} \u05DE\u05EA\u05D5\u05DA ${total}`,
+      selectPlaceholder: "-- \u05D1\u05D7\u05E8 --",
+      previous: "\u05D7\u05D6\u05E8\u05D4",
+      next: "\u05D4\u05DE\u05E9\u05DA",
+      submit: "\u05E9\u05DC\u05D9\u05D7\u05D4",
+      reset: "\u05D0\u05D9\u05E4\u05D5\u05E1",
+      resetConfirm: "\u05D4\u05D0\u05DD \u05D0\u05EA\u05D4 \u05D1\u05D8\u05D5\u05D7 \u05E9\u05D1\u05E8\u05E6\u05D5\u05E0\u05DA \u05DC\u05D0\u05E4\u05E1 \u05D0\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1?",
+      formReset: "\u05D4\u05D8\u05D5\u05E4\u05E1 \u05D0\u05D5\u05E4\u05E1\u05DF",
+      noSubmitUrl: "\u05DC\u05D0 \u05D4\u05D5\u05D2\u05D3\u05E8\u05D4 \u05DB\u05EA\u05D5\u05D1\u05EA \u05DC\u05E9\u05DC\u05D9\u05D7\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1.",
+      submitFailed: "\u05E9\u05DC\u05D9\u05D7\u05EA \u05D4\u05D8\u05D5\u05E4\u05E1 \u05E0\u05DB\u05E9\u05DC\u05D4. \u05E0\u05E1\u05D5 \u05E9\u05D5\u05D1.",
+      fixErrors: "\u05D9\u05E9 \u05DC\u05EA\u05E7\u05DF \u05D0\u05EA \u05D4\u05E9\u05D3\u05D5\u05EA \u05D4\u05DE\u05E1\u05D5\u05DE\u05E0\u05D9\u05DD \u05D5\u05DC\u05E9\u05DC\u05D5\u05D7 \u05E9\u05D5\u05D1.",
+      successMessage: "\u05D4\u05D8\u05D5\u05E4\u05E1 \u05E0\u05E9\u05DC\u05D7 \u05D1\u05D4\u05E6\u05DC\u05D7\u05D4. \u05EA\u05D5\u05D3\u05D4!",
+      successLinkText: "\u05D4\u05DE\u05E9\u05DA",
+      validation: {
+        required: import_schemaRules2.SchemaRules.REQUIRED_MESSAGE,
+        emailInvalid: "\u05DB\u05EA\u05D5\u05D1\u05EA \u05D0\u05D9\u05DE\u05D9\u05D9\u05DC \u05DC\u05D0 \u05EA\u05E7\u05D9\u05E0\u05D4",
+        optionInvalid: "\u05D9\u05E9 \u05DC\u05D1\u05D7\u05D5\u05E8 \u05D0\u05E4\u05E9\u05E8\u05D5\u05EA \u05DE\u05D4\u05E8\u05E9\u05D9\u05DE\u05D4",
+        dateInvalid: "\u05EA\u05D0\u05E8\u05D9\u05DA \u05DC\u05D0 \u05EA\u05E7\u05D9\u05DF",
+        numberInvalid: "\u05D9\u05E9 \u05DC\u05D4\u05D6\u05D9\u05DF \u05DE\u05E1\u05E4\u05E8",
+        invalid: import_schemaRules2.SchemaRules.INVALID_MESSAGE,
+        min: (limit) => `\u05D4\u05E2\u05E8\u05DA \u05D7\u05D9\u05D9\u05D1 \u05DC\u05D4\u05D9\u05D5\u05EA \u05DC\u05E4\u05D7\u05D5\u05EA ${limit}`,
+        max: (limit) => `\u05D4\u05E2\u05E8\u05DA \u05D7\u05D9\u05D9\u05D1 \u05DC\u05D4\u05D9\u05D5\u05EA \u05DC\u05DB\u05DC \u05D4\u05D9\u05D5\u05EA\u05E8 ${limit}`,
+        minDate: (limit) => `\u05D4\u05EA\u05D0\u05E8\u05D9\u05DA \u05D7\u05D9\u05D9\u05D1 \u05DC\u05D4\u05D9\u05D5\u05EA ${limit} \u05D0\u05D5 \u05DE\u05D0\u05D5\u05D7\u05E8 \u05D9\u05D5\u05EA\u05E8`,
+        maxDate: (limit) => `\u05D4\u05EA\u05D0\u05E8\u05D9\u05DA \u05D7\u05D9\u05D9\u05D1 \u05DC\u05D4\u05D9\u05D5\u05EA ${limit} \u05D0\u05D5 \u05DE\u05D5\u05E7\u05D3\u05DD \u05D9\u05D5\u05EA\u05E8`,
+        minlength: (limit) => `\u05D9\u05E9 \u05DC\u05D4\u05D6\u05D9\u05DF \u05DC\u05E4\u05D7\u05D5\u05EA ${limit} \u05EA\u05D5\u05D5\u05D9\u05DD`,
+        maxlength: (limit) => `\u05D9\u05E9 \u05DC\u05D4\u05D6\u05D9\u05DF \u05DC\u05DB\u05DC \u05D4\u05D9\u05D5\u05EA\u05E8 ${limit} \u05EA\u05D5\u05D5\u05D9\u05DD`,
+        pattern: "\u05D4\u05E2\u05E8\u05DA \u05D0\u05D9\u05E0\u05D5 \u05D1\u05E4\u05D5\u05E8\u05DE\u05D8 \u05D4\u05E0\u05D3\u05E8\u05E9"
+      }
+    },
+    en: {
+      yes: "Yes",
+      no: "No",
+      schemaLoadError: "The form could not be loaded",
+      schemaUnavailable: "The form settings could not be loaded.",
+      schemaInvalid: "The form settings are invalid.",
+      summaryIntro: "Check your answers before submitting.",
+      stage: (number) => `Step ${number}`,
+      stageOf: (number, total) => `Step ${number} of ${total}`,
+      selectPlaceholder: "-- Select --",
+      previous: "Back",
+      next: "Next",
+      submit: "Submit",
+      reset: "Reset",
+      resetConfirm: "Are you sure you want to reset the form?",
+      formReset: "The form was reset",
+      noSubmitUrl: "No submission URL is configured for this form.",
+      submitFailed: "The form could not be sent. Please try again.",
+      fixErrors: "Please fix the highlighted fields and submit again.",
+      successMessage: "The form was sent. Thank you!",
+      successLinkText: "Continue",
+      validation: {
+        required: "This field is required",
+        emailInvalid: "Invalid email address",
+        optionInvalid: "Choose one of the listed options",
+        dateInvalid: "Invalid date",
+        numberInvalid: "Enter a number",
+        invalid: "Invalid value",
+        min: (limit) => `The value must be at least ${limit}`,
+        max: (limit) => `The value must be at most ${limit}`,
+        minDate: (limit) => `The date must be ${limit} or later`,
+        maxDate: (limit) => `The date must be ${limit} or earlier`,
+        minlength: (limit) => `Enter at least ${limit} characters`,
+        maxlength: (limit) => `Enter at most ${limit} characters`,
+        pattern: "The value is not in the expected format"
+      }
+    }
+  };
+  function getLanguage(locale) {
+    return String(locale || DEFAULT_LOCALE).trim().toLowerCase().split(/[-_]/)[0];
+  }
+  function getMessages(locale) {
+    return MESSAGES[getLanguage(locale)] ?? MESSAGES[DEFAULT_LOCALE];
+  }
+
+  // src/validation.js
+  var import_schemaRules3 = __toESM(require_schemaRules(), 1);
+  var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  var DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  var CHOICE_TYPES = /* @__PURE__ */ new Set(["select", "radio"]);
+  function message(field, key, fallback) {
+    return field.errorMessages?.[key] || fallback;
+  }
+  function getAttribute(field, key) {
+    const value = field.attributes?.[key];
+    return value === void 0 || value === null || value === "" ? null : value;
+  }
+  function optionValue(option) {
+    return typeof option === "string" ? option : option?.value;
+  }
+  function compilePattern(pattern) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, "u");
+    } catch (error) {
+      return null;
+    }
+  }
+  function isEmptyValue(field, value) {
+    if (field?.type === "checkbox") {
+      return value !== true;
+    }
+    return value === void 0 || value === null || String(value).trim() === "";
+  }
+  function validateField(field, value, options = {}) {
+    const defaults = getMessages(options.locale).validation;
+    if (isCalculatedField(field)) {
+      return null;
+    }
+    if (isEmptyValue(field, value)) {
+      return isFieldRequired(field, options.state ?? {}) ? message(field, "required", defaults.required) : null;
+    }
+    if (field.type === "checkbox") {
+      return typeof value === "boolean" ? null : message(field, "required", defaults.required);
+    }
+    if (typeof value !== "string") {
+      return defaults.invalid;
+    }
+    const text = value.trim();
+    if (field.type === "email" && !EMAIL_PATTERN.test(text)) {
+      return message(field, "emailInvalid", defaults.emailInvalid);
+    }
+    if (CHOICE_TYPES.has(field.type) && !(field.options ?? []).some((option) => String(optionValue(option)) === value)) {
+      return message(field, "optionInvalid", defaults.optionInvalid);
+    }
+    const min = getAttribute(field, "min");
+    const max = getAttribute(field, "max");
+    if (field.type === "number") {
+      const number = Number(text);
+      if (!Number.isFinite(number)) {
+        return message(field, "numberInvalid", defaults.numberInvalid);
+      }
+      if (min !== null && number < Number(min)) {
+        return message(field, "min", defaults.min(min));
+      }
+      if (max !== null && number > Number(max)) {
+        return message(field, "max", defaults.max(max));
+      }
+    } else if (field.type === "date") {
+      if (!DATE_PATTERN.test(text)) {
+        return message(field, "dateInvalid", defaults.dateInvalid);
+      }
+      if (min !== null && text < String(min)) {
+        return message(field, "min", defaults.minDate(min));
+      }
+      if (max !== null && text > String(max)) {
+        return message(field, "max", defaults.maxDate(max));
+      }
+    }
+    const minlength = getAttribute(field, "minlength");
+    const maxlength = getAttribute(field, "maxlength");
+    if (minlength !== null && value.length < Number(minlength)) {
+      return message(field, "minlength", defaults.minlength(minlength));
+    }
+    if (maxlength !== null && value.length > Number(maxlength)) {
+      return message(field, "maxlength", defaults.maxlength(maxlength));
+    }
+    const pattern = getAttribute(field, "pattern");
+    if (pattern !== null) {
+      const regex = compilePattern(pattern);
+      if (regex && !regex.test(value)) {
+        return message(field, "pattern", defaults.pattern);
+      }
+    }
+    return null;
+  }
+  function validateStage(schema, state, stageIndex = null, options = {}) {
+    const errors = {};
+    const visibleFields = getVisibleFields(schema, state, stageIndex);
+    visibleFields.forEach((field) => {
+      const error = validateField(field, state[field.name], { ...options, state });
+      if (error) {
+        errors[field.name] = error;
+      }
+    });
+    const visibleNames = new Set(visibleFields.map((field) => field.name));
+    getRules(schema).forEach((rule) => {
+      if (visibleNames.has(rule.field) && !errors[rule.field] && !import_schemaRules3.SchemaRules.check(rule, state)) {
+        errors[rule.field] = rule.message || getMessages(options.locale).validation.invalid;
+      }
+    });
+    return errors;
+  }
+
+  // src/formBuilderBase.js
+  var RENDER_DEBOUNCE_MS = 200;
+  var INPUT_EVENT_TYPES = /* @__PURE__ */ new Set(["text", "textarea", "email", "tel", "number", "date", "search", "url", "password"]);
+  var nextInstanceId = 0;
+  function isElementVisible(element) {
+    if (!(element instanceof HTMLElement)) {
+      return false;
+    }
+    if (element.hidden || element.getAttribute("aria-hidden") === "true") {
+      return false;
+    }
+    return element.offsetParent !== null || element.getClientRects().length > 0;
+  }
+  function applyInputAttributes(element, field) {
+    if (!element || !field) {
+      return;
+    }
+    if (field.placeholder && element.tagName !== "SELECT") {
+      element.placeholder = field.placeholder;
+    }
+    if (field.attributes && typeof field.attributes === "object") {
+      Object.entries(field.attributes).forEach(([attr, value]) => {
+        if (value === void 0 || value === null || value === false) {
+          return;
+        }
+        if (value === true) {
+          element.setAttribute(attr, "");
+          return;
+        }
+        element.setAttribute(attr, value);
+      });
+    }
+  }
+  function resolveOptionLabel(field, value) {
+    if (!Array.isArray(field.options)) {
+      return value;
+    }
+    const match = field.options.find((option) => {
+      const optionValue2 = typeof option === "string" ? option : option.value;
+      return optionValue2 === value;
+    });
+    if (!match) {
+      return value;
+    }
+    return typeof match === "string" ? match : match.label ?? match.value;
+  }
+  function formatFieldValue(field, value, messages) {
+    const emptyValue = "\u2014";
+    if (isCalculatedField(field) && typeof value === "boolean") {
+      return value ? messages.yes : messages.no;
+    }
+    if (field.type === "checkbox") {
+      if (value === void 0 || value === null || value === "") {
+        return emptyValue;
+      }
+      return value ? messages.yes : messages.no;
+    }
+    if (value === void 0 || value === null || value === "") {
+      return emptyValue;
+    }
+    if (field.type === "select" || field.type === "radio") {
+      const label = resolveOptionLabel(field, value);
+      return label ?? emptyValue;
+    }
+    return String(value);
+  }
+  function getControllerFields(schema) {
+    const fields = getFields(schema);
+    const stages = isMultiStage(schema) ? schema.stages : [];
+    return /* @__PURE__ */ new Set([
+      ...fields.flatMap((field) => getConditionFields(field?.showIf)),
+      ...fields.flatMap((field) => getConditionFields(field?.requiredIf)),
+      ...fields.flatMap((field) => getExpressionFields(field)),
+      ...stages.flatMap((stage) => getConditionFields(stage?.showIf))
+    ]);
+  }
+  function resolveFocusableIndex(focusables, activeElement, fallbackTarget) {
+    if (activeElement instanceof HTMLElement) {
+      const activeIndex = focusables.indexOf(activeElement);
+      if (activeIndex !== -1) {
+        return { index: activeIndex, source: "active" };
+      }
+    }
+    if (fallbackTarget) {
+      if (fallbackTarget.id) {
+        const idIndex = focusables.findIndex((element) => element.id === fallbackTarget.id);
+        if (idIndex !== -1) {
+          return { index: idIndex, source: "fallback" };
+        }
+      }
+      if (fallbackTarget.name) {
+        const nameMatchIndex = focusables.findIndex((element) => {
+          if (element.getAttribute("name") !== fallbackTarget.name) {
+            return false;
+          }
+          if (element instanceof HTMLInputElement && element.type === "radio") {
+            return element.checked;
+          }
+          return true;
+        });
+        if (nameMatchIndex !== -1) {
+          return { index: nameMatchIndex, source: "fallback" };
+        }
+        const anyNameIndex = focusables.findIndex((element) => element.getAttribute("name") === fallbackTarget.name);
+        if (anyNameIndex !== -1) {
+          return { index: anyNameIndex, source: "fallback" };
+        }
+      }
+    }
+    return { index: -1, source: "none" };
+  }
+  var FormBuilderBase = class {
+    constructor(root) {
+      if (!(root instanceof HTMLElement)) {
+        throw new Error("FormBuilderBase requires a root HTMLElement");
+      }
+      this.root = root;
+      this.instanceId = root.dataset.formBuilder || root.id || `fb-${nextInstanceId++}`;
+      this.locale = root.dataset.locale || void 0;
+      this.messages = getMessages(this.locale);
+      this.container = root.querySelector("form");
+      this.stageIndicator = this._createStageIndicator();
+      const { controls, prevButton, nextButton, submitButton, resetButton } = this._createControls();
+      this.controls = controls;
+      this.prevButton = prevButton;
+      this.nextButton = nextButton;
+      this.submitButton = submitButton;
+      this.resetButton = resetButton;
+      this.currentStage = 0;
+      this.formAbortController = null;
+      this.stageIndicatorAbortController = null;
+      this.furthestStageReached = 0;
+      this.stageHistory = [];
+      this.focusVersion = 0;
+      this.lastStageFocusTarget = null;
+      this.pendingRenderTimers = /* @__PURE__ */ new Map();
+      this.activeSchema = null;
+      this.state = {};
+      this.isSubmitting = false;
+      this.submitFeedback = null;
+      this.isLoadingSchema = false;
+      this.liveRegion = document.createElement("div");
+      this.liveRegion.id = this._scopedId("live-region");
+      this.liveRegion.setAttribute("aria-live", "polite");
+      this.liveRegion.setAttribute("aria-atomic", "true");
+      this.liveRegion.className = "visually-hidden";
+      this.root.appendChild(this.liveRegion);
+      this._bindEvents();
+      this._init();
+    }
+    // --- Template methods (override in subclasses) ---
+    /** Override to initialize the form (e.g., load schema from DOM). */
+    async _init() {
+    }
+    /** Override to persist form state (e.g., to localStorage). */
+    _saveDraft() {
+    }
+    /** Override to load persisted state. Must return an object. */
+    _loadDraft() {
+      return {};
+    }
+    /** Override to clear persisted state. */
+    _clearDraft() {
+    }
+    /** Override to submit form data (e.g., HTTP POST or alert). */
+    async _postPayload(payload) {
+      return false;
+    }
+    /**
+     * Validates one stage, or the whole form when `stageIndex` is null. Override to add
+     * checks. Must return an errors object (empty = valid).
+     */
+    _validateStage(stageIndex = null) {
+      return validateStage(this.activeSchema, this.state, stageIndex, { locale: this.locale });
+    }
+    // --- Scoped ID helpers ---
+    _scopedId(name) {
+      return `${this.instanceId}--${name}`;
+    }
+    _fieldId(fieldName) {
+      return this._scopedId(fieldName);
+    }
+    _helperId(fieldName) {
+      return this._scopedId(`${fieldName}-helper`);
+    }
+    _errorId(fieldName) {
+      return this._scopedId(`${fieldName}-error`);
+    }
+    _radioOptionId(fieldName, optionValue2) {
+      return this._scopedId(`${fieldName}-${String(optionValue2).replace(/\s+/g, "-")}`);
+    }
+    _radioGroupLabelId(fieldName) {
+      return this._scopedId(`${fieldName}-label`);
+    }
+    // --- Schema error display ---
+    _displaySchemaError(message2) {
+      if (!this.container) {
+        return;
+      }
+      this.container.innerHTML = "";
+      const errorDiv = document.createElement("div");
+      errorDiv.className = "alert alert-danger";
+      errorDiv.setAttribute("role", "alert");
+      errorDiv.innerHTML = `
+            <h4 class="alert-heading">${this.messages.schemaLoadError}</h4>
+            <p>${message2}</p>
+        `;
+      this.container.appendChild(errorDiv);
+      if (this.controls) {
+        this.controls.style.display = "none";
+      }
+    }
+    // --- Submit feedback ---
+    _ensureSubmitFeedback() {
+      if (this.submitFeedback) {
+        return this.submitFeedback;
+      }
+      if (!this.container) {
+        return null;
+      }
+      this.submitFeedback = document.createElement("div");
+      this.submitFeedback.id = this._scopedId("submit-feedback");
+      this.submitFeedback.className = "alert d-none mt-3";
+      this.submitFeedback.setAttribute("role", "status");
+      this.submitFeedback.setAttribute("aria-live", "polite");
+      if (this.controls?.parentElement) {
+        this.controls.parentElement.insertBefore(this.submitFeedback, this.controls);
+      } else {
+        this.container.after(this.submitFeedback);
+      }
+      return this.submitFeedback;
+    }
+    _setSubmitFeedback(type, message2) {
+      const feedback = this._ensureSubmitFeedback();
+      if (!feedback) {
+        return;
+      }
+      feedback.className = `alert alert-${type} mt-3`;
+      feedback.textContent = message2;
+      feedback.classList.remove("d-none");
+    }
+    _clearSubmitFeedback() {
+      if (!this.submitFeedback) {
+        return;
+      }
+      this.submitFeedback.textContent = "";
+      this.submitFeedback.className = "alert d-none mt-3";
+    }
+    _setSubmittingState(nextIsSubmitting) {
+      this.isSubmitting = nextIsSubmitting;
+      [this.prevButton, this.nextButton, this.submitButton, this.resetButton].forEach((button) => {
+        if (button) {
+          button.disabled = nextIsSubmitting;
+        }
+      });
+      if (this.submitButton) {
+        this.submitButton.setAttribute("aria-busy", nextIsSubmitting ? "true" : "false");
+      }
+    }
+    // --- Helper text ---
+    _appendHelperText(wrapper, text, fieldName) {
+      if (!text) {
+        return null;
+      }
+      const helperId = this._helperId(fieldName);
+      const helper = document.createElement("div");
+      helper.className = "form-text";
+      helper.id = helperId;
+      helper.textContent = text;
+      wrapper.appendChild(helper);
+      return helperId;
+    }
+    // --- Field state helpers ---
+    _pruneHiddenFields() {
+      if (!this.activeSchema || !this.state) {
+        return;
+      }
+      pruneHiddenState(this.activeSchema, this.state);
+    }
+    _updateCalculatedFields() {
+      if (!this.activeSchema || !this.state) {
+        return;
+      }
+      applyCalculatedFields(this.activeSchema, this.state);
+    }
+    _buildSubmissionPayload() {
+      const payload = {};
+      const visibleFields = getVisibleFields(this.activeSchema, this.state);
+      visibleFields.forEach((field) => {
+        if (Object.prototype.hasOwnProperty.call(this.state, field.name)) {
+          const value = toPayloadValue(field, this.state[field.name]);
+          if (value !== void 0) {
+            payload[field.name] = value;
+          }
+        }
+      });
+      return payload;
+    }
+    // --- Stage helpers ---
+    // A summary stage off the stage path (hidden or routed past) counts as no summary
+    _getSummaryStageIndex() {
+      if (!isMultiStage(this.activeSchema)) {
+        return -1;
+      }
+      const summaryIndex = this.activeSchema.stages.findIndex((stage) => stage?.type === "summary");
+      return summaryIndex !== -1 && this._isOnStagePath(summaryIndex) ? summaryIndex : -1;
+    }
+    _isSummaryStage(stageIndex) {
+      const summaryIndex = this._getSummaryStageIndex();
+      return summaryIndex !== -1 && summaryIndex === stageIndex;
+    }
+    _isOptionalSummaryStage() {
+      const summaryIndex = this._getSummaryStageIndex();
+      if (summaryIndex === -1) {
+        return false;
+      }
+      return Boolean(this.activeSchema.stages[summaryIndex]?.optional);
+    }
+    _getLastDataStageIndex() {
+      if (!isMultiStage(this.activeSchema)) {
+        return 0;
+      }
+      const summaryIndex = this._getSummaryStageIndex();
+      const dataStages = this._getStagePath().filter((index) => index !== summaryIndex);
+      return dataStages.length ? dataStages[dataStages.length - 1] : 0;
+    }
+    // --- Stage path (stage-level showIf and `next` routes) ---
+    // Indexes of the stages the current answers lead through, in order
+    _getStagePath() {
+      return getStagePath(this.activeSchema, this.state);
+    }
+    _isOnStagePath(stageIndex) {
+      return this._getStagePath().includes(stageIndex);
+    }
+    _getNextStageIndex(stageIndex) {
+      return this._getStagePath().find((index) => index > stageIndex) ?? null;
+    }
+    _getPreviousStageIndex(stageIndex) {
+      return this._getStagePath().filter((index) => index < stageIndex).pop() ?? null;
+    }
+    // The stage itself when it is on the path, else the nearest one after it (or before it)
+    _resolveStageOnPath(stageIndex) {
+      if (this._isOnStagePath(stageIndex)) {
+        return stageIndex;
+      }
+      return this._getNextStageIndex(stageIndex) ?? this._getPreviousStageIndex(stageIndex) ?? stageIndex;
+    }
+    // Step number on the path and the path's length, for "Step 2 of 3"
+    _getStagePosition(stageIndex) {
+      const path = this._getStagePath();
+      return { number: path.indexOf(stageIndex) + 1, total: path.length };
+    }
+    // Back returns to the stage the respondent came from, passing over stages that a changed
+    // answer took off the path; without a history the path decides
+    _getBackStageIndex() {
+      const path = this._getStagePath();
+      const visited = this.stageHistory.filter((index) => index < this.currentStage && path.includes(index));
+      return visited.length ? visited[visited.length - 1] : this._getPreviousStageIndex(this.currentStage);
+    }
+    // Keeps stageHistory (the stages visited on the way to the current one) in step with a
+    // move: returning to a visited stage drops what came after it, Next adds the stage left
+    // behind, and any other jump follows the path up to the target
+    _recordStageMove(fromIndex, toIndex) {
+      const visited = this.stageHistory.indexOf(toIndex);
+      if (visited !== -1) {
+        this.stageHistory = this.stageHistory.slice(0, visited);
+      } else if (toIndex > fromIndex && this._getNextStageIndex(fromIndex) === toIndex) {
+        this.stageHistory.push(fromIndex);
+      } else {
+        this.stageHistory = this._getStagePath().filter((index) => index < toIndex);
+      }
+    }
+    // --- Rendering ---
+    _renderSummaryStage() {
+      if (!this.container) {
+        return;
+      }
+      this.container.innerHTML = "";
+      const summaryWrapper = document.createElement("div");
+      summaryWrapper.className = "d-flex flex-column gap-3";
+      const intro = document.createElement("p");
+      intro.className = "text-muted mb-2";
+      intro.textContent = this.messages.summaryIntro;
+      summaryWrapper.appendChild(intro);
+      const summaryIndex = this._getSummaryStageIndex();
+      this.activeSchema.stages.forEach((stage, index) => {
+        if (index === summaryIndex || stage?.type === "summary" || !this._isOnStagePath(index)) {
+          return;
+        }
+        const visibleFields = getVisibleFields(this.activeSchema, this.state, index);
+        if (!visibleFields.length) {
+          return;
+        }
+        const section = document.createElement("div");
+        section.className = "border rounded-3 p-3 bg-white";
+        const title = document.createElement("h4");
+        title.className = "h6 mb-3";
+        title.textContent = stage.label ?? this.messages.stage(this._getStagePosition(index).number);
+        const list = document.createElement("dl");
+        list.className = "row mb-0";
+        visibleFields.forEach((field) => {
+          const term = document.createElement("dt");
+          term.className = "col-5 col-sm-4 text-muted";
+          term.textContent = field.label ?? field.name;
+          const detail = document.createElement("dd");
+          detail.className = "col-7 col-sm-8 mb-2";
+          detail.textContent = formatFieldValue(field, this.state[field.name], this.messages);
+          list.append(term, detail);
+        });
+        section.append(title, list);
+        summaryWrapper.appendChild(section);
+      });
+      this.container.appendChild(summaryWrapper);
+    }
+    _renderForm(stageIndex = null) {
+      if (this.formAbortController) {
+        this.formAbortController.abort();
+        this.formAbortController = null;
+      }
+      this.formAbortController = new AbortController();
+      const { signal } = this.formAbortController;
+      this.container.innerHTML = "";
+      const fields = getFields(this.activeSchema, stageIndex);
+      const controllerFieldSet = getControllerFields(this.activeSchema);
+      fields.forEach((field) => {
+        if (!shouldDisplayField(field, this.state)) {
+          return;
+        }
+        if (isPlainTextField(field)) {
+          const infoBlock = document.createElement("div");
+          infoBlock.className = "mb-3";
+          infoBlock.dataset.plainText = "true";
+          const titleText = field.title ?? field.label;
+          if (titleText) {
+            const title = document.createElement("h4");
+            title.className = "h6 mb-2";
+            title.textContent = titleText;
+            infoBlock.appendChild(title);
+          }
+          const bodyText = field.text ?? field.content ?? field.description ?? "";
+          if (bodyText) {
+            const paragraph = document.createElement("p");
+            paragraph.className = "mb-0 text-muted";
+            const lines = String(bodyText).split("\n");
+            lines.forEach((line, lineIndex) => {
+              if (lineIndex > 0) {
+                paragraph.appendChild(document.createElement("br"));
+              }
+              paragraph.appendChild(document.createTextNode(line));
+            });
+            infoBlock.appendChild(paragraph);
+          }
+          this.container.appendChild(infoBlock);
+          return;
+        }
+        const wrapper = document.createElement("div");
+        wrapper.className = "mb-3";
+        wrapper.dataset.fieldWrapper = field.name;
+        const fieldId = this._fieldId(field.name);
+        if (field.type === "checkbox") {
+          const formCheck = document.createElement("div");
+          formCheck.className = "form-check";
+          const input2 = document.createElement("input");
+          input2.type = "checkbox";
+          input2.name = field.name;
+          input2.id = fieldId;
+          input2.className = "form-check-input";
+          input2.checked = Boolean(this.state[field.name]);
+          input2.setAttribute("aria-invalid", "false");
+          applyInputAttributes(input2, field);
+          input2.addEventListener("change", (e) => {
+            this._handleFieldChange(stageIndex, field.name, e.target.checked);
+          }, { signal });
+          const label2 = document.createElement("label");
+          label2.className = "form-check-label";
+          label2.htmlFor = fieldId;
+          label2.textContent = field.label;
+          formCheck.append(input2, label2);
+          wrapper.append(formCheck);
+          const helperId2 = this._appendHelperText(wrapper, field.helperText, field.name);
+          if (helperId2) {
+            input2.setAttribute("aria-describedby", helperId2);
+          }
+          this.container.appendChild(wrapper);
+          return;
+        }
+        const label = document.createElement("label");
+        label.textContent = field.label;
+        label.htmlFor = fieldId;
+        label.className = "form-label";
+        if (field.type === "radio") {
+          const groupLabelId = this._radioGroupLabelId(field.name);
+          label.id = groupLabelId;
+          wrapper.append(label);
+          const group = document.createElement("div");
+          group.className = "d-flex flex-column gap-2";
+          group.setAttribute("role", "radiogroup");
+          group.setAttribute("aria-labelledby", groupLabelId);
+          (field.options ?? []).forEach((opt) => {
+            const optionValue2 = typeof opt === "string" ? opt : opt.value;
+            const optionLabel = typeof opt === "string" ? opt : opt.label ?? opt.value;
+            const optionId = this._radioOptionId(field.name, optionValue2);
+            const formCheck = document.createElement("div");
+            formCheck.className = "form-check";
+            const radio = document.createElement("input");
+            radio.type = "radio";
+            radio.name = this._scopedId(field.name);
+            radio.id = optionId;
+            radio.value = optionValue2;
+            radio.className = "form-check-input";
+            radio.checked = this.state[field.name] === optionValue2;
+            radio.setAttribute("aria-invalid", "false");
+            radio.addEventListener("change", () => {
+              this._handleFieldChange(stageIndex, field.name, optionValue2);
+            }, { signal });
+            const radioLabel = document.createElement("label");
+            radioLabel.className = "form-check-label";
+            radioLabel.htmlFor = optionId;
+            radioLabel.textContent = optionLabel;
+            formCheck.append(radio, radioLabel);
+            group.append(formCheck);
+          });
+          wrapper.append(group);
+          const helperId2 = this._appendHelperText(wrapper, field.helperText, field.name);
+          if (helperId2) {
+            group.setAttribute("aria-describedby", helperId2);
+          }
+          this.container.appendChild(wrapper);
+          return;
+        }
+        if (isCalculatedField(field)) {
+          const output = document.createElement("input");
+          output.type = "text";
+          output.name = field.name;
+          output.id = fieldId;
+          output.className = "form-control";
+          output.readOnly = true;
+          output.dataset.calculated = "true";
+          const value = this.state[field.name];
+          output.value = value === void 0 || value === null ? "" : formatFieldValue(field, value, this.messages);
+          wrapper.append(label, output);
+          const helperId2 = this._appendHelperText(wrapper, field.helperText, field.name);
+          if (helperId2) {
+            output.setAttribute("aria-describedby", helperId2);
+          }
+          this.container.appendChild(wrapper);
+          return;
+        }
+        let input;
+        if (field.type === "select") {
+          input = document.createElement("select");
+          input.className = "form-select";
+          const placeholder = document.createElement("option");
+          placeholder.value = "";
+          placeholder.textContent = this.messages.selectPlaceholder;
+          input.appendChild(placeholder);
+          (field.options ?? []).forEach((opt) => {
+            const optionValue2 = typeof opt === "string" ? opt : opt.value;
+            const optionLabel = typeof opt === "string" ? opt : opt.label ?? opt.value;
+            const option = document.createElement("option");
+            option.value = optionValue2;
+            option.textContent = optionLabel;
+            input.appendChild(option);
+          });
+        } else if (field.type === "textarea") {
+          input = document.createElement("textarea");
+          input.className = "form-control";
+          input.rows = field.rows ?? 3;
+        } else {
+          input = document.createElement("input");
+          input.type = field.type;
+          input.className = "form-control";
+        }
+        input.name = field.name;
+        input.id = fieldId;
+        if (isFieldRequired(field, this.state)) {
+          input.required = true;
+        }
+        input.value = this.state[field.name] ?? "";
+        input.setAttribute("aria-invalid", "false");
+        applyInputAttributes(input, field);
+        if (controllerFieldSet.has(field.name) && INPUT_EVENT_TYPES.has(field.type)) {
+          input.addEventListener("input", (e) => {
+            this._handleFieldInput(stageIndex, field.name, e.target.value);
+          }, { signal });
+        }
+        input.addEventListener("change", (e) => {
+          this._handleFieldChange(stageIndex, field.name, e.target.value);
+        }, { signal });
+        wrapper.append(label, input);
+        const helperId = this._appendHelperText(wrapper, field.helperText, field.name);
+        if (helperId) {
+          input.setAttribute("aria-describedby", helperId);
+        }
+        this.container.appendChild(wrapper);
+      });
+    }
+    // --- Field event handlers ---
+    /**
+     * Handles field change events (e.g., blur, select change, checkbox change).
+     * Updates state, prunes hidden fields, saves draft, and re-renders immediately.
+     */
+    _handleFieldChange(stageIndex, fieldName, value) {
+      this._clearPendingRender(fieldName);
+      const focusTarget = this._getActiveFocusTarget();
+      this.state[fieldName] = value;
+      this._pruneHiddenFields();
+      this._updateCalculatedFields();
+      this._saveDraft();
+      this._emitChange(fieldName, value);
+      if (isMultiStage(this.activeSchema)) {
+        const nextStageIndex = typeof stageIndex === "number" ? stageIndex : this.currentStage;
+        this._renderStage(nextStageIndex, { restoreFocusTarget: focusTarget });
+        return;
+      }
+      this._renderStage(void 0, { restoreFocusTarget: focusTarget });
+    }
+    /**
+     * Handles field input events (e.g., typing in text inputs).
+     * Updates state and schedules a debounced re-render to avoid excessive rendering.
+     */
+    _handleFieldInput(stageIndex, fieldName, value) {
+      const focusTarget = this._getActiveFocusTarget();
+      this.state[fieldName] = value;
+      this._pruneHiddenFields();
+      this._updateCalculatedFields();
+      this._saveDraft();
+      this._emitChange(fieldName, value);
+      this._scheduleRender(stageIndex, fieldName, focusTarget);
+    }
+    _clearPendingRender(fieldName) {
+      const timerId = this.pendingRenderTimers.get(fieldName);
+      if (timerId) {
+        clearTimeout(timerId);
+        this.pendingRenderTimers.delete(fieldName);
+      }
+    }
+    _scheduleRender(stageIndex, fieldName, focusTarget = null) {
+      this._clearPendingRender(fieldName);
+      const nextStageIndex = typeof stageIndex === "number" ? stageIndex : this.currentStage;
+      const timerId = setTimeout(() => {
+        this.pendingRenderTimers.delete(fieldName);
+        if (this.activeSchema && isMultiStage(this.activeSchema)) {
+          this._renderStage(nextStageIndex, { restoreFocusTarget: focusTarget });
+          return;
+        }
+        this._renderStage(void 0, { restoreFocusTarget: focusTarget });
+      }, RENDER_DEBOUNCE_MS);
+      this.pendingRenderTimers.set(fieldName, timerId);
+    }
+    // --- Error display ---
+    _showErrors(errors) {
+      this.container.querySelectorAll("[data-field-wrapper]").forEach((wrapper) => {
+        const fieldName = wrapper.dataset.fieldWrapper;
+        wrapper.querySelectorAll(".error").forEach((e) => e.remove());
+        wrapper.querySelectorAll("input, select, textarea").forEach((control) => {
+          control.classList.remove("is-invalid");
+          control.setAttribute("aria-invalid", "false");
+          const helperId = this._helperId(fieldName);
+          const helperExists = this.root.querySelector(`#${CSS.escape(helperId)}`);
+          if (helperExists) {
+            control.setAttribute("aria-describedby", helperId);
+          } else {
+            control.removeAttribute("aria-describedby");
+          }
+        });
+      });
+      Object.entries(errors).forEach(([field, message2]) => {
+        const wrapper = this.container.querySelector(`[data-field-wrapper="${CSS.escape(field)}"]`);
+        if (!wrapper) {
+          return;
+        }
+        const errorId = this._errorId(field);
+        const helperId = this._helperId(field);
+        const helperExists = this.root.querySelector(`#${CSS.escape(helperId)}`);
+        wrapper.querySelectorAll("input, select, textarea").forEach((control) => {
+          control.classList.add("is-invalid");
+          control.setAttribute("aria-invalid", "true");
+          const describedBy = helperExists ? `${errorId} ${helperId}` : errorId;
+          control.setAttribute("aria-describedby", describedBy);
+        });
+        const error = document.createElement("div");
+        error.id = errorId;
+        error.className = "error invalid-feedback d-block mt-1";
+        error.setAttribute("role", "alert");
+        error.textContent = message2 || this.messages.validation.required;
+        wrapper.appendChild(error);
+      });
+    }
+    // --- Navigation helpers ---
+    _findStageIndexForField(fieldName) {
+      if (!isMultiStage(this.activeSchema)) {
+        return 0;
+      }
+      return this.activeSchema.stages.findIndex(
+        (stage) => stage.fields.some((field) => field.name === fieldName)
+      );
+    }
+    _findFirstErrorStage(errors) {
+      if (!isMultiStage(this.activeSchema)) {
+        return null;
+      }
+      return Object.keys(errors).reduce((closestIndex, fieldName) => {
+        const stageIndex = this._findStageIndexForField(fieldName);
+        if (stageIndex === -1) {
+          return closestIndex;
+        }
+        if (closestIndex === null || stageIndex < closestIndex) {
+          return stageIndex;
+        }
+        return closestIndex;
+      }, null);
+    }
+    // --- Stage rendering ---
+    _renderStage(stageIndex, options = {}) {
+      if (!this.container || !this.activeSchema) {
+        return;
+      }
+      this._clearSubmitFeedback();
+      const { focusOnChange = false, restoreFocusTarget = null } = options;
+      const targetIndex = typeof stageIndex === "number" ? stageIndex : 0;
+      this._pruneHiddenFields();
+      this._updateCalculatedFields();
+      if (!isMultiStage(this.activeSchema)) {
+        this.currentStage = 0;
+        this._renderForm();
+        this._showErrors({});
+        this._updateStageIndicator(0);
+        this._updateNavigationControls(0);
+        if (restoreFocusTarget && restoreFocusTarget.version === this.focusVersion) {
+          this._restoreFocus(restoreFocusTarget);
+        } else if (!this._isActiveElementInScope() && this.lastStageFocusTarget) {
+          this._restoreFocus(this.lastStageFocusTarget);
+        }
+        return;
+      }
+      const lastIndex = getStageCount(this.activeSchema) - 1;
+      const previousStage = this.currentStage;
+      this.currentStage = this._resolveStageOnPath(Math.min(Math.max(targetIndex, 0), lastIndex));
+      if (this.currentStage !== previousStage) {
+        this._recordStageMove(previousStage, this.currentStage);
+      }
+      this.furthestStageReached = Math.max(this.furthestStageReached, this.currentStage);
+      if (this._isOptionalSummaryStage() && this.currentStage === this._getLastDataStageIndex()) {
+        this.furthestStageReached = Math.max(this.furthestStageReached, this._getNextStageIndex(this.currentStage) ?? this.currentStage);
+      }
+      if (this._isSummaryStage(this.currentStage)) {
+        this._renderSummaryStage();
+      } else {
+        this._renderForm(this.currentStage);
+      }
+      this._showErrors({});
+      this._updateStageIndicator(this.currentStage);
+      this._updateNavigationControls(this.currentStage);
+      if (previousStage === this.currentStage) {
+        if (restoreFocusTarget && restoreFocusTarget.version === this.focusVersion) {
+          this._restoreFocus(restoreFocusTarget);
+        } else if (!this._isActiveElementInScope() && this.lastStageFocusTarget) {
+          this._restoreFocus(this.lastStageFocusTarget);
+        }
+      }
+      if (previousStage !== this.currentStage) {
+        this.lastStageFocusTarget = null;
+        if (focusOnChange) {
+          this._focusFirstStageElement();
+        }
+        const stage = this.activeSchema.stages[this.currentStage];
+        this._emit("fb-stage-change", {
+          stageIndex: this.currentStage,
+          previousStageIndex: previousStage,
+          stageId: stage.id ?? null
+        });
+        const { number, total } = this._getStagePosition(this.currentStage);
+        this._announceToScreenReader(`${this.messages.stageOf(number, total)} - ${stage.label}`);
+      }
+    }
+    _updateStageIndicator(stageIndex = 0) {
+      if (!this.stageIndicator) {
+        return;
+      }
+      if (!isMultiStage(this.activeSchema)) {
+        this.stageIndicator.textContent = "";
+        this.stageIndicator.classList.add("d-none");
+        return;
+      }
+      const stage = this.activeSchema.stages[stageIndex];
+      const { number, total } = this._getStagePosition(stageIndex);
+      this.stageIndicator.classList.remove("d-none");
+      this.stageIndicator.innerHTML = "";
+      const header = document.createElement("div");
+      header.className = "d-flex flex-column flex-sm-row align-items-start align-items-sm-center justify-content-between gap-2";
+      const title = document.createElement("h3");
+      title.className = "h4 mb-0";
+      title.textContent = stage.label;
+      const count = document.createElement("div");
+      count.className = "text-muted small";
+      count.textContent = this.messages.stageOf(number, total);
+      header.append(title, count);
+      const steps = document.createElement("div");
+      steps.className = "stage-indicator__steps mt-3";
+      steps.setAttribute("role", "list");
+      this._getStagePath().forEach((index, position) => {
+        const stageItem = this.activeSchema.stages[index];
+        const step = document.createElement("button");
+        step.type = "button";
+        step.className = "stage-step";
+        step.dataset.stageIndex = String(index);
+        step.setAttribute("role", "listitem");
+        step.title = stageItem.label;
+        step.setAttribute("aria-label", stageItem.label ?? this.messages.stage(position + 1));
+        step.textContent = String(position + 1);
+        if (index === stageIndex) {
+          step.classList.add("stage-step--current");
+          step.setAttribute("aria-current", "step");
+          step.disabled = true;
+        } else if (index < this.furthestStageReached) {
+          step.classList.add("stage-step--done");
+        } else if (index === this.furthestStageReached) {
+          step.classList.add("stage-step--next");
+        } else {
+          step.classList.add("stage-step--undone");
+          step.disabled = true;
+          step.setAttribute("aria-disabled", "true");
+        }
+        steps.appendChild(step);
+      });
+      this.stageIndicator.append(header, steps);
+      if (this.stageIndicatorAbortController) {
+        this.stageIndicatorAbortController.abort();
+        this.stageIndicatorAbortController = null;
+      }
+      this.stageIndicatorAbortController = new AbortController();
+      const { signal } = this.stageIndicatorAbortController;
+      this.stageIndicator.addEventListener("click", (event) => {
+        const target = event.target.closest("[data-stage-index]");
+        if (!target || !(target instanceof HTMLButtonElement)) {
+          return;
+        }
+        const targetIndex = Number(target.dataset.stageIndex);
+        if (!Number.isInteger(targetIndex)) {
+          return;
+        }
+        if (targetIndex > this.furthestStageReached) {
+          return;
+        }
+        this._renderStage(targetIndex, { focusOnChange: true });
+      }, { signal });
+    }
+    _updateNavigationControls(stageIndex = 0) {
+      if (!this.prevButton || !this.nextButton || !this.submitButton) {
+        return;
+      }
+      if (!isMultiStage(this.activeSchema)) {
+        this.prevButton.style.display = "none";
+        this.nextButton.style.display = "none";
+        this.submitButton.style.display = "inline-block";
+        return;
+      }
+      const summaryIndex = this._getSummaryStageIndex();
+      const hasSummary = summaryIndex !== -1;
+      const isSummary = hasSummary && stageIndex === summaryIndex;
+      const isLastStage = this._getNextStageIndex(stageIndex) === null;
+      const lastDataStageIndex = this._getLastDataStageIndex();
+      this.prevButton.style.display = this._getBackStageIndex() === null ? "none" : "inline-block";
+      if (isSummary) {
+        this.nextButton.style.display = "none";
+        this.submitButton.style.display = "inline-block";
+        return;
+      }
+      if (hasSummary && stageIndex === lastDataStageIndex) {
+        this.nextButton.style.display = "inline-block";
+        this.submitButton.style.display = this._isOptionalSummaryStage() ? "inline-block" : "none";
+        return;
+      }
+      this.nextButton.style.display = isLastStage ? "none" : "inline-block";
+      this.submitButton.style.display = isLastStage ? "inline-block" : "none";
+    }
+    // --- Focus management ---
+    _isElementInScope(element) {
+      if (!(element instanceof HTMLElement)) {
+        return false;
+      }
+      return Boolean(
+        this.container && this.container.contains(element) || this.controls && this.controls.contains(element)
+      );
+    }
+    _getStageFocusableElements() {
+      const focusableSelector = [
+        'input:not([type="hidden"]):not([disabled])',
+        "select:not([disabled])",
+        "textarea:not([disabled])",
+        "button:not([disabled])",
+        '[tabindex]:not([tabindex="-1"])'
+      ].join(", ");
+      const elements = [];
+      if (this.container) {
+        elements.push(...this.container.querySelectorAll(focusableSelector));
+      }
+      if (this.controls) {
+        elements.push(...this.controls.querySelectorAll(focusableSelector));
+      }
+      return elements.filter((element) => {
+        if (!isElementVisible(element)) {
+          return false;
+        }
+        return !element.closest("[data-plain-text]");
+      });
+    }
+    _handleStageTabCycle(event) {
+      if (event.key !== "Tab") {
+        return;
+      }
+      if (!this._isActiveElementInScope()) {
+        return;
+      }
+      const focusables = this._getStageFocusableElements();
+      if (!focusables.length) {
+        return;
+      }
+      const activeElement = this._getActiveElement();
+      const first = focusables[0];
+      const last = focusables[focusables.length - 1];
+      const resolved = resolveFocusableIndex(focusables, activeElement, this.lastStageFocusTarget);
+      const isActiveInScope = activeElement instanceof HTMLElement && focusables.includes(activeElement);
+      if (resolved.index !== -1 && !isActiveInScope) {
+        event.preventDefault();
+        const nextIndex = event.shiftKey ? resolved.index > 0 ? resolved.index - 1 : focusables.length - 1 : resolved.index < focusables.length - 1 ? resolved.index + 1 : 0;
+        focusables[nextIndex].focus();
+        return;
+      }
+      if (event.shiftKey) {
+        if (!isActiveInScope || activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        }
+        return;
+      }
+      if (!isActiveInScope || activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+    _focusFirstStageElement() {
+      const focusables = this._getStageFocusableElements();
+      if (!focusables.length) {
+        return;
+      }
+      focusables[0].focus();
+    }
+    /**
+     * Creates a focus target object from an HTML element.
+     * The focus version is used to track focus changes and prevent stale focus restoration.
+     */
+    _getFocusTargetFromElement(element) {
+      if (!(element instanceof HTMLElement)) {
+        return null;
+      }
+      return {
+        id: element.id || null,
+        name: element.getAttribute("name") || null,
+        version: this.focusVersion
+      };
+    }
+    _getActiveFocusTarget() {
+      return this._getFocusTargetFromElement(this._getActiveElement());
+    }
+    /**
+     * Attempts to restore focus to a previously focused element.
+     * Tries to match by ID first, then by name attribute, scoped to this instance's root.
+     */
+    _restoreFocus(target) {
+      if (!target) {
+        return false;
+      }
+      if (target.id) {
+        const byId = this.root.querySelector(`#${CSS.escape(target.id)}`);
+        if (byId && isElementVisible(byId)) {
+          byId.focus();
+          return true;
+        }
+      }
+      if (target.name && this.container) {
+        const byName = this.container.querySelector(`[name="${CSS.escape(target.name)}"]`);
+        if (byName && isElementVisible(byName)) {
+          byName.focus();
+          return true;
+        }
+      }
+      return false;
+    }
+    // Inside a shadow root document.activeElement is the host, so ask the root's own tree
+    _getActiveElement() {
+      const rootNode = this.root.getRootNode();
+      return rootNode.activeElement ?? document.activeElement;
+    }
+    _isActiveElementInScope() {
+      const activeElement = this._getActiveElement();
+      return this._isElementInScope(activeElement) && isElementVisible(activeElement);
+    }
+    // --- Submit ---
+    async _handleSubmit() {
+      if (!this.activeSchema) {
+        return;
+      }
+      if (this.isSubmitting) {
+        return;
+      }
+      this._clearSubmitFeedback();
+      if (isMultiStage(this.activeSchema)) {
+        const stageErrors = this._validateStage(this.currentStage);
+        if (Object.keys(stageErrors).length) {
+          this._showErrors(stageErrors);
+          return;
+        }
+      }
+      this._pruneHiddenFields();
+      const errors = this._validateStage();
+      if (Object.keys(errors).length) {
+        const firstErrorStage = this._findFirstErrorStage(errors);
+        if (firstErrorStage !== null && firstErrorStage !== this.currentStage) {
+          this._renderStage(firstErrorStage, { focusOnChange: true });
+        }
+        this._showErrors(errors);
+        return;
+      }
+      const payload = this._buildSubmissionPayload();
+      await this._postPayload(payload);
+    }
+    // --- Reset ---
+    _resetForm() {
+      Object.keys(this.state).forEach((key) => delete this.state[key]);
+      this._clearDraft();
+      this._clearSubmitFeedback();
+      this.currentStage = 0;
+      this.furthestStageReached = 0;
+      this.stageHistory = [];
+      this._renderStage(0, { focusOnChange: true });
+      this._announceToScreenReader(this.messages.formReset);
+    }
+    // --- DOM events ---
+    /**
+     * Dispatches a bubbling, composed CustomEvent from the root, so listeners on a
+     * <form-builder> host (outside its shadow root) receive it too.
+     * @returns {boolean} false when a cancelable event was cancelled
+     */
+    _emit(type, detail = {}, { cancelable = false } = {}) {
+      return this.root.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true, cancelable }));
+    }
+    _emitChange(fieldName, value) {
+      this._emit("fb-change", { name: fieldName, value, state: { ...this.state } });
+    }
+    // --- Screen reader ---
+    _announceToScreenReader(message2) {
+      this.liveRegion.textContent = "";
+      setTimeout(() => {
+        this.liveRegion.textContent = message2;
+      }, 100);
+    }
+    // --- Dynamic UI creation ---
+    _createStageIndicator() {
+      if (!this.container) {
+        return null;
+      }
+      const indicator = document.createElement("div");
+      indicator.className = "stage-indicator d-none";
+      indicator.setAttribute("role", "status");
+      this.container.before(indicator);
+      return indicator;
+    }
+    _createControls() {
+      if (!this.container) {
+        return { controls: null, prevButton: null, nextButton: null, submitButton: null, resetButton: null };
+      }
+      const controls = document.createElement("div");
+      controls.className = "d-flex flex-column flex-sm-row gap-2 mt-4";
+      const prevButton = document.createElement("button");
+      prevButton.type = "button";
+      prevButton.className = "btn btn-outline-secondary flex-fill";
+      prevButton.textContent = this.messages.previous;
+      const nextButton = document.createElement("button");
+      nextButton.type = "button";
+      nextButton.className = "btn btn-primary flex-fill";
+      nextButton.textContent = this.messages.next;
+      const submitButton = document.createElement("button");
+      submitButton.type = "button";
+      submitButton.className = "btn btn-success flex-fill";
+      submitButton.textContent = this.messages.submit;
+      const resetButton = document.createElement("button");
+      resetButton.type = "button";
+      resetButton.className = "btn btn-outline-danger flex-fill";
+      resetButton.textContent = this.messages.reset;
+      controls.append(prevButton, nextButton, submitButton, resetButton);
+      this.container.after(controls);
+      return { controls, prevButton, nextButton, submitButton, resetButton };
+    }
+    // --- Event binding ---
+    _bindEvents() {
+      if (this.container) {
+        this.container.addEventListener("submit", (event) => {
+          event.preventDefault();
+          this._handleSubmit();
+        });
+      }
+      if (this.prevButton) {
+        this.prevButton.onclick = () => {
+          if (!this.activeSchema || !isMultiStage(this.activeSchema)) {
+            return;
+          }
+          const previousIndex = this._getBackStageIndex();
+          if (previousIndex !== null) {
+            this._renderStage(previousIndex, { focusOnChange: true });
+          }
+        };
+      }
+      if (this.nextButton) {
+        this.nextButton.onclick = () => {
+          if (!this.activeSchema || !isMultiStage(this.activeSchema)) {
+            return;
+          }
+          const errors = this._validateStage(this.currentStage);
+          if (Object.keys(errors).length) {
+            this._showErrors(errors);
+            return;
+          }
+          const nextIndex = this._getNextStageIndex(this.currentStage);
+          if (nextIndex !== null) {
+            this._renderStage(nextIndex, { focusOnChange: true });
+          }
+        };
+      }
+      if (this.submitButton) {
+        this.submitButton.onclick = () => this._handleSubmit();
+      }
+      if (this.resetButton) {
+        this.resetButton.onclick = () => {
+          if (confirm(this.messages.resetConfirm)) {
+            this._resetForm();
+          }
+        };
+      }
+      this.root.addEventListener("keydown", (event) => this._handleStageTabCycle(event));
+      this.root.addEventListener("focusin", (event) => {
+        this.focusVersion += 1;
+        const target = event.target;
+        if (this._isElementInScope(target)) {
+          this.lastStageFocusTarget = this._getFocusTargetFromElement(target);
+        } else {
+          this.lastStageFocusTarget = null;
+        }
+      });
+    }
+  };
+
+  // src/productionForm.js
+  function isSafeLinkUrl(url) {
+    return /^(https?:\/\/|\/(?!\/))/i.test(url);
+  }
+  var ProductionForm = class extends FormBuilderBase {
+    async _init() {
+      this.isLoadingSchema = true;
+      try {
+        const schema = await this._fetchSchema();
+        this.loadSchema(schema);
+      } catch (error) {
+        console.error("Failed to load form schema:", error);
+        this._displaySchemaError(this.messages.schemaUnavailable);
+        this._emit("fb-error", { type: "schema", message: error.message });
+      } finally {
+        this.isLoadingSchema = false;
+      }
+    }
+    async _fetchSchema() {
+      const { schemaSrc } = this.root.dataset;
+      if (schemaSrc) {
+        const response = await fetch(schemaSrc, { headers: { Accept: "application/json" } });
+        if (!response.ok) {
+          throw new Error(`Schema request failed with status ${response.status}`);
+        }
+        return response.json();
+      }
+      const embedded = this.root.querySelector("script[data-form-schema]");
+      if (!embedded) {
+        throw new Error("No schema source configured");
+      }
+      return JSON.parse(embedded.textContent);
+    }
+    loadSchema(schema) {
+      if (!schema || !Array.isArray(schema.stages) || schema.stages.length === 0) {
+        this._displaySchemaError(this.messages.schemaInvalid);
+        this._emit("fb-error", { type: "schema", message: "Invalid schema" });
+        return;
+      }
+      this.activeSchema = schema;
+      Object.keys(this.state).forEach((key) => delete this.state[key]);
+      Object.assign(this.state, this._loadDraft());
+      this._pruneHiddenFields();
+      this.currentStage = 0;
+      this.furthestStageReached = 0;
+      this.stageHistory = [];
+      this._renderStage(0);
+    }
+    // --- Drafts ---
+    _saveDraft() {
+      const { draftKey } = this.root.dataset;
+      if (!draftKey) {
+        return;
+      }
+      try {
+        localStorage.setItem(draftKey, JSON.stringify(this.state));
+      } catch (error) {
+      }
+    }
+    _loadDraft() {
+      const { draftKey } = this.root.dataset;
+      if (!draftKey) {
+        return {};
+      }
+      try {
+        const draft = JSON.parse(localStorage.getItem(draftKey));
+        return draft && typeof draft === "object" && !Array.isArray(draft) ? draft : {};
+      } catch (error) {
+        return {};
+      }
+    }
+    _clearDraft() {
+      const { draftKey } = this.root.dataset;
+      if (!draftKey) {
+        return;
+      }
+      try {
+        localStorage.removeItem(draftKey);
+      } catch (error) {
+      }
+    }
+    // --- Submission ---
+    async _postPayload(payload) {
+      if (!this._emit("fb-submit", { payload }, { cancelable: true })) {
+        return false;
+      }
+      const { submitUrl } = this.root.dataset;
+      if (!submitUrl) {
+        this._setSubmitFeedback("warning", this.messages.noSubmitUrl);
+        return false;
+      }
+      this._setSubmittingState(true);
+      try {
+        const response = await fetch(submitUrl, {
+          method: "POST",
+          // The server answers validation errors in the form's language
+          headers: { "Content-Type": "application/json", ...this.locale ? { "Accept-Language": this.locale } : {} },
+          body: JSON.stringify(payload)
+        });
+        if (response.status === 422) {
+          const result = await response.json().catch(() => null);
+          if (result?.errors && Object.keys(result.errors).length) {
+            this._showServerErrors(result.errors);
+            return false;
+          }
+        }
+        if (!response.ok) {
+          throw new Error(`Submission failed with status ${response.status}`);
+        }
+      } catch (error) {
+        console.error("Form submission failed:", error);
+        this._setSubmitFeedback("danger", this.messages.submitFailed);
+        this._emit("fb-error", { type: "submit", message: error.message });
+        return false;
+      } finally {
+        this._setSubmittingState(false);
+      }
+      this._clearDraft();
+      this._showSuccessScreen();
+      this._emit("fb-submitted", { payload });
+      return true;
+    }
+    _showServerErrors(errors) {
+      const firstErrorStage = this._findFirstErrorStage(errors);
+      if (firstErrorStage !== null && firstErrorStage !== this.currentStage) {
+        this._renderStage(firstErrorStage, { focusOnChange: true });
+      }
+      this._showErrors(errors);
+      this._setSubmitFeedback("danger", this.messages.fixErrors);
+      this._emit("fb-error", { type: "validation", message: this.messages.fixErrors, errors });
+    }
+    _getSuccessScreen() {
+      const settings = this.activeSchema?.successScreen ?? {};
+      const { successTitle, successMessage, successLinkUrl, successLinkText } = this.root.dataset;
+      return {
+        title: successTitle || settings.title || "",
+        message: successMessage || settings.message || this.messages.successMessage,
+        linkUrl: successLinkUrl || settings.linkUrl || "",
+        linkText: successLinkText || settings.linkText || this.messages.successLinkText
+      };
+    }
+    _showSuccessScreen() {
+      Object.keys(this.state).forEach((key) => delete this.state[key]);
+      const screen = this._getSuccessScreen();
+      if (this.container) {
+        this.container.innerHTML = "";
+        const panel = document.createElement("div");
+        panel.className = "alert alert-success";
+        panel.setAttribute("role", "status");
+        if (screen.title) {
+          const heading = document.createElement("h2");
+          heading.className = "h5 alert-heading";
+          heading.textContent = screen.title;
+          panel.appendChild(heading);
+        }
+        const message2 = document.createElement("p");
+        message2.className = "mb-0";
+        message2.style.whiteSpace = "pre-line";
+        message2.textContent = screen.message;
+        panel.appendChild(message2);
+        if (screen.linkUrl && isSafeLinkUrl(screen.linkUrl)) {
+          const link = document.createElement("a");
+          link.className = "btn btn-success mt-3";
+          link.href = screen.linkUrl;
+          link.textContent = screen.linkText;
+          panel.appendChild(link);
+        }
+        this.container.appendChild(panel);
+      }
+      this._clearSubmitFeedback();
+      if (this.controls) {
+        this.controls.style.display = "none";
+      }
+      if (this.stageIndicator) {
+        this.stageIndicator.classList.add("d-none");
+      }
+      this._announceToScreenReader([screen.title, screen.message].filter(Boolean).join(". "));
+    }
+  };
+  window.ProductionForm = ProductionForm;
+})();
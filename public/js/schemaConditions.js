@@ -0,0 +1,126 @@
+// showIf/requiredIf conditions and `next` route conditions. A condition names a field and
+// one or more operators, all of which must hold: { field: 'age', gte: 18, lt: 65 }.
+// Conditions combine into groups, nested freely: { all: [...] }, { any: [...] } and
+// { not: condition }. Comparisons take a number or an ISO date ('2024-01-31') and never
+// match an empty value; the isEmpty/isNotEmpty/isChecked flags take `true` (or `false` to
+// negate them). Shared by the runtime (src/schemaUtils.js), the editor (SchemaLint) and
+// the server and exporters (via module.exports). The class is self-contained: the Zod,
+// Yup and React exports embed its source, so generated code evaluates conditions the same way.
+class SchemaConditions {
+    static get OPERATORS() {
+        return [
+            'equals', 'notEquals', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte',
+            'contains', 'matches', 'isEmpty', 'isNotEmpty', 'isChecked'
+        ];
+    }
+
+    static isEmpty(value) {
+        if (Array.isArray(value)) {
+            return value.length === 0;
+        }
+        return value === undefined || value === null || value === false || String(value).trim() === '';
+    }
+
+    // Negative, zero or positive like a sort comparator; null when the value cannot be
+    // compared with the operand (empty, not a number, or not a date for a date operand)
+    static compare(value, operand) {
+        if (SchemaConditions.isEmpty(value) || value === true) {
+            return null;
+        }
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if (typeof operand === 'string' && datePattern.test(operand)) {
+            const text = String(value);
+            if (!datePattern.test(text)) {
+                return null;
+            }
+            return text < operand ? -1 : (text > operand ? 1 : 0);
+        }
+
+        const number = Number(value);
+        const limit = Number(operand);
+        if (!Number.isFinite(number) || !Number.isFinite(limit) || operand === '' || operand === null) {
+            return null;
+        }
+        return number - limit;
+    }
+
+    // Whether one operator holds for a value; unknown operators never hold
+    static test(operator, value, operand) {
+        const comparison = () => SchemaConditions.compare(value, operand);
+        switch (operator) {
+            case 'equals':
+                return value === operand;
+            case 'notEquals':
+                return value !== operand;
+            case 'in':
+                return Array.isArray(operand) && operand.includes(value);
+            case 'notIn':
+                return !Array.isArray(operand) || !operand.includes(value);
+            case 'gt':
+                return (comparison() ?? 0) > 0;
+            case 'gte':
+                return (comparison() ?? -1) >= 0;
+            case 'lt':
+                return (comparison() ?? 0) < 0;
+            case 'lte':
+                return (comparison() ?? 1) <= 0;
+            case 'contains':
+                if (Array.isArray(value)) {
+                    return value.includes(operand);
+                }
+                return typeof value === 'string' && value.includes(String(operand));
+            case 'matches':
+                try {
+                    return new RegExp(operand).test(value === undefined || value === null ? '' : String(value));
+                } catch (error) {
+                    return false;
+                }
+            case 'isEmpty':
+                return SchemaConditions.isEmpty(value) === (operand !== false);
+            case 'isNotEmpty':
+                return SchemaConditions.isEmpty(value) !== (operand !== false);
+            case 'isChecked':
+                return (value === true) === (operand !== false);
+            default:
+                return false;
+        }
+    }
+
+    static evaluate(condition, values) {
+        if (Array.isArray(condition.all)) {
+            return condition.all.every(item => SchemaConditions.evaluate(item, values));
+        }
+        if (Array.isArray(condition.any)) {
+            return condition.any.some(item => SchemaConditions.evaluate(item, values));
+        }
+        if (condition.not && typeof condition.not === 'object') {
+            return !SchemaConditions.evaluate(condition.not, values);
+        }
+
+        const value = values[condition.field];
+        return SchemaConditions.OPERATORS
+            .filter(operator => Object.prototype.hasOwnProperty.call(condition, operator))
+            .every(operator => SchemaConditions.test(operator, value, condition[operator]));
+    }
+
+    // Names of every field a condition reads, groups included
+    static getFields(condition) {
+        if (!condition || typeof condition !== 'object') {
+            return [];
+        }
+        if (Array.isArray(condition.all)) {
+            return condition.all.flatMap(item => SchemaConditions.getFields(item));
+        }
+        if (Array.isArray(condition.any)) {
+            return condition.any.flatMap(item => SchemaConditions.getFields(item));
+        }
+        if (condition.not && typeof condition.not === 'object') {
+            return SchemaConditions.getFields(condition.not);
+        }
+        return condition.field ? [condition.field] : [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchemaConditions };
+}
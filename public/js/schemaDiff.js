@@ -0,0 +1,105 @@
+// Schema Diff - Stage-by-stage and field-by-field comparison of two schemas
+class SchemaDiff {
+    // Compare two schemas. Stages are matched by ID and fields by name, so renames
+    // show up as a removal plus an addition.
+    static compare(before, after) {
+        const properties = SchemaDiff.compareProperties(before || {}, after || {}, ['stages', 'fields']);
+        const stages = SchemaDiff.compareStages((before && before.stages) || [], (after && after.stages) || []);
+
+        return {
+            properties,
+            stages,
+            hasChanges: properties.length > 0 || stages.some(stage => stage.status !== 'unchanged')
+        };
+    }
+
+    // Shallow property comparison; nested values are compared by their JSON form
+    static compareProperties(before, after, ignore = []) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        return [...keys]
+            .filter(key => !ignore.includes(key))
+            .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+            .map(key => ({ property: key, before: before[key], after: after[key] }));
+    }
+
+    static compareStages(beforeStages, afterStages) {
+        const results = [];
+
+        afterStages.forEach((stage, toIndex) => {
+            const fromIndex = beforeStages.findIndex(s => s.id === stage.id);
+            if (fromIndex === -1) {
+                results.push({
+                    id: stage.id,
+                    label: stage.label,
+                    status: 'added',
+                    fromIndex: null,
+                    toIndex,
+                    properties: [],
+                    fields: SchemaDiff.compareFields([], stage.fields || [])
+                });
+                return;
+            }
+
+            const previous = beforeStages[fromIndex];
+            const properties = SchemaDiff.compareProperties(previous, stage, ['fields']);
+            const fields = SchemaDiff.compareFields(previous.fields || [], stage.fields || []);
+            const hasContentChanges = properties.length > 0 || fields.some(field => field.status !== 'unchanged');
+
+            results.push({
+                id: stage.id,
+                label: stage.label,
+                status: hasContentChanges ? 'changed' : (fromIndex !== toIndex ? 'moved' : 'unchanged'),
+                fromIndex,
+                toIndex,
+                properties,
+                fields
+            });
+        });
+
+        beforeStages.forEach((stage, fromIndex) => {
+            if (!afterStages.some(s => s.id === stage.id)) {
+                results.push({
+                    id: stage.id,
+                    label: stage.label,
+                    status: 'removed',
+                    fromIndex,
+                    toIndex: null,
+                    properties: [],
+                    fields: SchemaDiff.compareFields(stage.fields || [], [])
+                });
+            }
+        });
+
+        return results;
+    }
+
+    static compareFields(beforeFields, afterFields) {
+        const results = [];
+
+        afterFields.forEach((field, toIndex) => {
+            const fromIndex = beforeFields.findIndex(f => f.name === field.name);
+            if (fromIndex === -1) {
+                results.push({ name: field.name, status: 'added', fromIndex: null, toIndex, changes: [] });
+                return;
+            }
+
+            const changes = SchemaDiff.compareProperties(beforeFields[fromIndex], field);
+            results.push({
+                name: field.name,
+                status: changes.length > 0 ? 'changed' : (fromIndex !== toIndex ? 'moved' : 'unchanged'),
+                fromIndex,
+                toIndex,
+                changes
+            });
+        });
+
+        beforeFields.forEach((field, fromIndex) => {
+            if (!afterFields.some(f => f.name === field.name)) {
+                results.push({ name: field.name, status: 'removed', fromIndex, toIndex: null, changes: [] });
+            }
+        });
+
+        return results;
+    }
+}
@@ -3,38 +3,50 @@ class SchemaManager {
     constructor() {
         this.schema = {
             id: 'new-form',
+            schemaVersion: SchemaMigrations.CURRENT_VERSION,
             stages: [],
             fields: []
         };
         this.selectedStageId = null;
         this.editingStageId = null;
         this.editingFieldName = null;
+        this.migrationReport = null; // Result of SchemaMigrations.migrate for the last loaded schema
         this.autoSaveInterval = null;
         this.hasUnsavedChanges = false;
+        this.librarySchemaId = null; // ID of the library entry the current schema was opened from/saved to
     }
 
     // Initialize with a new schema
     createNewSchema() {
         this.schema = {
             id: 'new-form',
+            schemaVersion: SchemaMigrations.CURRENT_VERSION,
             stages: [],
             fields: []
         };
         this.selectedStageId = null;
         this.editingStageId = null;
         this.editingFieldName = null;
+        this.librarySchemaId = null;
+        this.migrationReport = null;
         return this.schema;
     }
 
-    // Load schema from object
+    // Load schema from object, upgrading older schema versions (see migrationReport)
     loadSchema(schemaData) {
         if (!schemaData || typeof schemaData !== 'object') {
             throw new Error('Invalid schema data');
         }
 
+        const report = SchemaMigrations.migrate(schemaData);
+
+        // Schema-level settings (e.g. successScreen) are kept as they are
+        const { id, schemaVersion, stages, fields, ...settings } = report.schema;
         this.schema = {
-            id: schemaData.id || 'imported-form',
-            stages: schemaData.stages || [],
+            id: id || 'imported-form',
+            schemaVersion,
+            ...settings,
+            stages: stages || [],
             fields: [] // Will be recalculated
         };
 
@@ -43,6 +55,8 @@ class SchemaManager {
         this.selectedStageId = null;
         this.editingStageId = null;
         this.editingFieldName = null;
+        this.librarySchemaId = null;
+        this.migrationReport = report;
 
         return this.schema;
     }
@@ -58,9 +72,43 @@ class SchemaManager {
         this.markAsChanged();
     }
 
+    // Update the screen shown after a successful submission. Empty values are dropped,
+    // so clearing every input removes the setting.
+    updateSuccessScreen(settings) {
+        const successScreen = {};
+        ['title', 'message', 'linkUrl', 'linkText'].forEach(key => {
+            const value = (settings[key] || '').trim();
+            if (value) {
+                successScreen[key] = value;
+            }
+        });
+
+        if (Object.keys(successScreen).length) {
+            this.schema.successScreen = successScreen;
+        } else {
+            delete this.schema.successScreen;
+        }
+        this.markAsChanged();
+    }
+
+    // Replace the schema's cross-field rules; an empty list removes the setting
+    updateRules(rules) {
+        if (rules.length) {
+            this.schema.rules = rules;
+        } else {
+            delete this.schema.rules;
+        }
+        this.markAsChanged();
+    }
+
+    // Path of the hosted end-user page; only library schemas are hosted
+    getHostedFormUrl() {
+        return this.librarySchemaId ? `/forms/${encodeURIComponent(this.librarySchemaId)}` : null;
+    }
+
     // Stage operations
     addStage(stageData) {
-        const { id, label, type } = stageData;
+        const { id, label, type, showIf, next } = stageData;
 
         // Validate
         if (!id || !label) {
@@ -76,6 +124,8 @@ class SchemaManager {
             id,
             label,
             ...(type && { type }),
+            ...(showIf && { showIf }),
+            ...(next && { next }),
             fields: []
         };
 
@@ -92,20 +142,31 @@ class SchemaManager {
             throw new Error('Stage not found');
         }
 
-        // If ID is changing, check for duplicates
+        // If ID is changing, check for duplicates and keep routes to the stage pointing at it
         if (updates.id && updates.id !== stageId) {
             if (this.schema.stages.find(s => s.id === updates.id)) {
                 throw new Error('Stage ID already exists');
             }
+            this.schema.stages.forEach(s => (Array.isArray(s.next) ? s.next : []).forEach(rule => {
+                if (rule && rule.goTo === stageId) {
+                    rule.goTo = updates.id;
+                }
+            }));
         }
 
         // Update stage properties
         Object.assign(stage, updates);
 
-        // Clean up undefined/empty type
+        // Clean up undefined/empty type, condition and routes
         if (!stage.type) {
             delete stage.type;
         }
+        if (!stage.showIf) {
+            delete stage.showIf;
+        }
+        if (!stage.next) {
+            delete stage.next;
+        }
 
         this.updateFlattenedFields();
         this.markAsChanged();
@@ -335,10 +396,14 @@ class SchemaManager {
             delete cleaned.errorMessages;
         }
 
-        if (cleaned.showIf && (!cleaned.showIf.field || cleaned.showIf.equals === undefined)) {
+        if (cleaned.showIf && SchemaLint.getConditionFields(cleaned.showIf).length === 0) {
             delete cleaned.showIf;
         }
 
+        if (cleaned.requiredIf && SchemaLint.getConditionFields(cleaned.requiredIf).length === 0) {
+            delete cleaned.requiredIf;
+        }
+
         if (cleaned.options && cleaned.options.length === 0) {
             delete cleaned.options;
         }
@@ -359,20 +424,51 @@ class SchemaManager {
         const result = await response.json();
 
         if (!response.ok) {
+            // Parse error messages already include the line and column
             throw new Error(result.error || 'Upload failed');
         }
 
-        return this.loadSchema(result.schema);
+        this.loadSchema(result.schema);
+        // The server has already migrated the upload, so its report says what changed
+        if (result.migrations) {
+            this.migrationReport = result.migrations;
+        }
+        return this.schema;
     }
 
-    // Download schema
-    async downloadSchema(format = 'js') {
+    // Import a JSON Schema, SurveyJS or JSON Forms document. Returns the server's report
+    // of source constructs that could not be mapped.
+    async importSchema(file, { format = 'auto', uiSchemaFile = null } = {}) {
+        const formData = new FormData();
+        formData.append('format', format);
+        formData.append('sourceFile', file);
+        if (uiSchemaFile) {
+            formData.append('uiSchemaFile', uiSchemaFile);
+        }
+
+        const response = await fetch('/import', {
+            method: 'POST',
+            body: formData
+        });
+
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || 'Import failed');
+        }
+
+        this.loadSchema(result.schema);
+        return result.report;
+    }
+
+    // Download schema. `options` holds format-specific settings (e.g. { submitUrl } for html)
+    async downloadSchema(format = 'js', options = {}) {
         const response = await fetch('/download', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ schema: this.schema, format })
+            body: JSON.stringify({ schema: this.schema, format, options })
         });
 
         if (!response.ok) {
@@ -387,7 +483,7 @@ class SchemaManager {
         a.href = url;
 
         // Set filename based on format
-        const extensions = { js: '.js', json: '.json', minified: '.min.json' };
+        const extensions = { js: '.js', json: '.json', minified: '.min.json', jsonschema: '.schema.json', typescript: '.ts', zod: '.zod.js', yup: '.yup.js', react: '.jsx', html: '.html', xlsx: '.xlsx', csv: '.csv' };
         a.download = `schema.${this.schema.id}${extensions[format]}`;
 
         document.body.appendChild(a);
@@ -396,49 +492,93 @@ class SchemaManager {
         window.URL.revokeObjectURL(url);
     }
 
-    // Validation
-    validateSchema() {
-        const errors = [];
+    // Schema library (server-side storage)
+    async requestLibrary(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(options.headers || {})
+            }
+        });
 
-        if (!this.schema.id) {
-            errors.push('Schema ID is required');
+        if (response.status === 204) {
+            return null;
         }
 
-        if (this.schema.stages.length === 0) {
-            errors.push('At least one stage is required');
+        const result = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(result.error || 'Library request failed');
+            error.status = response.status;
+            throw error;
         }
 
-        this.schema.stages.forEach((stage, stageIndex) => {
-            if (!stage.id) {
-                errors.push(`Stage ${stageIndex + 1}: ID is required`);
-            }
-            if (!stage.label) {
-                errors.push(`Stage ${stageIndex + 1}: Label is required`);
-            }
+        return result;
+    }
 
-            stage.fields.forEach((field, fieldIndex) => {
-                if (!field.name) {
-                    errors.push(`Stage "${stage.label}", Field ${fieldIndex + 1}: Name is required`);
-                }
-                if (!field.type) {
-                    errors.push(`Stage "${stage.label}", Field ${fieldIndex + 1}: Type is required`);
-                }
+    async listLibrarySchemas() {
+        const result = await this.requestLibrary('/api/schemas');
+        return result.schemas;
+    }
 
-                // Validate showIf references
-                if (field.showIf && field.showIf.field) {
-                    if (!this.schema.fields.find(f => f.name === field.showIf.field)) {
-                        errors.push(`Field "${field.name}": showIf references non-existent field "${field.showIf.field}"`);
-                    }
-                }
+    async openFromLibrary(id) {
+        const record = await this.requestLibrary(`/api/schemas/${encodeURIComponent(id)}`);
+        this.loadSchema(record.schema);
+        this.librarySchemaId = record.id;
+        return record;
+    }
 
-                // Validate options for select/radio
-                if ((field.type === 'select' || field.type === 'radio') && (!field.options || field.options.length === 0)) {
-                    errors.push(`Field "${field.name}": select/radio fields must have options`);
-                }
-            });
+    // Save the current schema to the library. Creates a new entry unless the schema
+    // was opened from (or already saved to) the library, or `overwrite` is set.
+    // `author` and `message` are recorded with the new version.
+    // Throws an error with status 409 when an entry with the same ID already exists.
+    async saveToLibrary({ overwrite = false, author = '', message = '' } = {}) {
+        const id = this.schema.id;
+        const isUpdate = overwrite || this.librarySchemaId === id;
+        const body = JSON.stringify({ schema: this.schema, author, message });
+
+        const record = isUpdate
+            ? await this.requestLibrary(`/api/schemas/${encodeURIComponent(id)}`, { method: 'PUT', body })
+            : await this.requestLibrary('/api/schemas', { method: 'POST', body });
+
+        this.librarySchemaId = record.id;
+        return record;
+    }
+
+    async deleteFromLibrary(id) {
+        await this.requestLibrary(`/api/schemas/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (this.librarySchemaId === id) {
+            this.librarySchemaId = null;
+        }
+    }
+
+    // Version history of the library entry the current schema belongs to
+    async listVersions() {
+        const result = await this.requestLibrary(`/api/schemas/${encodeURIComponent(this.librarySchemaId)}/versions`);
+        return result.versions;
+    }
+
+    async getVersion(version) {
+        return this.requestLibrary(`/api/schemas/${encodeURIComponent(this.librarySchemaId)}/versions/${version}`);
+    }
+
+    // Restore an old version on the server (recorded as a new version) and load it
+    async restoreVersion(version, { author = '' } = {}) {
+        const id = this.librarySchemaId;
+        const record = await this.requestLibrary(`/api/schemas/${encodeURIComponent(id)}/versions/${version}/restore`, {
+            method: 'POST',
+            body: JSON.stringify({ author })
         });
 
-        return errors;
+        this.loadSchema(record.schema);
+        this.librarySchemaId = record.id;
+        return record;
+    }
+
+    // Validation (rules live in SchemaLint, shared with the command-line tool)
+    validateSchema() {
+        return SchemaLint.validate(this.schema);
     }
 
     // Auto-save functionality
@@ -504,121 +644,44 @@ class SchemaManager {
 
     // Schema linting - check for best practices and common issues
     lintSchema() {
-        const issues = {
-            errors: [],
-            warnings: [],
-            suggestions: []
-        };
+        return SchemaLint.lint(this.schema);
+    }
 
-        // Check schema ID
-        if (!this.schema.id || this.schema.id === 'new-form') {
-            issues.warnings.push('Schema ID should be customized');
+    // Stops one lint rule from reporting a field (stored in the schema's `lint.suppress`)
+    suppressLintRule(fieldName, ruleId) {
+        if (!fieldName || !SchemaLint.RULES[ruleId]) {
+            throw new Error('A field name and a known lint rule are required');
         }
 
-        if (this.schema.stages.length === 0) {
-            issues.errors.push('Schema has no stages');
-            return issues;
+        const lint = this.schema.lint || {};
+        const suppress = { ...(lint.suppress || {}) };
+        const ruleIds = [].concat(suppress[fieldName] || []);
+        if (!ruleIds.includes(ruleId)) {
+            ruleIds.push(ruleId);
         }
+        suppress[fieldName] = ruleIds;
 
-        // Check each stage
-        this.schema.stages.forEach((stage, stageIndex) => {
-            const stageLabel = stage.label || `Stage ${stageIndex + 1}`;
-
-            // Check for missing labels
-            if (!stage.label) {
-                issues.warnings.push(`Stage "${stage.id}" has no label`);
-            }
-
-            // Check for empty stages
-            if (stage.fields.length === 0) {
-                issues.warnings.push(`Stage "${stageLabel}" has no fields`);
-            }
-
-            // Check fields in stage
-            stage.fields.forEach((field, fieldIndex) => {
-                const fieldLabel = field.label || field.name || `Field ${fieldIndex + 1}`;
-
-                // Required field checks
-                if (!field.label && !field.title && field.type !== 'plain text') {
-                    issues.warnings.push(`Field "${field.name}" in "${stageLabel}" has no label`);
-                }
-
-                // Check for missing helper text on complex fields
-                if (['email', 'tel', 'number'].includes(field.type) && !field.helperText) {
-                    issues.suggestions.push(`Field "${fieldLabel}" in "${stageLabel}" could benefit from helper text`);
-                }
-
-                // Check for missing placeholders on input fields
-                if (['text', 'email', 'tel', 'number'].includes(field.type) && !field.placeholder) {
-                    issues.suggestions.push(`Field "${fieldLabel}" in "${stageLabel}" could have a placeholder`);
-                }
-
-                // Check for required fields without error messages
-                if (field.required && (!field.errorMessages || !field.errorMessages.required)) {
-                    issues.suggestions.push(`Required field "${fieldLabel}" in "${stageLabel}" should have a custom required error message`);
-                }
-
-                // Check select/radio without enough options
-                if (['select', 'radio'].includes(field.type)) {
-                    if (!field.options || field.options.length < 2) {
-                        issues.warnings.push(`Field "${fieldLabel}" in "${stageLabel}" should have at least 2 options`);
-                    }
-                }
-
-                // Check for showIf referencing non-existent fields
-                if (field.showIf && field.showIf.field) {
-                    const referencedField = this.schema.fields.find(f => f.name === field.showIf.field);
-                    if (!referencedField) {
-                        issues.errors.push(`Field "${fieldLabel}" in "${stageLabel}" references non-existent field "${field.showIf.field}" in showIf`);
-                    } else {
-                        // Check if referenced field comes after this field
-                        const referencedStage = this.schema.stages.find(s => s.fields.includes(referencedField));
-                        const currentStageIndex = this.schema.stages.indexOf(stage);
-                        const referencedStageIndex = this.schema.stages.indexOf(referencedStage);
-
-                        if (referencedStageIndex > currentStageIndex) {
-                            issues.warnings.push(`Field "${fieldLabel}" depends on "${field.showIf.field}" which appears in a later stage`);
-                        } else if (referencedStageIndex === currentStageIndex) {
-                            const currentFieldIndex = stage.fields.indexOf(field);
-                            const referencedFieldIndex = stage.fields.indexOf(referencedField);
-                            if (referencedFieldIndex >= currentFieldIndex) {
-                                issues.warnings.push(`Field "${fieldLabel}" depends on "${field.showIf.field}" which appears later in the same stage`);
-                            }
-                        }
-                    }
-                }
-
-                // Check number fields for min/max
-                if (field.type === 'number' && (!field.attributes || !field.attributes.min || !field.attributes.max)) {
-                    issues.suggestions.push(`Number field "${fieldLabel}" in "${stageLabel}" should have min and max attributes`);
-                }
-
-                // Check email fields for custom validation error
-                if (field.type === 'email' && (!field.errorMessages || !field.errorMessages.emailInvalid)) {
-                    issues.suggestions.push(`Email field "${fieldLabel}" in "${stageLabel}" should have a custom emailInvalid error message`);
-                }
+        this.schema.lint = { ...lint, suppress };
+        this.markAsChanged();
+    }
 
-                // Check tel fields for pattern
-                if (field.type === 'tel' && (!field.attributes || !field.attributes.pattern)) {
-                    issues.suggestions.push(`Phone field "${fieldLabel}" in "${stageLabel}" should have a pattern attribute for validation`);
-                }
-            });
-        });
+    // Lint fixes are computed on a copy, so they can be previewed before applying them
+    previewLintFixes(issues) {
+        return SchemaLint.fixIssues(this.schema, issues);
+    }
 
-        // Check for duplicate stage IDs (shouldn't happen with our validation, but good to check)
-        const stageIds = this.schema.stages.map(s => s.id);
-        const duplicateStageIds = stageIds.filter((id, index) => stageIds.indexOf(id) !== index);
-        if (duplicateStageIds.length > 0) {
-            issues.errors.push(`Duplicate stage IDs found: ${duplicateStageIds.join(', ')}`);
+    // Applies a result of previewLintFixes
+    applyLintFixes(fixResult) {
+        if (!fixResult || fixResult.applied.length === 0) {
+            throw new Error('There are no fixes to apply');
         }
 
-        // Check for duplicate field names (shouldn't happen, but good to check)
-        const fieldNames = this.schema.fields.map(f => f.name);
-        const duplicateFieldNames = fieldNames.filter((name, index) => fieldNames.indexOf(name) !== index);
-        if (duplicateFieldNames.length > 0) {
-            issues.errors.push(`Duplicate field names found: ${duplicateFieldNames.join(', ')}`);
+        this.schema = fixResult.schema;
+        this.updateFlattenedFields();
+        if (!this.getStage(this.selectedStageId)) {
+            this.selectedStageId = null;
         }
-
-        return issues;
+        this.markAsChanged();
+        return this.schema;
     }
 }
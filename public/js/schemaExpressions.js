@@ -0,0 +1,442 @@
+// Expressions of `calculated` fields, e.g. `price * quantity` or `age(birthDate)`. Parsed
+// into a small syntax tree and evaluated by walking it: there is no eval, names can only
+// refer to form fields and calls only to the functions in FUNCTIONS. Shared by the editor
+// (SchemaLint), the runtime (src/schemaUtils.js) and the server and exporters (via
+// module.exports).
+//
+//   expression := comparison
+//   comparison := additive (("==" | "!=" | "<" | "<=" | ">" | ">=") additive)?
+//   additive   := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := "-" unary | primary
+//   primary    := number | string | true | false | field | name "(" arguments ")" | "(" expression ")"
+class SchemaExpressions {
+    // name: minimum and maximum argument count (max null: any number) and the signature
+    // shown in messages and the editor's help text
+    static get FUNCTIONS() {
+        return {
+            round: { min: 1, max: 2, signature: 'round(x, digits)' },
+            floor: { min: 1, max: 1, signature: 'floor(x)' },
+            ceil: { min: 1, max: 1, signature: 'ceil(x)' },
+            abs: { min: 1, max: 1, signature: 'abs(x)' },
+            min: { min: 1, max: null, signature: 'min(a, b, ...)' },
+            max: { min: 1, max: null, signature: 'max(a, b, ...)' },
+            sum: { min: 1, max: null, signature: 'sum(a, b, ...)' },
+            if: { min: 3, max: 3, signature: 'if(condition, then, else)' },
+            concat: { min: 1, max: null, signature: 'concat(a, b, ...)' },
+            upper: { min: 1, max: 1, signature: 'upper(text)' },
+            lower: { min: 1, max: 1, signature: 'lower(text)' },
+            trim: { min: 1, max: 1, signature: 'trim(text)' },
+            today: { min: 0, max: 0, signature: 'today()' },
+            year: { min: 1, max: 1, signature: 'year(date)' },
+            month: { min: 1, max: 1, signature: 'month(date)' },
+            day: { min: 1, max: 1, signature: 'day(date)' },
+            age: { min: 1, max: 1, signature: 'age(birthDate)' },
+            yearsBetween: { min: 2, max: 2, signature: 'yearsBetween(from, to)' },
+            daysBetween: { min: 2, max: 2, signature: 'daysBetween(from, to)' },
+            addDays: { min: 2, max: 2, signature: 'addDays(date, days)' }
+        };
+    }
+
+    static tokenize(source) {
+        const tokens = [];
+        const text = String(source);
+        let index = 0;
+
+        while (index < text.length) {
+            const rest = text.slice(index);
+            const space = /^\s+/.exec(rest);
+            if (space) {
+                index += space[0].length;
+                continue;
+            }
+
+            const number = /^(?:\d+(?:\.\d*)?|\.\d+)/.exec(rest);
+            const name = /^[\p{L}_$][\p{L}\p{N}_$]*/u.exec(rest);
+            const operator = /^(?:==|!=|<=|>=|[-+*/%<>(),])/.exec(rest);
+            if (number) {
+                tokens.push({ type: 'number', value: Number(number[0]), position: index });
+                index += number[0].length;
+            } else if (name) {
+                tokens.push({ type: 'name', value: name[0], position: index });
+                index += name[0].length;
+            } else if (operator) {
+                tokens.push({ type: 'operator', value: operator[0], position: index });
+                index += operator[0].length;
+            } else if (rest[0] === '"' || rest[0] === '\'') {
+                const end = text.indexOf(rest[0], index + 1);
+                if (end === -1) {
+                    throw new Error(`unterminated text starting at position ${index + 1}`);
+                }
+                tokens.push({ type: 'string', value: text.slice(index + 1, end), position: index });
+                index = end + 1;
+            } else {
+                throw new Error(`unexpected "${rest[0]}" at position ${index + 1}`);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parses an expression into its syntax tree. Throws an Error naming the position of
+     * the first problem; unknown functions and wrong argument counts are problems too.
+     * @returns {object} Nodes: { type: 'literal', value }, { type: 'field', name },
+     *   { type: 'negate', argument }, { type: 'binary', operator, left, right } and
+     *   { type: 'call', name, args }
+     */
+    static parse(source) {
+        const tokens = SchemaExpressions.tokenize(source);
+        if (tokens.length === 0) {
+            throw new Error('the expression is empty');
+        }
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const describe = token => (token ? `"${token.value}" at position ${token.position + 1}` : 'the end of the expression');
+        const isOperator = (token, ...operators) => Boolean(token) && token.type === 'operator' && operators.includes(token.value);
+        const expect = value => {
+            const token = peek();
+            if (!isOperator(token, value)) {
+                throw new Error(`expected "${value}" but found ${describe(token)}`);
+            }
+            position++;
+        };
+
+        const parseBinary = (operators, parseOperand) => {
+            let left = parseOperand();
+            while (isOperator(peek(), ...operators)) {
+                const operator = tokens[position++].value;
+                left = { type: 'binary', operator, left, right: parseOperand() };
+            }
+            return left;
+        };
+
+        const parsePrimary = () => {
+            const token = tokens[position++];
+            if (!token) {
+                throw new Error('the expression ends unexpectedly');
+            }
+            if (token.type === 'number' || token.type === 'string') {
+                return { type: 'literal', value: token.value };
+            }
+            if (token.type === 'name') {
+                if (token.value === 'true' || token.value === 'false') {
+                    return { type: 'literal', value: token.value === 'true' };
+                }
+                if (!isOperator(peek(), '(')) {
+                    return { type: 'field', name: token.value };
+                }
+
+                const definition = Object.prototype.hasOwnProperty.call(SchemaExpressions.FUNCTIONS, token.value)
+                    ? SchemaExpressions.FUNCTIONS[token.value]
+                    : null;
+                if (!definition) {
+                    throw new Error(`unknown function "${token.value}"`);
+                }
+                position++;
+                const args = [];
+                if (!isOperator(peek(), ')')) {
+                    args.push(parseExpression());
+                    while (isOperator(peek(), ',')) {
+                        position++;
+                        args.push(parseExpression());
+                    }
+                }
+                expect(')');
+                if (args.length < definition.min || (definition.max !== null && args.length > definition.max)) {
+                    throw new Error(`wrong number of arguments for ${definition.signature}`);
+                }
+                return { type: 'call', name: token.value, args };
+            }
+            if (isOperator(token, '(')) {
+                const inner = parseExpression();
+                expect(')');
+                return inner;
+            }
+            position--;
+            throw new Error(`unexpected ${describe(token)}`);
+        };
+
+        const parseUnary = () => {
+            if (isOperator(peek(), '-')) {
+                position++;
+                return { type: 'negate', argument: parseUnary() };
+            }
+            return parsePrimary();
+        };
+
+        const parseAdditive = () => parseBinary(['+', '-'], () => parseBinary(['*', '/', '%'], parseUnary));
+
+        const parseExpression = () => {
+            const left = parseAdditive();
+            if (isOperator(peek(), '==', '!=', '<', '<=', '>', '>=')) {
+                const operator = tokens[position++].value;
+                return { type: 'binary', operator, left, right: parseAdditive() };
+            }
+            return left;
+        };
+
+        const tree = parseExpression();
+        if (position < tokens.length) {
+            throw new Error(`unexpected ${describe(peek())}`);
+        }
+        return tree;
+    }
+
+    // Problems with an expression, as messages (an empty list when it parses)
+    static check(source) {
+        try {
+            SchemaExpressions.parse(source);
+            return [];
+        } catch (error) {
+            return [error.message];
+        }
+    }
+
+    // Names of the fields an expression reads, in order of appearance ([] when it does not parse)
+    static getFields(source) {
+        let tree;
+        try {
+            tree = SchemaExpressions.parse(source);
+        } catch (error) {
+            return [];
+        }
+
+        const names = [];
+        const visit = node => {
+            if (node.type === 'field') {
+                names.push(node.name);
+            } else if (node.type === 'negate') {
+                visit(node.argument);
+            } else if (node.type === 'binary') {
+                visit(node.left);
+                visit(node.right);
+            } else if (node.type === 'call') {
+                node.args.forEach(visit);
+            }
+        };
+        visit(tree);
+        return [...new Set(names)];
+    }
+
+    /**
+     * Evaluates an expression against the form's values. Missing answers make arithmetic
+     * empty rather than zero; invalid results (division by zero, invalid dates) are empty.
+     * @param {string|object} expression Source text or a tree from parse()
+     * @param {object} values Answers keyed by field name
+     * @returns {number|string|boolean|null} null for an empty result or an invalid expression
+     */
+    static evaluate(expression, values = {}) {
+        let tree = expression;
+        if (typeof expression === 'string') {
+            try {
+                tree = SchemaExpressions.parse(expression);
+            } catch (error) {
+                return null;
+            }
+        }
+        return SchemaExpressions.normalize(SchemaExpressions.evaluateNode(tree, values || {}));
+    }
+
+    static evaluateNode(node, values) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'field': {
+                const value = Object.prototype.hasOwnProperty.call(values, node.name) ? values[node.name] : null;
+                return value === undefined ? null : value;
+            }
+            case 'negate': {
+                const number = SchemaExpressions.toNumber(SchemaExpressions.evaluateNode(node.argument, values));
+                return number === null ? null : -number;
+            }
+            case 'binary':
+                return SchemaExpressions.applyOperator(
+                    node.operator,
+                    SchemaExpressions.evaluateNode(node.left, values),
+                    SchemaExpressions.evaluateNode(node.right, values)
+                );
+            case 'call':
+                return SchemaExpressions.callFunction(node.name, node.args.map(arg => SchemaExpressions.evaluateNode(arg, values)));
+            default:
+                return null;
+        }
+    }
+
+    static isEmpty(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    // Numbers, text holding a number, and checkboxes (true = 1); null otherwise
+    static toNumber(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        if (typeof value === 'boolean') {
+            return value ? 1 : 0;
+        }
+        if (typeof value === 'string' && value.trim() !== '') {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        return null;
+    }
+
+    static toText(value) {
+        return SchemaExpressions.isEmpty(value) ? '' : String(value);
+    }
+
+    // "+" adds when both sides are numbers (or text holding one) and joins text otherwise
+    static applyOperator(operator, left, right) {
+        const a = SchemaExpressions.toNumber(left);
+        const b = SchemaExpressions.toNumber(right);
+
+        switch (operator) {
+            case '+':
+                if (a !== null && b !== null) {
+                    return a + b;
+                }
+                if ((a !== null || SchemaExpressions.isEmpty(left)) && (b !== null || SchemaExpressions.isEmpty(right))) {
+                    return null;
+                }
+                return SchemaExpressions.toText(left) + SchemaExpressions.toText(right);
+            case '-':
+                return a === null || b === null ? null : a - b;
+            case '*':
+                return a === null || b === null ? null : a * b;
+            case '/':
+                return a === null || b === null || b === 0 ? null : a / b;
+            case '%':
+                return a === null || b === null || b === 0 ? null : a % b;
+            case '==':
+            case '!=': {
+                const equal = a !== null && b !== null ? a === b : SchemaExpressions.toText(left) === SchemaExpressions.toText(right);
+                return operator === '==' ? equal : !equal;
+            }
+            default: {
+                // Numbers compare as numbers, everything else (e.g. YYYY-MM-DD dates) as text
+                if (SchemaExpressions.isEmpty(left) || SchemaExpressions.isEmpty(right)) {
+                    return null;
+                }
+                const order = a !== null && b !== null ? a - b : String(left).localeCompare(String(right));
+                if (operator === '<') return order < 0;
+                if (operator === '<=') return order <= 0;
+                if (operator === '>') return order > 0;
+                return order >= 0;
+            }
+        }
+    }
+
+    // A YYYY-MM-DD date (date inputs' value format) as a UTC Date, or null
+    static toDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(SchemaExpressions.toText(value).trim());
+        if (!match) {
+            return null;
+        }
+        const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+        return date.getUTCDate() === Number(match[3]) ? date : null;
+    }
+
+    static formatDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    static today() {
+        const now = new Date();
+        return SchemaExpressions.formatDate(new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate())));
+    }
+
+    static yearsBetween(fromValue, toValue) {
+        const from = SchemaExpressions.toDate(fromValue);
+        const to = SchemaExpressions.toDate(toValue);
+        if (!from || !to) {
+            return null;
+        }
+        let years = to.getUTCFullYear() - from.getUTCFullYear();
+        const beforeAnniversary = to.getUTCMonth() < from.getUTCMonth()
+            || (to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate());
+        if (beforeAnniversary) {
+            years--;
+        }
+        return years;
+    }
+
+    static callFunction(name, args) {
+        const numbers = args.map(arg => SchemaExpressions.toNumber(arg));
+        const present = numbers.filter(number => number !== null);
+        const date = SchemaExpressions.toDate(args[0]);
+
+        switch (name) {
+            case 'round': {
+                if (numbers[0] === null) return null;
+                const factor = 10 ** (numbers[1] === null || numbers[1] === undefined ? 0 : Math.trunc(numbers[1]));
+                return Math.round(numbers[0] * factor) / factor;
+            }
+            case 'floor':
+                return numbers[0] === null ? null : Math.floor(numbers[0]);
+            case 'ceil':
+                return numbers[0] === null ? null : Math.ceil(numbers[0]);
+            case 'abs':
+                return numbers[0] === null ? null : Math.abs(numbers[0]);
+            case 'min':
+                return numbers.includes(null) ? null : Math.min(...numbers);
+            case 'max':
+                return numbers.includes(null) ? null : Math.max(...numbers);
+            case 'sum':
+                return present.length ? present.reduce((total, number) => total + number, 0) : null;
+            case 'if':
+                // Empty, false and 0 count as false
+                return SchemaExpressions.isEmpty(args[0]) || args[0] === false || SchemaExpressions.toNumber(args[0]) === 0
+                    ? args[2]
+                    : args[1];
+            case 'concat':
+                return args.map(arg => SchemaExpressions.toText(arg)).join('');
+            case 'upper':
+                return SchemaExpressions.toText(args[0]).toUpperCase();
+            case 'lower':
+                return SchemaExpressions.toText(args[0]).toLowerCase();
+            case 'trim':
+                return SchemaExpressions.toText(args[0]).trim();
+            case 'today':
+                return SchemaExpressions.today();
+            case 'year':
+                return date ? date.getUTCFullYear() : null;
+            case 'month':
+                return date ? date.getUTCMonth() + 1 : null;
+            case 'day':
+                return date ? date.getUTCDate() : null;
+            case 'age':
+                return SchemaExpressions.yearsBetween(args[0], SchemaExpressions.today());
+            case 'yearsBetween':
+                return SchemaExpressions.yearsBetween(args[0], args[1]);
+            case 'daysBetween': {
+                const to = SchemaExpressions.toDate(args[1]);
+                return date && to ? Math.round((to - date) / 86400000) : null;
+            }
+            case 'addDays': {
+                if (!date || numbers[1] === null) {
+                    return null;
+                }
+                // Past the Date range (or a year toDate could not read back) there is no date
+                const result = new Date(date.getTime() + Math.trunc(numbers[1]) * 86400000);
+                const year = result.getUTCFullYear();
+                return Number.isNaN(result.getTime()) || year < 0 || year > 9999 ? null : SchemaExpressions.formatDate(result);
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Empty text and non-finite numbers become null; float noise (0.1 * 3) is rounded away
+    static normalize(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? parseFloat(value.toPrecision(12)) : null;
+        }
+        return value === '' || value === undefined ? null : value;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchemaExpressions };
+}
@@ -0,0 +1,855 @@
+// Schema Lint - Structural validation and best-practice checks for schemas.
+// Loaded as a plain script by the editor (SchemaManager.validateSchema/lintSchema) and
+// required by the command-line tool (bin/form-schema.js), so it must not touch the DOM.
+
+// The editor loads schemaConditions.js, schemaExpressions.js and schemaRules.js before this
+// file; the command-line tool requires them
+const LintConditions = typeof SchemaConditions !== 'undefined'
+    ? SchemaConditions
+    : require('./schemaConditions').SchemaConditions;
+const LintExpressions = typeof SchemaExpressions !== 'undefined'
+    ? SchemaExpressions
+    : require('./schemaExpressions').SchemaExpressions;
+const LintRules = typeof SchemaRules !== 'undefined'
+    ? SchemaRules
+    : require('./schemaRules').SchemaRules;
+
+class SchemaLint {
+    static getStages(schema) {
+        return Array.isArray(schema && schema.stages) ? schema.stages : [];
+    }
+
+    static getStageFields(stage) {
+        return Array.isArray(stage && stage.fields) ? stage.fields : [];
+    }
+
+    // Flattened field list, derived from the stages (the `fields` array of a file may be stale)
+    static getFields(schema) {
+        return SchemaLint.getStages(schema).flatMap(stage => SchemaLint.getStageFields(stage));
+    }
+
+    // showIf operators (SchemaConditions.OPERATORS) and the operand each takes:
+    // any value, a list of values, a number or ISO date, a regular expression or a flag
+    static get CONDITION_OPERATORS() {
+        return {
+            equals: { label: 'equals', operand: 'value' },
+            notEquals: { label: 'does not equal', operand: 'value' },
+            in: { label: 'is one of', operand: 'list' },
+            notIn: { label: 'is not one of', operand: 'list' },
+            gt: { label: 'is greater than', operand: 'comparable' },
+            gte: { label: 'is at least', operand: 'comparable' },
+            lt: { label: 'is less than', operand: 'comparable' },
+            lte: { label: 'is at most', operand: 'comparable' },
+            contains: { label: 'contains', operand: 'value' },
+            matches: { label: 'matches pattern', operand: 'pattern' },
+            isEmpty: { label: 'is empty', operand: 'flag' },
+            isNotEmpty: { label: 'is not empty', operand: 'flag' },
+            isChecked: { label: 'is checked', operand: 'flag' }
+        };
+    }
+
+    // Condition groups: `all`/`any` take a list of conditions, `not` takes one
+    static get CONDITION_GROUPS() {
+        return ['all', 'any', 'not'];
+    }
+
+    // Names of the fields a condition reads, groups included
+    static getConditionFields(condition) {
+        return LintConditions.getFields(condition);
+    }
+
+    // Fields read by the conditions of a stage's `next` rules
+    static getRouteFields(next) {
+        return (Array.isArray(next) ? next : []).flatMap(rule => (rule && rule.if ? SchemaLint.getConditionFields(rule.if) : []));
+    }
+
+    // Problems with the shape of a stage's `next` rules ([{ if: condition, goTo: stageId }]), as
+    // messages; targets are checked by the callers, which know the stage order
+    static checkRoutes(next) {
+        if (!Array.isArray(next)) {
+            return ['"next" must be a list of { if, goTo } rules'];
+        }
+
+        return next.flatMap((rule, index) => {
+            const location = `next[${index}]`;
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                return [`${location}: the rule must be an object`];
+            }
+            const problems = [];
+            if (!rule.goTo || typeof rule.goTo !== 'string') {
+                problems.push(`${location}: the rule needs a "goTo" stage ID`);
+            }
+            const extra = Object.keys(rule).filter(key => key !== 'if' && key !== 'goTo');
+            if (extra.length) {
+                problems.push(`${location}: unknown ${extra.map(key => `"${key}"`).join(', ')}`);
+            }
+            if (rule.if !== undefined) {
+                problems.push(...SchemaLint.checkCondition(rule.if, `${location}.if`));
+            }
+            return problems;
+        });
+    }
+
+    // Cross-field rule types (checkRule in src/validation.js) and what each compares the
+    // target `field` with: one `otherField`, or a list of `fields` (with `min`/`max` for sums)
+    static get RULE_TYPES() {
+        return {
+            after: { label: 'is after (date or number)', operand: 'otherField' },
+            equals: { label: 'equals', operand: 'otherField' },
+            atLeastOne: { label: 'needs at least one of', operand: 'fields' },
+            sum: { label: 'needs the sum of', operand: 'fields' }
+        };
+    }
+
+    // Names of the fields a rule reads, its target first
+    static getRuleFields(rule) {
+        if (!rule || typeof rule !== 'object') {
+            return [];
+        }
+        const names = [rule.field, rule.otherField, ...(Array.isArray(rule.fields) ? rule.fields : [])];
+        return [...new Set(names.filter(name => typeof name === 'string' && name))];
+    }
+
+    // Problems with the shape of the schema's `rules`, as messages; field names are checked
+    // by the callers
+    static checkRules(rules) {
+        if (!Array.isArray(rules)) {
+            return ['"rules" must be a list of rules'];
+        }
+        return rules.flatMap((rule, index) => SchemaLint.checkRule(rule).map(problem => `rules[${index}]: ${problem}`));
+    }
+
+    // Problems with one rule, e.g. a missing message or operand
+    static checkRule(rule) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            return ['the rule must be an object'];
+        }
+        const type = SchemaLint.RULE_TYPES[rule.type];
+        if (!type) {
+            return [`unknown rule type "${rule.type}" (use ${Object.keys(SchemaLint.RULE_TYPES).join(', ')})`];
+        }
+
+        const problems = [];
+        if (!rule.field || typeof rule.field !== 'string') {
+            problems.push('the rule needs a target "field"');
+        }
+        if (!rule.message || typeof rule.message !== 'string') {
+            problems.push('the rule needs a "message"');
+        }
+        if (type.operand === 'otherField' && (!rule.otherField || typeof rule.otherField !== 'string')) {
+            problems.push(`"${rule.type}" needs an "otherField"`);
+        }
+        if (type.operand === 'fields' && (!Array.isArray(rule.fields) || rule.fields.length === 0)) {
+            problems.push(`"${rule.type}" needs a list of "fields"`);
+        }
+        if (rule.type === 'sum') {
+            const limits = ['min', 'max'].filter(key => rule[key] !== undefined);
+            if (!limits.length) {
+                problems.push('"sum" needs a "min" or a "max"');
+            }
+            limits.filter(key => typeof rule[key] !== 'number' || !Number.isFinite(rule[key])).forEach(key => {
+                problems.push(`"${key}" must be a number`);
+            });
+        }
+        return problems;
+    }
+
+    static isValidPattern(pattern) {
+        try {
+            new RegExp(pattern);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Problems with a condition's shape and operands, as messages; empty when it is valid.
+    // Problems inside groups are prefixed with their location, e.g. "all[1].any[0]: ...".
+    static checkCondition(condition, location = '') {
+        const at = message => (location ? `${location}: ${message}` : message);
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            return [at('the condition must be an object')];
+        }
+
+        const groupKeys = SchemaLint.CONDITION_GROUPS.filter(key => key in condition);
+        if (groupKeys.length) {
+            const [group] = groupKeys;
+            const extra = Object.keys(condition).filter(key => key !== group);
+            if (extra.length) {
+                return [at(`the "${group}" group cannot also have ${extra.map(key => `"${key}"`).join(', ')}`)];
+            }
+            const prefix = `${location ? `${location}.` : ''}${group}`;
+            if (group === 'not') {
+                return SchemaLint.checkCondition(condition.not, prefix);
+            }
+            if (!Array.isArray(condition[group]) || condition[group].length === 0) {
+                return [at(`"${group}" needs a list of conditions`)];
+            }
+            return condition[group].flatMap((item, index) => SchemaLint.checkCondition(item, `${prefix}[${index}]`));
+        }
+
+        const operators = SchemaLint.CONDITION_OPERATORS;
+        const problems = [];
+        if (!condition.field || typeof condition.field !== 'string') {
+            problems.push('the condition needs a "field"');
+        }
+
+        const keys = Object.keys(condition).filter(key => key !== 'field');
+        keys.filter(key => !operators[key]).forEach(key => {
+            problems.push(`unknown operator "${key}"`);
+        });
+        if (!keys.some(key => operators[key])) {
+            problems.push('the condition has no operator');
+        }
+
+        keys.filter(key => operators[key]).forEach(operator => {
+            const operand = condition[operator];
+            switch (operators[operator].operand) {
+                case 'list':
+                    if (!Array.isArray(operand)) {
+                        problems.push(`"${operator}" needs a list of values`);
+                    }
+                    break;
+                case 'comparable': {
+                    const isDate = typeof operand === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(operand);
+                    const isNumber = (typeof operand === 'number' || (typeof operand === 'string' && operand.trim() !== ''))
+                        && Number.isFinite(Number(operand));
+                    if (!isDate && !isNumber) {
+                        problems.push(`"${operator}" needs a number or a date (YYYY-MM-DD)`);
+                    }
+                    break;
+                }
+                case 'pattern':
+                    if (typeof operand !== 'string' || !SchemaLint.isValidPattern(operand)) {
+                        problems.push(`"${operator}" needs a valid regular expression`);
+                    }
+                    break;
+                case 'flag':
+                    if (typeof operand !== 'boolean') {
+                        problems.push(`"${operator}" needs true or false`);
+                    }
+                    break;
+                default:
+                    if (operand === undefined) {
+                        problems.push(`"${operator}" needs a value`);
+                    }
+            }
+        });
+
+        return problems.map(at);
+    }
+
+    // Structural errors that make a schema unusable. Returns an array of messages.
+    static validate(schema) {
+        const errors = [];
+        const stages = SchemaLint.getStages(schema);
+        const fields = SchemaLint.getFields(schema);
+
+        if (!schema || !schema.id) {
+            errors.push('Schema ID is required');
+        }
+
+        if (stages.length === 0) {
+            errors.push('At least one stage is required');
+        }
+
+        stages.forEach((stage, stageIndex) => {
+            if (!stage.id) {
+                errors.push(`Stage ${stageIndex + 1}: ID is required`);
+            }
+            if (!stage.label) {
+                errors.push(`Stage ${stageIndex + 1}: Label is required`);
+            }
+            if (stage.showIf) {
+                SchemaLint.checkCondition(stage.showIf).forEach(problem => {
+                    errors.push(`Stage "${stage.label}": invalid showIf, ${problem}`);
+                });
+                new Set(SchemaLint.getConditionFields(stage.showIf)).forEach(name => {
+                    if (!fields.find(f => f.name === name)) {
+                        errors.push(`Stage "${stage.label}": showIf references non-existent field "${name}"`);
+                    }
+                });
+            }
+
+            // Validate next rules, their targets and the fields they read
+            if (stage.next !== undefined) {
+                SchemaLint.checkRoutes(stage.next).forEach(problem => {
+                    errors.push(`Stage "${stage.label}": invalid route, ${problem}`);
+                });
+                (Array.isArray(stage.next) ? stage.next : []).forEach(rule => {
+                    if (rule && typeof rule.goTo === 'string' && !stages.find(s => s.id === rule.goTo)) {
+                        errors.push(`Stage "${stage.label}": route goes to non-existent stage "${rule.goTo}"`);
+                    }
+                });
+                new Set(SchemaLint.getRouteFields(stage.next)).forEach(name => {
+                    if (!fields.find(f => f.name === name)) {
+                        errors.push(`Stage "${stage.label}": route references non-existent field "${name}"`);
+                    }
+                });
+            }
+
+            SchemaLint.getStageFields(stage).forEach((field, fieldIndex) => {
+                if (!field.name) {
+                    errors.push(`Stage "${stage.label}", Field ${fieldIndex + 1}: Name is required`);
+                }
+                if (!field.type) {
+                    errors.push(`Stage "${stage.label}", Field ${fieldIndex + 1}: Type is required`);
+                }
+
+                // Validate showIf conditions and references
+                if (field.showIf) {
+                    SchemaLint.checkCondition(field.showIf).forEach(problem => {
+                        errors.push(`Field "${field.name}": invalid showIf, ${problem}`);
+                    });
+                    new Set(SchemaLint.getConditionFields(field.showIf)).forEach(name => {
+                        if (!fields.find(f => f.name === name)) {
+                            errors.push(`Field "${field.name}": showIf references non-existent field "${name}"`);
+                        }
+                    });
+                }
+
+                if (field.type === 'calculated') {
+                    LintExpressions.check(field.expression || '').forEach(problem => {
+                        errors.push(`Field "${field.name}": invalid expression, ${problem}`);
+                    });
+                    LintExpressions.getFields(field.expression || '').forEach(name => {
+                        if (!fields.find(f => f.name === name)) {
+                            errors.push(`Field "${field.name}": expression references non-existent field "${name}"`);
+                        }
+                    });
+                }
+
+                if (field.requiredIf) {
+                    SchemaLint.checkCondition(field.requiredIf).forEach(problem => {
+                        errors.push(`Field "${field.name}": invalid requiredIf, ${problem}`);
+                    });
+                    new Set(SchemaLint.getConditionFields(field.requiredIf)).forEach(name => {
+                        if (!fields.find(f => f.name === name)) {
+                            errors.push(`Field "${field.name}": requiredIf references non-existent field "${name}"`);
+                        }
+                    });
+                }
+
+                // Validate options for select/radio
+                if ((field.type === 'select' || field.type === 'radio') && (!field.options || field.options.length === 0)) {
+                    errors.push(`Field "${field.name}": select/radio fields must have options`);
+                }
+            });
+        });
+
+        // Validate cross-field rules and the fields they name
+        if (schema && schema.rules !== undefined) {
+            SchemaLint.checkRules(schema.rules).forEach(problem => {
+                errors.push(`Invalid rule, ${problem}`);
+            });
+            (Array.isArray(schema.rules) ? schema.rules : []).forEach((rule, index) => {
+                SchemaLint.getRuleFields(rule).forEach(name => {
+                    if (!fields.find(f => f.name === name)) {
+                        errors.push(`Rule ${index + 1} references non-existent field "${name}"`);
+                    }
+                });
+            });
+        }
+
+        return errors;
+    }
+
+    // Lint rules and their default severities. A schema can change severities (or turn rules
+    // "off") with `lint.rules`, and suppress rules for single fields with `lint.suppress`:
+    //   lint: { rules: { 'field-missing-placeholder': 'off' }, suppress: { phone: ['tel-missing-pattern'] } }
+    static get RULES() {
+        return {
+            'schema-id-default': { severity: 'warning', description: 'Schema ID is still the default "new-form"' },
+            'schema-no-stages': { severity: 'error', description: 'Schema has no stages' },
+            'stage-missing-label': { severity: 'warning', description: 'Stage has no label' },
+            'stage-empty': { severity: 'warning', description: 'Stage has no fields' },
+            'duplicate-stage-id': { severity: 'error', description: 'Two stages share an ID' },
+            'field-missing-label': { severity: 'warning', description: 'Input field has no label' },
+            'field-missing-helper-text': { severity: 'suggestion', description: 'Email, phone or number field has no helper text' },
+            'field-missing-placeholder': { severity: 'suggestion', description: 'Text-like input has no placeholder' },
+            'required-missing-message': { severity: 'suggestion', description: 'Required field has no custom required message' },
+            'choice-too-few-options': { severity: 'warning', description: 'Select or radio field has fewer than 2 options' },
+            'showif-unknown-field': { severity: 'error', description: 'showIf references a field that does not exist' },
+            'showif-invalid-condition': { severity: 'error', description: 'showIf has an unknown operator or an invalid operand' },
+            'showif-forward-reference': { severity: 'warning', description: 'showIf depends on a field that comes later in the form' },
+            'requiredif-unknown-field': { severity: 'error', description: 'requiredIf references a field that does not exist' },
+            'requiredif-invalid-condition': { severity: 'error', description: 'requiredIf has an unknown operator or an invalid operand' },
+            'requiredif-forward-reference': { severity: 'warning', description: 'requiredIf depends on a field in a later stage, which is still empty when the field is checked' },
+            'calculated-invalid-expression': { severity: 'error', description: 'A calculated field has no expression or one that does not parse' },
+            'calculated-unknown-field': { severity: 'error', description: 'A calculated field\'s expression references a field that does not exist' },
+            'calculated-forward-reference': { severity: 'warning', description: 'A calculated field uses itself or a calculated field that comes after it, which is not computed yet' },
+            'route-invalid': { severity: 'error', description: 'A stage\'s next rules are malformed or have an invalid condition' },
+            'route-unknown-stage': { severity: 'error', description: 'A next rule goes to a stage that does not exist' },
+            'route-unknown-field': { severity: 'error', description: 'A next rule\'s condition references a field that does not exist' },
+            'route-backward': { severity: 'warning', description: 'A next rule goes back to the same or an earlier stage, so it is ignored' },
+            'rule-invalid': { severity: 'error', description: 'The schema\'s rules are malformed: unknown type, missing target field, message or operands' },
+            'rule-unknown-field': { severity: 'error', description: 'A rule references a field that does not exist' },
+            'rule-forward-reference': { severity: 'warning', description: 'A rule reads a field in a later stage than its target, which is still empty when the target\'s stage is checked' },
+            'number-missing-range': { severity: 'suggestion', description: 'Number field has no min and max' },
+            'email-missing-message': { severity: 'suggestion', description: 'Email field has no custom emailInvalid message' },
+            'tel-missing-pattern': { severity: 'suggestion', description: 'Phone field has no pattern' },
+            'duplicate-field-name': { severity: 'error', description: 'Two fields share a name' },
+            'lint-config-invalid': { severity: 'warning', description: 'The schema\'s lint configuration refers to unknown rules or severities' }
+        };
+    }
+
+    static get SEVERITIES() {
+        return ['error', 'warning', 'suggestion'];
+    }
+
+    // Counts per severity, e.g. for summaries: { error: 1, warning: 0, suggestion: 3 }
+    static countBySeverity(issues) {
+        const counts = { error: 0, warning: 0, suggestion: 0 };
+        issues.forEach(issue => {
+            counts[issue.severity]++;
+        });
+        return counts;
+    }
+
+    // Checks `lint` config entries; problems are reported as lint-config-invalid issues
+    static checkConfig(config, rules) {
+        const problems = [];
+        const severities = [...SchemaLint.SEVERITIES, 'off'];
+
+        Object.entries(config.rules || {}).forEach(([ruleId, severity]) => {
+            if (!rules[ruleId]) {
+                problems.push({ message: `lint.rules: unknown rule "${ruleId}"`, property: `lint.rules.${ruleId}` });
+            } else if (!severities.includes(severity)) {
+                problems.push({ message: `lint.rules: "${severity}" is not a severity (use ${severities.join(', ')})`, property: `lint.rules.${ruleId}` });
+            }
+        });
+
+        Object.entries(config.suppress || {}).forEach(([fieldName, ruleIds]) => {
+            (Array.isArray(ruleIds) ? ruleIds : [ruleIds]).forEach(ruleId => {
+                if (!rules[ruleId]) {
+                    problems.push({ message: `lint.suppress: unknown rule "${ruleId}" for field "${fieldName}"`, property: `lint.suppress.${fieldName}` });
+                }
+            });
+        });
+
+        return problems;
+    }
+
+    /**
+     * Best practices and common issues.
+     * @param {object} schema
+     * @param {object} [options]
+     * @param {object} [options.rules] Severity overrides (`{ ruleId: severity|'off' }`) applied
+     *   on top of the schema's own `lint.rules`
+     * @returns {Array<{ ruleId: string, severity: string, message: string,
+     *   path: { stageId: string|null, fieldName: string|null, property: string|null } }>}
+     */
+    static lint(schema, options = {}) {
+        const rules = SchemaLint.RULES;
+        const config = (schema && schema.lint && typeof schema.lint === 'object') ? schema.lint : {};
+        const severities = { ...(config.rules || {}), ...(options.rules || {}) };
+        const suppress = config.suppress || {};
+        const issues = [];
+
+        const report = (ruleId, message, path = {}) => {
+            // Invalid severities are reported by checkConfig and fall back to the default
+            const configured = severities[ruleId];
+            const severity = configured === 'off' || SchemaLint.SEVERITIES.includes(configured)
+                ? configured
+                : rules[ruleId].severity;
+            if (severity === 'off') {
+                return;
+            }
+            const suppressed = path.fieldName && suppress[path.fieldName];
+            if (suppressed && [].concat(suppressed).includes(ruleId)) {
+                return;
+            }
+            issues.push({
+                ruleId,
+                severity,
+                message,
+                path: { stageId: path.stageId ?? null, fieldName: path.fieldName ?? null, property: path.property ?? null }
+            });
+        };
+
+        SchemaLint.checkConfig(config, rules).forEach(problem => {
+            report('lint-config-invalid', problem.message, { property: problem.property });
+        });
+
+        const stages = SchemaLint.getStages(schema);
+        const fields = SchemaLint.getFields(schema);
+
+        // Check schema ID
+        if (!schema || !schema.id || schema.id === 'new-form') {
+            report('schema-id-default', 'Schema ID should be customized', { property: 'id' });
+        }
+
+        if (stages.length === 0) {
+            report('schema-no-stages', 'Schema has no stages', { property: 'stages' });
+            return issues;
+        }
+
+        // Check each stage
+        stages.forEach((stage, stageIndex) => {
+            const stageLabel = stage.label || `Stage ${stageIndex + 1}`;
+            const stageFields = SchemaLint.getStageFields(stage);
+            const stagePath = { stageId: stage.id };
+
+            // Check for missing labels
+            if (!stage.label) {
+                report('stage-missing-label', `Stage "${stage.id}" has no label`, { ...stagePath, property: 'label' });
+            }
+
+            // Check for empty stages
+            if (stageFields.length === 0) {
+                report('stage-empty', `Stage "${stageLabel}" has no fields`, { ...stagePath, property: 'fields' });
+            }
+
+            // A stage's showIf can only use answers from the stages before it
+            if (stage.showIf) {
+                SchemaLint.checkCondition(stage.showIf).forEach(problem => {
+                    report('showif-invalid-condition', `Stage "${stageLabel}" has an invalid showIf: ${problem}`, { ...stagePath, property: 'showIf' });
+                });
+            }
+            new Set(SchemaLint.getConditionFields(stage.showIf)).forEach(name => {
+                const referencedStageIndex = stages.findIndex(s => SchemaLint.getStageFields(s).some(f => f.name === name));
+                if (referencedStageIndex === -1) {
+                    report('showif-unknown-field', `Stage "${stageLabel}" references non-existent field "${name}" in showIf`, { ...stagePath, property: 'showIf.field' });
+                } else if (referencedStageIndex >= stageIndex) {
+                    report('showif-forward-reference', `Stage "${stageLabel}" depends on "${name}" which appears ${referencedStageIndex === stageIndex ? 'on the stage itself' : 'in a later stage'}`, { ...stagePath, property: 'showIf.field' });
+                }
+            });
+
+            // Routes may only jump forward; the runtime ignores the others
+            if (stage.next !== undefined) {
+                SchemaLint.checkRoutes(stage.next).forEach(problem => {
+                    report('route-invalid', `Stage "${stageLabel}" has an invalid route: ${problem}`, { ...stagePath, property: 'next' });
+                });
+                (Array.isArray(stage.next) ? stage.next : []).forEach(rule => {
+                    if (!rule || typeof rule.goTo !== 'string') {
+                        return;
+                    }
+                    const targetIndex = stages.findIndex(s => s.id === rule.goTo);
+                    if (targetIndex === -1) {
+                        report('route-unknown-stage', `Stage "${stageLabel}" routes to non-existent stage "${rule.goTo}"`, { ...stagePath, property: 'next' });
+                    } else if (targetIndex <= stageIndex) {
+                        report('route-backward', `Stage "${stageLabel}" routes back to "${rule.goTo}"; only routes to later stages are followed`, { ...stagePath, property: 'next' });
+                    }
+                });
+                new Set(SchemaLint.getRouteFields(stage.next)).forEach(name => {
+                    if (!fields.find(f => f.name === name)) {
+                        report('route-unknown-field', `Stage "${stageLabel}" routes on non-existent field "${name}"`, { ...stagePath, property: 'next' });
+                    }
+                });
+            }
+
+            // Check fields in stage
+            stageFields.forEach((field, fieldIndex) => {
+                const fieldLabel = field.label || field.name || `Field ${fieldIndex + 1}`;
+                const at = property => ({ ...stagePath, fieldName: field.name, property });
+
+                // Required field checks
+                if (!field.label && !field.title && field.type !== 'plain text') {
+                    report('field-missing-label', `Field "${field.name}" in "${stageLabel}" has no label`, at('label'));
+                }
+
+                // Check for missing helper text on complex fields
+                if (['email', 'tel', 'number'].includes(field.type) && !field.helperText) {
+                    report('field-missing-helper-text', `Field "${fieldLabel}" in "${stageLabel}" could benefit from helper text`, at('helperText'));
+                }
+
+                // Check for missing placeholders on input fields
+                if (['text', 'email', 'tel', 'number'].includes(field.type) && !field.placeholder) {
+                    report('field-missing-placeholder', `Field "${fieldLabel}" in "${stageLabel}" could have a placeholder`, at('placeholder'));
+                }
+
+                // Check for required fields without error messages
+                if ((field.required || field.requiredIf) && (!field.errorMessages || !field.errorMessages.required)) {
+                    report('required-missing-message', `Required field "${fieldLabel}" in "${stageLabel}" should have a custom required error message`, at('errorMessages.required'));
+                }
+
+                // Check select/radio without enough options
+                if (['select', 'radio'].includes(field.type)) {
+                    if (!field.options || field.options.length < 2) {
+                        report('choice-too-few-options', `Field "${fieldLabel}" in "${stageLabel}" should have at least 2 options`, at('options'));
+                    }
+                }
+
+                if (field.showIf) {
+                    SchemaLint.checkCondition(field.showIf).forEach(problem => {
+                        report('showif-invalid-condition', `Field "${fieldLabel}" in "${stageLabel}" has an invalid showIf: ${problem}`, at('showIf'));
+                    });
+                }
+
+                // Check for showIf referencing non-existent fields
+                new Set(SchemaLint.getConditionFields(field.showIf)).forEach(name => {
+                    const referencedField = fields.find(f => f.name === name);
+                    if (!referencedField) {
+                        report('showif-unknown-field', `Field "${fieldLabel}" in "${stageLabel}" references non-existent field "${name}" in showIf`, at('showIf.field'));
+                    } else {
+                        // Check if referenced field comes after this field
+                        const referencedStageIndex = stages.findIndex(s => SchemaLint.getStageFields(s).includes(referencedField));
+
+                        if (referencedStageIndex > stageIndex) {
+                            report('showif-forward-reference', `Field "${fieldLabel}" depends on "${name}" which appears in a later stage`, at('showIf.field'));
+                        } else if (referencedStageIndex === stageIndex) {
+                            const referencedFieldIndex = stageFields.indexOf(referencedField);
+                            if (referencedFieldIndex >= fieldIndex) {
+                                report('showif-forward-reference', `Field "${fieldLabel}" depends on "${name}" which appears later in the same stage`, at('showIf.field'));
+                            }
+                        }
+                    }
+                });
+
+                if (field.requiredIf) {
+                    SchemaLint.checkCondition(field.requiredIf).forEach(problem => {
+                        report('requiredif-invalid-condition', `Field "${fieldLabel}" in "${stageLabel}" has an invalid requiredIf: ${problem}`, at('requiredIf'));
+                    });
+                }
+
+                // A stage is validated when the user leaves it, so requiredIf may read answers
+                // from the same stage but not from later ones
+                new Set(SchemaLint.getConditionFields(field.requiredIf)).forEach(name => {
+                    const referencedField = fields.find(f => f.name === name);
+                    if (!referencedField) {
+                        report('requiredif-unknown-field', `Field "${fieldLabel}" in "${stageLabel}" references non-existent field "${name}" in requiredIf`, at('requiredIf.field'));
+                    } else if (stages.findIndex(s => SchemaLint.getStageFields(s).includes(referencedField)) > stageIndex) {
+                        report('requiredif-forward-reference', `Field "${fieldLabel}" is required depending on "${name}" which appears in a later stage`, at('requiredIf.field'));
+                    }
+                });
+
+                if (field.type === 'calculated') {
+                    LintExpressions.check(field.expression || '').forEach(problem => {
+                        report('calculated-invalid-expression', `Calculated field "${fieldLabel}" in "${stageLabel}" has an invalid expression: ${problem}`, at('expression'));
+                    });
+
+                    // Calculated fields are computed in form order
+                    LintExpressions.getFields(field.expression || '').forEach(name => {
+                        const referencedField = fields.find(f => f.name === name);
+                        if (!referencedField) {
+                            report('calculated-unknown-field', `Calculated field "${fieldLabel}" in "${stageLabel}" references non-existent field "${name}"`, at('expression'));
+                        } else if (referencedField === field) {
+                            report('calculated-forward-reference', `Calculated field "${fieldLabel}" uses its own value`, at('expression'));
+                        } else if (referencedField.type === 'calculated' && fields.indexOf(referencedField) > fields.indexOf(field)) {
+                            report('calculated-forward-reference', `Calculated field "${fieldLabel}" uses "${name}", which is calculated after it`, at('expression'));
+                        }
+                    });
+                }
+
+                // Check number fields for min/max
+                if (field.type === 'number' && (!field.attributes || !field.attributes.min || !field.attributes.max)) {
+                    report('number-missing-range', `Number field "${fieldLabel}" in "${stageLabel}" should have min and max attributes`, at('attributes'));
+                }
+
+                // Check email fields for custom validation error
+                if (field.type === 'email' && (!field.errorMessages || !field.errorMessages.emailInvalid)) {
+                    report('email-missing-message', `Email field "${fieldLabel}" in "${stageLabel}" should have a custom emailInvalid error message`, at('errorMessages.emailInvalid'));
+                }
+
+                // Check tel fields for pattern
+                if (field.type === 'tel' && (!field.attributes || !field.attributes.pattern)) {
+                    report('tel-missing-pattern', `Phone field "${fieldLabel}" in "${stageLabel}" should have a pattern attribute for validation`, at('attributes.pattern'));
+                }
+            });
+        });
+
+        // Cross-field rules are checked with the stage of their target field, so the fields
+        // they read should not come later
+        if (schema.rules !== undefined && !Array.isArray(schema.rules)) {
+            report('rule-invalid', 'The schema\'s "rules" must be a list', { property: 'rules' });
+        }
+        const stageIndexOf = name => stages.findIndex(s => SchemaLint.getStageFields(s).some(f => f.name === name));
+        (Array.isArray(schema.rules) ? schema.rules : []).forEach((rule, index) => {
+            const targetStageIndex = rule && typeof rule.field === 'string' ? stageIndexOf(rule.field) : -1;
+            const rulePath = {
+                stageId: targetStageIndex === -1 ? null : stages[targetStageIndex].id,
+                fieldName: targetStageIndex === -1 ? null : rule.field,
+                property: `rules.${index}`
+            };
+            SchemaLint.checkRule(rule).forEach(problem => {
+                report('rule-invalid', `Rule ${index + 1} is invalid: ${problem}`, rulePath);
+            });
+            SchemaLint.getRuleFields(rule).forEach(name => {
+                const referencedStageIndex = stageIndexOf(name);
+                if (referencedStageIndex === -1) {
+                    report('rule-unknown-field', `Rule ${index + 1} references non-existent field "${name}"`, rulePath);
+                } else if (targetStageIndex !== -1 && referencedStageIndex > targetStageIndex) {
+                    report('rule-forward-reference', `Rule ${index + 1} on "${rule.field}" reads "${name}" which appears in a later stage`, rulePath);
+                }
+            });
+        });
+
+        // Duplicate stage IDs and field names: every repeat after the first is reported
+        const seenStageIds = new Set();
+        stages.forEach(stage => {
+            if (seenStageIds.has(stage.id)) {
+                report('duplicate-stage-id', `Duplicate stage ID found: ${stage.id}`, { stageId: stage.id, property: 'id' });
+            }
+            seenStageIds.add(stage.id);
+        });
+
+        const seenFieldNames = new Set();
+        stages.forEach(stage => {
+            SchemaLint.getStageFields(stage).forEach(field => {
+                if (seenFieldNames.has(field.name)) {
+                    report('duplicate-field-name', `Duplicate field name found: ${field.name}`, { stageId: stage.id, fieldName: field.name, property: 'name' });
+                }
+                seenFieldNames.add(field.name);
+            });
+        });
+
+        return issues;
+    }
+
+    // The runtime's default required message
+    static get DEFAULT_REQUIRED_MESSAGE() {
+        return LintRules.REQUIRED_MESSAGE;
+    }
+
+    // Mechanical fixes, keyed by rule ID. `safe` fixes only add or rename things nothing
+    // else depends on, so "Fix all" applies them; the others move fields or rename
+    // submitted keys and are applied one issue at a time. `apply` edits the schema in place
+    // and returns a description, or null when the issue no longer applies.
+    static get FIXES() {
+        const uniqueName = (base, taken, separator) => {
+            let counter = 2;
+            while (taken.has(`${base}${separator}${counter}`)) {
+                counter++;
+            }
+            const name = `${base}${separator}${counter}`;
+            taken.add(name);
+            return name;
+        };
+        const findField = (schema, path) => {
+            const stage = SchemaLint.getStages(schema).find(s => s.id === path.stageId);
+            return SchemaLint.getStageFields(stage).find(f => f.name === path.fieldName) || null;
+        };
+
+        return {
+            'duplicate-stage-id': {
+                safe: true,
+                apply(schema, issue) {
+                    const stages = SchemaLint.getStages(schema);
+                    const repeats = stages.filter(stage => stage.id === issue.path.stageId).slice(1);
+                    if (!repeats.length) return null;
+                    const taken = new Set(stages.map(stage => stage.id));
+                    const renamed = repeats.map(stage => {
+                        stage.id = uniqueName(issue.path.stageId, taken, '-');
+                        return `"${stage.id}"`;
+                    });
+                    return `Rename repeated stage ID "${issue.path.stageId}" to ${renamed.join(', ')}`;
+                }
+            },
+            'duplicate-field-name': {
+                safe: false,
+                apply(schema, issue) {
+                    const fields = SchemaLint.getFields(schema);
+                    const repeats = fields.filter(field => field.name === issue.path.fieldName).slice(1);
+                    if (!repeats.length) return null;
+                    const taken = new Set(fields.map(field => field.name));
+                    const renamed = repeats.map(field => {
+                        field.name = uniqueName(issue.path.fieldName, taken, '_');
+                        return `"${field.name}"`;
+                    });
+                    return `Rename repeated field "${issue.path.fieldName}" to ${renamed.join(', ')}`;
+                }
+            },
+            'showif-forward-reference': {
+                safe: false,
+                // Moves the first controlling field that comes after the dependent one; a
+                // condition with several forward references has an issue (a fix) for each
+                apply(schema, issue) {
+                    const dependent = findField(schema, issue.path);
+                    if (!dependent) return null;
+                    const stages = SchemaLint.getStages(schema);
+                    const dependentStage = stages.find(stage => stage.id === issue.path.stageId);
+                    const comesLater = name => {
+                        const stage = stages.find(s => SchemaLint.getStageFields(s).some(f => f.name === name));
+                        if (!stage) return false;
+                        return stages.indexOf(stage) > stages.indexOf(dependentStage)
+                            || (stage === dependentStage && stage.fields.findIndex(f => f.name === name) > stage.fields.indexOf(dependent));
+                    };
+                    const controllerName = SchemaLint.getConditionFields(dependent.showIf).find(comesLater);
+                    if (!controllerName) return null;
+
+                    const controllerStage = stages.find(stage => SchemaLint.getStageFields(stage).some(f => f.name === controllerName));
+                    const controllerIndex = controllerStage.fields.findIndex(f => f.name === controllerName);
+
+                    // Move the controlling field up to just before the field it controls
+                    const [controller] = controllerStage.fields.splice(controllerIndex, 1);
+                    dependentStage.fields.splice(dependentStage.fields.indexOf(dependent), 0, controller);
+                    return `Move "${controllerName}" before "${dependent.name}" in stage "${dependentStage.id}"`;
+                }
+            },
+            'required-missing-message': {
+                // The default message is Hebrew; pinned on the field, it replaces the
+                // runtime's locale message in forms shown in other languages
+                safe: false,
+                apply(schema, issue) {
+                    const field = findField(schema, issue.path);
+                    if (!field || !(field.required || field.requiredIf) || (field.errorMessages && field.errorMessages.required)) return null;
+                    field.errorMessages = { ...(field.errorMessages || {}), required: SchemaLint.DEFAULT_REQUIRED_MESSAGE };
+                    return `Add the default required message to "${field.name}"`;
+                }
+            },
+            'choice-too-few-options': {
+                safe: true,
+                // Only a field without any options is fixed; real choices cannot be guessed
+                apply(schema, issue) {
+                    const field = findField(schema, issue.path);
+                    if (!field || (Array.isArray(field.options) && field.options.length > 0)) return null;
+                    field.options = [
+                        { label: 'Option 1', value: 'option1' },
+                        { label: 'Option 2', value: 'option2' }
+                    ];
+                    return `Add placeholder options "Option 1" and "Option 2" to "${field.name}"`;
+                }
+            }
+        };
+    }
+
+    static canFix(schema, issue) {
+        const fix = SchemaLint.FIXES[issue.ruleId];
+        return Boolean(fix) && fix.apply(SchemaLint.cloneSchema(schema), issue) !== null;
+    }
+
+    static isSafeFix(issue) {
+        const fix = SchemaLint.FIXES[issue.ruleId];
+        return Boolean(fix && fix.safe);
+    }
+
+    // Deep copy of the document; a flattened `fields` list is rebuilt from the stages
+    static cloneSchema(schema) {
+        const { fields, ...rest } = schema;
+        const copy = JSON.parse(JSON.stringify(rest));
+        if (fields !== undefined) {
+            copy.fields = SchemaLint.getFields(copy);
+        }
+        return copy;
+    }
+
+    /**
+     * Applies the fixes for `issues` (in order) to a copy of the schema.
+     * @returns {{ schema: object, applied: Array<{ issue: object, description: string }>, skipped: object[] }}
+     *   `skipped` holds issues without a fix or that an earlier fix already resolved
+     */
+    static fixIssues(schema, issues) {
+        const copy = SchemaLint.cloneSchema(schema);
+        const fixes = SchemaLint.FIXES;
+        const applied = [];
+        const skipped = [];
+
+        issues.forEach(issue => {
+            const description = fixes[issue.ruleId] ? fixes[issue.ruleId].apply(copy, issue) : null;
+            if (description) {
+                applied.push({ issue, description });
+            } else {
+                skipped.push(issue);
+            }
+        });
+
+        if (copy.fields !== undefined) {
+            copy.fields = SchemaLint.getFields(copy);
+        }
+        return { schema: copy, applied, skipped };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchemaLint };
+}
@@ -0,0 +1,121 @@
+// Schema format versions. A schema's `schemaVersion` says which format it is written in;
+// documents without one are version 0. Each migration upgrades a document by one version,
+// and migrate() runs the ones a document needs, in order. Shared by the editor
+// (SchemaManager.loadSchema) and the server (the /upload route, via module.exports).
+class SchemaMigrations {
+    // Ordered by version; a migration changes the schema in place and returns the number
+    // of changes it made
+    static get MIGRATIONS() {
+        return [
+            {
+                version: 1,
+                id: 'plain-text-type',
+                description: 'Use the "plain text" field type instead of "plaintext"',
+                migrate(schema) {
+                    let changes = 0;
+                    SchemaMigrations.getFields(schema).forEach(field => {
+                        if (SchemaMigrations.isPlainText(field) && field.type !== 'plain text') {
+                            field.type = 'plain text';
+                            changes++;
+                        }
+                    });
+                    return changes;
+                }
+            },
+            {
+                version: 2,
+                id: 'plain-text-body',
+                description: 'Keep plain text in `text` instead of `content` or `description`',
+                migrate(schema) {
+                    let changes = 0;
+                    SchemaMigrations.getFields(schema).forEach(field => {
+                        if (!SchemaMigrations.isPlainText(field) || (field.content === undefined && field.description === undefined)) {
+                            return;
+                        }
+                        // Same precedence as the runtime: text, then content, then description
+                        if (field.text === undefined) {
+                            field.text = field.content !== undefined ? field.content : field.description;
+                        }
+                        delete field.content;
+                        delete field.description;
+                        changes++;
+                    });
+                    return changes;
+                }
+            }
+        ];
+    }
+
+    static get CURRENT_VERSION() {
+        return SchemaMigrations.MIGRATIONS.length;
+    }
+
+    // The fields of every stage, or the top-level `fields` of a schema without stages
+    static getFields(schema) {
+        const fields = Array.isArray(schema.stages)
+            ? schema.stages.flatMap(stage => (stage && Array.isArray(stage.fields) ? stage.fields : []))
+            : (Array.isArray(schema.fields) ? schema.fields : []);
+        return fields.filter(field => field && typeof field === 'object');
+    }
+
+    // Any spelling of the plain text type, as isPlainTextField in the runtime
+    static isPlainText(field) {
+        const type = String(field.type === undefined || field.type === null ? '' : field.type).toLowerCase();
+        return type === 'plain text' || type === 'plaintext';
+    }
+
+    // The version a schema is written in; throws for versions this code cannot read
+    static getVersion(schema) {
+        const version = schema.schemaVersion === undefined ? 0 : schema.schemaVersion;
+        if (!Number.isInteger(version) || version < 0) {
+            throw new Error(`Invalid schemaVersion: ${JSON.stringify(schema.schemaVersion)}`);
+        }
+        if (version > SchemaMigrations.CURRENT_VERSION) {
+            throw new Error(`Schema version ${version} is newer than the supported version ${SchemaMigrations.CURRENT_VERSION}`);
+        }
+        return version;
+    }
+
+    /**
+     * Upgrades a schema to the current version. The input is not modified.
+     * @param {object} schema
+     * @returns {{ schema: object, fromVersion: number, toVersion: number,
+     *   applied: Array<{ version: number, id: string, description: string, changes: number }> }}
+     */
+    static migrate(schema) {
+        const fromVersion = SchemaMigrations.getVersion(schema);
+        const migrated = JSON.parse(JSON.stringify(schema));
+        // The top-level `fields` list is derived from the stages (the runtime prefers it), so
+        // it is rebuilt from them and migrated along with them
+        if (Array.isArray(migrated.stages) && Array.isArray(migrated.fields)) {
+            migrated.fields = SchemaMigrations.getFields(migrated);
+        }
+        const applied = SchemaMigrations.MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .map(migration => ({
+                version: migration.version,
+                id: migration.id,
+                description: migration.description,
+                changes: migration.migrate(migrated)
+            }));
+
+        migrated.schemaVersion = SchemaMigrations.CURRENT_VERSION;
+        return { schema: migrated, fromVersion, toVersion: SchemaMigrations.CURRENT_VERSION, applied };
+    }
+
+    // "; upgraded from schema version 0 to 2: ..." for messages, or '' when nothing ran
+    static describe(report) {
+        if (!report || report.applied.length === 0) {
+            return '';
+        }
+        const changed = report.applied.filter(migration => migration.changes > 0);
+        const details = changed.length
+            ? ': ' + changed.map(migration => `${migration.description} (${migration.changes})`).join('; ')
+            : '';
+        return `; upgraded from schema version ${report.fromVersion} to ${report.toVersion}${details}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchemaMigrations };
+}
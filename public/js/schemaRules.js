@@ -0,0 +1,75 @@
+// Cross-field `rules` and the default validation messages they and `required` fall back
+// to. Shared by the runtime (src/validation.js, src/messages.js), the editor (SchemaLint)
+// and the server and exporters (via module.exports). The class is self-contained: the Zod,
+// Yup and React exports embed its source, so generated code checks rules the same way.
+class SchemaRules {
+    // Hebrew defaults; the runtime's other locales are in src/messages.js
+    static get REQUIRED_MESSAGE() {
+        return 'שדה חובה';
+    }
+
+    static get INVALID_MESSAGE() {
+        return 'ערך לא תקין';
+    }
+
+    // Unanswered: unchecked checkboxes and blank text alike
+    static isEmpty(value) {
+        return value === undefined || value === null || value === false || String(value).trim() === '';
+    }
+
+    // ISO dates compare as text, anything else as numbers; null when the two cannot be compared
+    static compare(value, other) {
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const a = String(value).trim();
+        const b = String(other).trim();
+        if (datePattern.test(a) && datePattern.test(b)) {
+            return a === b ? 0 : (a > b ? 1 : -1);
+        }
+        const numberA = Number(a);
+        const numberB = Number(b);
+        return Number.isFinite(numberA) && Number.isFinite(numberB) ? numberA - numberB : null;
+    }
+
+    // Whether the answers satisfy a rule. "after" and "equals" compare the target with
+    // `otherField` and wait until both have a value; "atLeastOne" and "sum" look at every
+    // field in `fields`. Unknown rule types pass (schema lint reports them). Works on form
+    // state and on submitted payloads alike.
+    static check(rule, values) {
+        const isEmpty = name => SchemaRules.isEmpty(values[name]);
+        const fields = Array.isArray(rule.fields) ? rule.fields : [];
+
+        switch (rule.type) {
+            case 'after':
+            case 'equals': {
+                if (isEmpty(rule.field) || isEmpty(rule.otherField)) {
+                    return true;
+                }
+                const value = values[rule.field];
+                const other = values[rule.otherField];
+                if (rule.type === 'equals') {
+                    return typeof value === 'string' && typeof other === 'string' ? value.trim() === other.trim() : value === other;
+                }
+                const comparison = SchemaRules.compare(value, other);
+                return comparison === null || comparison > 0;
+            }
+            case 'atLeastOne':
+                return fields.some(name => !isEmpty(name));
+            case 'sum': {
+                const total = fields.reduce((sum, name) => {
+                    const number = isEmpty(name) ? 0 : Number(values[name]);
+                    return sum + (Number.isFinite(number) ? number : 0);
+                }, 0);
+                const limit = key => (rule[key] === undefined || rule[key] === null || rule[key] === '' ? null : Number(rule[key]));
+                const min = limit('min');
+                const max = limit('max');
+                return !(min !== null && total < min) && !(max !== null && total > max);
+            }
+            default:
+                return true;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchemaRules };
+}
@@ -4,12 +4,29 @@ class UIManager {
         this.schemaManager = schemaManager;
         this.stageModal = null;
         this.fieldModal = null;
+        this.libraryModal = null;
+        this.saveLibraryModal = null;
+        this.historyModal = null;
+        this.standaloneModal = null;
+        this.importModal = null;
+        this.successScreenModal = null;
+        this.rulesModal = null;
+        this.lintFixModal = null;
+        this.pendingLintFix = null;
     }
 
     init() {
         // Initialize Bootstrap modals
         this.stageModal = new bootstrap.Modal(document.getElementById('stageModal'));
         this.fieldModal = new bootstrap.Modal(document.getElementById('fieldModal'));
+        this.libraryModal = new bootstrap.Modal(document.getElementById('libraryModal'));
+        this.saveLibraryModal = new bootstrap.Modal(document.getElementById('saveLibraryModal'));
+        this.historyModal = new bootstrap.Modal(document.getElementById('historyModal'));
+        this.standaloneModal = new bootstrap.Modal(document.getElementById('standaloneModal'));
+        this.importModal = new bootstrap.Modal(document.getElementById('importModal'));
+        this.successScreenModal = new bootstrap.Modal(document.getElementById('successScreenModal'));
+        this.rulesModal = new bootstrap.Modal(document.getElementById('rulesModal'));
+        this.lintFixModal = new bootstrap.Modal(document.getElementById('lintFixModal'));
     }
 
     // Render the entire UI
@@ -56,8 +73,12 @@ class UIManager {
                         <div class="flex-grow-1" style="cursor: pointer;" onclick="ui.selectStage('${stage.id}')">
                             <h6 class="mb-1">${this.escapeHtml(stage.label)}</h6>
                             <small class="${isSelected ? 'text-white-50' : 'text-muted'}">
-                                ID: ${stage.id} ${stage.type ? `| Type: ${stage.type}` : ''} | ${stage.fields.length} field(s)
+                                ID: ${stage.id} ${stage.type ? `| Type: ${stage.type}` : ''} | ${stage.fields.length} field(s)${stage.showIf ? ' | Conditional' : ''}
                             </small>
+                            ${Array.isArray(stage.next) && stage.next.length ? `
+                            <small class="d-block ${isSelected ? 'text-white-50' : 'text-muted'}">
+                                <i class="bi bi-signpost-split"></i> ${this.escapeHtml(this.describeStageRoutes(stage))}
+                            </small>` : ''}
                         </div>
                         <div class="btn-group btn-group-sm">
                             <button class="btn ${isSelected ? 'btn-light' : 'btn-outline-secondary'}" onclick="ui.openStageEditor('${stage.id}')" title="Edit">
@@ -142,7 +163,7 @@ class UIManager {
                                     </span>
                                 </td>
                                 <td>${this.escapeHtml(field.label || field.title || '-')}</td>
-                                <td>${field.required ? '<i class="bi bi-check-circle text-success"></i>' : '-'}</td>
+                                <td>${field.required ? '<i class="bi bi-check-circle text-success"></i>' : field.requiredIf ? '<i class="bi bi-question-circle text-warning" title="Required when a condition holds"></i>' : '-'}</td>
                                 <td>
                                     <div class="btn-group btn-group-sm">
                                         <button class="btn btn-outline-primary" onclick="ui.openFieldEditor('${stage.id}', '${field.name}')" title="Edit">
@@ -171,6 +192,10 @@ class UIManager {
     updateSchemaInfo() {
         const schemaIdInput = document.getElementById('schemaIdInput');
         schemaIdInput.value = this.schemaManager.schema.id;
+
+        // History and hosting are only available for schemas stored in the library
+        document.getElementById('historyBtn').disabled = !this.schemaManager.librarySchemaId;
+        document.getElementById('openHostedFormBtn').disabled = !this.schemaManager.librarySchemaId;
     }
 
     // Select stage
@@ -188,18 +213,31 @@ class UIManager {
         const form = document.getElementById('stageForm');
         form.reset();
 
-        if (stageId) {
-            const stage = this.schemaManager.getStage(stageId);
-            if (stage) {
-                modalTitle.textContent = 'Edit Stage';
-                document.getElementById('stageId').value = stage.id;
-                document.getElementById('stageLabel').value = stage.label;
-                document.getElementById('stageType').value = stage.type || '';
-            }
+        const stages = this.schemaManager.schema.stages;
+        const stage = stageId ? this.schemaManager.getStage(stageId) : null;
+        if (stage) {
+            modalTitle.textContent = 'Edit Stage';
+            document.getElementById('stageId').value = stage.id;
+            document.getElementById('stageLabel').value = stage.label;
+            document.getElementById('stageType').value = stage.type || '';
         } else {
             modalTitle.textContent = 'Add Stage';
         }
 
+        // A stage condition can only depend on answers given before the stage; new stages go last
+        const earlierStages = stage ? stages.slice(0, stages.indexOf(stage)) : stages;
+        const earlierFields = earlierStages.flatMap(s => s.fields).filter(f => f.type !== 'plain text');
+        document.getElementById('stageShowIfEditor').innerHTML = this.renderConditionEditor('stageShowIf', stage ? stage.showIf : undefined, earlierFields);
+        this.setupConditionEditor('stageShowIf');
+
+        // Routes are followed when leaving the stage, so they may read its own answers too;
+        // they only lead forward
+        this.stageRouteFields = [...earlierFields, ...(stage ? stage.fields.filter(f => f.type !== 'plain text') : [])];
+        this.stageRouteTargets = stage ? stages.slice(stages.indexOf(stage) + 1) : [];
+        this.stageRouteCount = 0;
+        document.getElementById('stageRoutesList').innerHTML = '';
+        (stage && Array.isArray(stage.next) ? stage.next : []).forEach(rule => this.addStageRoute(rule || {}));
+
         this.stageModal.show();
     }
 
@@ -215,16 +253,18 @@ class UIManager {
         }
 
         try {
+            const showIf = this.readConditionEditor('stageShowIf');
+            const next = this.readStageRoutes();
             if (this.schemaManager.editingStageId) {
                 // Edit existing stage
-                this.schemaManager.editStage(this.schemaManager.editingStageId, { id, label, type });
+                this.schemaManager.editStage(this.schemaManager.editingStageId, { id, label, type, showIf, next });
                 // Update selected stage if ID changed
                 if (this.schemaManager.selectedStageId === this.schemaManager.editingStageId) {
                     this.schemaManager.selectedStageId = id;
                 }
             } else {
                 // Add new stage
-                this.schemaManager.addStage({ id, label, type });
+                this.schemaManager.addStage({ id, label, type, showIf, next });
                 this.schemaManager.selectedStageId = id;
             }
 
@@ -235,6 +275,198 @@ class UIManager {
         }
     }
 
+    // Add a `next` route to the stage editor: the stage it goes to and an optional condition
+    addStageRoute(rule = {}) {
+        const routesList = document.getElementById('stageRoutesList');
+        const prefix = `stageRoute${this.stageRouteCount++}`;
+        const targets = this.stageRouteTargets.map(s => ({ id: s.id, label: s.label }));
+        if (rule.goTo && !targets.some(target => target.id === rule.goTo)) {
+            targets.push({ id: rule.goTo, label: 'not a later stage' });
+        }
+
+        const routeDiv = document.createElement('div');
+        routeDiv.className = 'mb-2';
+        routeDiv.dataset.routePrefix = prefix;
+        routeDiv.innerHTML = `
+            <div class="input-group mb-2">
+                <label class="input-group-text" for="${prefix}GoTo">Go to</label>
+                <select class="form-select" id="${prefix}GoTo">
+                    <option value="">Choose a stage</option>
+                    ${targets.map(target => `<option value="${this.escapeAttribute(target.id)}" ${target.id === rule.goTo ? 'selected' : ''}>${this.escapeHtml(target.label)} (${this.escapeHtml(target.id)})</option>`).join('')}
+                </select>
+                <button class="btn btn-outline-danger" type="button" onclick="this.closest('[data-route-prefix]').remove()" title="Remove route">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </div>
+            ${this.renderConditionEditor(prefix, rule.if, this.stageRouteFields)}
+        `;
+
+        routesList.appendChild(routeDiv);
+        this.setupConditionEditor(prefix);
+    }
+
+    // The stage editor's routes as `next` rules, or undefined for none
+    readStageRoutes() {
+        const rules = [...document.querySelectorAll('#stageRoutesList [data-route-prefix]')].map((routeDiv, index) => {
+            const prefix = routeDiv.dataset.routePrefix;
+            const goTo = document.getElementById(`${prefix}GoTo`).value;
+            if (!goTo) {
+                throw new Error(`Route ${index + 1}: choose the stage it goes to`);
+            }
+            const condition = this.readConditionEditor(prefix);
+            return condition ? { if: condition, goTo } : { goTo };
+        });
+        return rules.length ? rules : undefined;
+    }
+
+    // "→ business-details if applicantType equals business; otherwise → personal-details"
+    describeStageRoutes(stage) {
+        return stage.next.filter(rule => rule && rule.goTo).map((rule, index) => {
+            if (!rule.if) {
+                return `${index === 0 ? '' : 'otherwise '}→ ${rule.goTo}`;
+            }
+            const row = this.getConditionRow(rule.if);
+            const operator = row && SchemaLint.CONDITION_OPERATORS[row.operator];
+            const condition = row
+                ? `${row.field} ${operator.label}${operator.operand === 'flag' ? '' : ` ${this.formatConditionOperand(row.operand, row.operator)}`}`
+                : 'a condition';
+            return `→ ${rule.goTo} if ${condition}`;
+        }).join('; ');
+    }
+
+    // Open the editor for the schema's cross-field rules
+    openRulesEditor() {
+        this.ruleFields = this.schemaManager.schema.stages.flatMap(s => s.fields).filter(f => f.type !== 'plain text');
+        this.ruleCount = 0;
+        document.getElementById('rulesList').innerHTML = '';
+        const rules = this.schemaManager.schema.rules;
+        (Array.isArray(rules) ? rules : []).forEach(rule => this.addRule(rule || {}));
+        this.rulesModal.show();
+    }
+
+    // Add a rule to the rules editor: its type, the target field that shows the message,
+    // the field or fields it reads, the limits of a sum and the message
+    addRule(rule = {}) {
+        const prefix = `rule${this.ruleCount++}`;
+        const names = this.ruleFields.map(f => f.name);
+        const fieldOptions = selected => {
+            const missing = [].concat(selected || []).filter(name => !names.includes(name));
+            return [
+                ...this.ruleFields.map(f => `<option value="${this.escapeAttribute(f.name)}" ${[].concat(selected).includes(f.name) ? 'selected' : ''}>${this.escapeHtml(f.label || f.name)} (${this.escapeHtml(f.name)})</option>`),
+                ...missing.map(name => `<option value="${this.escapeAttribute(name)}" selected>${this.escapeHtml(name)} (missing field)</option>`)
+            ].join('');
+        };
+        const types = SchemaLint.RULE_TYPES;
+        const type = types[rule.type] ? rule.type : 'after';
+        const limit = key => (typeof rule[key] === 'number' ? rule[key] : '');
+
+        const ruleDiv = document.createElement('div');
+        ruleDiv.className = 'border rounded p-2 mb-2';
+        ruleDiv.dataset.rulePrefix = prefix;
+        ruleDiv.innerHTML = `
+            <div class="input-group input-group-sm mb-2">
+                <select class="form-select" id="${prefix}Field" aria-label="Target field">
+                    <option value="">Target field</option>
+                    ${fieldOptions(rule.field)}
+                </select>
+                <select class="form-select" id="${prefix}Type" aria-label="Rule type">
+                    ${Object.entries(types).map(([value, info]) => `<option value="${value}" ${value === type ? 'selected' : ''}>${info.label}</option>`).join('')}
+                </select>
+                <button class="btn btn-outline-danger" type="button" onclick="this.closest('[data-rule-prefix]').remove()" title="Remove rule">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </div>
+            <div class="mb-2" id="${prefix}OtherFieldGroup">
+                <select class="form-select form-select-sm" id="${prefix}OtherField" aria-label="Field to compare with">
+                    <option value="">Field to compare with</option>
+                    ${fieldOptions(rule.otherField)}
+                </select>
+            </div>
+            <div class="mb-2" id="${prefix}FieldsGroup">
+                <select class="form-select form-select-sm" id="${prefix}Fields" multiple size="4" aria-label="Fields">
+                    ${fieldOptions(Array.isArray(rule.fields) ? rule.fields : [])}
+                </select>
+                <div class="form-text">Hold Ctrl/Cmd to choose several fields</div>
+            </div>
+            <div class="row g-2 mb-2" id="${prefix}LimitsGroup">
+                <div class="col">
+                    <input type="number" class="form-control form-control-sm" id="${prefix}Min" placeholder="Minimum sum" aria-label="Minimum sum" value="${limit('min')}">
+                </div>
+                <div class="col">
+                    <input type="number" class="form-control form-control-sm" id="${prefix}Max" placeholder="Maximum sum" aria-label="Maximum sum" value="${limit('max')}">
+                </div>
+            </div>
+            <input type="text" class="form-control form-control-sm" id="${prefix}Message" placeholder="Message shown on the target field" aria-label="Error message" value="${this.escapeAttribute(rule.message || '')}">
+        `;
+
+        document.getElementById('rulesList').appendChild(ruleDiv);
+        document.getElementById(`${prefix}Type`).addEventListener('change', () => this.updateRuleEditor(prefix));
+        this.updateRuleEditor(prefix);
+    }
+
+    // Show the inputs the rule's type takes
+    updateRuleEditor(prefix) {
+        const type = document.getElementById(`${prefix}Type`).value;
+        const operand = SchemaLint.RULE_TYPES[type].operand;
+        document.getElementById(`${prefix}OtherFieldGroup`).style.display = operand === 'otherField' ? 'block' : 'none';
+        document.getElementById(`${prefix}FieldsGroup`).style.display = operand === 'fields' ? 'block' : 'none';
+        document.getElementById(`${prefix}LimitsGroup`).style.display = type === 'sum' ? 'flex' : 'none';
+    }
+
+    // The rules editor's rules, in the schema's `rules` shape
+    readRules() {
+        return [...document.querySelectorAll('#rulesList [data-rule-prefix]')].map((ruleDiv, index) => {
+            const prefix = ruleDiv.dataset.rulePrefix;
+            const type = document.getElementById(`${prefix}Type`).value;
+            const field = document.getElementById(`${prefix}Field`).value;
+            const message = document.getElementById(`${prefix}Message`).value.trim();
+            if (!field) {
+                throw new Error(`Rule ${index + 1}: choose the target field`);
+            }
+            if (!message) {
+                throw new Error(`Rule ${index + 1}: enter the message shown on the target field`);
+            }
+
+            const rule = { type, field };
+            if (SchemaLint.RULE_TYPES[type].operand === 'otherField') {
+                rule.otherField = document.getElementById(`${prefix}OtherField`).value;
+                if (!rule.otherField) {
+                    throw new Error(`Rule ${index + 1}: choose the field to compare with`);
+                }
+            } else {
+                rule.fields = [...document.getElementById(`${prefix}Fields`).selectedOptions].map(option => option.value);
+                if (!rule.fields.length) {
+                    throw new Error(`Rule ${index + 1}: choose the fields it checks`);
+                }
+            }
+            if (type === 'sum') {
+                ['min', 'max'].forEach(key => {
+                    const value = document.getElementById(`${prefix}${key === 'min' ? 'Min' : 'Max'}`).value.trim();
+                    if (value !== '') {
+                        rule[key] = Number(value);
+                    }
+                });
+                if (rule.min === undefined && rule.max === undefined) {
+                    throw new Error(`Rule ${index + 1}: enter a minimum or a maximum sum`);
+                }
+            }
+            rule.message = message;
+            return rule;
+        });
+    }
+
+    // Save the rules editor
+    saveRules() {
+        try {
+            this.schemaManager.updateRules(this.readRules());
+            this.rulesModal.hide();
+            this.render();
+            this.showAlert('Rules updated', 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
     // Delete stage
     deleteStage(stageId) {
         if (!confirm('Are you sure you want to delete this stage and all its fields?')) {
@@ -290,7 +522,7 @@ class UIManager {
     renderFieldEditorForm(field) {
         const fieldTypes = [
             'plain text', 'text', 'email', 'tel', 'date', 'number',
-            'textarea', 'select', 'radio', 'checkbox'
+            'textarea', 'select', 'radio', 'checkbox', 'calculated'
         ];
 
         const allFields = this.schemaManager.schema.fields.filter(f => f.name !== field.name);
@@ -342,6 +574,15 @@ class UIManager {
                             <div class="form-text">For plain text fields</div>
                         </div>
 
+                        <div class="mb-3" id="expressionField" style="display: none;">
+                            <label class="form-label" for="fieldExpression">Expression</label>
+                            <input type="text" class="form-control font-monospace" id="fieldExpression" value="${this.escapeAttribute(field.expression || '')}" placeholder="price * quantity">
+                            <div class="form-text">
+                                Use field names, numbers, "text", + - * / %, comparisons and functions:
+                                ${Object.values(SchemaExpressions.FUNCTIONS).map(definition => `<code>${this.escapeHtml(definition.signature)}</code>`).join(', ')}. Dates are YYYY-MM-DD.
+                            </div>
+                        </div>
+
                         <div class="mb-3" id="placeholderField">
                             <label class="form-label">Placeholder</label>
                             <input type="text" class="form-control" id="fieldPlaceholder" value="${field.placeholder || ''}">
@@ -377,6 +618,12 @@ class UIManager {
                             </div>
                         </div>
 
+                        <div class="mb-3" id="requiredIfGroup">
+                            <label class="form-label">Required When (requiredIf)</label>
+                            ${this.renderConditionEditor('requiredIf', field.requiredIf, allFields)}
+                            <div class="form-text">Leave empty for a field that is never required</div>
+                        </div>
+
                         <div class="mb-3" id="attributesField">
                             <label class="form-label">HTML Attributes</label>
                             <div id="attributesList"></div>
@@ -400,22 +647,7 @@ class UIManager {
                     <div class="tab-pane fade" id="advanced">
                         <div class="mb-3">
                             <label class="form-label">Conditional Display (showIf)</label>
-                            <div class="card">
-                                <div class="card-body">
-                                    <div class="mb-3">
-                                        <label class="form-label">Depends on Field</label>
-                                        <select class="form-select" id="showIfField">
-                                            <option value="">None</option>
-                                            ${allFields.map(f => `<option value="${f.name}" ${field.showIf?.field === f.name ? 'selected' : ''}>${f.name} (${f.type})</option>`).join('')}
-                                        </select>
-                                    </div>
-                                    <div class="mb-0">
-                                        <label class="form-label">Equals Value</label>
-                                        <input type="text" class="form-control" id="showIfEquals" value="${field.showIf?.equals ?? ''}">
-                                        <div class="form-text">Use "true" or "false" for boolean values</div>
-                                    </div>
-                                </div>
-                            </div>
+                            ${this.renderConditionEditor('showIf', field.showIf, allFields)}
                         </div>
                     </div>
                 </div>
@@ -450,6 +682,196 @@ class UIManager {
         if (field.errorMessages) {
             Object.entries(field.errorMessages).forEach(([key, value]) => this.addErrorMessage(key, value));
         }
+
+        this.setupConditionEditor('showIf');
+        this.setupConditionEditor('requiredIf');
+
+        // A field that is always required has no use for a condition
+        const requiredCheckbox = document.getElementById('fieldRequired');
+        const updateRequiredIf = () => {
+            document.getElementById('requiredIfGroup').classList.toggle('d-none', requiredCheckbox.checked);
+        };
+        requiredCheckbox.addEventListener('change', updateRequiredIf);
+        updateRequiredIf();
+    }
+
+    // Condition editor: a field, an operator and a value, or the condition as JSON for
+    // anything a single row cannot show (e.g. several operators). Element IDs start with
+    // `prefix`; readConditionEditor(prefix) returns the condition.
+    renderConditionEditor(prefix, condition, fields) {
+        const operators = SchemaLint.CONDITION_OPERATORS;
+        const row = this.getConditionRow(condition);
+        const jsonMode = Boolean(condition) && !row;
+        const current = row || { field: '', operator: 'equals', operand: '' };
+
+        return `
+            <div class="card">
+                <div class="card-body">
+                    <div id="${prefix}SimpleMode" class="${jsonMode ? 'd-none' : ''}">
+                        <div class="mb-3">
+                            <label class="form-label" for="${prefix}Field">Depends on Field</label>
+                            <select class="form-select" id="${prefix}Field">
+                                <option value="">None</option>
+                                ${fields.map(f => `<option value="${this.escapeAttribute(f.name)}" ${current.field === f.name ? 'selected' : ''}>${this.escapeHtml(f.name)} (${f.type})</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="row g-2">
+                            <div class="col-sm-5">
+                                <label class="form-label" for="${prefix}Operator">Condition</label>
+                                <select class="form-select" id="${prefix}Operator">
+                                    ${Object.entries(operators).map(([key, operator]) => `<option value="${key}" ${current.operator === key ? 'selected' : ''}>${operator.label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="col-sm-7" id="${prefix}ValueGroup">
+                                <label class="form-label" for="${prefix}Value">Value</label>
+                                <input type="text" class="form-control" id="${prefix}Value" value="${this.escapeAttribute(this.formatConditionOperand(current.operand, current.operator))}">
+                                <div class="form-text" id="${prefix}ValueHelp"></div>
+                            </div>
+                        </div>
+                    </div>
+                    <div id="${prefix}JsonMode" class="${jsonMode ? '' : 'd-none'}">
+                        <label class="form-label" for="${prefix}Json">Condition (JSON)</label>
+                        <textarea class="form-control font-monospace" id="${prefix}Json" rows="5">${jsonMode ? this.escapeHtml(JSON.stringify(condition, null, 2)) : ''}</textarea>
+                        <div class="form-text">e.g. { "field": "age", "gte": 18, "lt": 65 }; combine conditions with { "all": [...] }, { "any": [...] } and { "not": {...} }</div>
+                    </div>
+                    <div class="form-check form-switch mt-3 mb-0">
+                        <input class="form-check-input" type="checkbox" id="${prefix}JsonToggle" ${jsonMode ? 'checked' : ''}>
+                        <label class="form-check-label" for="${prefix}JsonToggle">Edit as JSON</label>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // { field, operator, operand } for a condition the single-row editor can show, else null
+    getConditionRow(condition) {
+        if (!condition || typeof condition !== 'object' || typeof condition.field !== 'string') {
+            return null;
+        }
+        const operators = Object.keys(condition).filter(key => key !== 'field');
+        if (operators.length !== 1 || !SchemaLint.CONDITION_OPERATORS[operators[0]]) {
+            return null;
+        }
+        const [operator] = operators;
+        const operand = condition[operator];
+        if (SchemaLint.CONDITION_OPERATORS[operator].operand === 'flag' && operand !== true) {
+            return null;
+        }
+        if (SchemaLint.CONDITION_OPERATORS[operator].operand === 'list' && !Array.isArray(operand)) {
+            return null;
+        }
+        return { field: condition.field, operator, operand };
+    }
+
+    // Value input text; flag operators (isChecked, isEmpty, isNotEmpty) have no value to show
+    formatConditionOperand(operand, operator) {
+        if (Array.isArray(operand)) {
+            return operand.join(', ');
+        }
+        const isFlag = Boolean(operator) && SchemaLint.CONDITION_OPERATORS[operator].operand === 'flag';
+        return operand === undefined || (operand === true && isFlag) ? '' : String(operand);
+    }
+
+    setupConditionEditor(prefix) {
+        const operatorSelect = document.getElementById(`${prefix}Operator`);
+        const toggle = document.getElementById(`${prefix}JsonToggle`);
+        const hints = {
+            value: 'Use "true" or "false" for boolean values',
+            list: 'Separate values with commas',
+            comparable: 'A number, or a date as YYYY-MM-DD',
+            pattern: 'A regular expression, e.g. ^05'
+        };
+
+        const updateValueInput = () => {
+            const kind = SchemaLint.CONDITION_OPERATORS[operatorSelect.value].operand;
+            document.getElementById(`${prefix}ValueGroup`).classList.toggle('d-none', kind === 'flag');
+            document.getElementById(`${prefix}ValueHelp`).textContent = hints[kind] || '';
+        };
+        operatorSelect.addEventListener('change', updateValueInput);
+        updateValueInput();
+
+        toggle.addEventListener('change', () => {
+            const jsonInput = document.getElementById(`${prefix}Json`);
+            if (toggle.checked) {
+                const condition = this.readConditionRow(prefix);
+                jsonInput.value = condition ? JSON.stringify(condition, null, 2) : '';
+            } else {
+                let row = null;
+                try {
+                    row = jsonInput.value.trim() ? this.getConditionRow(JSON.parse(jsonInput.value)) : { field: '', operator: 'equals', operand: '' };
+                } catch (error) {
+                    row = null;
+                }
+                if (!row) {
+                    toggle.checked = true;
+                    this.showToast('This condition can only be edited as JSON', 'warning');
+                    return;
+                }
+                document.getElementById(`${prefix}Field`).value = row.field;
+                operatorSelect.value = row.operator;
+                document.getElementById(`${prefix}Value`).value = this.formatConditionOperand(row.operand, row.operator);
+                updateValueInput();
+            }
+            document.getElementById(`${prefix}SimpleMode`).classList.toggle('d-none', toggle.checked);
+            document.getElementById(`${prefix}JsonMode`).classList.toggle('d-none', !toggle.checked);
+        });
+    }
+
+    // The single-row condition, or undefined when no field is chosen
+    readConditionRow(prefix) {
+        const field = document.getElementById(`${prefix}Field`).value;
+        if (!field) {
+            return undefined;
+        }
+
+        const operator = document.getElementById(`${prefix}Operator`).value;
+        const kind = SchemaLint.CONDITION_OPERATORS[operator].operand;
+        const text = document.getElementById(`${prefix}Value`).value.trim();
+        const parseValue = value => {
+            // Convert boolean strings
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            return value;
+        };
+
+        if (kind === 'flag') {
+            return { field, [operator]: true };
+        }
+        if (text === '') {
+            throw new Error(`${prefix}: enter a value for the condition on "${field}"`);
+        }
+        switch (kind) {
+            case 'list':
+                return { field, [operator]: text.split(',').map(value => parseValue(value.trim())).filter(value => value !== '') };
+            case 'comparable':
+                return { field, [operator]: isNaN(text) ? text : parseFloat(text) };
+            case 'pattern':
+                return { field, [operator]: text };
+            default:
+                return { field, [operator]: parseValue(text) };
+        }
+    }
+
+    // The edited condition, or undefined for none. Throws for JSON that does not parse.
+    readConditionEditor(prefix) {
+        if (!document.getElementById(`${prefix}JsonToggle`).checked) {
+            return this.readConditionRow(prefix);
+        }
+
+        const text = document.getElementById(`${prefix}Json`).value.trim();
+        if (!text) {
+            return undefined;
+        }
+        let condition;
+        try {
+            condition = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${prefix}: the condition is not valid JSON (${error.message})`);
+        }
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            throw new Error(`${prefix}: the condition must be a JSON object`);
+        }
+        return condition;
     }
 
     // Update field editor visibility based on type
@@ -460,6 +882,7 @@ class UIManager {
         document.getElementById('titleField').style.display = type === 'plain text' ? 'block' : 'none';
         document.getElementById('textField').style.display = type === 'plain text' ? 'block' : 'none';
         document.getElementById('labelField').style.display = type === 'plain text' ? 'none' : 'block';
+        document.getElementById('expressionField').style.display = type === 'calculated' ? 'block' : 'none';
         document.getElementById('placeholderField').style.display = ['text', 'email', 'tel', 'number', 'textarea'].includes(type) ? 'block' : 'none';
         document.getElementById('rowsField').style.display = type === 'textarea' ? 'block' : 'none';
         document.getElementById('optionsField').style.display = ['select', 'radio'].includes(type) ? 'block' : 'none';
@@ -527,9 +950,9 @@ class UIManager {
             return;
         }
 
-        const fieldData = this.collectFieldData();
-
         try {
+            const fieldData = this.collectFieldData();
+
             if (this.schemaManager.editingFieldName) {
                 // Edit existing field
                 this.schemaManager.editField(stageId, this.schemaManager.editingFieldName, fieldData);
@@ -562,6 +985,15 @@ class UIManager {
         const text = document.getElementById('fieldText')?.value.trim();
         if (text) fieldData.text = text;
 
+        if (fieldData.type === 'calculated') {
+            const expression = document.getElementById('fieldExpression').value.trim();
+            const [problem] = SchemaExpressions.check(expression);
+            if (problem) {
+                throw new Error(`Invalid expression: ${problem}`);
+            }
+            fieldData.expression = expression;
+        }
+
         const placeholder = document.getElementById('fieldPlaceholder')?.value.trim();
         if (placeholder) fieldData.placeholder = placeholder;
 
@@ -575,6 +1007,12 @@ class UIManager {
         const required = document.getElementById('fieldRequired').checked;
         if (required) fieldData.required = true;
 
+        // RequiredIf
+        const requiredIf = required ? undefined : this.readConditionEditor('requiredIf');
+        if (requiredIf) {
+            fieldData.requiredIf = requiredIf;
+        }
+
         // Options
         const optionsList = document.getElementById('optionsList');
         if (optionsList && optionsList.children.length > 0) {
@@ -623,18 +1061,9 @@ class UIManager {
         }
 
         // ShowIf
-        const showIfField = document.getElementById('showIfField').value;
-        const showIfEquals = document.getElementById('showIfEquals').value.trim();
-        if (showIfField && showIfEquals !== '') {
-            let equalsValue = showIfEquals;
-            // Convert boolean strings
-            if (equalsValue === 'true') equalsValue = true;
-            else if (equalsValue === 'false') equalsValue = false;
-
-            fieldData.showIf = {
-                field: showIfField,
-                equals: equalsValue
-            };
+        const showIf = this.readConditionEditor('showIf');
+        if (showIf) {
+            fieldData.showIf = showIf;
         }
 
         return fieldData;
@@ -665,6 +1094,252 @@ class UIManager {
         }
     }
 
+    // Render schema library entries
+    renderLibraryList(schemas) {
+        const libraryList = document.getElementById('libraryList');
+
+        if (schemas.length === 0) {
+            libraryList.innerHTML = `
+                <div class="text-center p-4 text-muted">
+                    <i class="bi bi-folder2" style="font-size: 3rem;"></i>
+                    <p class="mt-2">The library is empty. Use "Save to Library" to share a schema.</p>
+                </div>
+            `;
+            return;
+        }
+
+        libraryList.innerHTML = `
+            <div class="list-group list-group-flush">
+                ${schemas.map(entry => `
+                    <div class="list-group-item d-flex justify-content-between align-items-center">
+                        <div>
+                            <h6 class="mb-1"><code>${this.escapeHtml(entry.id)}</code></h6>
+                            <small class="text-muted">
+                                ${entry.stageCount} stage(s) | ${entry.fieldCount} field(s) | Updated ${this.escapeHtml(new Date(entry.updatedAt).toLocaleString())}
+                            </small>
+                        </div>
+                        <div class="btn-group btn-group-sm">
+                            <button class="btn btn-outline-primary" onclick="ui.openLibrarySchema('${entry.id}')" title="Open">
+                                <i class="bi bi-folder2-open"></i> Open
+                            </button>
+                            <button class="btn btn-outline-danger" onclick="ui.deleteLibrarySchema('${entry.id}')" title="Delete">
+                                <i class="bi bi-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Open schema from library
+    async openLibrarySchema(id) {
+        if (this.schemaManager.hasUnsavedChanges &&
+            !confirm('Open this schema? Unsaved changes to the current schema will be lost.')) {
+            return;
+        }
+
+        try {
+            await this.schemaManager.openFromLibrary(id);
+            this.libraryModal.hide();
+            this.render();
+            this.showToast(`Opened "${id}" from library` + SchemaMigrations.describe(this.schemaManager.migrationReport), 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Delete schema from library
+    async deleteLibrarySchema(id) {
+        if (!confirm(`Delete "${id}" from the library? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await this.schemaManager.deleteFromLibrary(id);
+            this.renderLibraryList(await this.schemaManager.listLibrarySchemas());
+            this.showToast(`Deleted "${id}" from library`, 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Render the report returned by an import: what was converted and what was left out
+    renderImportReport(report) {
+        const container = document.getElementById('importReport');
+
+        if (!report) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const summary = `Imported ${report.stageCount} stage(s) and ${report.fieldCount} field(s) from ${this.escapeHtml(report.source)}.`;
+
+        if (report.unmapped.length === 0) {
+            container.innerHTML = `<div class="alert alert-success mb-0">${summary} Everything was mapped.</div>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="alert alert-warning">${summary} ${report.unmapped.length} construct(s) could not be mapped and were left out.</div>
+            <div class="table-responsive">
+                <table class="table table-sm align-middle mb-0">
+                    <thead>
+                        <tr><th scope="col">Path</th><th scope="col">Construct</th><th scope="col">Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.unmapped.map(item => `
+                            <tr>
+                                <td><code>${this.escapeHtml(item.path)}</code></td>
+                                <td>${this.escapeHtml(item.construct)}</td>
+                                <td>${this.escapeHtml(item.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Render version history list. The working copy can be compared like any version.
+    renderVersionHistory(versions) {
+        const historyList = document.getElementById('historyList');
+        document.getElementById('historyDiff').innerHTML = '';
+
+        if (versions.length === 0) {
+            historyList.innerHTML = '<p class="text-muted mb-0">No versions recorded yet.</p>';
+            return;
+        }
+
+        const latest = versions[0].version;
+        const previous = versions[1] ? versions[1].version : latest;
+
+        historyList.innerHTML = `
+            <div class="table-responsive">
+                <table class="table table-sm table-hover align-middle mb-0">
+                    <thead>
+                        <tr>
+                            <th title="Compare from">From</th>
+                            <th title="Compare to">To</th>
+                            <th>Version</th>
+                            <th>Saved</th>
+                            <th>Author</th>
+                            <th>Message</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td><input class="form-check-input" type="radio" name="diffFrom" value="current" aria-label="Compare from working copy"></td>
+                            <td><input class="form-check-input" type="radio" name="diffTo" value="current" checked aria-label="Compare to working copy"></td>
+                            <td colspan="5"><em>Working copy (editor)</em></td>
+                        </tr>
+                        ${versions.map(version => `
+                            <tr>
+                                <td><input class="form-check-input" type="radio" name="diffFrom" value="${version.version}" ${version.version === latest ? 'checked' : ''} aria-label="Compare from version ${version.version}"></td>
+                                <td><input class="form-check-input" type="radio" name="diffTo" value="${version.version}" aria-label="Compare to version ${version.version}"></td>
+                                <td><span class="badge bg-secondary">v${version.version}</span>${version.version === latest ? ' <small class="text-muted">latest</small>' : ''}</td>
+                                <td><small>${this.escapeHtml(new Date(version.createdAt).toLocaleString())}</small></td>
+                                <td>${this.escapeHtml(version.author)}</td>
+                                <td>${this.escapeHtml(version.message || '-')}</td>
+                                <td>
+                                    <button class="btn btn-sm btn-outline-secondary" onclick="ui.restoreVersion(${version.version})" title="Restore this version" ${version.version === latest ? 'disabled' : ''}>
+                                        <i class="bi bi-arrow-counterclockwise"></i> Restore
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="form-text">Pick a "From" and a "To" version, then click "Compare Selected". v${previous} → v${latest} shows the last saved change.</div>
+        `;
+    }
+
+    // Restore a version from history
+    async restoreVersion(version) {
+        if (!confirm(`Restore version ${version}? It will be saved as a new version and replace the schema in the editor.`)) {
+            return;
+        }
+
+        try {
+            await this.schemaManager.restoreVersion(version, { author: localStorage.getItem('formBuilder_author') || '' });
+            this.historyModal.hide();
+            this.render();
+            this.showToast(`Version ${version} restored` + SchemaMigrations.describe(this.schemaManager.migrationReport), 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    // Render a SchemaDiff result
+    renderSchemaDiff(diff, container, { fromLabel = 'before', toLabel = 'after' } = {}) {
+        if (!diff.hasChanges) {
+            container.innerHTML = `
+                <div class="alert alert-secondary mb-0" role="status">
+                    <i class="bi bi-check2"></i> No differences between ${this.escapeHtml(fromLabel)} and ${this.escapeHtml(toLabel)}.
+                </div>
+            `;
+            return;
+        }
+
+        const statusBadges = {
+            added: '<span class="badge bg-success">added</span>',
+            removed: '<span class="badge bg-danger">removed</span>',
+            changed: '<span class="badge bg-warning text-dark">changed</span>',
+            moved: '<span class="badge bg-info text-dark">moved</span>'
+        };
+
+        const formatValue = (value) => value === undefined
+            ? '<span class="text-muted">—</span>'
+            : `<code>${this.escapeHtml(JSON.stringify(value))}</code>`;
+
+        const renderChanges = (changes) => changes.length === 0 ? '' : `
+            <table class="table table-sm table-borderless diff-changes mb-1">
+                ${changes.map(change => `
+                    <tr>
+                        <td class="text-muted">${this.escapeHtml(change.property)}</td>
+                        <td class="diff-before">${formatValue(change.before)}</td>
+                        <td><i class="bi bi-arrow-right"></i></td>
+                        <td class="diff-after">${formatValue(change.after)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+
+        const changedStages = diff.stages.filter(stage => stage.status !== 'unchanged');
+
+        container.innerHTML = `
+            <h6>Changes from ${this.escapeHtml(fromLabel)} to ${this.escapeHtml(toLabel)}</h6>
+            ${diff.properties.length > 0 ? `
+                <div class="border rounded p-2 mb-2">
+                    <strong>Schema</strong>
+                    ${renderChanges(diff.properties)}
+                </div>
+            ` : ''}
+            ${changedStages.map(stage => `
+                <div class="border rounded p-2 mb-2 diff-stage diff-stage--${stage.status}">
+                    <div class="d-flex gap-2 align-items-center">
+                        <strong>${this.escapeHtml(stage.label || stage.id)}</strong>
+                        <code class="small">${this.escapeHtml(stage.id)}</code>
+                        ${statusBadges[stage.status]}
+                        ${stage.status === 'moved' ? `<small class="text-muted">position ${stage.fromIndex + 1} → ${stage.toIndex + 1}</small>` : ''}
+                    </div>
+                    ${renderChanges(stage.properties)}
+                    <ul class="list-unstyled mb-0 ms-3">
+                        ${stage.fields.filter(field => field.status !== 'unchanged').map(field => `
+                            <li class="mt-1">
+                                <code>${this.escapeHtml(field.name)}</code> ${statusBadges[field.status]}
+                                ${field.status === 'moved' ? `<small class="text-muted">position ${field.fromIndex + 1} → ${field.toIndex + 1}</small>` : ''}
+                                ${renderChanges(field.changes)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+        `;
+    }
+
     // Utility: Escape HTML
     escapeHtml(text) {
         const div = document.createElement('div');
@@ -672,6 +1347,16 @@ class UIManager {
         return div.innerHTML;
     }
 
+    // escapeHtml leaves quotes alone, so values inside quoted attributes use this instead
+    escapeAttribute(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     // Get icon for field type
     getFieldTypeIcon(type) {
         const iconMap = {
@@ -684,7 +1369,8 @@ class UIManager {
             'textarea': 'bi-textarea-t',
             'select': 'bi-ui-checks',
             'radio': 'bi-ui-radios',
-            'checkbox': 'bi-check-square'
+            'checkbox': 'bi-check-square',
+            'calculated': 'bi-calculator'
         };
 
         return iconMap[type] || 'bi-circle';
@@ -756,13 +1442,14 @@ class UIManager {
         this.showToast(fullMessage, 'danger', 'Error');
     }
 
-    // Render lint results
+    // Render lint results, grouped by severity. Issues that point at a stage or field open
+    // its editor when clicked; field issues can also be suppressed for that field, and
+    // issues with a mechanical fix get a "Fix" button.
     renderLintResults(issues) {
         const lintResults = document.getElementById('lintResults');
+        this.lintIssues = issues;
 
-        const total = issues.errors.length + issues.warnings.length + issues.suggestions.length;
-
-        if (total === 0) {
+        if (issues.length === 0) {
             lintResults.innerHTML = `
                 <div class="alert alert-success mb-0" role="alert">
                     <i class="bi bi-check-circle-fill"></i> No issues found! Schema looks good.
@@ -771,42 +1458,178 @@ class UIManager {
             return;
         }
 
-        let html = '';
+        const groups = [
+            { severity: 'error', title: 'Errors', alert: 'alert-danger', icon: 'bi-x-circle-fill' },
+            { severity: 'warning', title: 'Warnings', alert: 'alert-warning', icon: 'bi-exclamation-triangle-fill' },
+            { severity: 'suggestion', title: 'Suggestions', alert: 'alert-info', icon: 'bi-lightbulb-fill' }
+        ];
 
-        if (issues.errors.length > 0) {
-            html += `
-                <div class="alert alert-danger mb-2" role="alert">
-                    <strong><i class="bi bi-x-circle-fill"></i> Errors (${issues.errors.length}):</strong>
-                    <ul class="mb-0 mt-1">
-                        ${issues.errors.map(err => `<li>${this.escapeHtml(err)}</li>`).join('')}
+        const schema = this.schemaManager.schema;
+        const safeFixCount = issues.filter(issue => SchemaLint.isSafeFix(issue) && SchemaLint.canFix(schema, issue)).length;
+        const fixAll = safeFixCount > 0 ? `
+            <div class="d-flex justify-content-end mb-2">
+                <button type="button" class="btn btn-sm btn-outline-success" data-lint-action="fix-all">
+                    <i class="bi bi-magic"></i> Fix all safe issues (${safeFixCount})
+                </button>
+            </div>
+        ` : '';
+
+        lintResults.innerHTML = fixAll + groups
+            .map(group => ({ ...group, items: issues.map((issue, index) => ({ issue, index })).filter(({ issue }) => issue.severity === group.severity) }))
+            .filter(group => group.items.length > 0)
+            .map(group => `
+                <div class="alert ${group.alert} mb-2" role="alert">
+                    <strong><i class="bi ${group.icon}"></i> ${group.title} (${group.items.length}):</strong>
+                    <ul class="mb-0 mt-1 list-unstyled">
+                        ${group.items.map(({ issue, index }) => this.renderLintIssue(issue, index)).join('')}
                     </ul>
                 </div>
-            `;
-        }
+            `)
+            .join('');
+
+        lintResults.onclick = (e) => {
+            const button = e.target.closest('[data-lint-action]');
+            if (!button) return;
+            const issue = this.lintIssues[Number(button.dataset.issueIndex)];
+            if (button.dataset.lintAction === 'open') {
+                this.openLintIssue(issue);
+            } else if (button.dataset.lintAction === 'suppress') {
+                this.suppressLintIssue(issue);
+            } else if (button.dataset.lintAction === 'fix') {
+                this.previewLintFixes([issue]);
+            } else if (button.dataset.lintAction === 'fix-all') {
+                this.previewLintFixes(this.lintIssues.filter(item => SchemaLint.isSafeFix(item)));
+            }
+        };
+    }
 
-        if (issues.warnings.length > 0) {
-            html += `
-                <div class="alert alert-warning mb-2" role="alert">
-                    <strong><i class="bi bi-exclamation-triangle-fill"></i> Warnings (${issues.warnings.length}):</strong>
-                    <ul class="mb-0 mt-1">
-                        ${issues.warnings.map(warn => `<li>${this.escapeHtml(warn)}</li>`).join('')}
-                    </ul>
+    renderLintIssue(issue, index) {
+        const { stageId, fieldName } = issue.path;
+        const location = [stageId, fieldName].filter(Boolean).join(' › ');
+        const message = stageId && this.schemaManager.getStage(stageId)
+            ? `<button type="button" class="btn btn-link btn-sm p-0 text-start align-baseline" data-lint-action="open" data-issue-index="${index}" title="Open ${fieldName ? 'field' : 'stage'} editor">${this.escapeHtml(issue.message)}</button>`
+            : this.escapeHtml(issue.message);
+        const fix = SchemaLint.canFix(this.schemaManager.schema, issue)
+            ? `<button type="button" class="btn btn-link btn-sm p-0 ms-1 align-baseline" data-lint-action="fix" data-issue-index="${index}" title="Preview the fix for this issue">Fix</button>`
+            : '';
+        const suppress = fieldName
+            ? `<button type="button" class="btn btn-link btn-sm p-0 ms-1 align-baseline text-muted" data-lint-action="suppress" data-issue-index="${index}" title="Ignore ${this.escapeAttribute(issue.ruleId)} for field ${this.escapeAttribute(fieldName)}">Ignore</button>`
+            : '';
+
+        return `
+            <li class="mb-1">
+                ${message}
+                <div class="text-muted">
+                    <code>${this.escapeHtml(issue.ruleId)}</code>${location ? ` · ${this.escapeHtml(location)}` : ''}${fix}${suppress}
                 </div>
-            `;
+            </li>
+        `;
+    }
+
+    // Shows what fixing `issues` would change; applyLintFixes() applies it
+    previewLintFixes(issues) {
+        const result = this.schemaManager.previewLintFixes(issues);
+        if (result.applied.length === 0) {
+            this.showAlert('Nothing to fix; run the check again', 'info');
+            return;
         }
+        this.pendingLintFix = result;
+
+        document.getElementById('lintFixChanges').innerHTML = `
+            <ul class="mb-3">
+                ${result.applied.map(({ issue, description }) => `
+                    <li>${this.escapeHtml(description)} <code class="small">${this.escapeHtml(issue.ruleId)}</code></li>
+                `).join('')}
+            </ul>
+        `;
+        const diff = SchemaDiff.compare(this.schemaManager.schema, result.schema);
+        this.renderSchemaDiff(diff, document.getElementById('lintFixDiff'), { fromLabel: 'current schema', toLabel: 'fixed schema' });
+        this.lintFixModal.show();
+    }
 
-        if (issues.suggestions.length > 0) {
-            html += `
-                <div class="alert alert-info mb-0" role="alert">
-                    <strong><i class="bi bi-lightbulb-fill"></i> Suggestions (${issues.suggestions.length}):</strong>
-                    <ul class="mb-0 mt-1">
-                        ${issues.suggestions.map(sug => `<li>${this.escapeHtml(sug)}</li>`).join('')}
-                    </ul>
-                </div>
-            `;
+    applyLintFixes() {
+        try {
+            const count = this.pendingLintFix ? this.pendingLintFix.applied.length : 0;
+            this.schemaManager.applyLintFixes(this.pendingLintFix);
+            this.pendingLintFix = null;
+            this.lintFixModal.hide();
+            this.render();
+            this.renderLintResults(this.schemaManager.lintSchema());
+            this.showToast(`Applied ${count} fix(es)`, 'success');
+        } catch (error) {
+            this.showError(error.message);
         }
+    }
+
+    // Adds the issue's rule to the schema's lint.suppress list for its field and re-checks
+    suppressLintIssue(issue) {
+        try {
+            this.schemaManager.suppressLintRule(issue.path.fieldName, issue.ruleId);
+            this.renderLintResults(this.schemaManager.lintSchema());
+            this.showToast(`${issue.ruleId} is now ignored for field "${issue.path.fieldName}"`, 'success');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
 
-        lintResults.innerHTML = html;
+    // Jump from a lint issue to the stage or field it is about
+    openLintIssue(issue) {
+        const { stageId, fieldName, property } = issue.path;
+
+        if (String(property || '').startsWith('rules')) {
+            this.openRulesEditor();
+            return;
+        }
+
+        if (!fieldName) {
+            this.selectStage(stageId);
+            this.openStageEditor(stageId);
+            return;
+        }
+
+        this.selectStage(stageId);
+        if (!this.schemaManager.getField(stageId, fieldName)) {
+            this.showError(`Field "${fieldName}" no longer exists; run the check again`);
+            return;
+        }
+        this.openFieldEditor(stageId, fieldName);
+        this.focusFieldEditorProperty(property);
+    }
+
+    // Shows the field editor tab holding `property` (e.g. "errorMessages.required") and focuses it
+    focusFieldEditorProperty(property) {
+        const [key] = String(property || '').split('.');
+        const targets = {
+            name: ['basic', 'fieldName'],
+            label: ['basic', 'fieldLabel'],
+            placeholder: ['basic', 'fieldPlaceholder'],
+            helperText: ['basic', 'fieldHelperText'],
+            options: ['basic', 'optionsField'],
+            expression: ['basic', 'fieldExpression'],
+            required: ['validation', 'fieldRequired'],
+            requiredIf: ['validation', 'requiredIfField'],
+            attributes: ['validation', 'attributesList'],
+            errorMessages: ['validation', 'errorMessagesList'],
+            showIf: ['advanced', 'showIfField']
+        };
+        if (!targets[key]) return;
+
+        const [tab, elementId] = targets[key];
+        const tabButton = document.getElementById(`${tab}-tab`);
+        if (tabButton) {
+            bootstrap.Tab.getOrCreateInstance(tabButton).show();
+        }
+
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.scrollIntoView({ block: 'center' });
+            const focusable = element.matches('input, select, textarea') ? element : element.querySelector('input, select, textarea');
+            if (focusable) {
+                // The modal moves focus to itself when it opens; focus the control afterwards
+                document.getElementById('fieldModal').addEventListener('shown.bs.modal', () => focusable.focus(), { once: true });
+                focusable.focus();
+            }
+        }
     }
 
     // Setup drag and drop for stages
@@ -2,9 +2,28 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { parseSchemaFile, SchemaParseError } = require('./lib/schemaParser');
+const { SchemaStore, SchemaStoreError } = require('./lib/schemaStore');
+const { SubmissionStore, SubmissionStoreError } = require('./lib/submissionStore');
+const { processSubmission } = require('./lib/submissions');
+const { renderHostedForm, renderFormNotFound } = require('./lib/hostedForm');
+const { toJsonSchema } = require('./lib/exporters/jsonSchema');
+const { generateTypeScriptModule } = require('./lib/exporters/typescript');
+const { generateZodModule } = require('./lib/exporters/zod');
+const { generateYupModule } = require('./lib/exporters/yup');
+const { generateStandaloneHtml } = require('./lib/exporters/standaloneHtml');
+const { generateReactComponent } = require('./lib/exporters/react');
+const { generateSchemaFile } = require('./lib/exporters/schemaFile');
+const { SchemaMigrations } = require('./public/js/schemaMigrations');
+const { importDocument, importSpreadsheet, ImportError, SPREADSHEET_EXTENSIONS } = require('./lib/importers');
+const { generateCsv, generateXlsx } = require('./lib/exporters/spreadsheet');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+const schemaStore = new SchemaStore(path.join(DATA_DIR, 'schemas'));
+const submissionStore = new SubmissionStore(path.join(DATA_DIR, 'submissions'));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -27,8 +46,20 @@ const upload = multer({
   }
 });
 
+// Imports also accept spreadsheets
+const importUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext !== '.json' && !SPREADSHEET_EXTENSIONS.includes(ext)) {
+      return cb(new Error('Only .json, .csv and .xlsx files can be imported'));
+    }
+    cb(null, true);
+  }
+});
+
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
@@ -39,66 +70,107 @@ app.get('/', (req, res) => {
 
 // Upload schema file
 app.post('/upload', upload.single('schemaFile'), (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
-    }
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
 
-    const filePath = req.file.path;
-    let fileContent = fs.readFileSync(filePath, 'utf8');
+  const filePath = req.file.path;
 
-    // Try to extract schema from JavaScript module format
+  try {
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+
+    // Parse statically: uploaded files are never executed on the server
     let schema;
     try {
-      // Try to parse as JSON first
-      try {
-        schema = JSON.parse(fileContent);
-        console.log('Parsed as JSON successfully');
-      } catch (e) {
-        // If not JSON, try to evaluate as JavaScript
-        console.log('Not JSON, trying JavaScript evaluation...');
-
-        // Remove export statements
-        let cleanContent = fileContent.replace(/export\s+(const|let|var)\s+/g, '$1 ');
-
-        console.log('Clean content preview:', cleanContent.substring(0, 200));
-
-        // Evaluate the entire file to get all variable definitions
-        try {
-          // Use Function constructor for safer evaluation with explicit return
-          const evalFunc = new Function(cleanContent + '; return formSchema;');
-          schema = evalFunc();
-          console.log('JavaScript evaluation successful');
-        } catch (evalError) {
-          console.error('Eval error:', evalError);
-          console.error('Stack:', evalError.stack);
-          throw evalError;
-        }
-      }
+      schema = parseSchemaFile(fileContent, req.file.originalname);
     } catch (parseError) {
-      console.error('Parse error:', parseError);
-      return res.status(400).json({ error: 'Invalid schema file format: ' + parseError.message });
+      if (parseError instanceof SchemaParseError) {
+        return res.status(400).json({
+          error: 'Invalid schema file format: ' + parseError.message,
+          details: [parseError.toJSON()]
+        });
+      }
+      throw parseError;
     }
 
     // Validate schema structure
-    if (!schema || typeof schema !== 'object') {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
       return res.status(400).json({ error: 'Invalid schema structure' });
     }
 
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+    // Upgrade older schema versions; the report lists the migrations that ran
+    let migration;
+    try {
+      migration = SchemaMigrations.migrate(schema);
+    } catch (migrationError) {
+      return res.status(400).json({ error: migrationError.message });
+    }
 
-    res.json({ success: true, schema });
+    const { schema: migrated, ...migrations } = migration;
+    res.json({ success: true, schema: migrated, migrations });
   } catch (error) {
     console.error('Upload error:', error);
     res.status(500).json({ error: error.message });
+  } finally {
+    // Clean up uploaded file
+    fs.unlink(filePath, () => {});
+  }
+});
+
+// Import a form definition from another format (JSON Schema, SurveyJS, JSON Forms, CSV/XLSX)
+app.post('/import', importUpload.fields([
+  { name: 'sourceFile', maxCount: 1 },
+  { name: 'uiSchemaFile', maxCount: 1 }
+]), async (req, res) => {
+  const sourceFile = req.files && req.files.sourceFile && req.files.sourceFile[0];
+  const uiSchemaFile = req.files && req.files.uiSchemaFile && req.files.uiSchemaFile[0];
+
+  try {
+    if (!sourceFile) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const readJson = file => {
+      try {
+        return JSON.parse(fs.readFileSync(file.path, 'utf8'));
+      } catch (parseError) {
+        throw new ImportError(`${file.originalname} is not valid JSON: ${parseError.message}`);
+      }
+    };
+
+    const requestedFormat = req.body.format || 'auto';
+    const extension = path.extname(sourceFile.originalname).toLowerCase();
+
+    let result;
+    if (requestedFormat === 'spreadsheet' || (requestedFormat === 'auto' && SPREADSHEET_EXTENSIONS.includes(extension))) {
+      result = {
+        format: 'spreadsheet',
+        ...await importSpreadsheet(fs.readFileSync(sourceFile.path), sourceFile.originalname)
+      };
+    } else {
+      const document = readJson(sourceFile);
+      const uiSchema = uiSchemaFile ? readJson(uiSchemaFile) : undefined;
+      result = importDocument(requestedFormat, document, uiSchema);
+    }
+    const { format, schema, report } = result;
+
+    res.json({ success: true, format, schema, report });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Import error:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    [sourceFile, uiSchemaFile].filter(Boolean).forEach(file => fs.unlink(file.path, () => {}));
   }
 });
 
 // Download schema file
-app.post('/download', (req, res) => {
+app.post('/download', async (req, res) => {
   try {
-    const { schema, format = 'js' } = req.body;
+    // `options` carries format-specific settings (e.g. `submitUrl` for html)
+    const { schema, format = 'js', options = {} } = req.body;
 
     if (!schema) {
       return res.status(400).json({ error: 'No schema provided' });
@@ -119,6 +191,54 @@ app.post('/download', (req, res) => {
         filename = `schema.${schema.id || 'export'}.min.json`;
         break;
 
+      case 'jsonschema':
+        fileContent = JSON.stringify(toJsonSchema(schema), null, 2);
+        contentType = 'application/schema+json';
+        filename = `schema.${schema.id || 'export'}.schema.json`;
+        break;
+
+      case 'typescript':
+        fileContent = generateTypeScriptModule(schema);
+        contentType = 'application/typescript';
+        filename = `schema.${schema.id || 'export'}.ts`;
+        break;
+
+      case 'zod':
+        fileContent = generateZodModule(schema);
+        contentType = 'application/javascript';
+        filename = `schema.${schema.id || 'export'}.zod.js`;
+        break;
+
+      case 'yup':
+        fileContent = generateYupModule(schema);
+        contentType = 'application/javascript';
+        filename = `schema.${schema.id || 'export'}.yup.js`;
+        break;
+
+      case 'react':
+        fileContent = generateReactComponent(schema);
+        contentType = 'text/javascript';
+        filename = `schema.${schema.id || 'export'}.jsx`;
+        break;
+
+      case 'csv':
+        fileContent = generateCsv(schema);
+        contentType = 'text/csv; charset=utf-8';
+        filename = `schema.${schema.id || 'export'}.csv`;
+        break;
+
+      case 'xlsx':
+        fileContent = await generateXlsx(schema);
+        contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        filename = `schema.${schema.id || 'export'}.xlsx`;
+        break;
+
+      case 'html':
+        fileContent = generateStandaloneHtml(schema, options);
+        contentType = 'text/html';
+        filename = `schema.${schema.id || 'export'}.html`;
+        break;
+
       case 'js':
       default:
         fileContent = generateSchemaFile(schema);
@@ -138,29 +258,167 @@ app.post('/download', (req, res) => {
   }
 });
 
-// Generate schema file in the correct format
-function generateSchemaFile(schema) {
-  const { id, stages } = schema;
+// Schema library API
+function sendStoreError(res, error) {
+  if (error instanceof SchemaStoreError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Schema library error:', error);
+  res.status(500).json({ error: error.message });
+}
 
-  // Format stages array
-  const stagesStr = JSON.stringify(stages, null, 2)
-    .replace(/"([^"]+)":/g, '$1:') // Remove quotes from keys
-    .replace(/"/g, '"') // Keep quotes for strings
-    .replace(/\n/g, '\n  '); // Proper indentation
+app.get('/api/schemas', (req, res) => {
+  try {
+    res.json({ schemas: schemaStore.list() });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
 
-  // Generate file content
-  return `const stages = ${stagesStr};
+app.get('/api/schemas/:id', (req, res) => {
+  try {
+    res.json(schemaStore.get(req.params.id));
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.post('/api/schemas', (req, res) => {
+  try {
+    const { schema, author, message } = req.body;
+    const record = schemaStore.create(schema, { author, message });
+    res.status(201).json(record);
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.put('/api/schemas/:id', (req, res) => {
+  try {
+    const { schema, author, message } = req.body;
+    res.json(schemaStore.update(req.params.id, schema, { author, message }));
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.delete('/api/schemas/:id', (req, res) => {
+  try {
+    schemaStore.delete(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.get('/api/schemas/:id/versions', (req, res) => {
+  try {
+    res.json({ versions: schemaStore.listVersions(req.params.id) });
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
+
+app.get('/api/schemas/:id/versions/:version', (req, res) => {
+  try {
+    res.json(schemaStore.getVersion(req.params.id, req.params.version));
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
 
-const fields = stages.flatMap(stage => stage.fields);
+app.post('/api/schemas/:id/versions/:version/restore', (req, res) => {
+  try {
+    const { author, message } = req.body;
+    res.json(schemaStore.restoreVersion(req.params.id, req.params.version, { author, message }));
+  } catch (error) {
+    sendStoreError(res, error);
+  }
+});
 
-export const formSchema = {
-  id: "${id}",
-  stages,
-  fields
-};
-`;
+// Form submissions. Forms exported as standalone HTML may be hosted on another origin,
+// so posting is allowed cross-origin; reading submissions back is not.
+app.use('/api/forms', (req, res, next) => {
+  if (req.method === 'POST' || req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept-Language');
+    res.setHeader('Access-Control-Allow-Methods', 'POST');
+  }
+  if (req.method === 'OPTIONS') {
+    return res.status(204).end();
+  }
+  next();
+});
+
+function sendSubmissionError(res, error) {
+  if (error instanceof SchemaStoreError || error instanceof SubmissionStoreError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error('Submission error:', error);
+  res.status(500).json({ error: error.message });
 }
 
+// Schema as the runtime expects it (the library API wraps it in a record)
+app.get('/api/forms/:schemaId/schema', (req, res) => {
+  try {
+    res.json(schemaStore.get(req.params.schemaId).schema);
+  } catch (error) {
+    sendSubmissionError(res, error);
+  }
+});
+
+app.post('/api/forms/:schemaId/submissions', async (req, res) => {
+  try {
+    const record = schemaStore.get(req.params.schemaId);
+    const payload = req.body;
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return res.status(400).json({ error: 'Submission must be a JSON object' });
+    }
+
+    // Error messages follow the form's locale, which the runtime sends as Accept-Language
+    const [locale] = req.acceptsLanguages();
+    const { valid, errors, data } = await processSubmission(record.schema, payload, { locale });
+    if (!valid) {
+      return res.status(422).json({ error: 'Validation failed', errors });
+    }
+
+    const submission = submissionStore.create(record.id, data, { libraryVersion: record.version });
+    res.status(201).json({ success: true, id: submission.id, submittedAt: submission.submittedAt });
+  } catch (error) {
+    sendSubmissionError(res, error);
+  }
+});
+
+app.get('/api/forms/:schemaId/submissions', (req, res) => {
+  try {
+    schemaStore.get(req.params.schemaId);
+    res.json({ submissions: submissionStore.list(req.params.schemaId) });
+  } catch (error) {
+    sendSubmissionError(res, error);
+  }
+});
+
+// Hosted end-user page for a library schema
+app.get('/forms/:id', (req, res, next) => {
+  let record;
+  try {
+    record = schemaStore.get(req.params.id);
+  } catch (error) {
+    // Invalid IDs (400) are reported as missing forms too
+    if (error instanceof SchemaStoreError) {
+      return res.status(404).type('html').send(renderFormNotFound());
+    }
+    return next(error);
+  }
+
+  const id = encodeURIComponent(record.id);
+  res.type('html').send(renderHostedForm(record.schema, {
+    schemaSrc: `/api/forms/${id}/schema`,
+    submitUrl: `/api/forms/${id}/submissions`
+  }));
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Form Builder server running on http://localhost:${PORT}`);
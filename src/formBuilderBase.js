@@ -1,12 +1,21 @@
 import {
-    REQUIRED_MESSAGE,
+    applyCalculatedFields,
+    getConditionFields,
+    getExpressionFields,
     getFields,
     getStageCount,
+    getStagePath,
     getVisibleFields,
+    isCalculatedField,
+    isFieldRequired,
     isMultiStage,
     isPlainTextField,
-    shouldDisplayField
+    pruneHiddenState,
+    shouldDisplayField,
+    toPayloadValue
 } from "./schemaUtils.js";
+import { getMessages } from "./messages.js";
+import { validateStage } from "./validation.js";
 
 // Configuration constants
 const RENDER_DEBOUNCE_MS = 200; // Delay for debounced re-renders during text input
@@ -70,14 +79,18 @@ function resolveOptionLabel(field, value) {
     return typeof match === "string" ? match : (match.label ?? match.value);
 }
 
-function formatFieldValue(field, value) {
+function formatFieldValue(field, value, messages) {
     const emptyValue = "—";
 
+    if (isCalculatedField(field) && typeof value === "boolean") {
+        return value ? messages.yes : messages.no;
+    }
+
     if (field.type === "checkbox") {
         if (value === undefined || value === null || value === "") {
             return emptyValue;
         }
-        return value ? "כן" : "לא";
+        return value ? messages.yes : messages.no;
     }
 
     if (value === undefined || value === null || value === "") {
@@ -92,13 +105,17 @@ function formatFieldValue(field, value) {
     return String(value);
 }
 
+// Fields that other fields' or stages' showIf (or requiredIf) conditions or calculated
+// fields' expressions read
 function getControllerFields(schema) {
     const fields = getFields(schema);
-    return new Set(
-        fields
-            .map(field => field?.showIf?.field)
-            .filter(Boolean)
-    );
+    const stages = isMultiStage(schema) ? schema.stages : [];
+    return new Set([
+        ...fields.flatMap(field => getConditionFields(field?.showIf)),
+        ...fields.flatMap(field => getConditionFields(field?.requiredIf)),
+        ...fields.flatMap(field => getExpressionFields(field)),
+        ...stages.flatMap(stage => getConditionFields(stage?.showIf))
+    ]);
 }
 
 function resolveFocusableIndex(focusables, activeElement, fallbackTarget) {
@@ -155,6 +172,8 @@ export class FormBuilderBase {
 
         this.root = root;
         this.instanceId = root.dataset.formBuilder || root.id || `fb-${nextInstanceId++}`;
+        this.locale = root.dataset.locale || undefined;
+        this.messages = getMessages(this.locale);
 
         // Find form element and create UI chrome dynamically
         this.container = root.querySelector("form");
@@ -171,6 +190,8 @@ export class FormBuilderBase {
         this.formAbortController = null;
         this.stageIndicatorAbortController = null;
         this.furthestStageReached = 0;
+        // Stages visited before the current one, for Back
+        this.stageHistory = [];
 
         /**
          * Focus version increments on every focusin event to track focus changes.
@@ -221,9 +242,12 @@ export class FormBuilderBase {
         return false;
     }
 
-    /** Override to validate the current stage. Must return an errors object (empty = valid). */
+    /**
+     * Validates one stage, or the whole form when `stageIndex` is null. Override to add
+     * checks. Must return an errors object (empty = valid).
+     */
     _validateStage(stageIndex = null) {
-        return {};
+        return validateStage(this.activeSchema, this.state, stageIndex, { locale: this.locale });
     }
 
     // --- Scoped ID helpers ---
@@ -264,7 +288,7 @@ export class FormBuilderBase {
         errorDiv.className = "alert alert-danger";
         errorDiv.setAttribute("role", "alert");
         errorDiv.innerHTML = `
-            <h4 class="alert-heading">שגיאה בטעינת הטופס</h4>
+            <h4 class="alert-heading">${this.messages.schemaLoadError}</h4>
             <p>${message}</p>
         `;
         this.container.appendChild(errorDiv);
@@ -356,14 +380,15 @@ export class FormBuilderBase {
             return;
         }
 
-        const allFields = getFields(this.activeSchema);
-        allFields.forEach(field => {
-            if (field?.showIf && Object.prototype.hasOwnProperty.call(this.state, field.name)) {
-                if (!shouldDisplayField(field, this.state)) {
-                    delete this.state[field.name];
-                }
-            }
-        });
+        pruneHiddenState(this.activeSchema, this.state);
+    }
+
+    _updateCalculatedFields() {
+        if (!this.activeSchema || !this.state) {
+            return;
+        }
+
+        applyCalculatedFields(this.activeSchema, this.state);
     }
 
     _buildSubmissionPayload() {
@@ -371,7 +396,10 @@ export class FormBuilderBase {
         const visibleFields = getVisibleFields(this.activeSchema, this.state);
         visibleFields.forEach(field => {
             if (Object.prototype.hasOwnProperty.call(this.state, field.name)) {
-                payload[field.name] = this.state[field.name];
+                const value = toPayloadValue(field, this.state[field.name]);
+                if (value !== undefined) {
+                    payload[field.name] = value;
+                }
             }
         });
         return payload;
@@ -379,12 +407,14 @@ export class FormBuilderBase {
 
     // --- Stage helpers ---
 
+    // A summary stage off the stage path (hidden or routed past) counts as no summary
     _getSummaryStageIndex() {
         if (!isMultiStage(this.activeSchema)) {
             return -1;
         }
 
-        return this.activeSchema.stages.findIndex(stage => stage?.type === "summary");
+        const summaryIndex = this.activeSchema.stages.findIndex(stage => stage?.type === "summary");
+        return summaryIndex !== -1 && this._isOnStagePath(summaryIndex) ? summaryIndex : -1;
     }
 
     _isSummaryStage(stageIndex) {
@@ -407,11 +437,64 @@ export class FormBuilderBase {
         }
 
         const summaryIndex = this._getSummaryStageIndex();
-        if (summaryIndex === -1) {
-            return getStageCount(this.activeSchema) - 1;
+        const dataStages = this._getStagePath().filter(index => index !== summaryIndex);
+        return dataStages.length ? dataStages[dataStages.length - 1] : 0;
+    }
+
+    // --- Stage path (stage-level showIf and `next` routes) ---
+
+    // Indexes of the stages the current answers lead through, in order
+    _getStagePath() {
+        return getStagePath(this.activeSchema, this.state);
+    }
+
+    _isOnStagePath(stageIndex) {
+        return this._getStagePath().includes(stageIndex);
+    }
+
+    _getNextStageIndex(stageIndex) {
+        return this._getStagePath().find(index => index > stageIndex) ?? null;
+    }
+
+    _getPreviousStageIndex(stageIndex) {
+        return this._getStagePath().filter(index => index < stageIndex).pop() ?? null;
+    }
+
+    // The stage itself when it is on the path, else the nearest one after it (or before it)
+    _resolveStageOnPath(stageIndex) {
+        if (this._isOnStagePath(stageIndex)) {
+            return stageIndex;
         }
 
-        return Math.max(summaryIndex - 1, 0);
+        return this._getNextStageIndex(stageIndex) ?? this._getPreviousStageIndex(stageIndex) ?? stageIndex;
+    }
+
+    // Step number on the path and the path's length, for "Step 2 of 3"
+    _getStagePosition(stageIndex) {
+        const path = this._getStagePath();
+        return { number: path.indexOf(stageIndex) + 1, total: path.length };
+    }
+
+    // Back returns to the stage the respondent came from, passing over stages that a changed
+    // answer took off the path; without a history the path decides
+    _getBackStageIndex() {
+        const path = this._getStagePath();
+        const visited = this.stageHistory.filter(index => index < this.currentStage && path.includes(index));
+        return visited.length ? visited[visited.length - 1] : this._getPreviousStageIndex(this.currentStage);
+    }
+
+    // Keeps stageHistory (the stages visited on the way to the current one) in step with a
+    // move: returning to a visited stage drops what came after it, Next adds the stage left
+    // behind, and any other jump follows the path up to the target
+    _recordStageMove(fromIndex, toIndex) {
+        const visited = this.stageHistory.indexOf(toIndex);
+        if (visited !== -1) {
+            this.stageHistory = this.stageHistory.slice(0, visited);
+        } else if (toIndex > fromIndex && this._getNextStageIndex(fromIndex) === toIndex) {
+            this.stageHistory.push(fromIndex);
+        } else {
+            this.stageHistory = this._getStagePath().filter(index => index < toIndex);
+        }
     }
 
     // --- Rendering ---
@@ -428,12 +511,12 @@ export class FormBuilderBase {
 
         const intro = document.createElement("p");
         intro.className = "text-muted mb-2";
-        intro.textContent = "בדוק את הנתונים לפני שליחה.";
+        intro.textContent = this.messages.summaryIntro;
         summaryWrapper.appendChild(intro);
 
         const summaryIndex = this._getSummaryStageIndex();
         this.activeSchema.stages.forEach((stage, index) => {
-            if (index === summaryIndex || stage?.type === "summary") {
+            if (index === summaryIndex || stage?.type === "summary" || !this._isOnStagePath(index)) {
                 return;
             }
 
@@ -447,7 +530,7 @@ export class FormBuilderBase {
 
             const title = document.createElement("h4");
             title.className = "h6 mb-3";
-            title.textContent = stage.label ?? `שלב ${index + 1}`;
+            title.textContent = stage.label ?? this.messages.stage(this._getStagePosition(index).number);
 
             const list = document.createElement("dl");
             list.className = "row mb-0";
@@ -459,7 +542,7 @@ export class FormBuilderBase {
 
                 const detail = document.createElement("dd");
                 detail.className = "col-7 col-sm-8 mb-2";
-                detail.textContent = formatFieldValue(field, this.state[field.name]);
+                detail.textContent = formatFieldValue(field, this.state[field.name], this.messages);
 
                 list.append(term, detail);
             });
@@ -612,6 +695,26 @@ export class FormBuilderBase {
                 return;
             }
 
+            if (isCalculatedField(field)) {
+                const output = document.createElement("input");
+                output.type = "text";
+                output.name = field.name;
+                output.id = fieldId;
+                output.className = "form-control";
+                output.readOnly = true;
+                output.dataset.calculated = "true";
+                const value = this.state[field.name];
+                output.value = value === undefined || value === null ? "" : formatFieldValue(field, value, this.messages);
+
+                wrapper.append(label, output);
+                const helperId = this._appendHelperText(wrapper, field.helperText, field.name);
+                if (helperId) {
+                    output.setAttribute("aria-describedby", helperId);
+                }
+                this.container.appendChild(wrapper);
+                return;
+            }
+
             let input;
             if (field.type === "select") {
                 input = document.createElement("select");
@@ -619,7 +722,7 @@ export class FormBuilderBase {
 
                 const placeholder = document.createElement("option");
                 placeholder.value = "";
-                placeholder.textContent = "-- בחר --";
+                placeholder.textContent = this.messages.selectPlaceholder;
                 input.appendChild(placeholder);
 
                 (field.options ?? []).forEach(opt => {
@@ -643,7 +746,7 @@ export class FormBuilderBase {
 
             input.name = field.name;
             input.id = fieldId;
-            if (field.required) {
+            if (isFieldRequired(field, this.state)) {
                 input.required = true;
             }
             input.value = this.state[field.name] ?? "";
@@ -680,7 +783,9 @@ export class FormBuilderBase {
         const focusTarget = this._getActiveFocusTarget();
         this.state[fieldName] = value;
         this._pruneHiddenFields();
+        this._updateCalculatedFields();
         this._saveDraft();
+        this._emitChange(fieldName, value);
         if (isMultiStage(this.activeSchema)) {
             const nextStageIndex = typeof stageIndex === "number" ? stageIndex : this.currentStage;
             this._renderStage(nextStageIndex, { restoreFocusTarget: focusTarget });
@@ -697,7 +802,9 @@ export class FormBuilderBase {
         const focusTarget = this._getActiveFocusTarget();
         this.state[fieldName] = value;
         this._pruneHiddenFields();
+        this._updateCalculatedFields();
         this._saveDraft();
+        this._emitChange(fieldName, value);
         this._scheduleRender(stageIndex, fieldName, focusTarget);
     }
 
@@ -765,7 +872,7 @@ export class FormBuilderBase {
             error.id = errorId;
             error.className = "error invalid-feedback d-block mt-1";
             error.setAttribute("role", "alert");
-            error.textContent = message || REQUIRED_MESSAGE;
+            error.textContent = message || this.messages.validation.required;
             wrapper.appendChild(error);
         });
     }
@@ -814,6 +921,7 @@ export class FormBuilderBase {
         const targetIndex = typeof stageIndex === "number" ? stageIndex : 0;
 
         this._pruneHiddenFields();
+        this._updateCalculatedFields();
 
         if (!isMultiStage(this.activeSchema)) {
             this.currentStage = 0;
@@ -831,10 +939,14 @@ export class FormBuilderBase {
 
         const lastIndex = getStageCount(this.activeSchema) - 1;
         const previousStage = this.currentStage;
-        this.currentStage = Math.min(Math.max(targetIndex, 0), lastIndex);
+        // Stages off the path are skipped, including the current one once the answers leave it
+        this.currentStage = this._resolveStageOnPath(Math.min(Math.max(targetIndex, 0), lastIndex));
+        if (this.currentStage !== previousStage) {
+            this._recordStageMove(previousStage, this.currentStage);
+        }
         this.furthestStageReached = Math.max(this.furthestStageReached, this.currentStage);
         if (this._isOptionalSummaryStage() && this.currentStage === this._getLastDataStageIndex()) {
-            this.furthestStageReached = Math.max(this.furthestStageReached, Math.min(this.currentStage + 1, lastIndex));
+            this.furthestStageReached = Math.max(this.furthestStageReached, this._getNextStageIndex(this.currentStage) ?? this.currentStage);
         }
         if (this._isSummaryStage(this.currentStage)) {
             this._renderSummaryStage();
@@ -860,7 +972,13 @@ export class FormBuilderBase {
                 this._focusFirstStageElement();
             }
             const stage = this.activeSchema.stages[this.currentStage];
-            this._announceToScreenReader(`שלב ${this.currentStage + 1} מתוך ${getStageCount(this.activeSchema)} - ${stage.label}`);
+            this._emit("fb-stage-change", {
+                stageIndex: this.currentStage,
+                previousStageIndex: previousStage,
+                stageId: stage.id ?? null
+            });
+            const { number, total } = this._getStagePosition(this.currentStage);
+            this._announceToScreenReader(`${this.messages.stageOf(number, total)} - ${stage.label}`);
         }
     }
 
@@ -876,6 +994,7 @@ export class FormBuilderBase {
         }
 
         const stage = this.activeSchema.stages[stageIndex];
+        const { number, total } = this._getStagePosition(stageIndex);
         this.stageIndicator.classList.remove("d-none");
         this.stageIndicator.innerHTML = "";
 
@@ -888,7 +1007,7 @@ export class FormBuilderBase {
 
         const count = document.createElement("div");
         count.className = "text-muted small";
-        count.textContent = `שלב ${stageIndex + 1} מתוך ${getStageCount(this.activeSchema)}`;
+        count.textContent = this.messages.stageOf(number, total);
 
         header.append(title, count);
 
@@ -896,15 +1015,17 @@ export class FormBuilderBase {
         steps.className = "stage-indicator__steps mt-3";
         steps.setAttribute("role", "list");
 
-        this.activeSchema.stages.forEach((stageItem, index) => {
+        // Only stages on the path get a step, numbered consecutively
+        this._getStagePath().forEach((index, position) => {
+            const stageItem = this.activeSchema.stages[index];
             const step = document.createElement("button");
             step.type = "button";
             step.className = "stage-step";
             step.dataset.stageIndex = String(index);
             step.setAttribute("role", "listitem");
             step.title = stageItem.label;
-            step.setAttribute("aria-label", stageItem.label ?? `שלב ${index + 1}`);
-            step.textContent = String(index + 1);
+            step.setAttribute("aria-label", stageItem.label ?? this.messages.stage(position + 1));
+            step.textContent = String(position + 1);
 
             if (index === stageIndex) {
                 step.classList.add("stage-step--current");
@@ -966,10 +1087,10 @@ export class FormBuilderBase {
         const summaryIndex = this._getSummaryStageIndex();
         const hasSummary = summaryIndex !== -1;
         const isSummary = hasSummary && stageIndex === summaryIndex;
-        const lastStageIndex = getStageCount(this.activeSchema) - 1;
+        const isLastStage = this._getNextStageIndex(stageIndex) === null;
         const lastDataStageIndex = this._getLastDataStageIndex();
 
-        this.prevButton.style.display = stageIndex === 0 ? "none" : "inline-block";
+        this.prevButton.style.display = this._getBackStageIndex() === null ? "none" : "inline-block";
 
         if (isSummary) {
             this.nextButton.style.display = "none";
@@ -983,8 +1104,8 @@ export class FormBuilderBase {
             return;
         }
 
-        this.nextButton.style.display = stageIndex >= lastStageIndex ? "none" : "inline-block";
-        this.submitButton.style.display = stageIndex === lastStageIndex ? "inline-block" : "none";
+        this.nextButton.style.display = isLastStage ? "none" : "inline-block";
+        this.submitButton.style.display = isLastStage ? "inline-block" : "none";
     }
 
     // --- Focus management ---
@@ -1042,7 +1163,7 @@ export class FormBuilderBase {
             return;
         }
 
-        const activeElement = document.activeElement;
+        const activeElement = this._getActiveElement();
         const first = focusables[0];
         const last = focusables[focusables.length - 1];
         const resolved = resolveFocusableIndex(focusables, activeElement, this.lastStageFocusTarget);
@@ -1097,7 +1218,7 @@ export class FormBuilderBase {
     }
 
     _getActiveFocusTarget() {
-        return this._getFocusTargetFromElement(document.activeElement);
+        return this._getFocusTargetFromElement(this._getActiveElement());
     }
 
     /**
@@ -1128,8 +1249,15 @@ export class FormBuilderBase {
         return false;
     }
 
+    // Inside a shadow root document.activeElement is the host, so ask the root's own tree
+    _getActiveElement() {
+        const rootNode = this.root.getRootNode();
+        return rootNode.activeElement ?? document.activeElement;
+    }
+
     _isActiveElementInScope() {
-        return this._isElementInScope(document.activeElement) && isElementVisible(document.activeElement);
+        const activeElement = this._getActiveElement();
+        return this._isElementInScope(activeElement) && isElementVisible(activeElement);
     }
 
     // --- Submit ---
@@ -1176,8 +1304,24 @@ export class FormBuilderBase {
         this._clearSubmitFeedback();
         this.currentStage = 0;
         this.furthestStageReached = 0;
+        this.stageHistory = [];
         this._renderStage(0, { focusOnChange: true });
-        this._announceToScreenReader("הטופס אופסן");
+        this._announceToScreenReader(this.messages.formReset);
+    }
+
+    // --- DOM events ---
+
+    /**
+     * Dispatches a bubbling, composed CustomEvent from the root, so listeners on a
+     * <form-builder> host (outside its shadow root) receive it too.
+     * @returns {boolean} false when a cancelable event was cancelled
+     */
+    _emit(type, detail = {}, { cancelable = false } = {}) {
+        return this.root.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true, cancelable }));
+    }
+
+    _emitChange(fieldName, value) {
+        this._emit("fb-change", { name: fieldName, value, state: { ...this.state } });
     }
 
     // --- Screen reader ---
@@ -1215,22 +1359,22 @@ export class FormBuilderBase {
         const prevButton = document.createElement("button");
         prevButton.type = "button";
         prevButton.className = "btn btn-outline-secondary flex-fill";
-        prevButton.textContent = "חזרה";
+        prevButton.textContent = this.messages.previous;
 
         const nextButton = document.createElement("button");
         nextButton.type = "button";
         nextButton.className = "btn btn-primary flex-fill";
-        nextButton.textContent = "המשך";
+        nextButton.textContent = this.messages.next;
 
         const submitButton = document.createElement("button");
         submitButton.type = "button";
         submitButton.className = "btn btn-success flex-fill";
-        submitButton.textContent = "שליחה";
+        submitButton.textContent = this.messages.submit;
 
         const resetButton = document.createElement("button");
         resetButton.type = "button";
         resetButton.className = "btn btn-outline-danger flex-fill";
-        resetButton.textContent = "איפוס";
+        resetButton.textContent = this.messages.reset;
 
         controls.append(prevButton, nextButton, submitButton, resetButton);
         this.container.after(controls);
@@ -1253,7 +1397,10 @@ export class FormBuilderBase {
                 if (!this.activeSchema || !isMultiStage(this.activeSchema)) {
                     return;
                 }
-                this._renderStage(Math.max(this.currentStage - 1, 0), { focusOnChange: true });
+                const previousIndex = this._getBackStageIndex();
+                if (previousIndex !== null) {
+                    this._renderStage(previousIndex, { focusOnChange: true });
+                }
             };
         }
 
@@ -1267,7 +1414,10 @@ export class FormBuilderBase {
                     this._showErrors(errors);
                     return;
                 }
-                this._renderStage(this.currentStage + 1, { focusOnChange: true });
+                const nextIndex = this._getNextStageIndex(this.currentStage);
+                if (nextIndex !== null) {
+                    this._renderStage(nextIndex, { focusOnChange: true });
+                }
             };
         }
 
@@ -1277,7 +1427,7 @@ export class FormBuilderBase {
 
         if (this.resetButton) {
             this.resetButton.onclick = () => {
-                if (confirm("האם אתה בטוח שברצונך לאפס את הטופס?")) {
+                if (confirm(this.messages.resetConfirm)) {
                     this._resetForm();
                 }
             };
@@ -0,0 +1,118 @@
+import { getTextDirection } from "./messages.js";
+import { ProductionForm } from "./productionForm.js";
+import elementStyles from "./formBuilderElement.css";
+import runtimeStyles from "../public/css/formRuntime.css";
+
+// <form-builder> — the production runtime as a custom element, for pages that cannot
+// provide the root/<form> markup ProductionForm expects:
+//
+//   <form-builder schema-src="/api/forms/contact/schema"
+//                 submit-url="/api/forms/contact/submissions"
+//                 locale="en" draft-key="contact-draft"></form-builder>
+//
+// Attributes map onto ProductionForm's data attributes (see productionForm.js). Without
+// schema-src the schema is read from a <script type="application/json"> child. The form
+// renders in an open shadow root with its own stylesheet, and the runtime's fb-* events
+// are composed, so they reach listeners on the element itself.
+
+const ATTRIBUTE_DATASET_KEYS = {
+    "schema-src": "schemaSrc",
+    "submit-url": "submitUrl",
+    "draft-key": "draftKey",
+    "locale": "locale",
+    "success-title": "successTitle",
+    "success-message": "successMessage",
+    "success-link-url": "successLinkUrl",
+    "success-link-text": "successLinkText"
+};
+
+let nextElementId = 1;
+
+class EmbeddedForm extends ProductionForm {
+    async _fetchSchema() {
+        if (this.root.dataset.schemaSrc) {
+            return super._fetchSchema();
+        }
+
+        const host = this.root.getRootNode().host;
+        const embedded = host?.querySelector(":scope > script[type='application/json']");
+        if (!embedded) {
+            throw new Error("No schema source configured");
+        }
+        return JSON.parse(embedded.textContent);
+    }
+}
+
+class FormBuilderElement extends HTMLElement {
+    static get observedAttributes() {
+        return Object.keys(ATTRIBUTE_DATASET_KEYS);
+    }
+
+    constructor() {
+        super();
+        this.form = null;
+        this.elementId = `form-builder-${nextElementId++}`;
+        this.attachShadow({ mode: "open" });
+    }
+
+    connectedCallback() {
+        if (!this.form) {
+            this._mount();
+        }
+    }
+
+    disconnectedCallback() {
+        this._unmount();
+    }
+
+    // Every attribute is configuration read at start-up, so a change rebuilds the form
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (this.form && oldValue !== newValue) {
+            this._mount();
+        }
+    }
+
+    _mount() {
+        this._unmount();
+
+        const style = document.createElement("style");
+        style.textContent = `${elementStyles}\n${runtimeStyles}`;
+
+        const root = document.createElement("div");
+        root.setAttribute("part", "form");
+        root.dataset.formBuilder = this.id || this.elementId;
+        Object.entries(ATTRIBUTE_DATASET_KEYS).forEach(([attribute, key]) => {
+            const value = this.getAttribute(attribute);
+            if (value !== null) {
+                root.dataset[key] = value;
+            }
+        });
+        const locale = this.getAttribute("locale");
+        if (locale) {
+            root.lang = locale;
+        }
+        root.dir = getTextDirection(locale);
+
+        const form = document.createElement("form");
+        form.noValidate = true;
+        root.appendChild(form);
+
+        this.shadowRoot.replaceChildren(style, root);
+        this.form = new EmbeddedForm(root);
+        this.form.controls?.setAttribute("part", "controls");
+    }
+
+    _unmount() {
+        if (!this.form) {
+            return;
+        }
+        this.form.pendingRenderTimers.forEach(timerId => clearTimeout(timerId));
+        this.form.pendingRenderTimers.clear();
+        this.form = null;
+        this.shadowRoot.replaceChildren();
+    }
+}
+
+if (!customElements.get("form-builder")) {
+    customElements.define("form-builder", FormBuilderElement);
+}
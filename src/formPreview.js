@@ -25,6 +25,7 @@ class FormPreview extends FormBuilderBase {
         Object.keys(this.state).forEach(key => delete this.state[key]);
         this.currentStage = 0;
         this.furthestStageReached = 0;
+        this.stageHistory = [];
         this._renderStage(0);
     }
 
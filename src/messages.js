@@ -0,0 +1,98 @@
+// UI and validation strings of the runtime, per language. Hebrew is the default; a
+// locale is matched by its language subtag ("en-US" uses "en"), and unknown locales fall
+// back to Hebrew. Field-level `errorMessages` from the schema always take precedence.
+
+import { SchemaRules } from "../public/js/schemaRules.js";
+
+export const DEFAULT_LOCALE = "he";
+
+const RTL_LANGUAGES = new Set(["he", "ar", "fa", "ur", "yi"]);
+
+const MESSAGES = {
+    he: {
+        yes: "כן",
+        no: "לא",
+        schemaLoadError: "שגיאה בטעינת הטופס",
+        schemaUnavailable: "לא ניתן לטעון את הגדרות הטופס.",
+        schemaInvalid: "הגדרות הטופס אינן תקינות.",
+        summaryIntro: "בדוק את הנתונים לפני שליחה.",
+        stage: number => `שלב ${number}`,
+        stageOf: (number, total) => `שלב ${number} מתוך ${total}`,
+        selectPlaceholder: "-- בחר --",
+        previous: "חזרה",
+        next: "המשך",
+        submit: "שליחה",
+        reset: "איפוס",
+        resetConfirm: "האם אתה בטוח שברצונך לאפס את הטופס?",
+        formReset: "הטופס אופסן",
+        noSubmitUrl: "לא הוגדרה כתובת לשליחת הטופס.",
+        submitFailed: "שליחת הטופס נכשלה. נסו שוב.",
+        fixErrors: "יש לתקן את השדות המסומנים ולשלוח שוב.",
+        successMessage: "הטופס נשלח בהצלחה. תודה!",
+        successLinkText: "המשך",
+        validation: {
+            required: SchemaRules.REQUIRED_MESSAGE,
+            emailInvalid: "כתובת אימייל לא תקינה",
+            optionInvalid: "יש לבחור אפשרות מהרשימה",
+            dateInvalid: "תאריך לא תקין",
+            numberInvalid: "יש להזין מספר",
+            invalid: SchemaRules.INVALID_MESSAGE,
+            min: limit => `הערך חייב להיות לפחות ${limit}`,
+            max: limit => `הערך חייב להיות לכל היותר ${limit}`,
+            minDate: limit => `התאריך חייב להיות ${limit} או מאוחר יותר`,
+            maxDate: limit => `התאריך חייב להיות ${limit} או מוקדם יותר`,
+            minlength: limit => `יש להזין לפחות ${limit} תווים`,
+            maxlength: limit => `יש להזין לכל היותר ${limit} תווים`,
+            pattern: "הערך אינו בפורמט הנדרש"
+        }
+    },
+    en: {
+        yes: "Yes",
+        no: "No",
+        schemaLoadError: "The form could not be loaded",
+        schemaUnavailable: "The form settings could not be loaded.",
+        schemaInvalid: "The form settings are invalid.",
+        summaryIntro: "Check your answers before submitting.",
+        stage: number => `Step ${number}`,
+        stageOf: (number, total) => `Step ${number} of ${total}`,
+        selectPlaceholder: "-- Select --",
+        previous: "Back",
+        next: "Next",
+        submit: "Submit",
+        reset: "Reset",
+        resetConfirm: "Are you sure you want to reset the form?",
+        formReset: "The form was reset",
+        noSubmitUrl: "No submission URL is configured for this form.",
+        submitFailed: "The form could not be sent. Please try again.",
+        fixErrors: "Please fix the highlighted fields and submit again.",
+        successMessage: "The form was sent. Thank you!",
+        successLinkText: "Continue",
+        validation: {
+            required: "This field is required",
+            emailInvalid: "Invalid email address",
+            optionInvalid: "Choose one of the listed options",
+            dateInvalid: "Invalid date",
+            numberInvalid: "Enter a number",
+            invalid: "Invalid value",
+            min: limit => `The value must be at least ${limit}`,
+            max: limit => `The value must be at most ${limit}`,
+            minDate: limit => `The date must be ${limit} or later`,
+            maxDate: limit => `The date must be ${limit} or earlier`,
+            minlength: limit => `Enter at least ${limit} characters`,
+            maxlength: limit => `Enter at most ${limit} characters`,
+            pattern: "The value is not in the expected format"
+        }
+    }
+};
+
+function getLanguage(locale) {
+    return String(locale || DEFAULT_LOCALE).trim().toLowerCase().split(/[-_]/)[0];
+}
+
+export function getMessages(locale) {
+    return MESSAGES[getLanguage(locale)] ?? MESSAGES[DEFAULT_LOCALE];
+}
+
+export function getTextDirection(locale) {
+    return RTL_LANGUAGES.has(getLanguage(locale)) ? "rtl" : "ltr";
+}
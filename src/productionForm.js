@@ -0,0 +1,231 @@
+import { FormBuilderBase } from "./formBuilderBase.js";
+
+// Success links come from the schema; only web and same-site URLs are followed
+function isSafeLinkUrl(url) {
+    return /^(https?:\/\/|\/(?!\/))/i.test(url);
+}
+
+// ProductionForm — end-user runtime configured through data attributes on the root:
+//   data-schema-src       URL to fetch the schema from (otherwise an embedded
+//                         <script type="application/json" data-form-schema> is used)
+//   data-submit-url       URL the payload is POSTed to as JSON
+//   data-success-title    Heading of the success screen
+//   data-success-message  Text shown after a successful submission
+//   data-success-link-url / data-success-link-text
+//                         Optional link button on the success screen
+//   data-draft-key        localStorage key for saving drafts (drafts are off without it)
+//   data-locale           Language of the built-in texts ("he" by default, or "en")
+// Success screen attributes override the schema's `successScreen` settings.
+// The base constructor calls _init() before subclass fields exist, so configuration is
+// always read from the dataset instead of instance fields.
+//
+// Besides the base fb-change/fb-stage-change events, the root dispatches:
+//   fb-submit     before the payload is POSTed (detail: { payload }); cancelable, and
+//                 cancelling it skips the request so the page can submit the data itself
+//   fb-submitted  after the server accepted the submission (detail: { payload })
+//   fb-error      when the schema cannot be loaded or a submission fails
+//                 (detail: { type: "schema" | "submit" | "validation", message, errors? })
+class ProductionForm extends FormBuilderBase {
+    async _init() {
+        this.isLoadingSchema = true;
+        try {
+            const schema = await this._fetchSchema();
+            this.loadSchema(schema);
+        } catch (error) {
+            console.error("Failed to load form schema:", error);
+            this._displaySchemaError(this.messages.schemaUnavailable);
+            this._emit("fb-error", { type: "schema", message: error.message });
+        } finally {
+            this.isLoadingSchema = false;
+        }
+    }
+
+    async _fetchSchema() {
+        const { schemaSrc } = this.root.dataset;
+        if (schemaSrc) {
+            const response = await fetch(schemaSrc, { headers: { Accept: "application/json" } });
+            if (!response.ok) {
+                throw new Error(`Schema request failed with status ${response.status}`);
+            }
+            return response.json();
+        }
+
+        const embedded = this.root.querySelector("script[data-form-schema]");
+        if (!embedded) {
+            throw new Error("No schema source configured");
+        }
+        return JSON.parse(embedded.textContent);
+    }
+
+    loadSchema(schema) {
+        if (!schema || !Array.isArray(schema.stages) || schema.stages.length === 0) {
+            this._displaySchemaError(this.messages.schemaInvalid);
+            this._emit("fb-error", { type: "schema", message: "Invalid schema" });
+            return;
+        }
+
+        this.activeSchema = schema;
+        Object.keys(this.state).forEach(key => delete this.state[key]);
+        Object.assign(this.state, this._loadDraft());
+        this._pruneHiddenFields();
+        this.currentStage = 0;
+        this.furthestStageReached = 0;
+        this.stageHistory = [];
+        this._renderStage(0);
+    }
+
+    // --- Drafts ---
+
+    _saveDraft() {
+        const { draftKey } = this.root.dataset;
+        if (!draftKey) {
+            return;
+        }
+        try {
+            localStorage.setItem(draftKey, JSON.stringify(this.state));
+        } catch (error) {
+            // Storage can be full or disabled (private mode); drafts are best-effort
+        }
+    }
+
+    _loadDraft() {
+        const { draftKey } = this.root.dataset;
+        if (!draftKey) {
+            return {};
+        }
+        try {
+            const draft = JSON.parse(localStorage.getItem(draftKey));
+            return draft && typeof draft === "object" && !Array.isArray(draft) ? draft : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    _clearDraft() {
+        const { draftKey } = this.root.dataset;
+        if (!draftKey) {
+            return;
+        }
+        try {
+            localStorage.removeItem(draftKey);
+        } catch (error) {
+            // Ignore, see _saveDraft
+        }
+    }
+
+    // --- Submission ---
+
+    async _postPayload(payload) {
+        if (!this._emit("fb-submit", { payload }, { cancelable: true })) {
+            return false;
+        }
+
+        const { submitUrl } = this.root.dataset;
+        if (!submitUrl) {
+            this._setSubmitFeedback("warning", this.messages.noSubmitUrl);
+            return false;
+        }
+
+        this._setSubmittingState(true);
+        try {
+            const response = await fetch(submitUrl, {
+                method: "POST",
+                // The server answers validation errors in the form's language
+                headers: { "Content-Type": "application/json", ...(this.locale ? { "Accept-Language": this.locale } : {}) },
+                body: JSON.stringify(payload)
+            });
+            // The submissions endpoint answers 422 with { errors: { field: message } }
+            if (response.status === 422) {
+                const result = await response.json().catch(() => null);
+                if (result?.errors && Object.keys(result.errors).length) {
+                    this._showServerErrors(result.errors);
+                    return false;
+                }
+            }
+            if (!response.ok) {
+                throw new Error(`Submission failed with status ${response.status}`);
+            }
+        } catch (error) {
+            console.error("Form submission failed:", error);
+            this._setSubmitFeedback("danger", this.messages.submitFailed);
+            this._emit("fb-error", { type: "submit", message: error.message });
+            return false;
+        } finally {
+            this._setSubmittingState(false);
+        }
+
+        this._clearDraft();
+        this._showSuccessScreen();
+        this._emit("fb-submitted", { payload });
+        return true;
+    }
+
+    _showServerErrors(errors) {
+        const firstErrorStage = this._findFirstErrorStage(errors);
+        if (firstErrorStage !== null && firstErrorStage !== this.currentStage) {
+            this._renderStage(firstErrorStage, { focusOnChange: true });
+        }
+        this._showErrors(errors);
+        this._setSubmitFeedback("danger", this.messages.fixErrors);
+        this._emit("fb-error", { type: "validation", message: this.messages.fixErrors, errors });
+    }
+
+    _getSuccessScreen() {
+        const settings = this.activeSchema?.successScreen ?? {};
+        const { successTitle, successMessage, successLinkUrl, successLinkText } = this.root.dataset;
+        return {
+            title: successTitle || settings.title || "",
+            message: successMessage || settings.message || this.messages.successMessage,
+            linkUrl: successLinkUrl || settings.linkUrl || "",
+            linkText: successLinkText || settings.linkText || this.messages.successLinkText
+        };
+    }
+
+    _showSuccessScreen() {
+        Object.keys(this.state).forEach(key => delete this.state[key]);
+        const screen = this._getSuccessScreen();
+
+        if (this.container) {
+            this.container.innerHTML = "";
+            const panel = document.createElement("div");
+            panel.className = "alert alert-success";
+            panel.setAttribute("role", "status");
+
+            if (screen.title) {
+                const heading = document.createElement("h2");
+                heading.className = "h5 alert-heading";
+                heading.textContent = screen.title;
+                panel.appendChild(heading);
+            }
+
+            const message = document.createElement("p");
+            message.className = "mb-0";
+            message.style.whiteSpace = "pre-line";
+            message.textContent = screen.message;
+            panel.appendChild(message);
+
+            if (screen.linkUrl && isSafeLinkUrl(screen.linkUrl)) {
+                const link = document.createElement("a");
+                link.className = "btn btn-success mt-3";
+                link.href = screen.linkUrl;
+                link.textContent = screen.linkText;
+                panel.appendChild(link);
+            }
+
+            this.container.appendChild(panel);
+        }
+
+        this._clearSubmitFeedback();
+        if (this.controls) {
+            this.controls.style.display = "none";
+        }
+        if (this.stageIndicator) {
+            this.stageIndicator.classList.add("d-none");
+        }
+        this._announceToScreenReader([screen.title, screen.message].filter(Boolean).join(". "));
+    }
+}
+
+window.ProductionForm = ProductionForm;
+
+export { ProductionForm };
@@ -1,5 +1,9 @@
+import { SchemaConditions } from "../public/js/schemaConditions.js";
+import { SchemaExpressions } from "../public/js/schemaExpressions.js";
+import { SchemaRules } from "../public/js/schemaRules.js";
+
 // Default fallback messages used when a field does not override copy.
-export const REQUIRED_MESSAGE = "שדה חובה";
+export const REQUIRED_MESSAGE = SchemaRules.REQUIRED_MESSAGE;
 
 export function isMultiStage(schema) {
     return Array.isArray(schema.stages) && schema.stages.length > 0;
@@ -20,9 +24,66 @@ export function getFields(schema, stageIndex = null) {
     return schema.fields ?? [];
 }
 
+// showIf operators and evaluation live in public/js/schemaConditions.js, shared with the
+// editor and the exporters
+export const CONDITION_OPERATORS = SchemaConditions.OPERATORS;
+
 export function evaluateCondition(condition, state) {
-    const value = state[condition.field];
-    return value === condition.equals;
+    return SchemaConditions.evaluate(condition, state);
+}
+
+// Names of every field a condition reads, groups included
+export function getConditionFields(condition) {
+    return SchemaConditions.getFields(condition);
+}
+
+// Stages take a showIf too; the fields of a hidden stage are hidden with it
+export function shouldDisplayStage(stage, state) {
+    if (!stage?.showIf) {
+        return true;
+    }
+
+    return evaluateCondition(stage.showIf, state);
+}
+
+function findVisibleStage(schema, fromIndex, state) {
+    const index = schema.stages.findIndex((stage, i) => i >= fromIndex && shouldDisplayStage(stage, state));
+    return index === -1 ? null : index;
+}
+
+/**
+ * The stage that follows `stageIndex` for the given answers. A stage's `next` rules are
+ * tried in order, `{ if: condition, goTo: stageId }`, and a rule without `if` always
+ * matches. Only jumps forward count. A target hidden by its showIf leads on to the next
+ * visible stage after it, as does a stage without a matching rule.
+ * @returns {number|null} null when no stage follows
+ */
+export function getNextStageIndex(schema, stageIndex, state) {
+    if (!isMultiStage(schema)) {
+        return null;
+    }
+
+    const stages = schema.stages;
+    const rules = Array.isArray(stages[stageIndex]?.next) ? stages[stageIndex].next : [];
+    const targetIndex = rule => stages.findIndex(stage => stage?.id === rule?.goTo);
+    const route = rules.find(rule => targetIndex(rule) > stageIndex && (!rule.if || evaluateCondition(rule.if, state)));
+
+    return findVisibleStage(schema, route ? targetIndex(route) : stageIndex + 1, state);
+}
+
+// Indexes of the stages the answers lead through, from the first visible stage on
+export function getStagePath(schema, state) {
+    if (!isMultiStage(schema)) {
+        return [0];
+    }
+
+    const path = [];
+    let index = findVisibleStage(schema, 0, state);
+    while (index !== null) {
+        path.push(index);
+        index = getNextStageIndex(schema, index, state);
+    }
+    return path;
 }
 
 export function shouldDisplayField(field, state) {
@@ -33,13 +94,109 @@ export function shouldDisplayField(field, state) {
     return evaluateCondition(field.showIf, state);
 }
 
+// `required: true` always applies; `requiredIf` makes a field required only while its
+// condition holds
+export function isFieldRequired(field, state) {
+    if (field?.required) {
+        return true;
+    }
+
+    return Boolean(field?.requiredIf) && evaluateCondition(field.requiredIf, state);
+}
+
 export function getVisibleFields(schema, state, stageIndex = null) {
-    return getFields(schema, stageIndex)
+    let fields = getFields(schema, stageIndex);
+    if (isMultiStage(schema)) {
+        const path = getStagePath(schema, state);
+        fields = typeof stageIndex === "number"
+            ? (path.includes(stageIndex) ? fields : [])
+            : path.flatMap(index => schema.stages[index]?.fields ?? []);
+    }
+
+    return fields
         .filter(field => !isPlainTextField(field))
         .filter(field => shouldDisplayField(field, state));
 }
 
+/**
+ * Drops the values of hidden fields from `state` in a single pass in form order, so a
+ * value pruned here no longer counts for the conditions and routes after it. A field is
+ * hidden by its own showIf, or when its stage is off the path the answers lead through
+ * (hidden by the stage's showIf or passed over by a `next` rule).
+ */
+export function pruneHiddenState(schema, state) {
+    const multiStage = isMultiStage(schema);
+    const stages = multiStage ? schema.stages : [{ fields: getFields(schema) }];
+    let nextOnPath = multiStage ? findVisibleStage(schema, 0, state) : 0;
+    stages.forEach((stage, index) => {
+        const onPath = index === nextOnPath;
+        (stage?.fields ?? []).forEach(field => {
+            if (!field?.name || !Object.prototype.hasOwnProperty.call(state, field.name)) {
+                return;
+            }
+            if (!onPath || (field.showIf && !shouldDisplayField(field, state))) {
+                delete state[field.name];
+            }
+        });
+        if (onPath && multiStage) {
+            nextOnPath = getNextStageIndex(schema, index, state);
+        }
+    });
+}
+
+export function isCalculatedField(field) {
+    return field?.type === "calculated";
+}
+
+// Fields a calculated field's expression reads
+export function getExpressionFields(field) {
+    return isCalculatedField(field) && typeof field.expression === "string"
+        ? SchemaExpressions.getFields(field.expression)
+        : [];
+}
+
+// Recomputes calculated fields in field order, so an expression can use the result of an
+// earlier one. Call after pruneHiddenState: hidden answers read as empty, and hidden
+// calculated fields get no value.
+export function applyCalculatedFields(schema, state) {
+    const calculatedFields = getFields(schema).filter(isCalculatedField);
+    if (!calculatedFields.length) {
+        return;
+    }
+
+    const visibleNames = new Set(getVisibleFields(schema, state).map(field => field.name));
+    calculatedFields.forEach(field => {
+        const value = visibleNames.has(field.name) ? SchemaExpressions.evaluate(field.expression ?? "", state) : null;
+        if (value === null) {
+            delete state[field.name];
+        } else {
+            state[field.name] = value;
+        }
+    });
+}
+
+// The schema's cross-field `rules` that name a target field; malformed entries are skipped
+// (schema lint reports them)
+export function getRules(schema) {
+    return (Array.isArray(schema?.rules) ? schema.rules : [])
+        .filter(rule => rule && typeof rule === "object" && typeof rule.field === "string" && rule.field);
+}
+
 export function isPlainTextField(field) {
     const type = String(field?.type ?? "").toLowerCase();
     return type === "plain text" || type === "plaintext";
 }
+
+// Converts a raw state value into its submitted form. Number inputs keep their text
+// in state while editing; the payload carries numbers (or omits cleared inputs).
+export function toPayloadValue(field, value) {
+    if (field?.type === "number" && typeof value === "string") {
+        if (value.trim() === "") {
+            return undefined;
+        }
+        const number = Number(value);
+        return Number.isFinite(number) ? number : value;
+    }
+
+    return value;
+}
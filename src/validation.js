@@ -0,0 +1,199 @@
+// Validation rules shared by the browser runtime, the editor preview and the server.
+// Pure functions only (no DOM): errors are `{ [fieldName]: message }` objects, empty when
+// valid. Messages come from the field's `errorMessages` under the same keys the editor
+// uses (required, emailInvalid, min, max, minlength, maxlength, pattern), falling back to
+// the locale's defaults in messages.js (Hebrew unless a `locale` option is given).
+// Cross-field `rules` from the schema (checked by public/js/schemaRules.js) report on their
+// target field with their own message.
+
+import { SchemaRules } from "../public/js/schemaRules.js";
+import { getMessages } from "./messages.js";
+import {
+    getFields,
+    getVisibleFields,
+    getRules,
+    applyCalculatedFields,
+    isCalculatedField,
+    isFieldRequired,
+    isPlainTextField,
+    pruneHiddenState,
+    toPayloadValue
+} from "./schemaUtils.js";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CHOICE_TYPES = new Set(["select", "radio"]);
+
+function message(field, key, fallback) {
+    return field.errorMessages?.[key] || fallback;
+}
+
+function getAttribute(field, key) {
+    const value = field.attributes?.[key];
+    return value === undefined || value === null || value === "" ? null : value;
+}
+
+// Options are `{ value, label }` objects or plain strings
+function optionValue(option) {
+    return typeof option === "string" ? option : option?.value;
+}
+
+// HTML patterns must match the whole value; invalid patterns are ignored like browsers do
+function compilePattern(pattern) {
+    try {
+        return new RegExp(`^(?:${pattern})$`, "u");
+    } catch (error) {
+        return null;
+    }
+}
+
+export function isEmptyValue(field, value) {
+    if (field?.type === "checkbox") {
+        return value !== true;
+    }
+    return value === undefined || value === null || String(value).trim() === "";
+}
+
+/**
+ * Validates one value in the runtime's state shape (text for every input except
+ * checkboxes, which hold booleans).
+ * @param {{ locale?: string, state?: object }} [options] `state` holds the other answers,
+ *   which a `requiredIf` condition reads
+ * @returns {string|null} The error message, or null when valid
+ */
+export function validateField(field, value, options = {}) {
+    const defaults = getMessages(options.locale).validation;
+
+    // Calculated values come from an expression, not from the user
+    if (isCalculatedField(field)) {
+        return null;
+    }
+
+    if (isEmptyValue(field, value)) {
+        return isFieldRequired(field, options.state ?? {}) ? message(field, "required", defaults.required) : null;
+    }
+
+    if (field.type === "checkbox") {
+        return typeof value === "boolean" ? null : message(field, "required", defaults.required);
+    }
+    if (typeof value !== "string") {
+        return defaults.invalid;
+    }
+
+    const text = value.trim();
+
+    if (field.type === "email" && !EMAIL_PATTERN.test(text)) {
+        return message(field, "emailInvalid", defaults.emailInvalid);
+    }
+    if (CHOICE_TYPES.has(field.type) && !(field.options ?? []).some(option => String(optionValue(option)) === value)) {
+        return message(field, "optionInvalid", defaults.optionInvalid);
+    }
+
+    const min = getAttribute(field, "min");
+    const max = getAttribute(field, "max");
+
+    if (field.type === "number") {
+        const number = Number(text);
+        if (!Number.isFinite(number)) {
+            return message(field, "numberInvalid", defaults.numberInvalid);
+        }
+        if (min !== null && number < Number(min)) {
+            return message(field, "min", defaults.min(min));
+        }
+        if (max !== null && number > Number(max)) {
+            return message(field, "max", defaults.max(max));
+        }
+    } else if (field.type === "date") {
+        if (!DATE_PATTERN.test(text)) {
+            return message(field, "dateInvalid", defaults.dateInvalid);
+        }
+        // ISO dates compare correctly as strings
+        if (min !== null && text < String(min)) {
+            return message(field, "min", defaults.minDate(min));
+        }
+        if (max !== null && text > String(max)) {
+            return message(field, "max", defaults.maxDate(max));
+        }
+    }
+
+    const minlength = getAttribute(field, "minlength");
+    const maxlength = getAttribute(field, "maxlength");
+    if (minlength !== null && value.length < Number(minlength)) {
+        return message(field, "minlength", defaults.minlength(minlength));
+    }
+    if (maxlength !== null && value.length > Number(maxlength)) {
+        return message(field, "maxlength", defaults.maxlength(maxlength));
+    }
+
+    const pattern = getAttribute(field, "pattern");
+    if (pattern !== null) {
+        const regex = compilePattern(pattern);
+        if (regex && !regex.test(value)) {
+            return message(field, "pattern", defaults.pattern);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validates the visible fields of one stage, or of the whole form when `stageIndex` is null.
+ * A cross-field rule is checked with the stage of its target field, unless that field
+ * already has an error of its own.
+ * @returns {object} Errors keyed by field name (empty = valid)
+ */
+export function validateStage(schema, state, stageIndex = null, options = {}) {
+    const errors = {};
+    const visibleFields = getVisibleFields(schema, state, stageIndex);
+    visibleFields.forEach(field => {
+        const error = validateField(field, state[field.name], { ...options, state });
+        if (error) {
+            errors[field.name] = error;
+        }
+    });
+
+    const visibleNames = new Set(visibleFields.map(field => field.name));
+    getRules(schema).forEach(rule => {
+        if (visibleNames.has(rule.field) && !errors[rule.field] && !SchemaRules.check(rule, state)) {
+            errors[rule.field] = rule.message || getMessages(options.locale).validation.invalid;
+        }
+    });
+    return errors;
+}
+
+/**
+ * Re-checks a submitted payload (as built by FormBuilderBase._buildSubmissionPayload)
+ * without trusting the client: values go back into the state shape, hidden fields are
+ * pruned like `_pruneHiddenFields`, calculated fields are recomputed, and the visible
+ * ones are validated.
+ * @returns {{ valid: boolean, errors: object, data: object }} `data` is the payload
+ *   rebuilt from the visible fields; hidden and unknown fields are dropped
+ */
+export function validateSubmission(schema, payload, options = {}) {
+    const fields = getFields(schema).filter(field => field?.name && !isPlainTextField(field));
+
+    const state = {};
+    fields.forEach(field => {
+        if (Object.prototype.hasOwnProperty.call(payload, field.name)) {
+            const value = payload[field.name];
+            state[field.name] = field.type === "number" && typeof value === "number" ? String(value) : value;
+        }
+    });
+
+    // Same single pass in field order as _pruneHiddenFields
+    pruneHiddenState(schema, state);
+    applyCalculatedFields(schema, state);
+
+    const errors = validateStage(schema, state, null, options);
+    const data = {};
+    getVisibleFields(schema, state).forEach(field => {
+        if (Object.prototype.hasOwnProperty.call(state, field.name)) {
+            const value = toPayloadValue(field, state[field.name]);
+            if (value !== undefined) {
+                data[field.name] = value;
+            }
+        }
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors, data };
+}
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { run } = require("../bin/form-schema.js");
+
+const clean = { id: "contact", stages: [{ id: "s1", label: "S1", fields: [{ name: "a", type: "text", label: "A", placeholder: "a" }] }] };
+const duplicate = { id: "dup", stages: [{ id: "s1", label: "S1", fields: [{ name: "a", type: "text", label: "A" }, { name: "a", type: "text", label: "A" }] }] };
+
+function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "form-schema-cli-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const write = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+        return file;
+    };
+    return { dir, write };
+}
+
+// Runs the CLI with captured output
+function cli(...argv) {
+    const output = { stdout: [], stderr: [] };
+    const code = run(argv, {
+        stdout: text => output.stdout.push(text),
+        stderr: text => output.stderr.push(text),
+        write: text => output.stdout.push(text)
+    });
+    return { code, stdout: output.stdout.join("\n"), stderr: output.stderr.join("\n") };
+}
+
+test("lint exits 1 on errors and 0 when clean", t => {
+    const { write } = setup(t);
+    assert.equal(cli("lint", write("clean.json", clean)).code, 0);
+
+    const result = cli("lint", "--json", write("dup.json", duplicate));
+    assert.equal(result.code, 1);
+    assert.equal(JSON.parse(result.stdout).summary.errors, 1);
+});
+
+test("lint --rule and --max-warnings change the outcome", t => {
+    const { write } = setup(t);
+    const file = write("dup.json", duplicate);
+    assert.equal(cli("lint", file, "--rule", "duplicate-field-name=warning").code, 0);
+    assert.equal(cli("lint", file, "--rule", "duplicate-field-name=warning", "--max-warnings", "0").code, 1);
+});
+
+test("validate exits 1 for invalid schemas and 2 for unreadable files", t => {
+    const { dir, write } = setup(t);
+    assert.equal(cli("validate", write("clean.json", clean)).code, 0);
+    assert.equal(cli("validate", write("empty.json", { id: "empty" })).code, 1);
+    assert.equal(cli("validate", write("broken.js", "export default {")).code, 2);
+    assert.equal(cli("validate", path.join(dir, "missing.json")).code, 2);
+});
+
+test("usage errors exit 2", () => {
+    assert.equal(cli().code, 2);
+    assert.equal(cli("publish", "x.json").code, 2);
+    assert.equal(cli("lint").code, 2);
+    assert.equal(cli("lint", "x.json", "--rule", "no-such-rule=off").code, 2);
+    assert.equal(cli("convert", "x.json").code, 2);
+    assert.equal(cli("--help").code, 0);
+});
+
+test("convert writes the requested format", t => {
+    const { write } = setup(t);
+    const file = write("clean.json", clean);
+    const result = cli("convert", file, "--to", "jsonschema");
+    assert.equal(result.code, 0);
+    assert.deepEqual(Object.keys(JSON.parse(result.stdout).properties), ["a"]);
+});
+
+test("fmt --check exits 1 until the file is formatted", t => {
+    const { write } = setup(t);
+    const file = write("clean.json", clean);
+    assert.equal(cli("fmt", "--check", file).code, 1);
+    assert.equal(cli("fmt", file).code, 0);
+    assert.equal(cli("fmt", "--check", file).code, 0);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")).stages, clean.stages);
+});
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SchemaExpressions } from "../public/js/schemaExpressions.js";
+
+test("addDays moves a date by whole days", () => {
+    assert.equal(SchemaExpressions.evaluate("addDays(start, 30)", { start: "2024-01-31" }), "2024-03-01");
+    assert.equal(SchemaExpressions.evaluate("addDays(start, -1.7)", { start: "2024-03-01" }), "2024-02-29");
+});
+
+test("addDays is empty past the range of dates", () => {
+    assert.equal(SchemaExpressions.evaluate("addDays(start, 100000000)", { start: "2024-01-01" }), null);
+    assert.equal(SchemaExpressions.evaluate("addDays(start, days)", { start: "2024-01-01", days: 3000000 }), null);
+    assert.equal(SchemaExpressions.evaluate("addDays(start, -1000000)", { start: "2024-01-01" }), null);
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { ImportError, importDocument, importSpreadsheet } = require("../lib/importers/index.js");
+const { generateCsv, generateXlsx } = require("../lib/exporters/spreadsheet.js");
+const { toJsonSchema } = require("../lib/exporters/jsonSchema.js");
+
+const sheetSchema = {
+    id: "household",
+    successScreen: { title: "Thanks, \"you\"" },
+    rules: [{ type: "equals", field: "confirm", otherField: "email", message: "Emails differ" }],
+    stages: [{
+        id: "about",
+        label: "About",
+        fields: [
+            { name: "email", type: "text", label: "Email", required: true },
+            { name: "confirm", type: "text", label: "Confirm" },
+            { name: "married", type: "checkbox", label: "Married" },
+            { name: "spouse", type: "text", label: "Spouse", showIf: { field: "married", isChecked: true } },
+            { name: "kids", type: "number", label: "Kids", showIf: { any: [{ field: "married", equals: true }, { field: "confirm", isNotEmpty: true }] } },
+            { name: "color", type: "select", label: "Color", options: [{ value: "red", label: "Red" }, { value: "blue", label: "Blue" }] }
+        ]
+    }]
+};
+
+for (const [generate, extension] of [[generateCsv, "csv"], [generateXlsx, "xlsx"]]) {
+    test(`spreadsheet ${extension} export imports back unchanged`, async () => {
+        const buffer = Buffer.from(await generate(sheetSchema));
+        const { schema, report } = await importSpreadsheet(buffer, `schema.household.${extension}`);
+        assert.deepEqual(schema, sheetSchema);
+        assert.deepEqual(report.unmapped, []);
+    });
+}
+
+test("spreadsheet export writes plain string options", async () => {
+    const schema = { id: "s", stages: [{ id: "a", label: "A", fields: [{ name: "color", type: "radio", label: "Color", options: ["red", "blue"] }] }] };
+    const { schema: imported } = await importSpreadsheet(Buffer.from(await generateCsv(schema)), "s.csv");
+    assert.deepEqual(imported.stages[0].fields[0].options, [{ value: "red", label: "red" }, { value: "blue", label: "blue" }]);
+});
+
+test("spreadsheet showIf columns compare checkboxes as booleans", async () => {
+    const csv = "name,type,label,showIf field,showIf value\nmarried,checkbox,Married,,\nspouse,text,Spouse,married,yes\nnote,text,Note,missing,x\n";
+    const { schema, report } = await importSpreadsheet(Buffer.from(csv), "form.csv");
+    assert.deepEqual(schema.stages[0].fields[1].showIf, { field: "married", equals: true });
+    assert.deepEqual(report.unmapped.map(entry => entry.construct), ["showIf field: missing"]);
+});
+
+test("JSON Schema export imports back with showIf and requiredIf", () => {
+    const schema = {
+        id: "x",
+        stages: [{
+            id: "stage1",
+            label: "x",
+            fields: [
+                { name: "status", type: "select", label: "Status", options: [{ label: "married", value: "married" }, { label: "single", value: "single" }] },
+                { name: "spouse", type: "text", label: "Spouse", requiredIf: { field: "status", equals: "married" } },
+                { name: "kids", type: "number", label: "Kids", required: true, showIf: { field: "status", equals: "married" } }
+            ]
+        }]
+    };
+    const result = importDocument("auto", toJsonSchema(schema));
+    assert.equal(result.format, "jsonschema");
+    assert.deepEqual(result.schema, schema);
+    assert.deepEqual(result.report.unmapped, []);
+});
+
+test("SurveyJS pages become stages and unsupported expressions are reported", () => {
+    const survey = {
+        title: "Survey",
+        pages: [{
+            name: "p1",
+            elements: [
+                { type: "text", name: "age", title: "Age", inputType: "number", isRequired: true },
+                { type: "dropdown", name: "color", choices: ["a", "b"], visibleIf: "{age} > 18" }
+            ]
+        }]
+    };
+    const { format, schema, report } = importDocument("auto", survey);
+    assert.equal(format, "surveyjs");
+    assert.deepEqual(schema.stages[0].fields[0], { name: "age", type: "number", label: "Age", required: true });
+    assert.equal(schema.stages[0].fields[1].type, "select");
+    assert.deepEqual(report.unmapped.map(entry => entry.path), ["pages[0].elements[1].visibleIf"]);
+});
+
+test("JSON Forms controls become fields", () => {
+    const document = {
+        schema: { type: "object", properties: { name: { type: "string", title: "Name" }, ok: { type: "boolean" } }, required: ["name"] },
+        uischema: { type: "VerticalLayout", elements: [{ type: "Control", scope: "#/properties/name" }, { type: "Control", scope: "#/properties/ok" }] }
+    };
+    const { format, schema } = importDocument("auto", document);
+    assert.equal(format, "jsonforms");
+    assert.deepEqual(schema.stages[0].fields, [
+        { name: "name", type: "text", label: "Name", required: true },
+        { name: "ok", type: "checkbox", label: "ok" }
+    ]);
+});
+
+test("undetectable documents are rejected", () => {
+    assert.throws(() => importDocument("auto", { foo: 1 }), ImportError);
+    assert.throws(() => importDocument("yaml", {}), /Unknown import format/);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { SchemaMigrations } = require("../public/js/schemaMigrations.js");
+
+test("version 0 plain text fields are migrated to the current format", () => {
+    const schema = { id: "a", stages: [{ id: "s", fields: [{ name: "intro", type: "PlainText", content: "Hello" }, { name: "b", type: "text" }] }] };
+    const { schema: migrated, fromVersion, toVersion, applied } = SchemaMigrations.migrate(schema);
+
+    assert.equal(fromVersion, 0);
+    assert.equal(toVersion, SchemaMigrations.CURRENT_VERSION);
+    assert.equal(migrated.schemaVersion, SchemaMigrations.CURRENT_VERSION);
+    assert.deepEqual(migrated.stages[0].fields[0], { name: "intro", type: "plain text", text: "Hello" });
+    assert.deepEqual(applied.map(entry => entry.id), ["plain-text-type", "plain-text-body"]);
+    assert.equal(schema.stages[0].fields[0].type, "PlainText");
+});
+
+test("top-level fields are migrated with the stages", () => {
+    const fieldsOnly = SchemaMigrations.migrate({ id: "a", fields: [{ name: "intro", type: "plaintext", description: "Hi" }] }).schema;
+    assert.deepEqual(fieldsOnly.fields, [{ name: "intro", type: "plain text", text: "Hi" }]);
+
+    const intro = { name: "intro", type: "plaintext", content: "Hi" };
+    const both = SchemaMigrations.migrate({ id: "a", stages: [{ id: "s", fields: [intro] }], fields: [intro] }).schema;
+    assert.deepEqual(both.fields, both.stages[0].fields);
+    assert.equal(both.fields[0].type, "plain text");
+});
+
+test("current schemas are left alone and newer ones are rejected", () => {
+    const current = { id: "a", schemaVersion: SchemaMigrations.CURRENT_VERSION, stages: [] };
+    assert.deepEqual(SchemaMigrations.migrate(current).applied, []);
+    assert.throws(() => SchemaMigrations.migrate({ ...current, schemaVersion: SchemaMigrations.CURRENT_VERSION + 1 }));
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { SchemaParseError, parseSchemaFile, parseSchemaModule } = require("../lib/schemaParser.js");
+const { generateSchemaFile } = require("../lib/exporters/schemaFile.js");
+
+const schema = {
+    id: "contact",
+    stages: [{ id: "details", label: "Say \"hi\"", fields: [{ name: "full-name", type: "text", label: "It's me", "data-test": "x" }] }]
+};
+
+test("generated schema files parse back to the same schema", () => {
+    const parsed = parseSchemaModule(generateSchemaFile(schema));
+    assert.deepEqual(parsed.stages, schema.stages);
+    assert.equal(parsed.id, "contact");
+});
+
+test("JSON files parse as JSON", () => {
+    assert.deepEqual(parseSchemaFile(JSON.stringify(schema), "contact.json"), schema);
+});
+
+test("function calls are rejected", () => {
+    assert.throws(() => parseSchemaModule("export default { id: alert(1), stages: [] }"), SchemaParseError);
+    assert.throws(() => parseSchemaModule("export default { id: \"a\", stages: [] };\nfetch(\"/\");"), SchemaParseError);
+});
+
+test("__proto__ keys are rejected", () => {
+    assert.throws(() => parseSchemaModule("export default { id: \"a\", __proto__: { x: 1 }, stages: [] }"), /__proto__/);
+    assert.throws(() => parseSchemaModule("export default { id: \"a\", [\"__proto__\"]: 1, stages: [] }"), /__proto__/);
+});
+
+test("field projections read only own properties", () => {
+    const source = "const stages = [{ id: \"s\", fields: [{ name: \"x\" }] }];\n"
+        + "export default { id: \"a\", stages, fields: stages.map(stage => stage.constructor) };";
+    assert.deepEqual(parseSchemaModule(source).fields, [undefined]);
+
+    const idiom = "const stages = [{ id: \"s\", fields: [{ name: \"x\" }] }];\n"
+        + "export default { id: \"a\", stages, fields: stages.flatMap(stage => stage.fields) };";
+    assert.deepEqual(parseSchemaModule(idiom).fields, [{ name: "x" }]);
+});
+
+test("parse errors carry a location", () => {
+    assert.throws(() => parseSchemaModule("export default {"), error => error instanceof SchemaParseError && /line 1/.test(error.message));
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateCondition, getStagePath, getVisibleFields, isFieldRequired } from "../src/schemaUtils.js";
+
+test("conditions combine operators and groups", () => {
+    const adult = { field: "age", gte: 18, lt: 65 };
+    assert.equal(evaluateCondition(adult, { age: "30" }), true);
+    assert.equal(evaluateCondition(adult, { age: "70" }), false);
+    assert.equal(evaluateCondition(adult, { age: "" }), false);
+    assert.equal(evaluateCondition({ any: [adult, { field: "student", isChecked: true }] }, { age: "12", student: true }), true);
+    assert.equal(evaluateCondition({ not: { field: "tags", contains: "vip" } }, { tags: ["vip"] }), false);
+    assert.equal(evaluateCondition({ field: "start", gt: "2024-01-31" }, { start: "2024-02-01" }), true);
+    assert.equal(evaluateCondition({ field: "phone", matches: "^05" }, { phone: "0541234567" }), true);
+});
+
+test("fields of hidden stages are hidden", () => {
+    const schema = {
+        stages: [
+            { id: "who", fields: [{ name: "kind", type: "text" }] },
+            { id: "business", showIf: { field: "kind", equals: "business" }, fields: [{ name: "company", type: "text", showIf: { field: "kind", isNotEmpty: true } }] }
+        ]
+    };
+    assert.deepEqual(getVisibleFields(schema, { kind: "business" }).map(field => field.name), ["kind", "company"]);
+    assert.deepEqual(getVisibleFields(schema, { kind: "personal" }).map(field => field.name), ["kind"]);
+});
+
+test("stage routes jump forward to the first matching target", () => {
+    const schema = {
+        stages: [
+            { id: "who", next: [{ if: { field: "kind", equals: "business" }, goTo: "business" }, { goTo: "personal" }] },
+            { id: "business", next: [{ goTo: "done" }] },
+            { id: "personal" },
+            { id: "done" }
+        ]
+    };
+    assert.deepEqual(getStagePath(schema, { kind: "business" }), [0, 1, 3]);
+    assert.deepEqual(getStagePath(schema, { kind: "personal" }), [0, 2, 3]);
+});
+
+test("routes skip hidden targets and ignore backward jumps", () => {
+    const schema = {
+        stages: [
+            { id: "start", next: [{ goTo: "extra" }] },
+            { id: "middle", next: [{ goTo: "start" }] },
+            { id: "extra", showIf: { field: "more", isChecked: true } },
+            { id: "end" }
+        ]
+    };
+    assert.deepEqual(getStagePath(schema, { more: true }), [0, 2, 3]);
+    assert.deepEqual(getStagePath(schema, {}), [0, 3]);
+    assert.deepEqual(getStagePath({ ...schema, stages: schema.stages.map(({ next, ...stage }) => stage) }, {}), [0, 1, 3]);
+});
+
+test("requiredIf applies only while its condition holds", () => {
+    const field = { name: "spouse", requiredIf: { field: "status", equals: "married" } };
+    assert.equal(isFieldRequired(field, { status: "married" }), true);
+    assert.equal(isFieldRequired(field, { status: "single" }), false);
+    assert.equal(isFieldRequired({ ...field, required: true }, { status: "single" }), true);
+});
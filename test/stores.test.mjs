@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const { SchemaStore, SchemaStoreError } = require("../lib/schemaStore.js");
+const { SubmissionStore, SubmissionStoreError } = require("../lib/submissionStore.js");
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "form-schema-test-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+const schema = { id: "contact", stages: [{ id: "s1", label: "S1", fields: [{ name: "a", type: "text", label: "A" }] }] };
+
+test("schema store keeps every saved version", t => {
+    const store = new SchemaStore(tempDir(t));
+    store.create(schema, { author: "dana", message: "first" });
+    const renamed = { ...schema, stages: [{ ...schema.stages[0], label: "Renamed" }] };
+    const updated = store.update("contact", renamed, { message: "rename" });
+
+    assert.equal(updated.version, 2);
+    assert.deepEqual(store.listVersions("contact").map(entry => [entry.version, entry.author, entry.message]), [
+        [2, "anonymous", "rename"],
+        [1, "dana", "first"]
+    ]);
+    assert.deepEqual(store.getVersion("contact", 1).schema, schema);
+});
+
+test("restoring a version saves it as a new version", t => {
+    const store = new SchemaStore(tempDir(t));
+    store.create(schema);
+    store.update("contact", { ...schema, stages: [] });
+    const restored = store.restoreVersion("contact", 1);
+
+    assert.equal(restored.version, 3);
+    assert.deepEqual(restored.schema, schema);
+    assert.equal(store.getVersion("contact", 3).message, "Restored version 1");
+});
+
+test("schema store rejects bad IDs, duplicates and missing schemas", t => {
+    const store = new SchemaStore(tempDir(t));
+    store.create(schema);
+    assert.throws(() => store.create(schema), error => error instanceof SchemaStoreError && error.status === 409);
+    assert.throws(() => store.get("../etc"), SchemaStoreError);
+    assert.throws(() => store.get("missing"), error => error.status === 404);
+    assert.throws(() => store.getVersion("contact", 0), /positive integer/);
+});
+
+test("submission store lists submissions newest first", async t => {
+    const store = new SubmissionStore(tempDir(t));
+    const first = store.create("contact", { a: "1" }, { libraryVersion: 4 });
+    // IDs start with the time in milliseconds
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = store.create("contact", { a: "2" });
+
+    assert.equal(first.libraryVersion, 4);
+    assert.equal(second.libraryVersion, null);
+    assert.deepEqual(store.list("contact").map(record => record.data.a), ["2", "1"]);
+    assert.deepEqual(store.get("contact", first.id), first);
+    assert.deepEqual(store.list("other"), []);
+});
+
+test("submission store reads the library version of older records", t => {
+    const dir = tempDir(t);
+    const store = new SubmissionStore(dir);
+    fs.mkdirSync(path.join(dir, "contact"));
+    fs.writeFileSync(path.join(dir, "contact", "1-old.json"), JSON.stringify({ id: "1-old", schemaId: "contact", schemaVersion: 2, data: {} }));
+
+    assert.equal(store.get("contact", "1-old").libraryVersion, 2);
+    assert.throws(() => store.get("contact", "missing"), error => error instanceof SubmissionStoreError && error.status === 404);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateField, validateSubmission } from "../src/validation.js";
+
+test("choice fields accept options given as objects", () => {
+    const field = { name: "color", type: "select", options: [{ value: "red", label: "Red" }, { value: "blue", label: "Blue" }] };
+    assert.equal(validateField(field, "red"), null);
+    assert.ok(validateField(field, "green"));
+});
+
+test("choice fields accept options given as plain strings", () => {
+    const field = { name: "color", type: "radio", options: ["red", "blue"] };
+    assert.equal(validateField(field, "blue"), null);
+    assert.ok(validateField(field, "green"));
+});
+
+test("submissions drop hidden and unknown fields and recompute calculated ones", () => {
+    const schema = {
+        stages: [{
+            id: "order",
+            fields: [
+                { name: "price", type: "number", required: true },
+                { name: "gift", type: "checkbox" },
+                { name: "note", type: "text", showIf: { field: "gift", isChecked: true } },
+                { name: "total", type: "calculated", expression: "price * 2" },
+                { name: "due", type: "calculated", expression: "addDays(\"2024-01-01\", price * 100000000)" }
+            ]
+        }]
+    };
+    const result = validateSubmission(schema, { price: 5, note: "hi", total: 999, due: "x", extra: 1 });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.data, { price: 5, total: 10 });
+});
+
+test("submissions check requiredIf and cross-field rules", () => {
+    const schema = {
+        rules: [{ type: "after", field: "end", otherField: "start", message: "End after start" }],
+        stages: [{
+            id: "trip",
+            fields: [
+                { name: "start", type: "date" },
+                { name: "end", type: "date" },
+                { name: "status", type: "text" },
+                { name: "spouse", type: "text", requiredIf: { field: "status", equals: "married" } }
+            ]
+        }]
+    };
+    const result = validateSubmission(schema, { start: "2024-05-02", end: "2024-05-01", status: "married" });
+    assert.equal(result.valid, false);
+    assert.equal(result.errors.end, "End after start");
+    assert.ok(result.errors.spouse);
+    assert.equal(validateSubmission(schema, { start: "2024-05-01", end: "2024-05-02", status: "single" }).valid, true);
+});